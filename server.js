@@ -4,6 +4,13 @@ const mongoose = require("mongoose");
 const TicketSettings = require("./src/models/ticketSettings.model");
 const Role = require("./src/models/role.model");
 const { initReportCronJobs } = require("./src/cron/reportCron");
+const { DEFAULT_STATUS_TRANSITIONS } = require("./src/config/ticketWorkflow");
+const {
+  DEFAULT_SLA_POLICIES,
+  DEFAULT_SLA_AT_RISK_PERCENT,
+} = require("./src/config/sla");
+const { initSlaCronJobs } = require("./src/cron/slaCron");
+const { initOutboxCronJobs } = require("./src/cron/outboxCron");
 
 const PORT = config.app.port;
 
@@ -21,6 +28,10 @@ const DEFAULT_SETTINGS = {
   notifyOnStatusChange: true,
   allowReopenClosedTickets: true,
   reopenWindowDays: 30,
+  statusTransitions: DEFAULT_STATUS_TRANSITIONS,
+  slaEnabled: true,
+  slaAtRiskPercent: DEFAULT_SLA_AT_RISK_PERCENT,
+  slaPolicies: DEFAULT_SLA_POLICIES,
 };
 
 const seedTicketSettings = async () => {
@@ -206,6 +217,8 @@ mongoose
     await seedDefaultRoles();
 
     initReportCronJobs();
+    initSlaCronJobs();
+    initOutboxCronJobs();
 
     const server = app.listen(PORT, () => {
       console.log(`Server running in ${config.app.env} mode on port ${PORT}`);
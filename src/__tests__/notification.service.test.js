@@ -0,0 +1,109 @@
+const User = require("../models/user.model");
+const NotificationPreference = require("../models/notificationPreference.model");
+const NotificationOutbox = require("../models/notificationOutbox.model");
+const NotificationOutboxService = require("../services/notificationOutbox.service");
+const { notify } = require("../services/notification.service");
+const { registerProvider, getProvider } = require("../providers");
+const mockProvider = require("../providers/mock.provider");
+
+const user = {
+  _id: "64b7f0c2a1b2c3d4e5f60001",
+  email: "engineer@example.com",
+  mobileNumber: "9876543210",
+};
+
+describe("notify", () => {
+  let queued;
+
+  beforeEach(() => {
+    for (const channel of ["email", "whatsapp", "sms"]) {
+      registerProvider(mockProvider.createMockProvider(channel));
+    }
+    mockProvider.reset();
+    queued = [];
+
+    jest.spyOn(User, "findById").mockResolvedValue(user);
+    jest.spyOn(NotificationPreference, "findOne").mockResolvedValue({
+      email: true,
+      whatsapp: true,
+      sms: true,
+      inApp: false,
+      language: "en",
+    });
+    jest
+      .spyOn(NotificationOutbox, "create")
+      .mockImplementation(async (data) => {
+        const message = new NotificationOutbox(data);
+        message.save = jest.fn().mockResolvedValue(message);
+        queued.push(message);
+        return message;
+      });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("queues one outbox message per channel the user opted into", async () => {
+    const result = await notify({
+      userId: user._id,
+      subject: "Ticket assigned",
+      message: "TKT-1 was assigned to you",
+      notificationType: "TICKET_ASSIGNED",
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.results.map((r) => [r.channel, r.status])).toEqual([
+      ["email", "PENDING"],
+      ["whatsapp", "PENDING"],
+      ["sms", "PENDING"],
+    ]);
+    expect(queued.map((message) => message.to)).toEqual([
+      user.email,
+      user.mobileNumber,
+      user.mobileNumber,
+    ]);
+    expect(mockProvider.getSentMessages()).toHaveLength(0);
+  });
+
+  it("reports delivery per channel through the mock provider", async () => {
+    mockProvider.failChannels(["sms"]);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await notify({
+      userId: user._id,
+      subject: "Ticket assigned",
+      message: "TKT-1 was assigned to you",
+      notificationType: "TICKET_ASSIGNED",
+    });
+
+    const results = [];
+    for (const message of queued) {
+      message.status = "PROCESSING";
+      results.push(await NotificationOutboxService.deliver(message));
+    }
+
+    expect(getProvider("email").name).toBe("mock");
+    expect(
+      results.map(({ channel, provider, success, status }) => ({
+        channel,
+        provider,
+        success,
+        status,
+      }))
+    ).toEqual([
+      { channel: "email", provider: "mock", success: true, status: "SENT" },
+      { channel: "whatsapp", provider: "mock", success: true, status: "SENT" },
+      { channel: "sms", provider: "mock", success: false, status: "PENDING" },
+    ]);
+    expect(results[2].error).toBe("Mock sms provider failure");
+    expect(mockProvider.getSentMessages("email")).toEqual([
+      expect.objectContaining({
+        to: user.email,
+        subject: "Ticket assigned",
+        message: "TKT-1 was assigned to you",
+      }),
+    ]);
+    expect(mockProvider.getSentMessages("sms")).toHaveLength(0);
+  });
+});
@@ -12,14 +12,24 @@ const authRoutes = require("./routes/auth.routes");
 const userRoutes = require("./routes/user.routes");
 const ticketRoutes = require("./routes/ticket.routes");
 const ticketSettingsRoutes = require("./routes/ticketSettings.routes");
+const businessCalendarRoutes = require("./routes/businessCalendar.routes");
+const sequenceRoutes = require("./routes/sequence.routes");
+const assignmentRuleRoutes = require("./routes/assignmentRule.routes");
+const territoryRoutes = require("./routes/territory.routes");
+const teamRoutes = require("./routes/team.routes");
 const itemRoutes = require("./routes/item.routes");
+const warehouseRoutes = require("./routes/warehouse.routes");
+const serialUnitRoutes = require("./routes/serialUnit.routes");
+const challanRoutes = require("./routes/challan.routes");
 const problemRoutes = require("./routes/problem.routes");
 const roleRoutes = require("./routes/role.routes");
 const customerRoutes = require("./routes/customer.routes");
 const dashboardRoutes = require("./routes/dashboard.routes");
 const loggingRoutes = require("./routes/logging.routes");
 const importExportRoutes = require("./routes/importExport.routes");
-// const installationRoutes = require("./routes/installationRoutes");
+const installationRoutes = require("./routes/installationRequest.routes");
+const notificationRoutes = require("./routes/notification.routes");
+const savedViewRoutes = require("./routes/savedView.routes");
 // const itemRoutes = require("./routes/itemRoutes");
 // const settingsRoutes = require("./routes/settingsRoutes");
 // const logRoutes = require("./routes/logRoutes");
@@ -40,13 +50,28 @@ app.use(helmet());
 app.use(cors(config.cors));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+// Stream tokens travel in the query string; keep them out of access logs
+morgan.token("url", (req) =>
+  (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/g, "$1[REDACTED]")
+);
 app.use(morgan(config.app.env === "development" ? "dev" : "combined"));
 
 app.use(`${config.app.apiPrefix}/auth`, authRoutes);
 app.use(`${config.app.apiPrefix}/users`, userRoutes);
+app.use(`${config.app.apiPrefix}/teams`, teamRoutes);
 app.use(`${config.app.apiPrefix}/tickets`, ticketRoutes);
 app.use(`${config.app.apiPrefix}/settings/tickets`, ticketSettingsRoutes);
+app.use(`${config.app.apiPrefix}/settings/calendar`, businessCalendarRoutes);
+app.use(`${config.app.apiPrefix}/settings/sequences`, sequenceRoutes);
+app.use(
+  `${config.app.apiPrefix}/settings/assignment-rules`,
+  assignmentRuleRoutes
+);
+app.use(`${config.app.apiPrefix}/settings/territories`, territoryRoutes);
 app.use(`${config.app.apiPrefix}/items`, itemRoutes);
+app.use(`${config.app.apiPrefix}/warehouses`, warehouseRoutes);
+app.use(`${config.app.apiPrefix}/serials`, serialUnitRoutes);
+app.use(`${config.app.apiPrefix}/challans`, challanRoutes);
 app.use(`${config.app.apiPrefix}/problems`, problemRoutes);
 app.use(`${config.app.apiPrefix}/roles`, roleRoutes);
 app.use(`${config.app.apiPrefix}/customers`, customerRoutes);
@@ -54,7 +79,12 @@ app.use(`${config.app.apiPrefix}/dashboard`, dashboardRoutes);
 app.use(`${config.app.apiPrefix}/logs`, loggingRoutes);
 app.use(`${config.app.apiPrefix}/import`, importExportRoutes);
 app.use(`${config.app.apiPrefix}/export`, importExportRoutes);
-// app.use(`${apiPrefix}/installation-requests`, installationRoutes);
+app.use(
+  `${config.app.apiPrefix}/installation-requests`,
+  installationRoutes
+);
+app.use(`${config.app.apiPrefix}/notifications`, notificationRoutes);
+app.use(`${config.app.apiPrefix}/saved-views`, savedViewRoutes);
 // app.use(`${apiPrefix}/items`, itemRoutes);
 // app.use(`${apiPrefix}/settings`, settingsRoutes);
 // app.use(`${apiPrefix}/logs`, logRoutes);
@@ -0,0 +1,22 @@
+/**
+ * How a matching assignment rule picks one engineer from its pool, after
+ * engineers on leave or at capacity have been left out:
+ * - ROUND_ROBIN: each engineer in turn
+ * - LEAST_OPEN_TICKETS: the engineer with the fewest unresolved tickets
+ * - SKILL_MATCH: engineers whose skill tags cover most of the ticket's
+ *   category and type, then the fewest unresolved tickets
+ * - TERRITORY_MATCH: engineers serving a territory that covers the
+ *   customer, else those whose territory tags include the customer's
+ *   pincode, city or state (closest first), then the fewest unresolved
+ *   tickets
+ */
+const ASSIGNMENT_STRATEGIES = [
+  "ROUND_ROBIN",
+  "LEAST_OPEN_TICKETS",
+  "SKILL_MATCH",
+  "TERRITORY_MATCH",
+];
+
+module.exports = {
+  ASSIGNMENT_STRATEGIES,
+};
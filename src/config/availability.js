@@ -0,0 +1,25 @@
+/**
+ * What happens when a ticket is assigned to an engineer who is unavailable:
+ * - OFF: availability is not checked
+ * - WARN: the assignment goes through and the response carries warnings
+ * - BLOCK: the assignment is refused
+ * Automatic assignment skips unavailable engineers unless the check is OFF.
+ */
+const AVAILABILITY_CHECK_MODES = ["OFF", "WARN", "BLOCK"];
+
+/**
+ * Why an engineer is unavailable. Blocking reasons stop an assignment in
+ * BLOCK mode and exclude the engineer from automatic assignment; a
+ * non-working day is reported but never blocks, so tickets raised at the
+ * weekend still reach someone.
+ */
+const UNAVAILABILITY_REASONS = {
+  ON_LEAVE: { blocking: true },
+  AT_CAPACITY: { blocking: true },
+  NON_WORKING_DAY: { blocking: false },
+};
+
+module.exports = {
+  AVAILABILITY_CHECK_MODES,
+  UNAVAILABILITY_REASONS,
+};
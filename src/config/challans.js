@@ -0,0 +1,9 @@
+/**
+ * A challan is built as a DRAFT, gets its number when ISSUED and can be
+ * CANCELLED at either stage. Cancelled challans keep their number.
+ */
+const CHALLAN_STATUSES = ["DRAFT", "ISSUED", "CANCELLED"];
+
+module.exports = {
+  CHALLAN_STATUSES,
+};
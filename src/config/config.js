@@ -26,6 +26,8 @@ const config = {
   jwt: {
     secret: process.env.JWT_SECRET,
     expiresIn: process.env.JWT_EXPIRY,
+    // Lifetime of the single-purpose tokens that open the event stream
+    streamTokenExpiresIn: process.env.JWT_STREAM_EXPIRY || "60s",
   },
   seed: {
     secretKey: process.env.SEED_SECRET_KEY,
@@ -55,6 +57,28 @@ const config = {
   },
   whatsapp: {
     apiToken: process.env.WHATSAPP_API_TOKEN,
+    // Provider template for WhatsApp messages whose event has no WhatsApp
+    // template; it receives the subject and message as text1 and text2
+    defaultTemplate: process.env.WHATSAPP_DEFAULT_TEMPLATE,
+  },
+  sms: {
+    apiUrl: process.env.SMS_API_URL,
+    apiKey: process.env.SMS_API_KEY,
+    senderId: process.env.SMS_SENDER_ID,
+  },
+  company: {
+    // Printed on delivery challans
+    name: process.env.COMPANY_NAME || process.env.APP_NAME,
+    address: process.env.COMPANY_ADDRESS,
+    phone: process.env.COMPANY_PHONE,
+    gstin: process.env.COMPANY_GSTIN,
+  },
+  notifications: {
+    // Set to "mock" to route every channel to the in-memory mock provider
+    provider: process.env.NOTIFICATION_PROVIDER,
+    maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5,
+    // Days sent and failed outbox messages are kept
+    retentionDays: parseInt(process.env.NOTIFICATION_RETENTION_DAYS, 10) || 30,
   },
 };
 
@@ -0,0 +1,216 @@
+const NOTIFICATION_CHANNELS = ["email", "whatsapp", "sms"];
+
+const DEFAULT_LANGUAGE = "en";
+
+// Ticket lifecycle events a customer can opt in to hear about. Each maps to
+// a CUSTOMER_<event> template event.
+const CUSTOMER_NOTIFICATION_EVENTS = [
+  "TICKET_CREATED",
+  "TICKET_ASSIGNED",
+  "TICKET_RESOLVED",
+  "TICKET_CLOSED",
+];
+
+const CUSTOMER_PLACEHOLDERS = ["ticket.*", "customer.*", "assignee.*"];
+
+/**
+ * Events that have editable templates, with the placeholders available
+ * when rendering them
+ */
+const NOTIFICATION_EVENTS = {
+  TICKET_ASSIGNED: {
+    description: "A ticket is assigned to a user",
+    placeholders: ["ticket.*", "customer.*", "assignee.*", "actor.name"],
+  },
+  TICKET_STATUS_CHANGED: {
+    description: "A ticket moves to a new status",
+    placeholders: [
+      "ticket.*",
+      "customer.*",
+      "assignee.*",
+      "actor.name",
+      "previousStatus",
+    ],
+  },
+  TICKET_APPROVED: {
+    description: "A ticket resolution is approved",
+    placeholders: ["ticket.*", "customer.*", "assignee.*", "actor.name"],
+  },
+  TICKET_COMMENT: {
+    description: "A public comment is added to a ticket",
+    placeholders: [
+      "ticket.*",
+      "customer.*",
+      "assignee.*",
+      "actor.name",
+      "comment.text",
+      "comment.excerpt",
+    ],
+  },
+  TICKET_COMMENT_INTERNAL: {
+    description: "An internal comment is added to a ticket",
+    placeholders: [
+      "ticket.*",
+      "customer.*",
+      "assignee.*",
+      "actor.name",
+      "comment.text",
+      "comment.excerpt",
+    ],
+  },
+  CUSTOMER_TICKET_CREATED: {
+    description: "Tell the customer a ticket was raised for them",
+    placeholders: CUSTOMER_PLACEHOLDERS,
+  },
+  CUSTOMER_TICKET_ASSIGNED: {
+    description: "Tell the customer an engineer was assigned to their ticket",
+    placeholders: CUSTOMER_PLACEHOLDERS,
+  },
+  CUSTOMER_TICKET_RESOLVED: {
+    description: "Tell the customer their ticket was resolved",
+    placeholders: CUSTOMER_PLACEHOLDERS,
+  },
+  CUSTOMER_TICKET_CLOSED: {
+    description: "Tell the customer their ticket was closed",
+    placeholders: CUSTOMER_PLACEHOLDERS,
+  },
+};
+
+/**
+ * Built-in templates used when no template has been saved for an event and
+ * channel. WhatsApp templates reference a template approved with the
+ * provider under that name and fill its variables from `providerParams`.
+ */
+const DEFAULT_NOTIFICATION_TEMPLATES = [
+  {
+    event: "TICKET_ASSIGNED",
+    channel: "email",
+    subject: "New Ticket Assignment: {{ticket.title}} (#{{ticket.shortId}})",
+    body: '{{actor.name}} has assigned you a ticket titled "{{ticket.title}}" with {{ticket.priority}} priority. Please review and take necessary action.',
+  },
+  {
+    event: "TICKET_ASSIGNED",
+    channel: "whatsapp",
+    providerTemplate: "assign_ticket_template_3",
+    providerParams: [
+      "{{ticket.ticketId}}",
+      "{{assignee.name}}",
+      "{{ticket.dueDate}}",
+      "{{customer.name}} - {{customer.mobile}}",
+      "{{ticket.location}}",
+    ],
+  },
+  {
+    event: "TICKET_STATUS_CHANGED",
+    channel: "email",
+    subject: "Ticket Status Update: {{ticket.title}} (#{{ticket.shortId}})",
+    body: 'Ticket "{{ticket.title}}" has been moved from {{previousStatus}} to {{ticket.status}} by {{actor.name}}.',
+  },
+  {
+    event: "TICKET_APPROVED",
+    channel: "email",
+    subject: "Resolution Approved: {{ticket.title}} (#{{ticket.shortId}})",
+    body: '{{actor.name}} has approved your resolution for ticket "{{ticket.title}}" (#{{ticket.shortId}}).',
+  },
+  {
+    event: "TICKET_COMMENT",
+    channel: "email",
+    subject: "New Comment: {{ticket.title}} (#{{ticket.shortId}})",
+    body: '{{actor.name}} commented on ticket "{{ticket.title}}": "{{comment.excerpt}}"',
+  },
+  {
+    event: "TICKET_COMMENT_INTERNAL",
+    channel: "email",
+    subject: "New Internal Comment: {{ticket.title}} (#{{ticket.shortId}})",
+    body: '{{actor.name}} left an internal comment on ticket "{{ticket.title}}": "{{comment.excerpt}}"',
+  },
+  {
+    event: "CUSTOMER_TICKET_CREATED",
+    channel: "email",
+    subject: "New Support Ticket Created: {{ticket.ticketId}}",
+    body: "Dear {{customer.name}},\n\nA new support ticket has been created for you:\n\nTicket ID: {{ticket.ticketId}}\nTitle: {{ticket.title}}\nPriority: {{ticket.priority}}\n\nWe'll be in touch with you soon regarding this matter.\n\nThank you for your patience.",
+  },
+  {
+    event: "CUSTOMER_TICKET_CREATED",
+    channel: "sms",
+    body: "Dear {{customer.name}}, your support ticket {{ticket.ticketId}} has been registered. We will contact you soon. - Nextview",
+  },
+  {
+    event: "CUSTOMER_TICKET_CREATED",
+    channel: "whatsapp",
+    providerTemplate: "customer_ticket_created",
+    providerParams: [
+      "{{customer.name}}",
+      "{{ticket.ticketId}}",
+      "{{ticket.title}}",
+    ],
+  },
+  {
+    event: "CUSTOMER_TICKET_ASSIGNED",
+    channel: "email",
+    subject: "Engineer Assigned: {{ticket.ticketId}}",
+    body: "Dear {{customer.name}},\n\n{{assignee.name}} has been assigned to your support ticket {{ticket.ticketId}} ({{ticket.title}}) and will contact you shortly.\n\nThank you for your patience.",
+  },
+  {
+    event: "CUSTOMER_TICKET_ASSIGNED",
+    channel: "sms",
+    body: "Dear {{customer.name}}, engineer {{assignee.name}} has been assigned to your ticket {{ticket.ticketId}}. - Nextview",
+  },
+  {
+    event: "CUSTOMER_TICKET_ASSIGNED",
+    channel: "whatsapp",
+    providerTemplate: "customer_ticket_assigned",
+    providerParams: [
+      "{{customer.name}}",
+      "{{ticket.ticketId}}",
+      "{{assignee.name}}",
+      "{{assignee.mobileNumber}}",
+    ],
+  },
+  {
+    event: "CUSTOMER_TICKET_RESOLVED",
+    channel: "email",
+    subject: "Ticket Resolved: {{ticket.ticketId}}",
+    body: "Dear {{customer.name}},\n\nYour support ticket {{ticket.ticketId}} ({{ticket.title}}) has been resolved.\n\nIf the problem persists, please contact us quoting your ticket ID.",
+  },
+  {
+    event: "CUSTOMER_TICKET_RESOLVED",
+    channel: "sms",
+    body: "Dear {{customer.name}}, your ticket {{ticket.ticketId}} has been resolved. Contact us with this ticket ID if the problem persists. - Nextview",
+  },
+  {
+    event: "CUSTOMER_TICKET_RESOLVED",
+    channel: "whatsapp",
+    providerTemplate: "customer_ticket_resolved",
+    providerParams: [
+      "{{customer.name}}",
+      "{{ticket.ticketId}}",
+      "{{ticket.title}}",
+    ],
+  },
+  {
+    event: "CUSTOMER_TICKET_CLOSED",
+    channel: "email",
+    subject: "Ticket Closed: {{ticket.ticketId}}",
+    body: "Dear {{customer.name}},\n\nYour support ticket {{ticket.ticketId}} ({{ticket.title}}) has been closed.\n\nThank you for choosing us.",
+  },
+  {
+    event: "CUSTOMER_TICKET_CLOSED",
+    channel: "sms",
+    body: "Dear {{customer.name}}, your ticket {{ticket.ticketId}} has been closed. Thank you. - Nextview",
+  },
+  {
+    event: "CUSTOMER_TICKET_CLOSED",
+    channel: "whatsapp",
+    providerTemplate: "customer_ticket_closed",
+    providerParams: ["{{customer.name}}", "{{ticket.ticketId}}"],
+  },
+];
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  DEFAULT_LANGUAGE,
+  CUSTOMER_NOTIFICATION_EVENTS,
+  NOTIFICATION_EVENTS,
+  DEFAULT_NOTIFICATION_TEMPLATES,
+};
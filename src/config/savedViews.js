@@ -0,0 +1,34 @@
+const SAVED_VIEW_VISIBILITIES = ["PRIVATE", "ROLE"];
+
+/**
+ * Filters a saved view can hold. Each one maps to the GET /tickets query
+ * parameter of the same name. List filters are stored as arrays and sent
+ * comma-separated.
+ */
+const SAVED_VIEW_LIST_FILTERS = [
+  "status",
+  "priority",
+  "category",
+  "type",
+  "slaStatus",
+];
+
+const SAVED_VIEW_TEXT_FILTERS = [
+  "assignedTo",
+  "itemId",
+  "problem",
+  "serialNumber",
+  "search",
+  "state",
+  "city",
+];
+
+// Stands for the user running the view, e.g. for "my tickets" views
+const CURRENT_USER = "me";
+
+module.exports = {
+  SAVED_VIEW_VISIBILITIES,
+  SAVED_VIEW_LIST_FILTERS,
+  SAVED_VIEW_TEXT_FILTERS,
+  CURRENT_USER,
+};
@@ -0,0 +1,39 @@
+const SEQUENCE_RESET_PERIODS = ["DAILY", "MONTHLY", "FINANCIAL_YEAR", "NEVER"];
+
+// Month (1-12) a financial year starts in; April to March
+const FINANCIAL_YEAR_START_MONTH = 4;
+
+/**
+ * Numbered entities. `model` and `field` tell the sequence service where
+ * existing IDs live so it can seed its counter from them. Prefix, reset
+ * period and padding are defaults that admins can change.
+ */
+const DEFAULT_SEQUENCES = {
+  ticket: {
+    model: "Ticket",
+    field: "ticketId",
+    prefix: "TKT",
+    resetPeriod: "DAILY",
+    padding: 4,
+  },
+  installationRequest: {
+    model: "InstallationRequest",
+    field: "requestId",
+    prefix: "INST",
+    resetPeriod: "DAILY",
+    padding: 4,
+  },
+  challan: {
+    model: "Challan",
+    field: "challanNumber",
+    prefix: "DC",
+    resetPeriod: "FINANCIAL_YEAR",
+    padding: 4,
+  },
+};
+
+module.exports = {
+  SEQUENCE_RESET_PERIODS,
+  FINANCIAL_YEAR_START_MONTH,
+  DEFAULT_SEQUENCES,
+};
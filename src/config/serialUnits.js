@@ -0,0 +1,32 @@
+/**
+ * Where a physical unit is. IN_STOCK and IN_TRANSIT units are at, or on
+ * their way to, a warehouse; the others have left stock.
+ */
+const SERIAL_UNIT_STATUSES = [
+  "IN_STOCK",
+  "IN_TRANSIT",
+  "DISPATCHED",
+  "AT_CUSTOMER",
+  "IN_REPAIR",
+  "SCRAPPED",
+];
+
+/**
+ * Status changes that can be recorded by hand. Moves into, out of and
+ * between warehouses only happen through inventory transactions, so stock
+ * counts and units stay in step.
+ */
+const MANUAL_STATUS_TRANSITIONS = {
+  DISPATCHED: ["AT_CUSTOMER"],
+  AT_CUSTOMER: ["IN_REPAIR", "SCRAPPED"],
+  IN_REPAIR: ["AT_CUSTOMER", "SCRAPPED"],
+};
+
+// Units that can come back into stock with an INWARD transaction
+const RETURNABLE_STATUSES = ["DISPATCHED", "AT_CUSTOMER", "IN_REPAIR"];
+
+module.exports = {
+  SERIAL_UNIT_STATUSES,
+  MANUAL_STATUS_TRANSITIONS,
+  RETURNABLE_STATUSES,
+};
@@ -0,0 +1,31 @@
+const SLA_STATUSES = ["ON_TRACK", "AT_RISK", "BREACHED", "MET"];
+
+/**
+ * Default SLA targets per priority. A policy with a ticketType only applies
+ * to that type and takes precedence over the priority-wide policy.
+ */
+const DEFAULT_SLA_POLICIES = [
+  { priority: "CRITICAL", firstResponseHours: 1, resolutionHours: 24 },
+  { priority: "HIGH", firstResponseHours: 4, resolutionHours: 72 },
+  { priority: "MEDIUM", firstResponseHours: 8, resolutionHours: 168 },
+  { priority: "LOW", firstResponseHours: 24, resolutionHours: 240 },
+];
+
+// Percentage of the resolution window after which a ticket is flagged at risk
+const DEFAULT_SLA_AT_RISK_PERCENT = 75;
+
+// Ticket statuses during which SLA timers keep running
+const SLA_ACTIVE_TICKET_STATUSES = [
+  "OPEN",
+  "ASSIGNED",
+  "IN_PROGRESS",
+  "PENDING_APPROVAL",
+  "REOPENED",
+];
+
+module.exports = {
+  SLA_STATUSES,
+  DEFAULT_SLA_POLICIES,
+  DEFAULT_SLA_AT_RISK_PERCENT,
+  SLA_ACTIVE_TICKET_STATUSES,
+};
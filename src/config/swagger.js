@@ -42,10 +42,18 @@ const swaggerOptions = {
         name: "Users",
         description: "User management operations",
       },
+      {
+        name: "Teams",
+        description: "Support teams and their ticket queues",
+      },
       {
         name: "Tickets",
         description: "Ticket management operations",
       },
+      {
+        name: "Installations",
+        description: "Installation request management operations",
+      },
 
       {
         name: "Items",
@@ -55,6 +63,10 @@ const swaggerOptions = {
         name: "Settings",
         description: "Settings management operations",
       },
+      {
+        name: "Notifications",
+        description: "In-app notifications, outbox and template operations",
+      },
       {
         name: "Logs",
         description: "Log retrieval operations",
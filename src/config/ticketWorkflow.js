@@ -0,0 +1,89 @@
+const { ROLES, PERMISSIONS } = require("./roles");
+
+const TICKET_STATUSES = [
+  "OPEN",
+  "ASSIGNED",
+  "IN_PROGRESS",
+  "PENDING_APPROVAL",
+  "RESOLVED",
+  "CLOSED",
+  "REOPENED",
+  "CLOSED_BY_CUSTOMER",
+];
+
+// Statuses in which a ticket no longer needs work
+const CLOSED_TICKET_STATUSES = ["RESOLVED", "CLOSED", "CLOSED_BY_CUSTOMER"];
+
+/**
+ * Allowed status moves keyed by role code, then by current status.
+ * Roles without their own entry use the DEFAULT graph.
+ */
+const DEFAULT_STATUS_TRANSITIONS = {
+  DEFAULT: {
+    OPEN: ["ASSIGNED", "IN_PROGRESS", "CLOSED"],
+    ASSIGNED: ["OPEN", "IN_PROGRESS", "RESOLVED", "CLOSED"],
+    IN_PROGRESS: ["ASSIGNED", "PENDING_APPROVAL", "RESOLVED", "CLOSED"],
+    PENDING_APPROVAL: ["IN_PROGRESS", "RESOLVED", "CLOSED"],
+    RESOLVED: ["CLOSED", "CLOSED_BY_CUSTOMER", "REOPENED"],
+    CLOSED: ["REOPENED"],
+    REOPENED: ["ASSIGNED", "IN_PROGRESS", "RESOLVED", "CLOSED"],
+    CLOSED_BY_CUSTOMER: ["REOPENED"],
+  },
+  [ROLES.ENGINEER]: {
+    ASSIGNED: ["IN_PROGRESS"],
+    IN_PROGRESS: ["PENDING_APPROVAL", "RESOLVED"],
+    REOPENED: ["IN_PROGRESS"],
+  },
+};
+
+/**
+ * Resolve the transition graph that applies to a role
+ * @param {Object} transitions - Transition table from ticket settings
+ * @param {String} role - Role code
+ * @returns {Object} - Map of status to allowed next statuses
+ */
+const getRoleTransitions = (transitions, role) => {
+  const table =
+    transitions && transitions.DEFAULT
+      ? transitions
+      : DEFAULT_STATUS_TRANSITIONS;
+
+  return table[role] || table.DEFAULT;
+};
+
+/**
+ * Check whether a role may move a ticket from one status to another
+ * @param {Object} transitions - Transition table from ticket settings
+ * @param {String} role - Role code
+ * @param {String} fromStatus - Current status
+ * @param {String} toStatus - Requested status
+ * @returns {Boolean}
+ */
+const isTransitionAllowed = (transitions, role, fromStatus, toStatus) => {
+  const roleTransitions = getRoleTransitions(transitions, role);
+  return (roleTransitions[fromStatus] || []).includes(toStatus);
+};
+
+/**
+ * Actions available through the bulk ticket endpoint, with the permission
+ * the matching single-ticket route requires
+ */
+const BULK_TICKET_ACTIONS = {
+  ASSIGN: PERMISSIONS.ASSIGN_TICKET,
+  CHANGE_STATUS: PERMISSIONS.UPDATE_TICKET,
+  CHANGE_PRIORITY: PERMISSIONS.UPDATE_TICKET,
+  ADD_COMMENT: PERMISSIONS.UPDATE_TICKET,
+  DELETE: PERMISSIONS.DELETE_TICKET,
+};
+
+const MAX_BULK_TICKETS = 100;
+
+module.exports = {
+  TICKET_STATUSES,
+  CLOSED_TICKET_STATUSES,
+  DEFAULT_STATUS_TRANSITIONS,
+  BULK_TICKET_ACTIONS,
+  MAX_BULK_TICKETS,
+  getRoleTransitions,
+  isTransitionAllowed,
+};
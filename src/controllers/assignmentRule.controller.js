@@ -0,0 +1,129 @@
+const AssignmentRuleService = require("../services/assignmentRule.service");
+const { ActivityLogService } = require("../services/logging.service");
+const ApiResponse = require("../utils/apiResponse.util");
+const asyncHandler = require("../utils/asyncHandler.util");
+
+class AssignmentRuleController {
+  /**
+   * List assignment rules
+   * @route GET /api/settings/assignment-rules
+   * @access Private
+   */
+  static getRules = asyncHandler(async (req, res) => {
+    const rules = await AssignmentRuleService.getRules();
+
+    return ApiResponse.success(
+      res,
+      "Assignment rules retrieved successfully",
+      rules
+    );
+  });
+
+  /**
+   * Get an assignment rule
+   * @route GET /api/settings/assignment-rules/:id
+   * @access Private
+   */
+  static getRuleById = asyncHandler(async (req, res) => {
+    const rule = await AssignmentRuleService.getRuleById(req.params.id);
+
+    return ApiResponse.success(
+      res,
+      "Assignment rule retrieved successfully",
+      rule
+    );
+  });
+
+  /**
+   * Create an assignment rule
+   * @route POST /api/settings/assignment-rules
+   * @access Private
+   */
+  static createRule = asyncHandler(async (req, res) => {
+    const rule = await AssignmentRuleService.createRule(req.body, req.user.id);
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "ASSIGNMENT_RULE_CREATED",
+      details: `Created assignment rule "${rule.name}" (${rule.strategy})`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.created(
+      res,
+      "Assignment rule created successfully",
+      rule
+    );
+  });
+
+  /**
+   * Update an assignment rule
+   * @route PUT /api/settings/assignment-rules/:id
+   * @access Private
+   */
+  static updateRule = asyncHandler(async (req, res) => {
+    const rule = await AssignmentRuleService.updateRule(
+      req.params.id,
+      req.body,
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "ASSIGNMENT_RULE_UPDATED",
+      details: `Updated assignment rule "${rule.name}": ${Object.keys(req.body).join(", ")}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(
+      res,
+      "Assignment rule updated successfully",
+      rule
+    );
+  });
+
+  /**
+   * Delete an assignment rule
+   * @route DELETE /api/settings/assignment-rules/:id
+   * @access Private
+   */
+  static deleteRule = asyncHandler(async (req, res) => {
+    const rule = await AssignmentRuleService.deleteRule(req.params.id);
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "ASSIGNMENT_RULE_DELETED",
+      details: `Deleted assignment rule "${rule.name}"`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(res, "Assignment rule deleted successfully");
+  });
+
+  /**
+   * Show which engineer a sample ticket would be assigned to
+   * @route POST /api/settings/assignment-rules/dry-run
+   * @access Private
+   */
+  static dryRun = asyncHandler(async (req, res) => {
+    const { assignee, rule, evaluations } = await AssignmentRuleService.dryRun(
+      req.body
+    );
+
+    return ApiResponse.success(
+      res,
+      assignee
+        ? `The ticket would be assigned to ${assignee.name} by rule "${rule.name}"`
+        : "No assignment rule would assign this ticket",
+      {
+        assignee,
+        rule: rule
+          ? { _id: rule._id, name: rule.name, strategy: rule.strategy }
+          : null,
+        evaluations,
+      }
+    );
+  });
+}
+
+module.exports = AssignmentRuleController;
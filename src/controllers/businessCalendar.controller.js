@@ -0,0 +1,136 @@
+const BusinessCalendarService = require("../services/businessCalendar.service");
+const { ActivityLogService } = require("../services/logging.service");
+const ApiResponse = require("../utils/apiResponse.util");
+const asyncHandler = require("../utils/asyncHandler.util");
+
+class BusinessCalendarController {
+  /**
+   * Get the business calendar
+   * @route GET /api/settings/calendar
+   * @access Private
+   */
+  static getCalendar = asyncHandler(async (req, res) => {
+    const calendar = await BusinessCalendarService.getCalendar();
+
+    return ApiResponse.success(
+      res,
+      "Business calendar retrieved successfully",
+      calendar
+    );
+  });
+
+  /**
+   * Update weekly hours and timezone
+   * @route PUT /api/settings/calendar
+   * @access Private
+   */
+  static updateCalendar = asyncHandler(async (req, res) => {
+    const calendar = await BusinessCalendarService.updateCalendar(
+      req.body,
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "BUSINESS_CALENDAR_UPDATED",
+      details: `Updated business calendar: ${Object.keys(req.body).join(", ")}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(
+      res,
+      "Business calendar updated successfully",
+      calendar
+    );
+  });
+
+  /**
+   * List holidays
+   * @route GET /api/settings/calendar/holidays
+   * @access Private
+   */
+  static getHolidays = asyncHandler(async (req, res) => {
+    const { year, state } = req.query;
+
+    const holidays = await BusinessCalendarService.getHolidays({
+      year,
+      state,
+    });
+
+    return ApiResponse.success(
+      res,
+      "Holidays retrieved successfully",
+      holidays
+    );
+  });
+
+  /**
+   * Add a holiday
+   * @route POST /api/settings/calendar/holidays
+   * @access Private
+   */
+  static addHoliday = asyncHandler(async (req, res) => {
+    const holiday = await BusinessCalendarService.addHoliday(
+      req.body,
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "HOLIDAY_ADDED",
+      details: `Added holiday: ${holiday.name} (${holiday.date.toISOString().slice(0, 10)})${holiday.states.length ? ` for ${holiday.states.join(", ")}` : ""}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.created(res, "Holiday added successfully", holiday);
+  });
+
+  /**
+   * Update a holiday
+   * @route PUT /api/settings/calendar/holidays/:holidayId
+   * @access Private
+   */
+  static updateHoliday = asyncHandler(async (req, res) => {
+    const { holidayId } = req.params;
+
+    const holiday = await BusinessCalendarService.updateHoliday(
+      holidayId,
+      req.body,
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "HOLIDAY_UPDATED",
+      details: `Updated holiday: ${holiday.name} (${holiday.date.toISOString().slice(0, 10)})`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(res, "Holiday updated successfully", holiday);
+  });
+
+  /**
+   * Delete a holiday
+   * @route DELETE /api/settings/calendar/holidays/:holidayId
+   * @access Private
+   */
+  static deleteHoliday = asyncHandler(async (req, res) => {
+    const { holidayId } = req.params;
+
+    const holiday = await BusinessCalendarService.deleteHoliday(
+      holidayId,
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "HOLIDAY_DELETED",
+      details: `Deleted holiday: ${holiday.name} (${holiday.date.toISOString().slice(0, 10)})`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(res, "Holiday deleted successfully");
+  });
+}
+
+module.exports = BusinessCalendarController;
@@ -0,0 +1,148 @@
+const ChallanService = require("../services/challan.service");
+const { ActivityLogService } = require("../services/logging.service");
+const ApiResponse = require("../utils/apiResponse.util");
+const asyncHandler = require("../utils/asyncHandler.util");
+
+class ChallanController {
+  /**
+   * List challans
+   * @route GET /api/challans
+   * @access Private
+   */
+  static getChallans = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, sort = "-createdAt" } = req.query;
+
+    const sortOptions = {};
+    for (const field of sort.split(",")) {
+      if (field.startsWith("-")) {
+        sortOptions[field.substring(1)] = -1;
+      } else {
+        sortOptions[field] = 1;
+      }
+    }
+
+    const challans = await ChallanService.getChallans(req.query, {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      sort: sortOptions,
+    });
+
+    return ApiResponse.withPagination(
+      res,
+      "Challans retrieved successfully",
+      challans.results,
+      challans.pagination
+    );
+  });
+
+  /**
+   * Get a challan
+   * @route GET /api/challans/:id
+   * @access Private
+   */
+  static getChallanById = asyncHandler(async (req, res) => {
+    const challan = await ChallanService.getChallanById(req.params.id);
+
+    return ApiResponse.success(res, "Challan retrieved successfully", challan);
+  });
+
+  /**
+   * Create a challan from OUTWARD transactions
+   * @route POST /api/challans
+   * @access Private
+   */
+  static createChallan = asyncHandler(async (req, res) => {
+    const challan = await ChallanService.createChallan(req.body, req.user.id);
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action:
+        challan.status === "ISSUED" ? "CHALLAN_ISSUED" : "CHALLAN_CREATED",
+      details:
+        challan.status === "ISSUED"
+          ? `Issued challan ${challan.challanNumber}`
+          : `Created draft challan for ${challan.lines.length} transaction(s)`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.created(res, "Challan created successfully", challan);
+  });
+
+  /**
+   * Issue a draft challan
+   * @route POST /api/challans/:id/issue
+   * @access Private
+   */
+  static issueChallan = asyncHandler(async (req, res) => {
+    const challan = await ChallanService.issueChallan(
+      req.params.id,
+      req.body,
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "CHALLAN_ISSUED",
+      details: `Issued challan ${challan.challanNumber}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(res, "Challan issued successfully", challan);
+  });
+
+  /**
+   * Print or reprint a challan as PDF
+   * @route GET /api/challans/:id/pdf
+   * @access Private
+   */
+  static printChallan = asyncHandler(async (req, res) => {
+    const { challan, pdf } = await ChallanService.printChallan(
+      req.params.id,
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "CHALLAN_PRINTED",
+      details: `Printed challan ${challan.challanNumber || challan._id} (${challan.status})`,
+      ipAddress: req.ip,
+    });
+
+    const fileName = (challan.challanNumber || `draft-${challan._id}`).replace(
+      /[^A-Za-z0-9-]+/g,
+      "-"
+    );
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename=challan-${fileName}.pdf`
+    );
+
+    res.send(pdf);
+  });
+
+  /**
+   * Cancel a challan
+   * @route POST /api/challans/:id/cancel
+   * @access Private
+   */
+  static cancelChallan = asyncHandler(async (req, res) => {
+    const challan = await ChallanService.cancelChallan(
+      req.params.id,
+      req.body.reason,
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "CHALLAN_CANCELLED",
+      details: `Cancelled challan ${challan.challanNumber || challan._id}: ${challan.cancellationReason}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(res, "Challan cancelled successfully", challan);
+  });
+}
+
+module.exports = ChallanController;
@@ -10,7 +10,7 @@ class DashboardController {
    * @access Private
    */
   static getDashboardStats = asyncHandler(async (req, res) => {
-    const stats = await DashboardService.getDashboardStats();
+    const stats = await DashboardService.getDashboardStats(req.query.teamId);
     return ApiResponse.success(
       res,
       "Dashboard statistics retrieved successfully",
@@ -41,8 +41,8 @@ class DashboardController {
    * @access Private
    */
   static getChartData = asyncHandler(async (req, res) => {
-    const { period = "monthly" } = req.query;
-    const chartData = await DashboardService.getChartData(period);
+    const { period = "monthly", teamId } = req.query;
+    const chartData = await DashboardService.getChartData(period, teamId);
     return ApiResponse.success(
       res,
       "Chart data retrieved successfully",
@@ -56,7 +56,7 @@ class DashboardController {
    * @access Private
    */
   static getTicketStats = asyncHandler(async (req, res) => {
-    const stats = await DashboardService.getTicketStats();
+    const stats = await DashboardService.getTicketStats(req.query.teamId);
     return ApiResponse.success(
       res,
       "Ticket statistics retrieved successfully",
@@ -0,0 +1,325 @@
+const InstallationRequestService = require("../services/installationRequest.service");
+const { ActivityLogService } = require("../services/logging.service");
+const ApiResponse = require("../utils/apiResponse.util");
+const asyncHandler = require("../utils/asyncHandler.util");
+
+class InstallationRequestController {
+  /**
+   * Get all installation requests with pagination and filtering
+   * @route GET /api/installation-requests
+   * @access Private
+   */
+  static getAllInstallationRequests = asyncHandler(async (req, res) => {
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      assignedTo,
+      customerId,
+      scheduledTimeSlot,
+      search,
+      startDate,
+      endDate,
+      sort = "-createdAt",
+    } = req.query;
+
+    const query = {};
+
+    if (status) query.status = status;
+    if (assignedTo) query.assignedTo = assignedTo;
+    if (customerId) query.customerId = customerId;
+    if (scheduledTimeSlot) query.scheduledTimeSlot = scheduledTimeSlot;
+    if (search) query.search = search;
+
+    if (startDate || endDate) {
+      query.scheduledDate = {};
+      if (startDate) query.scheduledDate.$gte = new Date(startDate);
+      if (endDate) query.scheduledDate.$lte = new Date(endDate);
+    }
+
+    const sortOptions = {};
+    const sortFields = sort.split(",");
+
+    for (const field of sortFields) {
+      if (field.startsWith("-")) {
+        sortOptions[field.substring(1)] = -1;
+      } else {
+        sortOptions[field] = 1;
+      }
+    }
+
+    const options = {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      sort: sortOptions,
+    };
+
+    const installations =
+      await InstallationRequestService.getAllInstallationRequests(
+        query,
+        options,
+        req.user.id,
+        req.user.role
+      );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "INSTALLATIONS_VIEWED",
+      details: `Retrieved list of installation requests`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.withPagination(
+      res,
+      "Installation requests retrieved successfully",
+      installations.results,
+      installations.pagination
+    );
+  });
+
+  /**
+   * Get installation request by ID
+   * @route GET /api/installation-requests/:id
+   * @access Private
+   */
+  static getInstallationRequestById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const installation =
+      await InstallationRequestService.getInstallationRequestById(
+        id,
+        req.user.id,
+        req.user.role
+      );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "INSTALLATION_VIEWED",
+      details: `Viewed installation request: ${installation.requestId}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(
+      res,
+      "Installation request retrieved successfully",
+      installation
+    );
+  });
+
+  /**
+   * Create a new installation request
+   * @route POST /api/installation-requests
+   * @access Private
+   */
+  static createInstallationRequest = asyncHandler(async (req, res) => {
+    const installation =
+      await InstallationRequestService.createInstallationRequest(
+        req.body,
+        req.user.id
+      );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "INSTALLATION_CREATED",
+      details: `Created installation request: ${installation.requestId}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.created(
+      res,
+      "Installation request created successfully",
+      installation
+    );
+  });
+
+  /**
+   * Update installation request details
+   * @route PUT /api/installation-requests/:id
+   * @access Private
+   */
+  static updateInstallationRequest = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const installation =
+      await InstallationRequestService.updateInstallationRequest(id, req.body);
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "INSTALLATION_UPDATED",
+      details: `Updated installation request: ${installation.requestId}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(
+      res,
+      "Installation request updated successfully",
+      installation
+    );
+  });
+
+  /**
+   * Schedule an installation
+   * @route PATCH /api/installation-requests/:id/schedule
+   * @access Private
+   */
+  static scheduleInstallation = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const installation = await InstallationRequestService.scheduleInstallation(
+      id,
+      req.body
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "INSTALLATION_SCHEDULED",
+      details: `Scheduled installation ${installation.requestId} for ${new Date(installation.scheduledDate).toDateString()} (${installation.scheduledTimeSlot})`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(
+      res,
+      "Installation scheduled successfully",
+      installation
+    );
+  });
+
+  /**
+   * Assign an installation to a technician
+   * @route PATCH /api/installation-requests/:id/assign
+   * @access Private
+   */
+  static assignInstallation = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { assignToUserId, notes } = req.body;
+
+    const installation = await InstallationRequestService.assignInstallation(
+      id,
+      assignToUserId,
+      req.user.id,
+      notes
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "INSTALLATION_ASSIGNED",
+      details: `Assigned installation ${installation.requestId} to user: ${assignToUserId}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(
+      res,
+      "Installation assigned successfully",
+      installation
+    );
+  });
+
+  /**
+   * Start an installation
+   * @route PATCH /api/installation-requests/:id/start
+   * @access Private
+   */
+  static startInstallation = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const installation = await InstallationRequestService.startInstallation(
+      id,
+      req.user.id,
+      req.user.role
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "INSTALLATION_STARTED",
+      details: `Started installation: ${installation.requestId}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(
+      res,
+      "Installation started successfully",
+      installation
+    );
+  });
+
+  /**
+   * Complete an installation
+   * @route PATCH /api/installation-requests/:id/complete
+   * @access Private
+   */
+  static completeInstallation = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const files = req.files || [];
+
+    const installation = await InstallationRequestService.completeInstallation(
+      id,
+      { completionNotes: req.body.completionNotes, files },
+      req.user.id,
+      req.user.role
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "INSTALLATION_COMPLETED",
+      details: `Completed installation: ${installation.requestId}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(
+      res,
+      "Installation completed successfully",
+      installation
+    );
+  });
+
+  /**
+   * Cancel an installation
+   * @route PATCH /api/installation-requests/:id/cancel
+   * @access Private
+   */
+  static cancelInstallation = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const installation = await InstallationRequestService.cancelInstallation(
+      id,
+      req.body.reason,
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "INSTALLATION_CANCELLED",
+      details: `Cancelled installation ${installation.requestId}: ${req.body.reason}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(
+      res,
+      "Installation cancelled successfully",
+      installation
+    );
+  });
+
+  /**
+   * Delete an installation request
+   * @route DELETE /api/installation-requests/:id
+   * @access Private
+   */
+  static deleteInstallationRequest = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const result =
+      await InstallationRequestService.deleteInstallationRequest(id);
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "INSTALLATION_DELETED",
+      details: `Deleted installation request with ID: ${id}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(res, result.message);
+  });
+}
+
+module.exports = InstallationRequestController;
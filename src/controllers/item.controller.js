@@ -1,4 +1,5 @@
 const ItemService = require("../services/item.service");
+const SerialMetadataService = require("../services/serialMetadata.service");
 const { ActivityLogService } = require("../services/logging.service");
 const ApiResponse = require("../utils/apiResponse.util");
 const ApiError = require("../utils/apiError.util");
@@ -13,12 +14,40 @@ const upload = multer({
   fileFilter: (req, file, cb) => {
     const ext = path.extname(file.originalname).toLowerCase();
     if (ext !== ".xlsx" && ext !== ".xls") {
-      return cb(new ApiError("Only Excel files are allowed", 400));
+      return cb(ApiError.badRequest("Only Excel files are allowed"));
     }
     cb(null, true);
   },
 }).single("file");
 
+// Run the upload middleware, rejecting with an ApiError when it fails
+const receiveFile = (req, res) =>
+  new Promise((resolve, reject) => {
+    upload(req, res, (err) => {
+      if (err) {
+        return reject(
+          err instanceof ApiError
+            ? err
+            : ApiError.badRequest(err.message || "Error uploading file")
+        );
+      }
+      if (!req.file) {
+        return reject(ApiError.badRequest("No file uploaded"));
+      }
+      resolve();
+    });
+  });
+
+// A sheet version without its rows
+const versionSummary = (version) => ({
+  version: version.version,
+  mode: version.mode,
+  fileName: version.fileName,
+  uploadedRowCount: version.uploadedRowCount,
+  rowCount: version.rowCount,
+  summary: version.summary,
+});
+
 class ItemController {
   /**
    * Get all items with pagination and filtering
@@ -116,6 +145,39 @@ class ItemController {
     );
   });
 
+  /**
+   * Search serial numbers listed in item sheets, across all items
+   */
+  static searchSerialNumbers = asyncHandler(async (req, res) => {
+    const { results, pagination } = await SerialMetadataService.search(
+      req.query
+    );
+
+    return ApiResponse.withPagination(
+      res,
+      "Serial numbers retrieved successfully",
+      results,
+      pagination
+    );
+  });
+
+  /**
+   * Suggest serial numbers starting with what has been typed
+   */
+  static autocompleteSerialNumbers = asyncHandler(async (req, res) => {
+    const { q, itemId, limit } = req.query;
+    const suggestions = await SerialMetadataService.autocomplete(q, {
+      itemId,
+      limit,
+    });
+
+    return ApiResponse.success(
+      res,
+      "Serial number suggestions retrieved successfully",
+      suggestions
+    );
+  });
+
   /**
    * Create a new item
    */
@@ -177,7 +239,7 @@ class ItemController {
   });
 
   /**
-   * Process inventory transaction (inward or outward)
+   * Process inventory transaction (inward, outward or transfer)
    */
   static processInventoryTransaction = asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -190,8 +252,11 @@ class ItemController {
       userId
     );
 
-    const actionType =
-      transactionData.type === "INWARD" ? "received" : "dispatched";
+    const actionType = {
+      INWARD: "received",
+      OUTWARD: "dispatched",
+      TRANSFER: "transferred",
+    }[transactionData.type];
 
     await ActivityLogService.logActivity({
       userId,
@@ -207,18 +272,77 @@ class ItemController {
     );
   });
 
+  /**
+   * Receive a transfer at its destination warehouse
+   * @route POST /api/items/:id/transfers/:transactionId/receive
+   */
+  static receiveTransfer = asyncHandler(async (req, res) => {
+    const { id, transactionId } = req.params;
+
+    const result = await ItemService.receiveTransfer(
+      id,
+      transactionId,
+      req.user.id,
+      req.body.notes
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "INVENTORY_TRANSFER_RECEIVED",
+      details: `Received ${result.transaction.quantity} ${result.transaction.condition} units of item: ${result.item.name} at ${result.transaction.toWarehouse.name}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(res, "Transfer received successfully", result);
+  });
+
+  /**
+   * Cancel a transfer in transit
+   * @route POST /api/items/:id/transfers/:transactionId/cancel
+   */
+  static cancelTransfer = asyncHandler(async (req, res) => {
+    const { id, transactionId } = req.params;
+
+    const result = await ItemService.cancelTransfer(
+      id,
+      transactionId,
+      req.user.id,
+      req.body.notes
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "INVENTORY_TRANSFER_CANCELLED",
+      details: `Cancelled transfer of ${result.transaction.quantity} ${result.transaction.condition} units of item: ${result.item.name}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(res, "Transfer cancelled successfully", result);
+  });
+
   /**
    * Get inventory transactions for an item
    */
   static getInventoryTransactions = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { page, limit, type, condition, startDate, endDate } = req.query;
+    const {
+      page,
+      limit,
+      type,
+      condition,
+      warehouseId,
+      transferStatus,
+      startDate,
+      endDate,
+    } = req.query;
 
     const transactions = await ItemService.getInventoryTransactions(id, {
       page,
       limit,
       type,
       condition,
+      warehouseId,
+      transferStatus,
       startDate,
       endDate,
     });
@@ -231,40 +355,95 @@ class ItemController {
   });
 
   /**
-   * Upload XLSX file for item
+   * Upload XLSX file for item. The mode field (REPLACE, APPEND or UPSERT)
+   * picks how it is merged into the item's sheet.
    */
   static uploadXlsxFile = asyncHandler(async (req, res) => {
-    // Use multer middleware to handle file upload
-    upload(req, res, async (err) => {
-      if (err) {
-        return res.status(400).json({
-          status: "error",
-          message: err.message || "Error uploading file",
-        });
-      }
+    await receiveFile(req, res);
 
-      const { id } = req.params;
-      const userId = req.user.id;
+    const { id } = req.params;
+    const userId = req.user.id;
+    const mode = req.body.mode || req.query.mode;
 
-      if (!req.file) {
-        throw ApiError.badRequest("No file uploaded");
-      }
+    const { item, version } = await ItemService.processXlsxFile(
+      id,
+      req.file,
+      userId,
+      mode
+    );
+
+    await ActivityLogService.logActivity({
+      userId,
+      action: "ITEM_FILE_UPLOADED",
+      details: `Uploaded Excel file for item: ${item.name} (version ${version.version}, ${version.mode})`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(
+      res,
+      "File uploaded and processed successfully",
+      item,
+      { version: versionSummary(version) }
+    );
+  });
 
-      const item = await ItemService.processXlsxFile(id, req.file, userId);
+  /**
+   * Preview how an XLSX file would change the item's sheet
+   */
+  static previewXlsxFile = asyncHandler(async (req, res) => {
+    await receiveFile(req, res);
 
-      await ActivityLogService.logActivity({
-        userId,
-        action: "ITEM_FILE_UPLOADED",
-        details: `Uploaded Excel file for item: ${item.name}`,
-        ipAddress: req.ip,
-      });
+    const preview = await ItemService.previewXlsxFile(
+      req.params.id,
+      req.file,
+      req.body.mode || req.query.mode
+    );
 
-      return ApiResponse.success(
-        res,
-        "File uploaded and processed successfully",
-        item
-      );
+    return ApiResponse.success(
+      res,
+      "Upload preview generated successfully",
+      preview
+    );
+  });
+
+  /**
+   * List versions of the item's sheet
+   */
+  static getFileVersions = asyncHandler(async (req, res) => {
+    const versions = await ItemService.getFileVersions(req.params.id);
+
+    return ApiResponse.success(
+      res,
+      "File versions retrieved successfully",
+      versions
+    );
+  });
+
+  /**
+   * Roll the item's sheet back to an earlier version
+   */
+  static rollbackFileVersion = asyncHandler(async (req, res) => {
+    const { id, version: versionNumber } = req.params;
+
+    const { item, version } = await ItemService.rollbackFileVersion(
+      id,
+      parseInt(versionNumber, 10),
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "ITEM_FILE_ROLLED_BACK",
+      details: `Rolled Excel data of item ${item.name} back to version ${version.restoredVersion} (now version ${version.version})`,
+      ipAddress: req.ip,
     });
+
+    return ApiResponse.success(
+      res,
+      "File version restored successfully",
+      item,
+      { version: versionSummary(version) }
+    );
   });
 
   /**
@@ -362,7 +541,13 @@ class ItemController {
    * Get items with low stock
    */
   static getLowStockItems = asyncHandler(async (req, res) => {
-    const lowStockItems = await ItemService.getLowStockItems();
+    const { warehouseId, byLocation } = req.query;
+
+    // Per-warehouse rows when asked for a warehouse or a breakdown
+    const lowStockItems =
+      warehouseId || byLocation === "true"
+        ? await ItemService.getLowStockByLocation(warehouseId)
+        : await ItemService.getLowStockItems();
 
     await ActivityLogService.logActivity({
       userId: req.user.id,
@@ -405,7 +590,7 @@ class ItemController {
     await ActivityLogService.logActivity({
       userId: req.user.id,
       action: "CHALLAN_PRINTED",
-      details: `Printed outward challan for item: ${challan.itemName}`,
+      details: `Printed outward challan ${challan.challanNumber}`,
       ipAddress: req.ip,
     });
 
@@ -0,0 +1,361 @@
+const NotificationOutboxService = require("../services/notificationOutbox.service");
+const NotificationTemplateService = require("../services/notificationTemplate.service");
+const NotificationInboxService = require("../services/notificationInbox.service");
+const { ActivityLogService } = require("../services/logging.service");
+const ApiResponse = require("../utils/apiResponse.util");
+const asyncHandler = require("../utils/asyncHandler.util");
+
+class NotificationController {
+  /**
+   * Get the current user's notifications, optionally grouped by ticket
+   * @route GET /api/notifications
+   * @access Private
+   */
+  static getNotifications = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, isRead, ticketId, groupBy } = req.query;
+
+    const filters = {};
+    if (isRead !== undefined) filters.isRead = isRead === "true";
+    if (ticketId) filters.ticketId = ticketId;
+
+    const options = {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+    };
+
+    const notifications =
+      groupBy === "ticket"
+        ? await NotificationInboxService.getNotificationsByTicket(
+            req.user.id,
+            filters,
+            options
+          )
+        : await NotificationInboxService.getNotifications(
+            req.user.id,
+            filters,
+            options
+          );
+
+    return ApiResponse.success(
+      res,
+      "Notifications retrieved successfully",
+      notifications
+    );
+  });
+
+  /**
+   * Get the current user's unread notification count
+   * @route GET /api/notifications/unread-count
+   * @access Private
+   */
+  static getUnreadCount = asyncHandler(async (req, res) => {
+    const counts = await NotificationInboxService.getUnreadCount(req.user.id);
+
+    return ApiResponse.success(
+      res,
+      "Unread notification count retrieved successfully",
+      counts
+    );
+  });
+
+  /**
+   * Mark a notification as read
+   * @route PATCH /api/notifications/:id/read
+   * @access Private
+   */
+  static markAsRead = asyncHandler(async (req, res) => {
+    const notification = await NotificationInboxService.markAsRead(
+      req.params.id,
+      req.user.id
+    );
+
+    return ApiResponse.success(
+      res,
+      "Notification marked as read",
+      notification
+    );
+  });
+
+  /**
+   * Mark all notifications as read, optionally for one ticket
+   * @route PATCH /api/notifications/read-all
+   * @access Private
+   */
+  static markAllAsRead = asyncHandler(async (req, res) => {
+    const updated = await NotificationInboxService.markAllAsRead(
+      req.user.id,
+      req.body.ticketId
+    );
+
+    return ApiResponse.success(
+      res,
+      `${updated} notification(s) marked as read`,
+      { updated }
+    );
+  });
+
+  /**
+   * Get outbox messages with pagination and filtering
+   * @route GET /api/notifications/outbox
+   * @access Private
+   */
+  static getOutboxMessages = asyncHandler(async (req, res) => {
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      channel,
+      notificationType,
+      userId,
+      startDate,
+      endDate,
+    } = req.query;
+
+    const query = {};
+
+    if (status) query.status = { $in: status.split(",") };
+    if (channel) query.channel = channel;
+    if (notificationType) query.notificationType = notificationType;
+    if (userId) query.userId = userId;
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const messages = await NotificationOutboxService.getOutboxMessages(query, {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      sort: { createdAt: -1 },
+    });
+
+    return ApiResponse.success(
+      res,
+      "Outbox messages retrieved successfully",
+      messages
+    );
+  });
+
+  /**
+   * Get an outbox message with its delivery log
+   * @route GET /api/notifications/outbox/:id
+   * @access Private
+   */
+  static getOutboxMessageById = asyncHandler(async (req, res) => {
+    const message = await NotificationOutboxService.getOutboxMessageById(
+      req.params.id
+    );
+
+    return ApiResponse.success(
+      res,
+      "Outbox message retrieved successfully",
+      message
+    );
+  });
+
+  /**
+   * Re-send a failed outbox message
+   * @route PATCH /api/notifications/outbox/:id/retry
+   * @access Private
+   */
+  static retryMessage = asyncHandler(async (req, res) => {
+    const result = await NotificationOutboxService.retryMessage(
+      req.params.id,
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "NOTIFICATION_RESENT",
+      details: `Re-sent ${result.channel} notification ${req.params.id}: ${result.status}`,
+      ipAddress: req.ip,
+    });
+
+    let message = "Notification re-sent successfully";
+    if (!result.success) {
+      message =
+        result.status === "FAILED"
+          ? `Re-send failed: ${result.error}`
+          : "Re-send failed, the notification has been queued for retry";
+    }
+
+    return ApiResponse.success(res, message, result);
+  });
+
+  /**
+   * Queue all failed outbox messages for another round of delivery
+   * @route POST /api/notifications/outbox/retry-failed
+   * @access Private
+   */
+  static retryFailedMessages = asyncHandler(async (req, res) => {
+    const query = {};
+    if (req.body.channel) query.channel = req.body.channel;
+    if (req.body.notificationType) {
+      query.notificationType = req.body.notificationType;
+    }
+
+    const queued = await NotificationOutboxService.retryFailedMessages(
+      query,
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "NOTIFICATIONS_RESENT",
+      details: `Queued ${queued} failed notification(s) for re-sending`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(
+      res,
+      `${queued} failed notification(s) queued for re-sending`,
+      { queued }
+    );
+  });
+
+  /**
+   * List notification events and their placeholders
+   * @route GET /api/notifications/templates/events
+   * @access Private
+   */
+  static getTemplateEvents = asyncHandler(async (req, res) => {
+    return ApiResponse.success(
+      res,
+      "Notification events retrieved successfully",
+      NotificationTemplateService.getEvents()
+    );
+  });
+
+  /**
+   * Get notification templates
+   * @route GET /api/notifications/templates
+   * @access Private
+   */
+  static getTemplates = asyncHandler(async (req, res) => {
+    const { event, channel, language } = req.query;
+
+    const templates = await NotificationTemplateService.getTemplates({
+      event,
+      channel,
+      language,
+    });
+
+    return ApiResponse.success(
+      res,
+      "Notification templates retrieved successfully",
+      templates
+    );
+  });
+
+  /**
+   * Get a notification template
+   * @route GET /api/notifications/templates/:id
+   * @access Private
+   */
+  static getTemplateById = asyncHandler(async (req, res) => {
+    const template = await NotificationTemplateService.getTemplateById(
+      req.params.id
+    );
+
+    return ApiResponse.success(
+      res,
+      "Notification template retrieved successfully",
+      template
+    );
+  });
+
+  /**
+   * Create a notification template
+   * @route POST /api/notifications/templates
+   * @access Private
+   */
+  static createTemplate = asyncHandler(async (req, res) => {
+    const template = await NotificationTemplateService.createTemplate(
+      req.body,
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "NOTIFICATION_TEMPLATE_CREATED",
+      details: `Created ${template.channel} template for ${template.event} (${template.language})`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.created(
+      res,
+      "Notification template created successfully",
+      template
+    );
+  });
+
+  /**
+   * Update a notification template
+   * @route PUT /api/notifications/templates/:id
+   * @access Private
+   */
+  static updateTemplate = asyncHandler(async (req, res) => {
+    const template = await NotificationTemplateService.updateTemplate(
+      req.params.id,
+      req.body,
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "NOTIFICATION_TEMPLATE_UPDATED",
+      details: `Updated ${template.channel} template for ${template.event} (${template.language})`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(
+      res,
+      "Notification template updated successfully",
+      template
+    );
+  });
+
+  /**
+   * Delete a notification template
+   * @route DELETE /api/notifications/templates/:id
+   * @access Private
+   */
+  static deleteTemplate = asyncHandler(async (req, res) => {
+    const template = await NotificationTemplateService.deleteTemplate(
+      req.params.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "NOTIFICATION_TEMPLATE_DELETED",
+      details: `Deleted ${template.channel} template for ${template.event} (${template.language})`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(
+      res,
+      "Notification template deleted successfully"
+    );
+  });
+
+  /**
+   * Render a template against a ticket
+   * @route POST /api/notifications/templates/preview
+   * @access Private
+   */
+  static previewTemplate = asyncHandler(async (req, res) => {
+    const preview = await NotificationTemplateService.previewTemplate(
+      req.body,
+      req.user.id
+    );
+
+    return ApiResponse.success(
+      res,
+      "Notification template rendered successfully",
+      preview
+    );
+  });
+}
+
+module.exports = NotificationController;
@@ -0,0 +1,103 @@
+const SavedViewService = require("../services/savedView.service");
+const { ActivityLogService } = require("../services/logging.service");
+const ApiResponse = require("../utils/apiResponse.util");
+const asyncHandler = require("../utils/asyncHandler.util");
+
+class SavedViewController {
+  /**
+   * List the saved views available to the current user
+   * @route GET /api/saved-views
+   * @access Private
+   */
+  static getViews = asyncHandler(async (req, res) => {
+    const views = await SavedViewService.getViews(
+      { userId: req.user.id, role: req.user.role },
+      req.query.scope
+    );
+
+    return ApiResponse.success(
+      res,
+      "Saved views retrieved successfully",
+      views
+    );
+  });
+
+  /**
+   * Get a saved view
+   * @route GET /api/saved-views/:id
+   * @access Private
+   */
+  static getViewById = asyncHandler(async (req, res) => {
+    const view = await SavedViewService.getViewById(req.params.id, {
+      userId: req.user.id,
+      role: req.user.role,
+    });
+
+    return ApiResponse.success(res, "Saved view retrieved successfully", view);
+  });
+
+  /**
+   * Create a saved view
+   * @route POST /api/saved-views
+   * @access Private
+   */
+  static createView = asyncHandler(async (req, res) => {
+    const view = await SavedViewService.createView(req.body, {
+      userId: req.user.id,
+      role: req.user.role,
+    });
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "SAVED_VIEW_CREATED",
+      details: `Created saved view "${view.name}"`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.created(res, "Saved view created successfully", view);
+  });
+
+  /**
+   * Update a saved view
+   * @route PUT /api/saved-views/:id
+   * @access Private
+   */
+  static updateView = asyncHandler(async (req, res) => {
+    const view = await SavedViewService.updateView(req.params.id, req.body, {
+      userId: req.user.id,
+      role: req.user.role,
+    });
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "SAVED_VIEW_UPDATED",
+      details: `Updated saved view "${view.name}": ${Object.keys(req.body).join(", ")}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(res, "Saved view updated successfully", view);
+  });
+
+  /**
+   * Delete a saved view
+   * @route DELETE /api/saved-views/:id
+   * @access Private
+   */
+  static deleteView = asyncHandler(async (req, res) => {
+    const view = await SavedViewService.deleteView(req.params.id, {
+      userId: req.user.id,
+      role: req.user.role,
+    });
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "SAVED_VIEW_DELETED",
+      details: `Deleted saved view "${view.name}"`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(res, "Saved view deleted successfully");
+  });
+}
+
+module.exports = SavedViewController;
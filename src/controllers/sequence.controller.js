@@ -0,0 +1,60 @@
+const SequenceService = require("../services/sequence.service");
+const { ActivityLogService } = require("../services/logging.service");
+const ApiResponse = require("../utils/apiResponse.util");
+const asyncHandler = require("../utils/asyncHandler.util");
+
+class SequenceController {
+  /**
+   * List ID sequences
+   * @route GET /api/settings/sequences
+   * @access Private
+   */
+  static getSequences = asyncHandler(async (req, res) => {
+    const sequences = await SequenceService.getSequences();
+
+    return ApiResponse.success(
+      res,
+      "Sequences retrieved successfully",
+      sequences
+    );
+  });
+
+  /**
+   * Get an ID sequence
+   * @route GET /api/settings/sequences/:key
+   * @access Private
+   */
+  static getSequence = asyncHandler(async (req, res) => {
+    const sequence = await SequenceService.getSequence(req.params.key);
+
+    return ApiResponse.success(
+      res,
+      "Sequence retrieved successfully",
+      sequence
+    );
+  });
+
+  /**
+   * Update the prefix, reset period or padding of an ID sequence
+   * @route PUT /api/settings/sequences/:key
+   * @access Private
+   */
+  static updateSequence = asyncHandler(async (req, res) => {
+    const sequence = await SequenceService.updateSequence(
+      req.params.key,
+      req.body,
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "SEQUENCE_UPDATED",
+      details: `Updated ${req.params.key} sequence: ${Object.keys(req.body).join(", ")}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(res, "Sequence updated successfully", sequence);
+  });
+}
+
+module.exports = SequenceController;
@@ -0,0 +1,101 @@
+const SerialUnitService = require("../services/serialUnit.service");
+const { ActivityLogService } = require("../services/logging.service");
+const ApiResponse = require("../utils/apiResponse.util");
+const asyncHandler = require("../utils/asyncHandler.util");
+
+class SerialUnitController {
+  /**
+   * List serial units
+   * @route GET /api/serials
+   * @access Private
+   */
+  static getUnits = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, sort = "-updatedAt" } = req.query;
+
+    const sortOptions = {};
+    for (const field of sort.split(",")) {
+      if (field.startsWith("-")) {
+        sortOptions[field.substring(1)] = -1;
+      } else {
+        sortOptions[field] = 1;
+      }
+    }
+
+    const units = await SerialUnitService.getUnits(req.query, {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      sort: sortOptions,
+    });
+
+    return ApiResponse.withPagination(
+      res,
+      "Serial units retrieved successfully",
+      units.results,
+      units.pagination
+    );
+  });
+
+  /**
+   * Full lifecycle of a serial unit
+   * @route GET /api/serials/:serial
+   * @access Private
+   */
+  static getLifecycle = asyncHandler(async (req, res) => {
+    const unit = await SerialUnitService.getLifecycle(
+      req.params.serial,
+      req.query.itemId
+    );
+
+    return ApiResponse.success(res, "Serial unit retrieved successfully", unit);
+  });
+
+  /**
+   * Register serial numbers for stock already at a warehouse
+   * @route POST /api/serials
+   * @access Private
+   */
+  static registerUnits = asyncHandler(async (req, res) => {
+    const units = await SerialUnitService.registerUnits(req.body, req.user.id);
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "SERIAL_UNITS_REGISTERED",
+      details: `Registered ${units.length} serial unit(s): ${units.map((unit) => unit.serialNumber).join(", ")}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.created(
+      res,
+      "Serial units registered successfully",
+      units
+    );
+  });
+
+  /**
+   * Record a status change of a serial unit
+   * @route POST /api/serials/:serial/status
+   * @access Private
+   */
+  static updateStatus = asyncHandler(async (req, res) => {
+    const unit = await SerialUnitService.updateStatus(
+      req.params.serial,
+      req.body,
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "SERIAL_UNIT_STATUS_CHANGED",
+      details: `Marked serial ${unit.serialNumber} as ${unit.status}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(
+      res,
+      "Serial unit status updated successfully",
+      unit
+    );
+  });
+}
+
+module.exports = SerialUnitController;
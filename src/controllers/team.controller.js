@@ -0,0 +1,135 @@
+const TeamService = require("../services/team.service");
+const { ActivityLogService } = require("../services/logging.service");
+const ApiResponse = require("../utils/apiResponse.util");
+const asyncHandler = require("../utils/asyncHandler.util");
+
+class TeamController {
+  /**
+   * List teams
+   * @route GET /api/teams
+   * @access Private
+   */
+  static getTeams = asyncHandler(async (req, res) => {
+    const teams = await TeamService.getTeams(req.query);
+
+    return ApiResponse.success(res, "Teams retrieved successfully", teams);
+  });
+
+  /**
+   * Teams the current user manages or belongs to
+   * @route GET /api/teams/mine
+   * @access Private
+   */
+  static getMyTeams = asyncHandler(async (req, res) => {
+    const teams = await TeamService.getUserTeams(req.user.id);
+
+    return ApiResponse.success(res, "Teams retrieved successfully", teams);
+  });
+
+  /**
+   * Get a team
+   * @route GET /api/teams/:id
+   * @access Private
+   */
+  static getTeamById = asyncHandler(async (req, res) => {
+    const team = await TeamService.getTeamById(req.params.id);
+
+    return ApiResponse.success(res, "Team retrieved successfully", team);
+  });
+
+  /**
+   * Tickets waiting in a team's queue
+   * @route GET /api/teams/:id/queue
+   * @access Private
+   */
+  static getQueue = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, sort = "-createdAt" } = req.query;
+
+    const sortOptions = {};
+    for (const field of sort.split(",")) {
+      if (field.startsWith("-")) {
+        sortOptions[field.substring(1)] = -1;
+      } else {
+        sortOptions[field] = 1;
+      }
+    }
+
+    const tickets = await TeamService.getQueue(
+      req.params.id,
+      req.query,
+      {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        sort: sortOptions,
+      },
+      { userId: req.user.id, role: req.user.role }
+    );
+
+    return ApiResponse.withPagination(
+      res,
+      "Team queue retrieved successfully",
+      tickets.results,
+      tickets.pagination
+    );
+  });
+
+  /**
+   * Create a team
+   * @route POST /api/teams
+   * @access Private
+   */
+  static createTeam = asyncHandler(async (req, res) => {
+    const team = await TeamService.createTeam(req.body, req.user.id);
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "TEAM_CREATED",
+      details: `Created team "${team.name}"`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.created(res, "Team created successfully", team);
+  });
+
+  /**
+   * Update a team
+   * @route PUT /api/teams/:id
+   * @access Private
+   */
+  static updateTeam = asyncHandler(async (req, res) => {
+    const team = await TeamService.updateTeam(
+      req.params.id,
+      req.body,
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "TEAM_UPDATED",
+      details: `Updated team "${team.name}": ${Object.keys(req.body).join(", ")}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(res, "Team updated successfully", team);
+  });
+
+  /**
+   * Delete a team
+   * @route DELETE /api/teams/:id
+   * @access Private
+   */
+  static deleteTeam = asyncHandler(async (req, res) => {
+    const team = await TeamService.deleteTeam(req.params.id);
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "TEAM_DELETED",
+      details: `Deleted team "${team.name}"`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(res, "Team deleted successfully");
+  });
+}
+
+module.exports = TeamController;
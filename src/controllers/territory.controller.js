@@ -0,0 +1,126 @@
+const TerritoryService = require("../services/territory.service");
+const { ActivityLogService } = require("../services/logging.service");
+const ApiResponse = require("../utils/apiResponse.util");
+const asyncHandler = require("../utils/asyncHandler.util");
+
+class TerritoryController {
+  /**
+   * List territories
+   * @route GET /api/settings/territories
+   * @access Private
+   */
+  static getTerritories = asyncHandler(async (req, res) => {
+    const territories = await TerritoryService.getTerritories(req.query);
+
+    return ApiResponse.success(
+      res,
+      "Territories retrieved successfully",
+      territories
+    );
+  });
+
+  /**
+   * Ticket load per territory
+   * @route GET /api/settings/territories/load
+   * @access Private
+   */
+  static getLoadReport = asyncHandler(async (req, res) => {
+    const { startDate, endDate } = req.query;
+    const report = await TerritoryService.getLoadReport({
+      startDate,
+      endDate,
+    });
+
+    return ApiResponse.success(
+      res,
+      "Territory load report generated successfully",
+      report
+    );
+  });
+
+  /**
+   * Get a territory
+   * @route GET /api/settings/territories/:id
+   * @access Private
+   */
+  static getTerritoryById = asyncHandler(async (req, res) => {
+    const territory = await TerritoryService.getTerritoryById(req.params.id);
+
+    return ApiResponse.success(
+      res,
+      "Territory retrieved successfully",
+      territory
+    );
+  });
+
+  /**
+   * Create a territory
+   * @route POST /api/settings/territories
+   * @access Private
+   */
+  static createTerritory = asyncHandler(async (req, res) => {
+    const territory = await TerritoryService.createTerritory(
+      req.body,
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "TERRITORY_CREATED",
+      details: `Created territory "${territory.name}"`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.created(
+      res,
+      "Territory created successfully",
+      territory
+    );
+  });
+
+  /**
+   * Update a territory
+   * @route PUT /api/settings/territories/:id
+   * @access Private
+   */
+  static updateTerritory = asyncHandler(async (req, res) => {
+    const territory = await TerritoryService.updateTerritory(
+      req.params.id,
+      req.body,
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "TERRITORY_UPDATED",
+      details: `Updated territory "${territory.name}": ${Object.keys(req.body).join(", ")}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(
+      res,
+      "Territory updated successfully",
+      territory
+    );
+  });
+
+  /**
+   * Delete a territory
+   * @route DELETE /api/settings/territories/:id
+   * @access Private
+   */
+  static deleteTerritory = asyncHandler(async (req, res) => {
+    const territory = await TerritoryService.deleteTerritory(req.params.id);
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "TERRITORY_DELETED",
+      details: `Deleted territory "${territory.name}"`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(res, "Territory deleted successfully");
+  });
+}
+
+module.exports = TerritoryController;
@@ -1,20 +1,65 @@
 const TicketService = require("../services/ticket.service");
-const { ActivityLogService } = require("../services/logging.service");
+const {
+  ActivityLogService,
+  AuditLogService,
+} = require("../services/logging.service");
 const ApiResponse = require("../utils/apiResponse.util");
 const ApiError = require("../utils/apiError.util");
 const asyncHandler = require("../utils/asyncHandler.util");
+const RealtimeService = require("../services/realtime.service");
+const AuthService = require("../services/auth.service");
+const { TicketActivityService } = require("../services/ticketActivity.service");
+const { TicketTimelineService } = require("../services/ticketTimeline.service");
+const { TicketSearchService } = require("../services/ticketSearch.service");
+const SavedViewService = require("../services/savedView.service");
+const TicketBulkService = require("../services/ticketBulk.service");
+const TerritoryService = require("../services/territory.service");
+const { escapeRegex } = require("../utils/search.utils");
 const Ticket = require("../models/ticket.model");
 const Customer = require("../models/customer.model");
 const { ROLES } = require("../config/roles");
+const config = require("../config/config");
 const User = require("../models/user.model");
 
 class TicketController {
+  /**
+   * Open a Server-Sent Events stream of ticket updates
+   * @route GET /api/tickets/stream
+   * @access Private
+   */
+  static streamTicketEvents = (req, res) => {
+    RealtimeService.subscribe(req, res);
+  };
+
+  /**
+   * Create a short-lived token for opening the ticket event stream
+   * @route POST /api/tickets/stream/token
+   * @access Private
+   */
+  static createStreamToken = asyncHandler(async (req, res) => {
+    return ApiResponse.success(res, "Stream token created", {
+      token: AuthService.generateStreamToken(req.user),
+      expiresIn: config.jwt.streamTokenExpiresIn,
+    });
+  });
+
   /**
    * Get all tickets with pagination and filtering
    * @route GET /api/tickets
    * @access Private
    */
   static getAllTickets = asyncHandler(async (req, res) => {
+    const include = TicketActivityService.parseInclude(req.query.include);
+    const user = { userId: req.user.id, role: req.user.role };
+
+    // Parameters sent with the request override those of the saved view
+    const view = req.query.viewId
+      ? await SavedViewService.getViewById(req.query.viewId, user)
+      : null;
+    const params = view
+      ? { ...SavedViewService.toQueryParams(view, user), ...req.query }
+      : req.query;
+
     const {
       page = 1,
       limit = 10,
@@ -23,29 +68,48 @@ class TicketController {
       category,
       search,
       assignedTo,
+      team,
       itemId,
       serialNumber,
       type,
+      problem,
       startDate,
       endDate,
+      slaStatus,
+      state,
+      city,
       sort = "-createdAt",
-    } = req.query;
+    } = params;
+
+    // Comma-separated values match any of them, e.g. priority=HIGH,CRITICAL
+    const anyOf = (value) =>
+      value.includes(",") ? { $in: value.split(",") } : value;
 
     const query = {};
 
-    if (status) query.status = status;
-    if (priority) query.priority = priority;
-    if (category) query.category = category;
+    if (status) query.status = anyOf(status);
+    if (slaStatus) query["sla.status"] = { $in: slaStatus.split(",") };
+    if (priority) query.priority = anyOf(priority);
+    if (category) query.category = anyOf(category);
     if (assignedTo) query.assignedTo = assignedTo;
+    if (team) query.team = team;
     if (itemId) query.itemId = itemId;
-    if (type) query.type = type;
+    if (type) query.type = anyOf(type);
 
-    console.log(
-      "REQ.QUERY.PROBLEM @ticket.controller.js L36",
-      req.query.problem
-    );
+    if (problem) query.problems = problem;
+
+    if (state || city) {
+      const customerQuery = {};
+      if (state) {
+        customerQuery.state = new RegExp(`^${escapeRegex(state)}$`, "i");
+      }
+      if (city) {
+        customerQuery.city = new RegExp(`^${escapeRegex(city)}$`, "i");
+      }
 
-    if (req.query.problem) query.problem = { $in: [req.query.problem] };
+      const customers = await Customer.find(customerQuery).select("_id");
+      query.customerId = { $in: customers.map((customer) => customer._id) };
+    }
 
     if (req.user.role === "ENGINEER") {
       query.assignedTo = req.user.id;
@@ -130,24 +194,68 @@ class TicketController {
     await ActivityLogService.logActivity({
       userId: req.user.id,
       action: "TICKETS_VIEWED",
-      details: `Retrieved list of tickets`,
+      details: view
+        ? `Retrieved list of tickets with saved view "${view.name}"`
+        : `Retrieved list of tickets`,
       ipAddress: req.ip,
     });
 
+    const results = await TicketActivityService.includeRelated(
+      tickets.results,
+      include
+    );
+
+    if (view) {
+      return ApiResponse.success(
+        res,
+        "Tickets retrieved successfully",
+        results,
+        {
+          pagination: tickets.pagination,
+          view: { _id: view._id, name: view.name, columns: view.columns },
+        }
+      );
+    }
+
     return ApiResponse.withPagination(
       res,
       "Tickets retrieved successfully",
-      tickets.results,
+      results,
       tickets.pagination
     );
   });
 
+  /**
+   * Search tickets by ticket, serial, model or phone number, customer
+   * details and comment text, with facet counts
+   * @route GET /api/tickets/search
+   * @access Private
+   */
+  static searchTickets = asyncHandler(async (req, res) => {
+    const { q, status, priority, category, type, assignedTo, page, limit } =
+      req.query;
+
+    const search = await TicketSearchService.searchTickets(
+      { q, status, priority, category, type, assignedTo },
+      { page, limit },
+      { userId: req.user.id, role: req.user.role }
+    );
+
+    return ApiResponse.success(
+      res,
+      "Tickets retrieved successfully",
+      search.results,
+      { pagination: search.pagination, facets: search.facets }
+    );
+  });
+
   /**
    * Get ticket by ID
    * @route GET /api/tickets/:id
    * @access Private
    */
   static getTicketById = asyncHandler(async (req, res) => {
+    const include = TicketActivityService.parseInclude(req.query.include);
     const { id } = req.params;
 
     const ticket = await TicketService.getTicketById(
@@ -163,7 +271,11 @@ class TicketController {
       ipAddress: req.ip,
     });
 
-    return ApiResponse.success(res, "Ticket retrieved successfully", ticket);
+    return ApiResponse.success(
+      res,
+      "Ticket retrieved successfully",
+      await TicketActivityService.includeRelated(ticket, include)
+    );
   });
 
   /**
@@ -172,6 +284,7 @@ class TicketController {
    * @access Private
    */
   static createTicket = asyncHandler(async (req, res) => {
+    const include = TicketActivityService.parseInclude(req.query.include);
     const files = req.files || [];
 
     const ticket = await TicketService.createTicketWithFiles(
@@ -187,7 +300,11 @@ class TicketController {
       ipAddress: req.ip,
     });
 
-    return ApiResponse.created(res, "Ticket created successfully", ticket);
+    return ApiResponse.created(
+      res,
+      "Ticket created successfully",
+      await TicketActivityService.includeRelated(ticket, include)
+    );
   });
 
   /**
@@ -196,6 +313,7 @@ class TicketController {
    * @access Private
    */
   static addAttachments = asyncHandler(async (req, res) => {
+    const include = TicketActivityService.parseInclude(req.query.include);
     const { id } = req.params;
     const files = req.files || [];
 
@@ -216,7 +334,11 @@ class TicketController {
       ipAddress: req.ip,
     });
 
-    return ApiResponse.success(res, "Attachments added successfully", ticket);
+    return ApiResponse.success(
+      res,
+      "Attachments added successfully",
+      await TicketActivityService.includeRelated(ticket, include)
+    );
   });
 
   /**
@@ -225,6 +347,7 @@ class TicketController {
    * @access Private
    */
   static updateTicket = asyncHandler(async (req, res) => {
+    const include = TicketActivityService.parseInclude(req.query.include);
     const { id } = req.params;
 
     console.log("TICKET_UPDATE", req.body);
@@ -261,7 +384,11 @@ class TicketController {
     });
 
     // Return successful response
-    return ApiResponse.success(res, "Ticket updated successfully", ticket);
+    return ApiResponse.success(
+      res,
+      "Ticket updated successfully",
+      await TicketActivityService.includeRelated(ticket, include)
+    );
   });
 
   /**
@@ -270,6 +397,7 @@ class TicketController {
    * @access Private
    */
   static assignTicket = asyncHandler(async (req, res) => {
+    const include = TicketActivityService.parseInclude(req.query.include);
     const { id } = req.params;
     const { assignToUserId, notes } = req.body;
 
@@ -302,7 +430,61 @@ class TicketController {
       ipAddress: req.ip,
     });
 
-    return ApiResponse.success(res, "Ticket assigned successfully", ticket);
+    const warnings = ticket.$locals.availabilityWarnings || [];
+
+    return ApiResponse.success(
+      res,
+      warnings.length > 0
+        ? "Ticket assigned with warnings"
+        : "Ticket assigned successfully",
+      await TicketActivityService.includeRelated(ticket, include),
+      warnings.length > 0 ? { warnings } : {}
+    );
+  });
+
+  /**
+   * Move a ticket to a team's queue
+   * @route POST /api/tickets/:id/assign-team
+   * @access Private
+   */
+  static assignTicketToTeam = asyncHandler(async (req, res) => {
+    const include = TicketActivityService.parseInclude(req.query.include);
+    const { teamId, notes } = req.body;
+
+    const ticket = await TicketService.assignTicketToTeam(
+      req.params.id,
+      teamId,
+      req.user.id,
+      notes
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "TICKET_ASSIGNED",
+      details: `Moved ticket: ${ticket.ticketId || req.params.id} to team: ${teamId}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(
+      res,
+      "Ticket moved to team queue successfully",
+      await TicketActivityService.includeRelated(ticket, include)
+    );
+  });
+
+  /**
+   * Suggest engineers to assign a ticket to, by territory
+   * @route GET /api/tickets/:id/assignee-suggestions
+   * @access Private
+   */
+  static getAssigneeSuggestions = asyncHandler(async (req, res) => {
+    const suggestions = await TerritoryService.suggestEngineers(req.params.id);
+
+    return ApiResponse.success(
+      res,
+      "Assignee suggestions retrieved successfully",
+      suggestions
+    );
   });
 
   /**
@@ -328,6 +510,7 @@ class TicketController {
    * @access Private
    */
   static approveTicket = asyncHandler(async (req, res) => {
+    const include = TicketActivityService.parseInclude(req.query.include);
     const { id } = req.params;
 
     const ticket = await TicketService.approveTicket(
@@ -346,7 +529,7 @@ class TicketController {
     return ApiResponse.success(
       res,
       "Ticket resolution approved successfully",
-      ticket
+      await TicketActivityService.includeRelated(ticket, include)
     );
   });
 
@@ -356,6 +539,7 @@ class TicketController {
    * @access Private
    */
   static addComment = asyncHandler(async (req, res) => {
+    const include = TicketActivityService.parseInclude(req.query.include);
     const { id } = req.params;
     const { comment, isInternal, attachments } = req.body;
 
@@ -379,7 +563,11 @@ class TicketController {
       ipAddress: req.ip,
     });
 
-    return ApiResponse.success(res, "Comment added successfully", ticket);
+    return ApiResponse.success(
+      res,
+      "Comment added successfully",
+      await TicketActivityService.includeRelated(ticket, include)
+    );
   });
 
   /**
@@ -388,6 +576,7 @@ class TicketController {
    * @access Private
    */
   static addAttachments = asyncHandler(async (req, res) => {
+    const include = TicketActivityService.parseInclude(req.query.include);
     const { id } = req.params;
     const { attachments } = req.body;
 
@@ -412,7 +601,11 @@ class TicketController {
       ipAddress: req.ip,
     });
 
-    return ApiResponse.success(res, "Attachments added successfully", ticket);
+    return ApiResponse.success(
+      res,
+      "Attachments added successfully",
+      await TicketActivityService.includeRelated(ticket, include)
+    );
   });
 
   /**
@@ -421,6 +614,7 @@ class TicketController {
    * @access Private
    */
   static deleteAttachment = asyncHandler(async (req, res) => {
+    const include = TicketActivityService.parseInclude(req.query.include);
     const { id, attachmentId } = req.params;
 
     if (!attachmentId) {
@@ -441,7 +635,11 @@ class TicketController {
       ipAddress: req.ip,
     });
 
-    return ApiResponse.success(res, "Attachment deleted successfully", ticket);
+    return ApiResponse.success(
+      res,
+      "Attachment deleted successfully",
+      await TicketActivityService.includeRelated(ticket, include)
+    );
   });
 
   /**
@@ -452,12 +650,14 @@ class TicketController {
   static getAvailableSerialNumbers = asyncHandler(async (req, res) => {
     const { itemId } = req.params;
 
-    const result = await TicketService.getAvailableSerialNumbers(itemId);
+    const { item, results, pagination } =
+      await TicketService.getAvailableSerialNumbers(itemId, req.query);
 
-    return ApiResponse.success(
+    return ApiResponse.withPagination(
       res,
       "Available serial numbers retrieved successfully",
-      result
+      { item, serialNumbers: results },
+      pagination
     );
   });
 
@@ -523,36 +723,19 @@ class TicketController {
    */
   static getTicketHistory = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, action } = req.query;
 
-    const ticket = await Ticket.findById(id).populate({
-      path: "history.performedBy",
-      select: "name email",
-    });
+    const ticket = await Ticket.findById(id).select("ticketId");
 
     if (!ticket) {
       throw new ApiError(404, "Ticket not found");
     }
 
-    // Get total count
-    const totalHistory = ticket.history.length;
-
-    // Calculate pagination
-    const startIdx = (parseInt(page) - 1) * parseInt(limit);
-    const endIdx = startIdx + parseInt(limit);
-
-    // Sort by timestamp descending (newest first) and apply pagination
-    const paginatedHistory = ticket.history
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(startIdx, endIdx);
-
-    // Create pagination metadata
-    const pagination = {
-      total: totalHistory,
-      page: parseInt(page),
-      limit: parseInt(limit),
-      pages: Math.ceil(totalHistory / parseInt(limit)),
-    };
+    const history = await TicketActivityService.getHistory(
+      id,
+      { action },
+      { page, limit }
+    );
 
     await ActivityLogService.logActivity({
       userId: req.user.id,
@@ -564,8 +747,80 @@ class TicketController {
     return ApiResponse.withPagination(
       res,
       "Ticket history retrieved successfully",
-      paginatedHistory,
-      pagination
+      history.results,
+      history.pagination
+    );
+  });
+
+  /**
+   * Get the unified ticket timeline
+   * @route GET /api/tickets/:id/timeline
+   * @access Private
+   */
+  static getTicketTimeline = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { types, cursor, limit, order } = req.query;
+
+    const timeline = await TicketTimelineService.getTimeline(
+      id,
+      { userId: req.user.id, role: req.user.role },
+      { types, cursor, limit, order }
+    );
+
+    return ApiResponse.withPagination(
+      res,
+      "Ticket timeline retrieved successfully",
+      timeline.results,
+      timeline.pagination
+    );
+  });
+
+  /**
+   * Get ticket comments
+   * @route GET /api/tickets/:id/comments
+   * @access Private
+   */
+  static getTicketComments = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { page = 1, limit = 10, isInternal } = req.query;
+
+    const comments = await TicketActivityService.getComments(
+      id,
+      {
+        isInternal:
+          isInternal !== undefined ? isInternal === "true" : undefined,
+      },
+      { page, limit }
+    );
+
+    return ApiResponse.withPagination(
+      res,
+      "Ticket comments retrieved successfully",
+      comments.results,
+      comments.pagination
+    );
+  });
+
+  /**
+   * Get ticket attachments and photos
+   * @route GET /api/tickets/:id/attachments
+   * @access Private
+   */
+  static getTicketAttachments = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { page = 1, limit = 10, kind } = req.query;
+
+    const attachments = await TicketActivityService.getAttachments(
+      id,
+      { kind },
+      { page, limit }
+    );
+
+    return ApiResponse.withPagination(
+      res,
+      "Ticket attachments retrieved successfully",
+      attachments.results,
+      attachments.pagination
     );
   });
 
@@ -660,6 +915,99 @@ class TicketController {
     }
   }
 
+  /**
+   * Assign, change the status or priority of, comment on or delete several
+   * tickets at once
+   * @route POST /api/tickets/bulk
+   * @access Private
+   */
+  static bulkUpdateTickets = asyncHandler(async (req, res) => {
+    const { action } = req.body;
+
+    const bulk = await TicketBulkService.runBulkAction(req.body, {
+      userId: req.user.id,
+      role: req.user.role,
+    });
+
+    // Log each ticket as the single-ticket endpoints do
+    for (const result of bulk.results.filter((r) => r.success)) {
+      const { ticket, previousState } = result;
+      const ticketRef = ticket.ticketId || result.ticketId;
+
+      const auditAction = {
+        CHANGE_STATUS: "UPDATE",
+        CHANGE_PRIORITY: "UPDATE",
+        DELETE: "DELETE",
+      }[action];
+      if (auditAction) {
+        await AuditLogService.createAuditLog({
+          entityId: result.ticketId,
+          entityType: "Ticket",
+          action: auditAction,
+          previousState,
+          newState: auditAction === "DELETE" ? null : req.body,
+          performedBy: req.user.id,
+          ipAddress: req.ip,
+        });
+      }
+
+      const activity = {
+        ASSIGN: ["TICKET_ASSIGNED", `Assigned ticket: ${ticketRef} (bulk)`],
+        CHANGE_STATUS: [
+          "TICKET_UPDATED",
+          `Updated ticket: ${ticket.title} (${ticketRef}) status to ${req.body.status} (bulk)`,
+        ],
+        CHANGE_PRIORITY: [
+          "TICKET_UPDATED",
+          `Updated ticket: ${ticket.title} (${ticketRef}) priority to ${req.body.priority} (bulk)`,
+        ],
+        ADD_COMMENT: [
+          "COMMENT_ADDED",
+          `Added ${req.body.isInternal ? "internal " : ""}comment to ticket: ${ticketRef} (bulk)`,
+        ],
+        DELETE: [
+          "TICKET_DELETED",
+          `Deleted ticket: ${ticketRef} - Reason: ${req.body.reason} (bulk)`,
+        ],
+      }[action];
+
+      await ActivityLogService.logActivity({
+        userId: req.user.id,
+        action: activity[0],
+        details: activity[1],
+        ipAddress: req.ip,
+      });
+    }
+
+    return ApiResponse.success(
+      res,
+      `Bulk ${action} finished: ${bulk.succeeded} succeeded, ${bulk.failed} failed`,
+      {
+        action: bulk.action,
+        total: bulk.total,
+        succeeded: bulk.succeeded,
+        failed: bulk.failed,
+        results: bulk.results.map(
+          ({ ticketId, success, ticket, warnings, error }) =>
+            success
+              ? {
+                  ticketId,
+                  success,
+                  ticket: {
+                    _id: ticket._id,
+                    ticketId: ticket.ticketId,
+                    status: ticket.status,
+                    priority: ticket.priority,
+                    assignedTo: ticket.assignedTo,
+                  },
+                  ...(warnings && { warnings }),
+                }
+              : { ticketId, success, error }
+        ),
+      }
+    );
+  });
+
   /**
    * Delete a ticket
    * @route DELETE /api/tickets/:id
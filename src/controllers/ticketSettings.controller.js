@@ -150,6 +150,88 @@ class TicketSettingsController {
       settings
     );
   });
+
+  /**
+   * Get ticket status workflow
+   * @route GET /api/settings/tickets/workflow
+   * @access Private
+   */
+  static getWorkflow = asyncHandler(async (req, res) => {
+    const workflow = await TicketSettingsService.getWorkflow(req.user.role);
+
+    return ApiResponse.success(
+      res,
+      "Ticket workflow retrieved successfully",
+      workflow
+    );
+  });
+
+  /**
+   * Update ticket status workflow
+   * @route PUT /api/settings/tickets/workflow
+   * @access Private (Super Admin only)
+   */
+  static updateWorkflow = asyncHandler(async (req, res) => {
+    const { transitions } = req.body;
+
+    const settings = await TicketSettingsService.updateWorkflow(
+      transitions,
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "TICKET_WORKFLOW_UPDATED",
+      details: `Updated ticket status workflow for roles: ${Object.keys(transitions).join(", ")}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(
+      res,
+      "Ticket workflow updated successfully",
+      settings
+    );
+  });
+
+  /**
+   * Get SLA configuration
+   * @route GET /api/settings/tickets/sla
+   * @access Private
+   */
+  static getSlaConfig = asyncHandler(async (req, res) => {
+    const slaConfig = await TicketSettingsService.getSlaConfig();
+
+    return ApiResponse.success(
+      res,
+      "SLA configuration retrieved successfully",
+      slaConfig
+    );
+  });
+
+  /**
+   * Update SLA configuration
+   * @route PUT /api/settings/tickets/sla
+   * @access Private (Super Admin)
+   */
+  static updateSlaConfig = asyncHandler(async (req, res) => {
+    const settings = await TicketSettingsService.updateSlaConfig(
+      req.body,
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "SLA_SETTINGS_UPDATED",
+      details: `Updated SLA configuration: ${Object.keys(req.body).join(", ")}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(
+      res,
+      "SLA configuration updated successfully",
+      settings
+    );
+  });
 }
 
 module.exports = TicketSettingsController;
@@ -1,4 +1,6 @@
 const UserService = require("../services/user.service");
+const AvailabilityService = require("../services/availability.service");
+const TicketBulkService = require("../services/ticketBulk.service");
 const { ActivityLogService } = require("../services/logging.service");
 const ApiResponse = require("../utils/apiResponse.util");
 const ApiError = require("../utils/apiError.util");
@@ -126,6 +128,7 @@ class UserController {
       to: result.user.email,
       subject: "Welcome to Support Ticket Management System",
       text: `Hello ${result.user.name},\n\nYour account has been created successfully.\n\nEmail: ${result.user.email}\nPassword: ${result.password}\n\nPlease change your password after logging in.\n\nRegards,\nSupport Team`,
+      sensitive: true,
     });
 
     return ApiResponse.created(res, "User created successfully", {
@@ -262,6 +265,7 @@ class UserController {
       to: result.user.email,
       subject: "Your Password Has Been Reset",
       text: `Hello ${result.user.name},\n\nYour password has been reset by an administrator.\n\ Password: ${req.body.password}\n\nPlease change your password after logging in.\n\nRegards,\nSupport Team`,
+      sensitive: true,
     });
 
     return ApiResponse.success(
@@ -322,6 +326,194 @@ class UserController {
     );
   });
 
+  /**
+   * Get a user's working days, capacity, leaves and current availability
+   * Access: SUPER_ADMIN, SUPPORT_MANAGER, self
+   */
+  static getAvailability = asyncHandler(async (req, res) => {
+    const availability = await AvailabilityService.getAvailability(
+      req.params.id,
+      { userId: req.user.id, role: req.user.role }
+    );
+
+    return ApiResponse.success(
+      res,
+      "Availability retrieved successfully",
+      availability
+    );
+  });
+
+  /**
+   * Update a user's working days and open ticket limit
+   * Access: SUPER_ADMIN, SUPPORT_MANAGER (for ENGINEER and self)
+   */
+  static updateAvailability = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const availability = await AvailabilityService.updateSchedule(
+      id,
+      req.body,
+      { userId: req.user.id, role: req.user.role }
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "AVAILABILITY_UPDATED",
+      details: `Updated availability for user: ${availability.name} (${Object.keys(req.body).join(", ")})`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(
+      res,
+      "Availability updated successfully",
+      availability
+    );
+  });
+
+  /**
+   * Record a leave period
+   * Access: SUPER_ADMIN, SUPPORT_MANAGER (for ENGINEER and self), self
+   */
+  static addLeave = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const { leave, affectedTickets } = await AvailabilityService.addLeave(
+      id,
+      req.body,
+      { userId: req.user.id, role: req.user.role }
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "LEAVE_ADDED",
+      details: `Added leave for user ID: ${id} from ${req.body.startDate} to ${req.body.endDate}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.created(res, "Leave recorded successfully", {
+      leave,
+      affectedTickets,
+    });
+  });
+
+  /**
+   * Remove a leave period
+   * Access: SUPER_ADMIN, SUPPORT_MANAGER (for ENGINEER and self), self
+   */
+  static removeLeave = asyncHandler(async (req, res) => {
+    const { id, leaveId } = req.params;
+
+    await AvailabilityService.removeLeave(id, leaveId, {
+      userId: req.user.id,
+      role: req.user.role,
+    });
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "LEAVE_REMOVED",
+      details: `Removed leave ${leaveId} for user ID: ${id}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(res, "Leave removed successfully");
+  });
+
+  /**
+   * List the unresolved tickets a leave affects
+   * Access: users who can assign tickets
+   */
+  static getLeaveTickets = asyncHandler(async (req, res) => {
+    const { leave, tickets } = await AvailabilityService.getLeaveTickets(
+      req.params.id,
+      req.params.leaveId
+    );
+
+    return ApiResponse.success(res, "Leave tickets retrieved successfully", {
+      leave,
+      tickets,
+    });
+  });
+
+  /**
+   * Move the tickets a leave affects to another user
+   * Access: users who can assign tickets
+   */
+  static reassignLeaveTickets = asyncHandler(async (req, res) => {
+    const { id, leaveId } = req.params;
+    const { assignToUserId, notes } = req.body;
+
+    if (assignToUserId === id) {
+      throw ApiError.badRequest(
+        "Tickets cannot be moved to the user who is on leave"
+      );
+    }
+
+    const { user, leave, tickets } = await AvailabilityService.getLeaveTickets(
+      id,
+      leaveId
+    );
+
+    let ticketIds = tickets.map((ticket) => ticket._id.toString());
+    if (req.body.ticketIds) {
+      const affected = new Set(ticketIds);
+      const outside = req.body.ticketIds.find(
+        (ticketId) => !affected.has(ticketId)
+      );
+      if (outside) {
+        throw ApiError.badRequest(
+          `Ticket ${outside} is not an open ticket affected by this leave`
+        );
+      }
+      ticketIds = req.body.ticketIds;
+    }
+
+    const period = `${leave.startDate.toISOString().slice(0, 10)} to ${leave.endDate.toISOString().slice(0, 10)}`;
+    const bulk = await TicketBulkService.runBulkAction(
+      {
+        action: "ASSIGN",
+        ticketIds,
+        assignToUserId,
+        notes: notes || `Moved from ${user.name} for leave ${period}`,
+      },
+      { userId: req.user.id, role: req.user.role }
+    );
+
+    for (const result of bulk.results.filter((r) => r.success)) {
+      await ActivityLogService.logActivity({
+        userId: req.user.id,
+        action: "TICKET_ASSIGNED",
+        details: `Assigned ticket: ${result.ticket.ticketId || result.ticketId} (leave cover for ${user.name}, ${period})`,
+        ipAddress: req.ip,
+      });
+    }
+
+    return ApiResponse.success(
+      res,
+      `Moved ${bulk.succeeded} of ${bulk.total} tickets`,
+      {
+        total: bulk.total,
+        succeeded: bulk.succeeded,
+        failed: bulk.failed,
+        results: bulk.results.map(
+          ({ ticketId, success, ticket, warnings, error }) =>
+            success
+              ? {
+                  ticketId,
+                  success,
+                  ticket: {
+                    _id: ticket._id,
+                    ticketId: ticket.ticketId,
+                    status: ticket.status,
+                    assignedTo: ticket.assignedTo,
+                  },
+                  ...(warnings && { warnings }),
+                }
+              : { ticketId, success, error }
+        ),
+      }
+    );
+  });
+
   /**
    * Delete user
    * Access: SUPER_ADMIN, SUPPORT_MANAGER (for ENGINEER only)
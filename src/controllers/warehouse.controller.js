@@ -0,0 +1,122 @@
+const WarehouseService = require("../services/warehouse.service");
+const { ActivityLogService } = require("../services/logging.service");
+const ApiResponse = require("../utils/apiResponse.util");
+const asyncHandler = require("../utils/asyncHandler.util");
+
+class WarehouseController {
+  /**
+   * List warehouses
+   * @route GET /api/warehouses
+   * @access Private
+   */
+  static getWarehouses = asyncHandler(async (req, res) => {
+    const warehouses = await WarehouseService.getWarehouses(req.query);
+
+    return ApiResponse.success(
+      res,
+      "Warehouses retrieved successfully",
+      warehouses
+    );
+  });
+
+  /**
+   * Get a warehouse
+   * @route GET /api/warehouses/:id
+   * @access Private
+   */
+  static getWarehouseById = asyncHandler(async (req, res) => {
+    const warehouse = await WarehouseService.getWarehouseById(req.params.id);
+
+    return ApiResponse.success(
+      res,
+      "Warehouse retrieved successfully",
+      warehouse
+    );
+  });
+
+  /**
+   * Stock at a warehouse and transfers in transit to or from it
+   * @route GET /api/warehouses/:id/stock
+   * @access Private
+   */
+  static getStock = asyncHandler(async (req, res) => {
+    const stock = await WarehouseService.getStock(req.params.id);
+
+    return ApiResponse.success(
+      res,
+      "Warehouse stock retrieved successfully",
+      stock
+    );
+  });
+
+  /**
+   * Create a warehouse
+   * @route POST /api/warehouses
+   * @access Private
+   */
+  static createWarehouse = asyncHandler(async (req, res) => {
+    const warehouse = await WarehouseService.createWarehouse(
+      req.body,
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "WAREHOUSE_CREATED",
+      details: `Created warehouse "${warehouse.name}" (${warehouse.code})`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.created(
+      res,
+      "Warehouse created successfully",
+      warehouse
+    );
+  });
+
+  /**
+   * Update a warehouse
+   * @route PUT /api/warehouses/:id
+   * @access Private
+   */
+  static updateWarehouse = asyncHandler(async (req, res) => {
+    const warehouse = await WarehouseService.updateWarehouse(
+      req.params.id,
+      req.body,
+      req.user.id
+    );
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "WAREHOUSE_UPDATED",
+      details: `Updated warehouse "${warehouse.name}": ${Object.keys(req.body).join(", ")}`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(
+      res,
+      "Warehouse updated successfully",
+      warehouse
+    );
+  });
+
+  /**
+   * Delete a warehouse
+   * @route DELETE /api/warehouses/:id
+   * @access Private
+   */
+  static deleteWarehouse = asyncHandler(async (req, res) => {
+    const warehouse = await WarehouseService.deleteWarehouse(req.params.id);
+
+    await ActivityLogService.logActivity({
+      userId: req.user.id,
+      action: "WAREHOUSE_DELETED",
+      details: `Deleted warehouse "${warehouse.name}" (${warehouse.code})`,
+      ipAddress: req.ip,
+    });
+
+    return ApiResponse.success(res, "Warehouse deleted successfully");
+  });
+}
+
+module.exports = WarehouseController;
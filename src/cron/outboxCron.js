@@ -0,0 +1,39 @@
+const cron = require("node-cron");
+const NotificationOutboxService = require("../services/notificationOutbox.service");
+
+let isRunning = false;
+
+/**
+ * Initialize cron jobs for the notification outbox worker
+ */
+const initOutboxCronJobs = () => {
+  console.log("Initializing notification outbox cron jobs...");
+
+  // Deliver queued and retrying notifications - Every minute
+  cron.schedule("* * * * *", async () => {
+    // Skip this run if the previous batch is still being sent
+    if (isRunning) {
+      return;
+    }
+
+    isRunning = true;
+    try {
+      const result = await NotificationOutboxService.processOutbox();
+      if (result.sent || result.failed || result.retrying) {
+        console.log(
+          `Notification outbox: ${result.sent} sent, ${result.retrying} rescheduled, ${result.failed} failed`
+        );
+      }
+    } catch (error) {
+      console.error("Error in notification outbox cron job:", error);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  console.log("Notification outbox cron jobs initialized successfully");
+};
+
+module.exports = {
+  initOutboxCronJobs,
+};
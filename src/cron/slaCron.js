@@ -0,0 +1,39 @@
+const cron = require("node-cron");
+const SlaService = require("../services/sla.service");
+
+let isRunning = false;
+
+/**
+ * Initialize cron jobs for SLA monitoring
+ */
+const initSlaCronJobs = () => {
+  console.log("Initializing SLA cron jobs...");
+
+  // SLA breach check - Every 5 minutes
+  cron.schedule("*/5 * * * *", async () => {
+    // Skip this run if the previous check is still going
+    if (isRunning) {
+      return;
+    }
+
+    isRunning = true;
+    try {
+      const result = await SlaService.checkSlaBreaches();
+      if (result.atRisk || result.breached) {
+        console.log(
+          `SLA check: ${result.atRisk} ticket(s) at risk, ${result.breached} ticket(s) breached`
+        );
+      }
+    } catch (error) {
+      console.error("Error in SLA cron job:", error);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  console.log("SLA cron jobs initialized successfully");
+};
+
+module.exports = {
+  initSlaCronJobs,
+};
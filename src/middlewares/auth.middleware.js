@@ -22,6 +22,22 @@ class AuthMiddleware {
     next();
   });
 
+  /**
+   * Authenticate a streaming request. Browsers cannot set headers on
+   * EventSource connections, so a stream token may be passed in the `token`
+   * query parameter instead of the Authorization header. Session tokens are
+   * not accepted there, as URLs end up in access logs.
+   */
+  static authenticateStream = asyncHandler(async (req, res, next) => {
+    if (req.headers.authorization || !req.query.token) {
+      return AuthMiddleware.authenticate(req, res, next);
+    }
+
+    req.user = await AuthService.verifyToken(req.query.token, "stream");
+
+    next();
+  });
+
   static authorize(role) {
     return asyncHandler(async (req, res, next) => {
       const hasRole = await AuthService.checkRolePermission(req.user.id, role);
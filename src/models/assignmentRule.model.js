@@ -0,0 +1,151 @@
+const mongoose = require("mongoose");
+const { ASSIGNMENT_STRATEGIES } = require("../config/assignmentRules");
+
+const tag = { type: String, uppercase: true, trim: true };
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AssignmentRule:
+ *       type: object
+ *       required:
+ *         - name
+ *         - strategy
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The auto-generated ID of the rule
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         isActive:
+ *           type: boolean
+ *           description: Inactive rules are skipped
+ *         order:
+ *           type: number
+ *           description: Rules are tried in ascending order; the first that matches and finds an engineer wins
+ *         conditions:
+ *           type: object
+ *           description: What a new ticket must match. Empty lists match anything.
+ *           properties:
+ *             types:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             categories:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             states:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             cities:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             pincodes:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             itemIds:
+ *               type: array
+ *               items:
+ *                 type: string
+ *         engineers:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Users the rule picks from. Empty means every active engineer.
+ *         requiredSkills:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Skill tags an engineer must all have to be picked
+ *         strategy:
+ *           type: string
+ *           enum: [ROUND_ROBIN, LEAST_OPEN_TICKETS, SKILL_MATCH, TERRITORY_MATCH]
+ *         assignmentCount:
+ *           type: number
+ *           description: Tickets assigned by this rule (drives round-robin)
+ *         lastAssignedTo:
+ *           type: string
+ *         lastAssignedAt:
+ *           type: string
+ *           format: date-time
+ */
+const assignmentRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Rule name is required"],
+      trim: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+    conditions: {
+      types: [tag],
+      categories: [tag],
+      states: [tag],
+      cities: [tag],
+      pincodes: [{ type: String, trim: true }],
+      itemIds: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Item",
+        },
+      ],
+    },
+    engineers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    requiredSkills: [tag],
+    strategy: {
+      type: String,
+      enum: ASSIGNMENT_STRATEGIES,
+      required: [true, "Strategy is required"],
+    },
+    assignmentCount: {
+      type: Number,
+      default: 0,
+    },
+    lastAssignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    lastAssignedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+assignmentRuleSchema.index({ isActive: 1, order: 1 });
+
+const AssignmentRule = mongoose.model("AssignmentRule", assignmentRuleSchema);
+
+module.exports = AssignmentRule;
@@ -0,0 +1,156 @@
+const mongoose = require("mongoose");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BusinessCalendar:
+ *       type: object
+ *       properties:
+ *         timezoneOffsetMinutes:
+ *           type: number
+ *           description: Offset of the business timezone from UTC in minutes (330 for IST)
+ *         weeklyHours:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               day:
+ *                 type: number
+ *                 description: Day of week (0 = Sunday, 6 = Saturday)
+ *               isWorkingDay:
+ *                 type: boolean
+ *               start:
+ *                 type: string
+ *                 description: Opening time (HH:mm)
+ *               end:
+ *                 type: string
+ *                 description: Closing time (HH:mm)
+ *           description: Working hours for each day of the week
+ *         holidays:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Holiday'
+ *         updatedBy:
+ *           type: string
+ *           description: User ID who last updated the calendar
+ *     Holiday:
+ *       type: object
+ *       required:
+ *         - name
+ *         - date
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           description: Name of the holiday
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Date of the holiday
+ *         states:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: States the holiday applies to. Empty means it applies everywhere.
+ *         recurring:
+ *           type: boolean
+ *           description: Repeat on the same day and month every year
+ */
+
+const DEFAULT_WEEKLY_HOURS = [
+  { day: 0, isWorkingDay: false, start: "09:00", end: "18:00" },
+  { day: 1, isWorkingDay: true, start: "09:00", end: "18:00" },
+  { day: 2, isWorkingDay: true, start: "09:00", end: "18:00" },
+  { day: 3, isWorkingDay: true, start: "09:00", end: "18:00" },
+  { day: 4, isWorkingDay: true, start: "09:00", end: "18:00" },
+  { day: 5, isWorkingDay: true, start: "09:00", end: "18:00" },
+  { day: 6, isWorkingDay: true, start: "09:00", end: "18:00" },
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const holidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Holiday name is required"],
+    trim: true,
+  },
+  date: {
+    type: Date,
+    required: [true, "Holiday date is required"],
+  },
+  states: {
+    type: [String],
+    default: [],
+  },
+  recurring: {
+    type: Boolean,
+    default: false,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+});
+
+const businessCalendarSchema = new mongoose.Schema(
+  {
+    timezoneOffsetMinutes: {
+      type: Number,
+      default: 330,
+      min: -720,
+      max: 840,
+    },
+    weeklyHours: {
+      type: [
+        {
+          _id: false,
+          day: {
+            type: Number,
+            min: 0,
+            max: 6,
+            required: true,
+          },
+          isWorkingDay: {
+            type: Boolean,
+            default: true,
+          },
+          start: {
+            type: String,
+            match: [TIME_PATTERN, "Start time must be in HH:mm format"],
+            default: "09:00",
+          },
+          end: {
+            type: String,
+            match: [TIME_PATTERN, "End time must be in HH:mm format"],
+            default: "18:00",
+          },
+        },
+      ],
+      default: () => DEFAULT_WEEKLY_HOURS.map((day) => ({ ...day })),
+    },
+    holidays: [holidaySchema],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+businessCalendarSchema.statics.getSingleton = async function () {
+  let calendar = await this.findOne();
+  if (!calendar) {
+    calendar = await this.create({});
+  }
+  return calendar;
+};
+
+const BusinessCalendar = mongoose.model(
+  "BusinessCalendar",
+  businessCalendarSchema
+);
+
+module.exports = BusinessCalendar;
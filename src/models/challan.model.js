@@ -0,0 +1,240 @@
+const mongoose = require("mongoose");
+const { CHALLAN_STATUSES } = require("../config/challans");
+
+const addressFields = {
+  address: { type: String, trim: true },
+  village: { type: String, trim: true },
+  city: { type: String, trim: true },
+  state: { type: String, trim: true },
+  pincode: { type: String, trim: true },
+};
+
+// A dispatched item, copied from its OUTWARD transaction
+const challanLineSchema = new mongoose.Schema(
+  {
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Item",
+      required: true,
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    sku: String,
+    condition: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    serialNumbers: [String],
+    rate: {
+      type: Number,
+      default: 0,
+    },
+    amount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Challan:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         challanNumber:
+ *           type: string
+ *           description: Given when the challan is issued, e.g. DC/2025-26/0001
+ *         financialYear:
+ *           type: string
+ *           example: 2025-26
+ *         status:
+ *           type: string
+ *           enum: [DRAFT, ISSUED, CANCELLED]
+ *         ticket:
+ *           type: string
+ *         consignee:
+ *           type: object
+ *           description: The ticket's customer at the time the challan was made
+ *         dispatchedFrom:
+ *           type: object
+ *           description: The warehouse the goods left
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               item:
+ *                 type: string
+ *               transaction:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               sku:
+ *                 type: string
+ *               condition:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               serialNumbers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               rate:
+ *                 type: number
+ *               amount:
+ *                 type: number
+ *         totalQuantity:
+ *           type: integer
+ *         totalAmount:
+ *           type: number
+ *         docketNumber:
+ *           type: string
+ *         notes:
+ *           type: string
+ *         printCount:
+ *           type: integer
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *         cancellationReason:
+ *           type: string
+ */
+const challanSchema = new mongoose.Schema(
+  {
+    challanNumber: {
+      type: String,
+      trim: true,
+    },
+    financialYear: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: CHALLAN_STATUSES,
+      default: "DRAFT",
+    },
+    ticket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ticket",
+      required: true,
+    },
+    consignee: {
+      customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Customer",
+      },
+      name: { type: String, trim: true },
+      mobile: { type: String, trim: true },
+      alternateMobile: { type: String, trim: true },
+      ...addressFields,
+    },
+    dispatchedFrom: {
+      warehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Warehouse",
+      },
+      name: { type: String, trim: true },
+      code: { type: String, trim: true },
+      ...addressFields,
+    },
+    lines: {
+      type: [challanLineSchema],
+      validate: [(lines) => lines.length > 0, "A challan needs a line"],
+    },
+    totalQuantity: {
+      type: Number,
+      default: 0,
+    },
+    totalAmount: {
+      type: Number,
+      default: 0,
+    },
+    docketNumber: {
+      type: String,
+      trim: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    printCount: {
+      type: Number,
+      default: 0,
+    },
+    lastPrintedAt: Date,
+    lastPrintedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    issuedAt: Date,
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancellationReason: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+challanSchema.pre("save", function (next) {
+  this.totalQuantity = this.lines.reduce(
+    (total, line) => total + line.quantity,
+    0
+  );
+  this.totalAmount = this.lines.reduce((total, line) => total + line.amount, 0);
+  next();
+});
+
+// Drafts have no number yet
+challanSchema.index({ challanNumber: 1 }, { unique: true, sparse: true });
+challanSchema.index({ "lines.transaction": 1, status: 1 });
+// A transaction can only be on one challan that is not cancelled
+challanSchema.index(
+  { "lines.transaction": 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      status: {
+        $in: CHALLAN_STATUSES.filter((status) => status !== "CANCELLED"),
+      },
+    },
+  }
+);
+challanSchema.index({ ticket: 1 });
+challanSchema.index({ status: 1, financialYear: 1 });
+challanSchema.index({ createdAt: -1 });
+
+const PaginationPlugin = require("../plugins/paginate.plugin");
+PaginationPlugin.enhanceSchema(challanSchema);
+
+const Challan = mongoose.model("Challan", challanSchema);
+
+module.exports = Challan;
@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+const { SEQUENCE_RESET_PERIODS } = require("../config/sequences");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Counter:
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: Numbered entity (e.g. ticket, installationRequest)
+ *         prefix:
+ *           type: string
+ *           description: Text placed before the date and number (e.g. TKT)
+ *         resetPeriod:
+ *           type: string
+ *           enum: [DAILY, MONTHLY, FINANCIAL_YEAR, NEVER]
+ *           description: When numbering starts again from 1
+ *         padding:
+ *           type: number
+ *           description: Minimum number of digits in the sequence number
+ *         stem:
+ *           type: string
+ *           description: Prefix and date part of the current period (e.g. TKT20250101 or DC/2025-26/)
+ *         seq:
+ *           type: number
+ *           description: Last number issued in the current period
+ */
+const counterSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    prefix: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    resetPeriod: {
+      type: String,
+      enum: SEQUENCE_RESET_PERIODS,
+      default: "DAILY",
+    },
+    padding: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 4,
+    },
+    stem: {
+      type: String,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true, collection: "counters" }
+);
+
+const Counter = mongoose.model("Counter", counterSchema);
+
+module.exports = Counter;
@@ -1,4 +1,8 @@
 const mongoose = require("mongoose");
+const { buildSearchKeywords } = require("../utils/search.utils");
+const {
+  CUSTOMER_NOTIFICATION_EVENTS,
+} = require("../config/notificationTemplates");
 
 /**
  * @swagger
@@ -65,6 +69,28 @@ const mongoose = require("mongoose");
  *         alternatePersonName:
  *           type: string
  *           description: Alternate contact person name
+ *         notificationPreferences:
+ *           type: object
+ *           description: Opt-in for ticket updates sent to the customer
+ *           properties:
+ *             email:
+ *               type: boolean
+ *             whatsapp:
+ *               type: boolean
+ *             sms:
+ *               type: boolean
+ *             includeAlternateMobile:
+ *               type: boolean
+ *               description: Also send WhatsApp and SMS messages to the alternate mobile
+ *             events:
+ *               type: array
+ *               items:
+ *                 type: string
+ *                 enum: [TICKET_CREATED, TICKET_ASSIGNED, TICKET_RESOLVED, TICKET_CLOSED]
+ *               description: Lifecycle events the customer wants to hear about
+ *             language:
+ *               type: string
+ *               description: Language code used to pick notification templates
  */
 const customerSchema = new mongoose.Schema(
   {
@@ -157,6 +183,39 @@ const customerSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Fragments of the phone numbers, used by ticket search
+    searchKeywords: {
+      type: [String],
+      select: false,
+    },
+    notificationPreferences: {
+      email: {
+        type: Boolean,
+        default: false,
+      },
+      whatsapp: {
+        type: Boolean,
+        default: false,
+      },
+      sms: {
+        type: Boolean,
+        default: false,
+      },
+      includeAlternateMobile: {
+        type: Boolean,
+        default: false,
+      },
+      events: {
+        type: [{ type: String, enum: CUSTOMER_NOTIFICATION_EVENTS }],
+        default: () => [...CUSTOMER_NOTIFICATION_EVENTS],
+      },
+      language: {
+        type: String,
+        default: "en",
+        lowercase: true,
+        trim: true,
+      },
+    },
   },
   { timestamps: true }
 );
@@ -167,6 +226,44 @@ customerSchema.index({ mobile: 1 });
 customerSchema.index({ email: 1 });
 customerSchema.index({ pincode: 1 });
 customerSchema.index({ ticketCount: 1 });
+customerSchema.index({ searchKeywords: 1 });
+customerSchema.index(
+  {
+    name: "text",
+    mobile: "text",
+    alternateMobile: "text",
+    email: "text",
+    alternatePersonName: "text",
+    address: "text",
+    city: "text",
+  },
+  {
+    name: "customer_text_search",
+    weights: {
+      mobile: 10,
+      alternateMobile: 8,
+      name: 6,
+      email: 6,
+      alternatePersonName: 3,
+      address: 1,
+      city: 1,
+    },
+  }
+);
+
+customerSchema.pre("save", function (next) {
+  if (
+    this.isNew ||
+    this.isModified("mobile") ||
+    this.isModified("alternateMobile")
+  ) {
+    this.searchKeywords = buildSearchKeywords([
+      this.mobile,
+      this.alternateMobile,
+    ]);
+  }
+  next();
+});
 
 // Rename the virtual to 'customerTickets' to avoid conflict
 customerSchema.virtual("customerTickets", {
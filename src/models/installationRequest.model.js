@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const SequenceService = require("../services/sequence.service");
 
 /**
  * @swagger
@@ -79,6 +80,23 @@ const mongoose = require("mongoose");
  *           type: string
  *           format: date-time
  *           description: When the installation was completed
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When work on the installation started
+ *         completionNotes:
+ *           type: string
+ *           description: Notes recorded by the technician on completion
+ *         cancelledBy:
+ *           type: string
+ *           description: User ID who cancelled the installation
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the installation was cancelled
+ *         cancellationReason:
+ *           type: string
+ *           description: Reason the installation was cancelled
  *         attachments:
  *           type: array
  *           items:
@@ -180,6 +198,24 @@ const installationRequestSchema = new mongoose.Schema(
     completedAt: {
       type: Date,
     },
+    startedAt: {
+      type: Date,
+    },
+    completionNotes: {
+      type: String,
+      trim: true,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    cancellationReason: {
+      type: String,
+      trim: true,
+    },
     attachments: [
       {
         url: {
@@ -213,27 +249,7 @@ installationRequestSchema.pre("save", async function (next) {
   // Only generate a request ID if it doesn't exist yet
   if (!this.requestId) {
     try {
-      const date = new Date();
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, "0");
-      const day = String(date.getDate()).padStart(2, "0");
-      const dateString = `${year}${month}${day}`;
-
-      // Find the latest installation request to generate a sequential number
-      const latestRequest = await this.constructor
-        .findOne({ requestId: { $regex: `INST${dateString}` } })
-        .sort({ requestId: -1 });
-
-      let sequenceNumber = 1;
-      if (latestRequest) {
-        // Extract the numeric part at the end of the requestId
-        const match = latestRequest.requestId.match(/INST\d+(\d{4})/);
-        if (match && match[1]) {
-          sequenceNumber = parseInt(match[1]) + 1;
-        }
-      }
-
-      this.requestId = `INST${dateString}${String(sequenceNumber).padStart(4, "0")}`;
+      this.requestId = await SequenceService.next("installationRequest");
     } catch (error) {
       return next(error);
     }
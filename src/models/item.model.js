@@ -1,6 +1,11 @@
 const mongoose = require("mongoose");
 
+// Stock balance of one condition at one warehouse
 const inventoryStockSchema = new mongoose.Schema({
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Warehouse",
+  },
   condition: {
     type: String,
     enum: ["NEW", "REPARABLE", "REPAIRED"],
@@ -11,6 +16,7 @@ const inventoryStockSchema = new mongoose.Schema({
     default: 0,
     min: 0,
   },
+  // Free-text location from before warehouses; kept for reference only
   location: {
     type: String,
     trim: true,
@@ -28,9 +34,30 @@ const inventoryStockSchema = new mongoose.Schema({
 const inventoryTransactionSchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ["INWARD", "OUTWARD"],
+    enum: ["INWARD", "OUTWARD", "TRANSFER"],
     required: true,
   },
+  // Where stock is added (INWARD) or taken from (OUTWARD, TRANSFER)
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Warehouse",
+  },
+  // TRANSFER only: stock is added here once the transfer is received
+  toWarehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Warehouse",
+  },
+  transferStatus: {
+    type: String,
+    enum: ["IN_TRANSIT", "RECEIVED", "CANCELLED"],
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  receivedAt: {
+    type: Date,
+  },
   condition: {
     type: String,
     enum: ["NEW", "REPARABLE", "REPAIRED"],
@@ -40,6 +67,13 @@ const inventoryTransactionSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  // Serial numbers of the units moved, for items tracked by serial unit
+  serialNumbers: [
+    {
+      type: String,
+      trim: true,
+    },
+  ],
   ticketId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Ticket",
@@ -88,12 +122,35 @@ const itemSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Units of TRANSFER transactions not yet received; not part of quantity
+    inTransitQuantity: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     inventory: [inventoryStockSchema],
     notificationThreshold: {
       type: Number,
       default: 10,
       min: 0,
     },
+    // Per-warehouse low stock levels; notificationThreshold applies to
+    // warehouses without one
+    locationThresholds: [
+      {
+        _id: false,
+        warehouse: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Warehouse",
+          required: true,
+        },
+        threshold: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+      },
+    ],
     price: {
       type: Number,
       default: 0,
@@ -117,6 +174,8 @@ const itemSchema = new mongoose.Schema(
       fileName: String,
       headers: [String],
       data: [mongoose.Schema.Types.Mixed],
+      // ItemFileVersion the sheet was taken from
+      version: Number,
     },
     mainHeaderKey: {
       type: String,
@@ -166,6 +225,8 @@ itemSchema.index({ category: 1 });
 itemSchema.index({ status: 1 });
 itemSchema.index({ mainHeaderKey: 1 });
 itemSchema.index({ "inventory.condition": 1 });
+itemSchema.index({ "inventory.warehouse": 1 });
+itemSchema.index({ "transactions.transferStatus": 1 });
 itemSchema.index({ quantity: 1 });
 
 const PaginationPlugin = require("../plugins/paginate.plugin");
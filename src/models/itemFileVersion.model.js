@@ -0,0 +1,108 @@
+const mongoose = require("mongoose");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ItemFileVersion:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         item:
+ *           type: string
+ *         version:
+ *           type: integer
+ *           description: Starts at 1 and goes up by one per upload or rollback
+ *         fileName:
+ *           type: string
+ *         mode:
+ *           type: string
+ *           enum: [INITIAL, REPLACE, APPEND, UPSERT, ROLLBACK]
+ *           description: How the version was made; INITIAL is the sheet uploaded before versions were kept
+ *         restoredVersion:
+ *           type: integer
+ *           description: ROLLBACK only, the version restored
+ *         uploadedRowCount:
+ *           type: integer
+ *           description: Rows in the uploaded file
+ *         rowCount:
+ *           type: integer
+ *           description: Rows in the item's sheet after this version
+ *         summary:
+ *           type: object
+ *           properties:
+ *             added:
+ *               type: integer
+ *             removed:
+ *               type: integer
+ *             changed:
+ *               type: integer
+ *             unchanged:
+ *               type: integer
+ *             skipped:
+ *               type: integer
+ *         uploadedBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+const itemFileVersionSchema = new mongoose.Schema(
+  {
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Item",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    fileName: {
+      type: String,
+      trim: true,
+    },
+    mode: {
+      type: String,
+      enum: ["INITIAL", "REPLACE", "APPEND", "UPSERT", "ROLLBACK"],
+      required: true,
+    },
+    restoredVersion: {
+      type: Number,
+    },
+    uploadedRowCount: {
+      type: Number,
+      default: 0,
+    },
+    rowCount: {
+      type: Number,
+      default: 0,
+    },
+    summary: {
+      added: { type: Number, default: 0 },
+      removed: { type: Number, default: 0 },
+      changed: { type: Number, default: 0 },
+      unchanged: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+    },
+    // The item's whole sheet as it stood after this version
+    headers: [String],
+    data: [mongoose.Schema.Types.Mixed],
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+itemFileVersionSchema.index({ item: 1, version: -1 }, { unique: true });
+
+const ItemFileVersion = mongoose.model(
+  "ItemFileVersion",
+  itemFileVersionSchema
+);
+
+module.exports = ItemFileVersion;
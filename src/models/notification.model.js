@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         userId:
+ *           type: string
+ *           description: User the notification belongs to
+ *         type:
+ *           type: string
+ *           description: Notification type (e.g. TICKET_ASSIGNED)
+ *         title:
+ *           type: string
+ *         message:
+ *           type: string
+ *         ticketId:
+ *           type: string
+ *           description: Ticket the notification is about, used for grouping
+ *         isRead:
+ *           type: boolean
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    type: {
+      type: String,
+    },
+    title: {
+      type: String,
+      trim: true,
+    },
+    message: {
+      type: String,
+    },
+    ticketId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ticket",
+    },
+    isRead: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ userId: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, ticketId: 1, createdAt: -1 });
+
+const PaginationPlugin = require("../plugins/paginate.plugin");
+PaginationPlugin.enhanceSchema(notificationSchema);
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+module.exports = Notification;
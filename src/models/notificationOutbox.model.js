@@ -0,0 +1,195 @@
+const mongoose = require("mongoose");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NotificationOutbox:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         channel:
+ *           type: string
+ *           enum: [email, whatsapp, sms]
+ *           description: Delivery channel
+ *         to:
+ *           type: string
+ *           description: Email address or mobile number the message goes to
+ *         userId:
+ *           type: string
+ *           description: Recipient user, when the message was sent through notify
+ *         customerId:
+ *           type: string
+ *           description: Recipient customer, for customer-facing ticket updates
+ *         ticketId:
+ *           type: string
+ *           description: Ticket the message is about, if any
+ *         notificationType:
+ *           type: string
+ *           description: Type of notification (e.g. TICKET_ASSIGNED)
+ *         payload:
+ *           type: object
+ *           description: Subject, message and provider data sent to the channel provider. Only the subject is kept once a sensitive message has been attempted.
+ *         sensitive:
+ *           type: boolean
+ *           description: The message carries credentials (a password or reset link); it is attempted once and its content is then removed
+ *         status:
+ *           type: string
+ *           enum: [PENDING, PROCESSING, SENT, FAILED]
+ *           description: Delivery status
+ *         attempts:
+ *           type: number
+ *           description: Number of delivery attempts made
+ *         maxAttempts:
+ *           type: number
+ *           description: Attempts allowed before the message is marked failed
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the worker will next try to deliver the message
+ *         lastError:
+ *           type: string
+ *           description: Error from the most recent failed attempt
+ *         provider:
+ *           type: string
+ *           description: Provider that delivered the message
+ *         messageId:
+ *           type: string
+ *           description: Provider message ID
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *         deliveryLog:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               attemptedAt:
+ *                 type: string
+ *                 format: date-time
+ *               success:
+ *                 type: boolean
+ *               provider:
+ *                 type: string
+ *               messageId:
+ *                 type: string
+ *               error:
+ *                 type: string
+ *           description: One entry per delivery attempt
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the sent or failed message is deleted
+ */
+
+const notificationOutboxSchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      enum: ["email", "whatsapp", "sms"],
+      required: [true, "Channel is required"],
+    },
+    to: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+    },
+    ticketId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ticket",
+    },
+    notificationType: {
+      type: String,
+    },
+    payload: {
+      subject: String,
+      message: String,
+      html: String,
+      attachments: [mongoose.Schema.Types.Mixed],
+      data: mongoose.Schema.Types.Mixed,
+    },
+    sensitive: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ["PENDING", "PROCESSING", "SENT", "FAILED"],
+      default: "PENDING",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+    provider: {
+      type: String,
+    },
+    messageId: {
+      type: String,
+    },
+    sentAt: {
+      type: Date,
+    },
+    deliveryLog: [
+      {
+        _id: false,
+        attemptedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        success: Boolean,
+        provider: String,
+        messageId: String,
+        error: String,
+      },
+    ],
+    retriedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    retriedAt: {
+      type: Date,
+    },
+    // Set once the message is sent or has failed; removed by the TTL index
+    expiresAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+notificationOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationOutboxSchema.index({ userId: 1, createdAt: -1 });
+notificationOutboxSchema.index({ ticketId: 1, createdAt: -1 });
+notificationOutboxSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PaginationPlugin = require("../plugins/paginate.plugin");
+PaginationPlugin.enhanceSchema(notificationOutboxSchema);
+
+const NotificationOutbox = mongoose.model(
+  "NotificationOutbox",
+  notificationOutboxSchema
+);
+
+module.exports = NotificationOutbox;
@@ -19,6 +19,12 @@ const mongoose = require("mongoose");
  *         sms:
  *           type: boolean
  *           description: Whether to send SMS notifications
+ *         inApp:
+ *           type: boolean
+ *           description: Whether to add notifications to the in-app inbox
+ *         language:
+ *           type: string
+ *           description: Language code used to pick notification templates
  *         updatedBy:
  *           type: string
  *           description: ID of user who last updated these preferences
@@ -46,6 +52,16 @@ const notificationPreferenceSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  inApp: {
+    type: Boolean,
+    default: true,
+  },
+  language: {
+    type: String,
+    default: "en",
+    lowercase: true,
+    trim: true,
+  },
   updatedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
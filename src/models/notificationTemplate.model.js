@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NotificationTemplate:
+ *       type: object
+ *       required:
+ *         - event
+ *         - channel
+ *       properties:
+ *         _id:
+ *           type: string
+ *         event:
+ *           type: string
+ *           description: Notification event (e.g. TICKET_ASSIGNED)
+ *         channel:
+ *           type: string
+ *           enum: [email, whatsapp, sms]
+ *         language:
+ *           type: string
+ *           description: Language code. Templates for other languages fall back to "en".
+ *           default: en
+ *         subject:
+ *           type: string
+ *           description: Subject line with placeholders like {{ticket.ticketId}}
+ *         body:
+ *           type: string
+ *           description: Message body with placeholders like {{customer.name}}
+ *         providerTemplate:
+ *           type: string
+ *           description: Template name approved with the WhatsApp provider
+ *         providerParams:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Values for the provider template variables, in order. Placeholders are allowed.
+ *         isActive:
+ *           type: boolean
+ *         createdBy:
+ *           type: string
+ *         updatedBy:
+ *           type: string
+ */
+const notificationTemplateSchema = new mongoose.Schema(
+  {
+    event: {
+      type: String,
+      required: [true, "Event is required"],
+      trim: true,
+    },
+    channel: {
+      type: String,
+      enum: ["email", "whatsapp", "sms"],
+      required: [true, "Channel is required"],
+    },
+    language: {
+      type: String,
+      default: "en",
+      lowercase: true,
+      trim: true,
+    },
+    subject: {
+      type: String,
+      trim: true,
+    },
+    body: {
+      type: String,
+    },
+    providerTemplate: {
+      type: String,
+      trim: true,
+    },
+    providerParams: {
+      type: [String],
+      default: [],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+notificationTemplateSchema.index(
+  { event: 1, channel: 1, language: 1 },
+  { unique: true }
+);
+
+const NotificationTemplate = mongoose.model(
+  "NotificationTemplate",
+  notificationTemplateSchema
+);
+
+module.exports = NotificationTemplate;
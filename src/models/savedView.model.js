@@ -0,0 +1,112 @@
+const mongoose = require("mongoose");
+const { SAVED_VIEW_VISIBILITIES } = require("../config/savedViews");
+
+const listFilter = { type: String, uppercase: true, trim: true };
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SavedView:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The auto-generated ID of the view
+ *         name:
+ *           type: string
+ *           description: Name of the view (unique per user)
+ *         description:
+ *           type: string
+ *         filters:
+ *           type: object
+ *           description: |
+ *             GET /tickets filters. status, priority, category, type and slaStatus are lists; assignedTo can be "me" for the user running the view; createdWithinDays limits tickets to those created in the last N days.
+ *         sort:
+ *           type: string
+ *           description: Sort in the GET /tickets format (e.g. -priority,createdAt)
+ *         columns:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Ticket fields shown as columns, in order
+ *         visibility:
+ *           type: string
+ *           enum: [PRIVATE, ROLE]
+ *           description: PRIVATE views are only visible to their owner; ROLE views are shared with every user of sharedWithRole
+ *         sharedWithRole:
+ *           type: string
+ *           description: Role code the view is shared with
+ *         createdBy:
+ *           type: string
+ *           description: ID of the user who owns the view
+ */
+const savedViewSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "View name is required"],
+      trim: true,
+      maxlength: [100, "View name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    filters: {
+      status: [listFilter],
+      priority: [listFilter],
+      category: [listFilter],
+      // Wrapped, as a bare `type` key would declare the type of `filters`
+      type: { type: [listFilter] },
+      slaStatus: [listFilter],
+      assignedTo: String,
+      itemId: String,
+      problem: String,
+      serialNumber: String,
+      search: String,
+      state: String,
+      city: String,
+      startDate: Date,
+      endDate: Date,
+      createdWithinDays: Number,
+    },
+    sort: {
+      type: String,
+      default: "-createdAt",
+    },
+    columns: {
+      type: [String],
+      default: [],
+    },
+    visibility: {
+      type: String,
+      enum: SAVED_VIEW_VISIBILITIES,
+      default: "PRIVATE",
+    },
+    sharedWithRole: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+savedViewSchema.index({ createdBy: 1, name: 1 }, { unique: true });
+savedViewSchema.index({ visibility: 1, sharedWithRole: 1 });
+
+const SavedView = mongoose.model("SavedView", savedViewSchema);
+
+module.exports = SavedView;
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SerialMetadata:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         item:
+ *           type: string
+ *           description: Item whose uploaded sheet lists the serial number
+ *         serialNumber:
+ *           type: string
+ *           description: Serial number as written in the sheet
+ *         metadata:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           description: The sheet row, keyed by column header
+ *         fileName:
+ *           type: string
+ *         rowNumber:
+ *           type: integer
+ *           description: Row of the sheet the serial number was read from
+ */
+const serialMetadataSchema = new mongoose.Schema(
+  {
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Item",
+      required: true,
+    },
+    serialNumber: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Upper-cased serial number, used for exact and prefix lookup
+    key: {
+      type: String,
+      required: true,
+    },
+    metadata: {
+      type: Map,
+      of: String,
+    },
+    fileName: {
+      type: String,
+    },
+    rowNumber: {
+      type: Number,
+    },
+  },
+  { timestamps: true }
+);
+
+serialMetadataSchema.index({ item: 1, key: 1 }, { unique: true });
+serialMetadataSchema.index({ key: 1 });
+
+const PaginationPlugin = require("../plugins/paginate.plugin");
+PaginationPlugin.enhanceSchema(serialMetadataSchema);
+
+const SerialMetadata = mongoose.model("SerialMetadata", serialMetadataSchema);
+
+module.exports = SerialMetadata;
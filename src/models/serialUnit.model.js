@@ -0,0 +1,153 @@
+const mongoose = require("mongoose");
+const { SERIAL_UNIT_STATUSES } = require("../config/serialUnits");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SerialUnit:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         serialNumber:
+ *           type: string
+ *         item:
+ *           type: string
+ *           description: Item ID
+ *         status:
+ *           type: string
+ *           enum: [IN_STOCK, IN_TRANSIT, DISPATCHED, AT_CUSTOMER, IN_REPAIR, SCRAPPED]
+ *         condition:
+ *           type: string
+ *           enum: [NEW, REPARABLE, REPAIRED]
+ *         warehouse:
+ *           type: string
+ *           description: Warehouse holding the unit, or receiving it while in transit
+ *         customer:
+ *           type: string
+ *           description: Customer the unit was last dispatched to
+ *         tickets:
+ *           type: array
+ *           items:
+ *             type: string
+ *         transactions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: IDs of the item's inventory transactions that moved the unit
+ *         events:
+ *           type: array
+ *           description: The unit's lifecycle, oldest first
+ *           items:
+ *             type: object
+ */
+const serialUnitEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: [
+      "REGISTERED",
+      "INWARD",
+      "OUTWARD",
+      "TRANSFER_SENT",
+      "TRANSFER_RECEIVED",
+      "TRANSFER_CANCELLED",
+      "STATUS_CHANGED",
+      "TICKET_OPENED",
+    ],
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: SERIAL_UNIT_STATUSES,
+  },
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Warehouse",
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+  },
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Ticket",
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  performedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const serialUnitSchema = new mongoose.Schema(
+  {
+    serialNumber: {
+      type: String,
+      required: [true, "Serial number is required"],
+      trim: true,
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Item",
+      required: [true, "Item is required"],
+    },
+    status: {
+      type: String,
+      enum: SERIAL_UNIT_STATUSES,
+      default: "IN_STOCK",
+    },
+    condition: {
+      type: String,
+      enum: ["NEW", "REPARABLE", "REPAIRED"],
+      default: "NEW",
+    },
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+    },
+    tickets: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Ticket",
+      },
+    ],
+    transactions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+    ],
+    events: [serialUnitEventSchema],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+serialUnitSchema.index({ item: 1, serialNumber: 1 }, { unique: true });
+serialUnitSchema.index({ serialNumber: 1 });
+serialUnitSchema.index({ item: 1, warehouse: 1, status: 1, condition: 1 });
+serialUnitSchema.index({ customer: 1 });
+
+const PaginationPlugin = require("../plugins/paginate.plugin");
+PaginationPlugin.enhanceSchema(serialUnitSchema);
+
+const SerialUnit = mongoose.model("SerialUnit", serialUnitSchema);
+
+module.exports = SerialUnit;
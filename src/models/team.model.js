@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Team:
+ *       type: object
+ *       required:
+ *         - name
+ *         - manager
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The auto-generated ID of the team
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         manager:
+ *           type: string
+ *           description: User ID of the support manager who runs the team
+ *         members:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: User IDs of the team's engineers
+ *         isActive:
+ *           type: boolean
+ *           description: Inactive teams take no new tickets into their queue
+ */
+const teamSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Team name is required"],
+      trim: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    manager: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Team manager is required"],
+    },
+    members: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+teamSchema.index({ manager: 1 });
+teamSchema.index({ members: 1 });
+
+const Team = mongoose.model("Team", teamSchema);
+
+module.exports = Team;
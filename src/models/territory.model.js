@@ -0,0 +1,163 @@
+const mongoose = require("mongoose");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Territory:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The auto-generated ID of the territory
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         isActive:
+ *           type: boolean
+ *           description: Inactive territories are not used for routing or reports
+ *         pincodeRanges:
+ *           type: array
+ *           description: Inclusive 6-digit pincode ranges; use the same value for a single pincode
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 example: "141001"
+ *               to:
+ *                 type: string
+ *                 example: "141016"
+ *         cities:
+ *           type: array
+ *           description: Cities covered; state narrows a city name shared by several states
+ *           items:
+ *             type: object
+ *             properties:
+ *               city:
+ *                 type: string
+ *                 example: LUDHIANA
+ *               state:
+ *                 type: string
+ *                 example: PUNJAB
+ *         engineers:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Users who serve this territory
+ *         teams:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Teams whose members serve this territory while the team is active
+ */
+const territorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Territory name is required"],
+      trim: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    pincodeRanges: [
+      {
+        _id: false,
+        from: {
+          type: String,
+          required: [true, "Range start pincode is required"],
+          trim: true,
+        },
+        to: {
+          type: String,
+          required: [true, "Range end pincode is required"],
+          trim: true,
+        },
+      },
+    ],
+    cities: [
+      {
+        _id: false,
+        city: {
+          type: String,
+          required: [true, "City is required"],
+          uppercase: true,
+          trim: true,
+        },
+        state: {
+          type: String,
+          uppercase: true,
+          trim: true,
+        },
+      },
+    ],
+    engineers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    teams: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Team",
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+territorySchema.index({ engineers: 1 });
+territorySchema.index({ teams: 1 });
+
+/**
+ * Check whether the territory covers a customer location
+ * @param {Object} location - state, city and pincode
+ * @returns {Boolean}
+ */
+territorySchema.methods.covers = function (location = {}) {
+  const pincode = String(location.pincode || "").trim();
+  if (/^\d{6}$/.test(pincode)) {
+    const value = Number(pincode);
+    const inRange = this.pincodeRanges.some(
+      (range) => Number(range.from) <= value && value <= Number(range.to)
+    );
+    if (inRange) return true;
+  }
+
+  const city = String(location.city || "")
+    .trim()
+    .toUpperCase();
+  const state = String(location.state || "")
+    .trim()
+    .toUpperCase();
+
+  return (
+    city !== "" &&
+    this.cities.some(
+      (entry) => entry.city === city && (!entry.state || entry.state === state)
+    )
+  );
+};
+
+const Territory = mongoose.model("Territory", territorySchema);
+
+module.exports = Territory;
@@ -1,4 +1,7 @@
 const mongoose = require("mongoose");
+const SequenceService = require("../services/sequence.service");
+const { buildSearchKeywords } = require("../utils/search.utils");
+const { CLOSED_TICKET_STATUSES } = require("../config/ticketWorkflow");
 
 const ticketSchema = new mongoose.Schema(
   {
@@ -97,6 +100,11 @@ const ticketSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Team queue the ticket sits in; an individual can be assigned later
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Team",
+    },
     assignedTo: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -108,26 +116,6 @@ const ticketSchema = new mongoose.Schema(
     assignedAt: {
       type: Date,
     },
-    // Track assignment history
-    assignmentHistory: [
-      {
-        assignedTo: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: "User",
-          required: true,
-        },
-        assignedBy: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: "User",
-          required: true,
-        },
-        assignedAt: {
-          type: Date,
-          default: Date.now,
-        },
-        notes: String,
-      },
-    ],
     approvedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -152,131 +140,59 @@ const ticketSchema = new mongoose.Schema(
     dueDate: {
       type: Date,
     },
-    photos: [
-      {
-        url: {
-          type: String,
-          required: true,
-        },
-        caption: {
-          type: String,
-        },
-        uploadedBy: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: "User",
-        },
-        uploadedAt: {
-          type: Date,
-          default: Date.now,
-        },
+    // SLA targets and breach state, set from the matching SLA policy
+    sla: {
+      firstResponseDueAt: {
+        type: Date,
       },
-    ],
-    attachments: [
-      {
-        url: {
-          type: String,
-          required: true,
-        },
-        filename: {
-          type: String,
-          required: true,
-        },
-        mimeType: {
-          type: String,
-        },
-        size: {
-          type: Number,
-        },
-        uploadedBy: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: "User",
-        },
-        uploadedAt: {
-          type: Date,
-          default: Date.now,
-        },
+      resolutionDueAt: {
+        type: Date,
       },
-    ],
-    comments: [
-      {
-        comment: {
-          type: String,
-          required: true,
-        },
-        createdBy: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: "User",
-          required: true,
-        },
-        createdAt: {
-          type: Date,
-          default: Date.now,
-        },
-        isInternal: {
-          type: Boolean,
-          default: false,
-        },
-        attachments: [
-          {
-            url: {
-              type: String,
-              required: true,
-            },
-            filename: {
-              type: String,
-              required: true,
-            },
-          },
-        ],
+      atRiskAt: {
+        type: Date,
       },
-    ],
+      firstRespondedAt: {
+        type: Date,
+      },
+      resolvedAt: {
+        type: Date,
+      },
+      status: {
+        type: String,
+        enum: ["ON_TRACK", "AT_RISK", "BREACHED", "MET"],
+      },
+      firstResponseBreached: {
+        type: Boolean,
+        default: false,
+      },
+      resolutionBreached: {
+        type: Boolean,
+        default: false,
+      },
+      breachedAt: {
+        type: Date,
+      },
+      escalationLevel: {
+        type: Number,
+        default: 0,
+      },
+      escalatedAt: {
+        type: Date,
+      },
+      escalatedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
     modelNumber: {
       type: String,
       trim: true,
     },
-    // Track all changes made to the ticket
-    history: [
-      {
-        action: {
-          type: String,
-          enum: [
-            "CREATED",
-            "UPDATED",
-            "STATUS_CHANGED",
-            "ASSIGNED",
-            "COMMENT_ADDED",
-            "ATTACHMENT_ADDED",
-            "ATTACHMENT_REMOVED",
-            "DELETED",
-          ],
-          required: true,
-        },
-        performedBy: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: "User",
-          required: true,
-        },
-        timestamp: {
-          type: Date,
-          default: Date.now,
-        },
-        comment: {
-          type: String,
-          required: true,
-        },
-        changes: {
-          type: Object,
-          default: {},
-        },
-        fieldChanges: [
-          {
-            field: String,
-            oldValue: mongoose.Schema.Types.Mixed,
-            newValue: mongoose.Schema.Types.Mixed,
-          },
-        ],
-      },
-    ],
+    // Fragments of the ticket, serial and model numbers, used by search
+    searchKeywords: {
+      type: [String],
+      select: false,
+    },
     problems: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -290,57 +206,28 @@ const ticketSchema = new mongoose.Schema(
 ticketSchema.pre("save", async function (next) {
   if (!this.ticketId) {
     try {
-      const date = new Date();
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, "0");
-      const day = String(date.getDate()).padStart(2, "0");
-      const dateString = `${year}${month}${day}`;
-
-      const latestTicket = await this.constructor
-        .findOne({ ticketId: { $regex: `TKT${dateString}` } })
-        .sort({ ticketId: -1 });
-
-      let sequenceNumber = 1;
-      if (latestTicket) {
-        const match = latestTicket.ticketId.match(/TKT\d+(\d{4})/);
-        if (match && match[1]) {
-          sequenceNumber = parseInt(match[1]) + 1;
-        }
-      }
-
-      this.ticketId = `TKT${dateString}${String(sequenceNumber).padStart(4, "0")}`;
+      this.ticketId = await SequenceService.next("ticket");
     } catch (error) {
       return next(error);
     }
   }
 
-  // Validate required attachments
-  if (this.attachments && this.attachments.length > 0) {
-    for (const attachment of this.attachments) {
-      if (!attachment.url) {
-        return next(new Error("Attachment URL is required"));
-      }
-      if (!attachment.filename) {
-        return next(new Error("Attachment filename is required"));
-      }
-    }
-  }
-
   // Validate required customer
   if (!this.customerId) {
     return next(new Error("Customer is required for all tickets"));
   }
 
-  // Set the uploadedBy field for attachments if not set
-  if (this.isNew || this.isModified("attachments")) {
-    this.attachments.forEach((attachment) => {
-      if (!attachment.uploadedBy) {
-        attachment.uploadedBy = this.createdBy;
-      }
-      if (!attachment.uploadedAt) {
-        attachment.uploadedAt = new Date();
-      }
-    });
+  if (
+    this.isNew ||
+    this.isModified("ticketId") ||
+    this.isModified("serialNumber") ||
+    this.isModified("modelNumber")
+  ) {
+    this.searchKeywords = buildSearchKeywords([
+      this.ticketId,
+      this.serialNumber,
+      this.modelNumber,
+    ]);
   }
 
   // If the status is being changed to RESOLVED, set resolvedBy and resolvedAt
@@ -359,6 +246,26 @@ ticketSchema.pre("save", async function (next) {
     this.closedAt = new Date();
   }
 
+  // Stop or restart the SLA resolution clock when the ticket is closed or reopened
+  if (this.isModified("status") && this.sla && this.sla.status) {
+    const closedStatuses = ["RESOLVED", "CLOSED", "CLOSED_BY_CUSTOMER"];
+
+    if (closedStatuses.includes(this.status) && !this.sla.resolvedAt) {
+      this.sla.resolvedAt = new Date();
+      if (this.sla.status !== "BREACHED") {
+        this.sla.status = "MET";
+      }
+    } else if (!closedStatuses.includes(this.status) && this.sla.resolvedAt) {
+      this.sla.resolvedAt = undefined;
+      if (this.sla.status === "MET") {
+        this.sla.status =
+          this.sla.atRiskAt && this.sla.atRiskAt <= new Date()
+            ? "AT_RISK"
+            : "ON_TRACK";
+      }
+    }
+  }
+
   next();
 });
 
@@ -411,6 +318,7 @@ ticketSchema.pre("remove", async function (next) {
 
 ticketSchema.index({ status: 1 });
 ticketSchema.index({ assignedTo: 1 });
+ticketSchema.index({ team: 1, assignedTo: 1 });
 ticketSchema.index({ createdBy: 1 });
 ticketSchema.index({ priority: 1 });
 ticketSchema.index({ category: 1 });
@@ -421,6 +329,28 @@ ticketSchema.index({ serialNumber: 1 });
 ticketSchema.index({ customerId: 1 });
 ticketSchema.index({ type: 1 });
 ticketSchema.index({ problems: 1 });
+ticketSchema.index({ "sla.status": 1, status: 1 });
+ticketSchema.index({ "sla.resolutionDueAt": 1 });
+ticketSchema.index({ searchKeywords: 1 });
+ticketSchema.index(
+  {
+    ticketId: "text",
+    serialNumber: "text",
+    modelNumber: "text",
+    title: "text",
+    description: "text",
+  },
+  {
+    name: "ticket_text_search",
+    weights: {
+      ticketId: 10,
+      serialNumber: 10,
+      modelNumber: 6,
+      title: 4,
+      description: 1,
+    },
+  }
+);
 
 ticketSchema.virtual("ageInDays").get(function () {
   return Math.ceil(
@@ -435,65 +365,19 @@ ticketSchema.virtual("timeInCurrentAssignment").get(function () {
   );
 });
 
-// Method to add an attachment to a ticket
-ticketSchema.methods.addAttachment = async function (attachment, userId) {
-  if (!attachment.url || !attachment.filename) {
-    throw new Error("Attachment must have URL and filename");
-  }
-
-  const formattedAttachment = {
-    ...attachment,
-    uploadedBy: userId || this.createdBy,
-    uploadedAt: new Date(),
-  };
-
-  this.attachments.push(formattedAttachment);
-  return this.save();
-};
-
-// Method to remove an attachment
-ticketSchema.methods.removeAttachment = async function (attachmentId) {
-  const index = this.attachments.findIndex(
-    (a) => a._id.toString() === attachmentId
-  );
-  if (index === -1) {
-    throw new Error("Attachment not found");
-  }
-
-  this.attachments.splice(index, 1);
-  return this.save();
-};
-
-// Method to extract metadata from item Excel data based on serial number
+// Copy the sheet row of the ticket's serial number from the serial registry
 ticketSchema.methods.extractItemMetadata = async function () {
   if (!this.itemId || !this.serialNumber) return;
 
-  const Item = mongoose.model("Item");
-  const item = await Item.findById(this.itemId);
-
-  if (!item || !item.uploadedFile || !item.uploadedFile.serialNumberColumn)
-    return;
-
-  const headers = item.uploadedFile.headers;
-  const serialNumberIdx = headers.indexOf(item.uploadedFile.serialNumberColumn);
+  const SerialMetadata = mongoose.model("SerialMetadata");
+  const entry = await SerialMetadata.findOne({
+    item: this.itemId,
+    key: this.serialNumber.trim().toUpperCase(),
+  }).select("metadata");
 
-  if (serialNumberIdx === -1) return;
+  if (!entry || !entry.metadata) return;
 
-  const matchingRow = item.uploadedFile.data.find(
-    (row) =>
-      row[serialNumberIdx] &&
-      row[serialNumberIdx].toString() === this.serialNumber
-  );
-
-  if (!matchingRow) return;
-
-  const metadata = new Map();
-
-  headers.forEach((header, idx) => {
-    if (matchingRow[idx] !== undefined && matchingRow[idx] !== null) {
-      metadata.set(header, matchingRow[idx].toString());
-    }
-  });
+  const metadata = new Map(entry.metadata);
 
   this.itemMetadata = metadata;
   return metadata;
@@ -563,6 +447,21 @@ ticketSchema.statics.getStatusCounts = async function (filters = {}) {
   ]);
 };
 
+// Get unresolved ticket counts for the given assignees, keyed by user ID
+ticketSchema.statics.getOpenCountsByAssignee = async function (userIds) {
+  const counts = await this.aggregate([
+    {
+      $match: {
+        assignedTo: { $in: userIds },
+        status: { $nin: CLOSED_TICKET_STATUSES },
+      },
+    },
+    { $group: { _id: "$assignedTo", count: { $sum: 1 } } },
+  ]);
+
+  return new Map(counts.map((entry) => [entry._id.toString(), entry.count]));
+};
+
 // Get ticket counts by customer for reporting
 ticketSchema.statics.getCustomerCounts = async function (limit = 10) {
   return this.aggregate([
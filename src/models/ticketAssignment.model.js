@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TicketAssignment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         ticketId:
+ *           type: string
+ *           description: Ticket that was assigned
+ *         assignedTo:
+ *           type: string
+ *         assignedBy:
+ *           type: string
+ *         assignedAt:
+ *           type: string
+ *           format: date-time
+ *         notes:
+ *           type: string
+ */
+const ticketAssignmentSchema = new mongoose.Schema({
+  ticketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Ticket",
+    required: [true, "Ticket is required"],
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  assignedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  notes: String,
+});
+
+ticketAssignmentSchema.index({ ticketId: 1, assignedAt: -1 });
+
+const TicketAssignment = mongoose.model(
+  "TicketAssignment",
+  ticketAssignmentSchema
+);
+
+module.exports = TicketAssignment;
@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TicketAttachment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         ticketId:
+ *           type: string
+ *           description: Ticket the file belongs to
+ *         kind:
+ *           type: string
+ *           enum: [ATTACHMENT, PHOTO]
+ *         url:
+ *           type: string
+ *         filename:
+ *           type: string
+ *         caption:
+ *           type: string
+ *           description: Photo caption
+ *         mimeType:
+ *           type: string
+ *         size:
+ *           type: number
+ *         uploadedBy:
+ *           type: string
+ *         uploadedAt:
+ *           type: string
+ *           format: date-time
+ */
+const ticketAttachmentSchema = new mongoose.Schema({
+  ticketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Ticket",
+    required: [true, "Ticket is required"],
+  },
+  // Photos and file attachments share the collection
+  kind: {
+    type: String,
+    enum: ["ATTACHMENT", "PHOTO"],
+    default: "ATTACHMENT",
+  },
+  url: {
+    type: String,
+    required: [true, "Attachment URL is required"],
+  },
+  filename: {
+    type: String,
+    required: [
+      function () {
+        return this.kind === "ATTACHMENT";
+      },
+      "Attachment filename is required",
+    ],
+  },
+  caption: {
+    type: String,
+  },
+  mimeType: {
+    type: String,
+  },
+  size: {
+    type: Number,
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ticketAttachmentSchema.index({ ticketId: 1, kind: 1, uploadedAt: -1 });
+
+const PaginationPlugin = require("../plugins/paginate.plugin");
+PaginationPlugin.enhanceSchema(ticketAttachmentSchema);
+
+const TicketAttachment = mongoose.model(
+  "TicketAttachment",
+  ticketAttachmentSchema
+);
+
+module.exports = TicketAttachment;
@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TicketComment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         ticketId:
+ *           type: string
+ *           description: Ticket the comment belongs to
+ *         comment:
+ *           type: string
+ *         createdBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         isInternal:
+ *           type: boolean
+ *           description: Internal comments are only visible to staff
+ *         attachments:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               filename:
+ *                 type: string
+ */
+const ticketCommentSchema = new mongoose.Schema({
+  ticketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Ticket",
+    required: [true, "Ticket is required"],
+  },
+  comment: {
+    type: String,
+    required: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  isInternal: {
+    type: Boolean,
+    default: false,
+  },
+  attachments: [
+    {
+      url: {
+        type: String,
+        required: true,
+      },
+      filename: {
+        type: String,
+        required: true,
+      },
+    },
+  ],
+});
+
+ticketCommentSchema.index({ ticketId: 1, createdAt: -1 });
+ticketCommentSchema.index({ comment: "text" });
+
+const PaginationPlugin = require("../plugins/paginate.plugin");
+PaginationPlugin.enhanceSchema(ticketCommentSchema);
+
+const TicketComment = mongoose.model("TicketComment", ticketCommentSchema);
+
+module.exports = TicketComment;
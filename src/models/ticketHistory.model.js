@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TicketHistory:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         ticketId:
+ *           type: string
+ *           description: Ticket the entry belongs to
+ *         action:
+ *           type: string
+ *           enum: [CREATED, UPDATED, STATUS_CHANGED, ASSIGNED, COMMENT_ADDED, ATTACHMENT_ADDED, ATTACHMENT_REMOVED, DELETED, CUSTOMER_NOTIFIED]
+ *         performedBy:
+ *           type: string
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *         comment:
+ *           type: string
+ *         changes:
+ *           type: object
+ *         fieldChanges:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               oldValue: {}
+ *               newValue: {}
+ */
+const ticketHistorySchema = new mongoose.Schema({
+  ticketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Ticket",
+    required: [true, "Ticket is required"],
+  },
+  action: {
+    type: String,
+    enum: [
+      "CREATED",
+      "UPDATED",
+      "STATUS_CHANGED",
+      "ASSIGNED",
+      "COMMENT_ADDED",
+      "ATTACHMENT_ADDED",
+      "ATTACHMENT_REMOVED",
+      "DELETED",
+      "CUSTOMER_NOTIFIED",
+    ],
+    required: true,
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+  comment: {
+    type: String,
+    required: true,
+  },
+  changes: {
+    type: Object,
+    default: {},
+  },
+  fieldChanges: [
+    {
+      field: String,
+      oldValue: mongoose.Schema.Types.Mixed,
+      newValue: mongoose.Schema.Types.Mixed,
+    },
+  ],
+});
+
+ticketHistorySchema.index({ ticketId: 1, timestamp: -1 });
+
+const PaginationPlugin = require("../plugins/paginate.plugin");
+PaginationPlugin.enhanceSchema(ticketHistorySchema);
+
+const TicketHistory = mongoose.model("TicketHistory", ticketHistorySchema);
+
+module.exports = TicketHistory;
@@ -1,4 +1,10 @@
 const mongoose = require("mongoose");
+const { DEFAULT_STATUS_TRANSITIONS } = require("../config/ticketWorkflow");
+const {
+  DEFAULT_SLA_POLICIES,
+  DEFAULT_SLA_AT_RISK_PERCENT,
+} = require("../config/sla");
+const { AVAILABILITY_CHECK_MODES } = require("../config/availability");
 
 /**
  * @swagger
@@ -18,6 +24,10 @@ const mongoose = require("mongoose");
  *         defaultAssignToSupportManager:
  *           type: boolean
  *           description: Auto-assign new tickets to support managers
+ *         assignmentAvailabilityCheck:
+ *           type: string
+ *           enum: [OFF, WARN, BLOCK]
+ *           description: Whether assigning to an engineer on leave or at capacity is allowed, warned about or refused
  *         defaultDueDateDays:
  *           type: number
  *           description: Default number of days to set due date from creation
@@ -42,6 +52,37 @@ const mongoose = require("mongoose");
  *         reopenWindowDays:
  *           type: number
  *           description: Number of days a closed ticket can be reopened
+ *         statusTransitions:
+ *           type: object
+ *           additionalProperties:
+ *             type: object
+ *             additionalProperties:
+ *               type: array
+ *               items:
+ *                 type: string
+ *           description: Allowed status moves per role code (DEFAULT applies to roles without an entry)
+ *         slaEnabled:
+ *           type: boolean
+ *           description: Track SLA targets and run breach escalations
+ *         slaAtRiskPercent:
+ *           type: number
+ *           description: Percentage of the resolution window after which a ticket is flagged at risk
+ *         slaPolicies:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               priority:
+ *                 type: string
+ *                 enum: [LOW, MEDIUM, HIGH, CRITICAL]
+ *               ticketType:
+ *                 type: string
+ *                 description: Optional ticket type this policy is limited to
+ *               firstResponseHours:
+ *                 type: number
+ *               resolutionHours:
+ *                 type: number
+ *           description: First response and resolution targets per priority and ticket type
  *         updatedBy:
  *           type: string
  *           description: User ID who last updated the settings
@@ -76,6 +117,12 @@ const ticketSettingsSchema = new mongoose.Schema(
       default: false,
       description: "Auto-assign new tickets to support managers",
     },
+    assignmentAvailabilityCheck: {
+      type: String,
+      enum: AVAILABILITY_CHECK_MODES,
+      default: "WARN",
+      description: "Handling of assignments to unavailable engineers",
+    },
     defaultDueDateDays: {
       type: Number,
       default: 7,
@@ -101,6 +148,50 @@ const ticketSettingsSchema = new mongoose.Schema(
       default: 30,
       description: "Number of days a closed ticket can be reopened",
     },
+    statusTransitions: {
+      type: Object,
+      default: () => JSON.parse(JSON.stringify(DEFAULT_STATUS_TRANSITIONS)),
+      description: "Allowed status moves per role code",
+    },
+    slaEnabled: {
+      type: Boolean,
+      default: true,
+      description: "Track SLA targets and run breach escalations",
+    },
+    slaAtRiskPercent: {
+      type: Number,
+      default: DEFAULT_SLA_AT_RISK_PERCENT,
+      min: 1,
+      max: 100,
+      description: "Percentage of the resolution window before at-risk",
+    },
+    slaPolicies: {
+      type: [
+        {
+          _id: false,
+          priority: {
+            type: String,
+            enum: ["LOW", "MEDIUM", "HIGH", "CRITICAL"],
+            required: true,
+          },
+          ticketType: {
+            type: String,
+          },
+          firstResponseHours: {
+            type: Number,
+            required: true,
+            min: 0,
+          },
+          resolutionHours: {
+            type: Number,
+            required: true,
+            min: 0,
+          },
+        },
+      ],
+      default: () => DEFAULT_SLA_POLICIES.map((policy) => ({ ...policy })),
+      description: "SLA targets per priority and ticket type",
+    },
     updatedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
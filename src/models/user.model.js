@@ -43,6 +43,50 @@ const bcrypt = require("bcryptjs");
  *         remark:
  *           type: string
  *           description: Additional remarks about the user
+ *         reportsTo:
+ *           type: string
+ *           description: User ID of this user's manager, used for SLA escalations
+ *         skills:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Skill tags (e.g. PANEL, INSTALLATION) used by assignment rules
+ *         territories:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Territory tags - states, cities or pincodes the user covers - used by assignment rules
+ *         availability:
+ *           type: object
+ *           description: Working days, capacity and leave, checked when tickets are assigned
+ *           properties:
+ *             workingDays:
+ *               type: array
+ *               items:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 6
+ *               description: Days of the week worked (0 = Sunday). Empty follows the business calendar.
+ *             maxOpenTickets:
+ *               type: number
+ *               description: Most unresolved tickets the user can hold at once. Unset means no limit.
+ *             leaves:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   startDate:
+ *                     type: string
+ *                     format: date
+ *                   endDate:
+ *                     type: string
+ *                     format: date
+ *                   reason:
+ *                     type: string
+ *                   createdBy:
+ *                     type: string
  *         createdBy:
  *           type: string
  *           description: User ID who created this user
@@ -100,6 +144,43 @@ const userSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    skills: [{ type: String, uppercase: true, trim: true }],
+    territories: [{ type: String, uppercase: true, trim: true }],
+    availability: {
+      workingDays: [{ type: Number, min: 0, max: 6 }],
+      maxOpenTickets: {
+        type: Number,
+        min: [1, "Maximum open tickets must be at least 1"],
+      },
+      leaves: [
+        {
+          startDate: {
+            type: Date,
+            required: [true, "Leave start date is required"],
+          },
+          endDate: {
+            type: Date,
+            required: [true, "Leave end date is required"],
+          },
+          reason: {
+            type: String,
+            trim: true,
+          },
+          createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+          createdAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+    },
+    reportsTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
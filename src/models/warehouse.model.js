@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Warehouse:
+ *       type: object
+ *       required:
+ *         - name
+ *         - code
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The auto-generated ID of the warehouse
+ *         name:
+ *           type: string
+ *         code:
+ *           type: string
+ *           description: Short unique code, stored in upper case
+ *         address:
+ *           type: string
+ *         city:
+ *           type: string
+ *         state:
+ *           type: string
+ *         pincode:
+ *           type: string
+ *         isActive:
+ *           type: boolean
+ *           description: Inactive warehouses take part in no new transactions
+ */
+const warehouseSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Warehouse name is required"],
+      trim: true,
+      unique: true,
+    },
+    code: {
+      type: String,
+      required: [true, "Warehouse code is required"],
+      trim: true,
+      uppercase: true,
+      unique: true,
+    },
+    address: {
+      type: String,
+      trim: true,
+    },
+    city: {
+      type: String,
+      trim: true,
+    },
+    state: {
+      type: String,
+      trim: true,
+    },
+    pincode: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+const Warehouse = mongoose.model("Warehouse", warehouseSchema);
+
+module.exports = Warehouse;
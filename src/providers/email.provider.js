@@ -0,0 +1,48 @@
+const { Resend } = require("resend");
+const config = require("../config/config");
+
+let resend;
+
+/**
+ * Email channel provider backed by Resend
+ */
+const emailProvider = {
+  channel: "email",
+  name: "resend",
+
+  /**
+   * Send an email
+   * @param {Object} params - to, subject, message, html, attachments
+   * @returns {Promise<Object>} - { success, messageId }
+   */
+  async send({ to, subject, message, html, attachments }) {
+    if (!resend) {
+      resend = new Resend(config.email.resendApiKey);
+    }
+
+    const response = await resend.emails.send({
+      from: `Nextview Kavach <${config.email.from}>`,
+      to: Array.isArray(to) ? to : [to],
+      subject: subject,
+      text: message,
+      html: html,
+      attachments: attachments,
+      headers: {
+        Importance: "high",
+        Priority: "urgent",
+        "X-Priority": "1",
+      },
+    });
+
+    if (response.error) {
+      throw new Error(response.error.message || "Email sending failed");
+    }
+
+    return {
+      success: true,
+      messageId: response.data?.id,
+    };
+  },
+};
+
+module.exports = emailProvider;
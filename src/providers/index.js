@@ -0,0 +1,55 @@
+const config = require("../config/config");
+const emailProvider = require("./email.provider");
+const whatsappProvider = require("./whatsapp.provider");
+const smsProvider = require("./sms.provider");
+const { createMockProvider } = require("./mock.provider");
+
+const providers = {};
+
+/**
+ * Register (or replace) the provider for a channel
+ * @param {Object} provider - Object with `channel`, `name` and async `send`
+ */
+const registerProvider = (provider) => {
+  if (!provider || !provider.channel || typeof provider.send !== "function") {
+    throw new Error("A provider needs a channel and a send function");
+  }
+
+  providers[provider.channel] = provider;
+};
+
+const useMockProviders = () =>
+  config.notifications.provider === "mock" || config.app.env === "test";
+
+/**
+ * Get the provider for a channel
+ * @param {String} channel - Channel name
+ * @returns {Object|null} - Provider
+ */
+const getProvider = (channel) => {
+  if (useMockProviders()) {
+    return createMockProvider(channel);
+  }
+
+  return providers[channel] || null;
+};
+
+/**
+ * List registered channels and their provider names
+ * @returns {Array}
+ */
+const listProviders = () =>
+  Object.values(providers).map((provider) => ({
+    channel: provider.channel,
+    name: useMockProviders() ? "mock" : provider.name,
+  }));
+
+registerProvider(emailProvider);
+registerProvider(whatsappProvider);
+registerProvider(smsProvider);
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+};
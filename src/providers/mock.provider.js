@@ -0,0 +1,61 @@
+/**
+ * In-memory provider that records messages instead of sending them.
+ * Used for every channel when NOTIFICATION_PROVIDER=mock or NODE_ENV=test.
+ */
+const sentMessages = [];
+let failingChannels = [];
+
+/**
+ * Create a mock provider for a channel
+ * @param {String} channel - Channel name
+ * @returns {Object} - Provider
+ */
+const createMockProvider = (channel) => ({
+  channel,
+  name: "mock",
+
+  async send(params) {
+    if (failingChannels.includes(channel)) {
+      throw new Error(`Mock ${channel} provider failure`);
+    }
+
+    const record = {
+      channel,
+      ...params,
+      messageId: `mock-${channel}-${sentMessages.length + 1}`,
+      sentAt: new Date(),
+    };
+
+    sentMessages.push(record);
+
+    return {
+      success: true,
+      messageId: record.messageId,
+    };
+  },
+});
+
+module.exports = {
+  createMockProvider,
+
+  /**
+   * Messages recorded so far, optionally for a single channel
+   */
+  getSentMessages: (channel) =>
+    channel ? sentMessages.filter((m) => m.channel === channel) : sentMessages,
+
+  /**
+   * Make sends on the given channels fail, to exercise error handling
+   */
+  failChannels: (channels = []) => {
+    failingChannels = channels;
+  },
+
+  /**
+   * Clear recorded messages and simulated failures
+   */
+  reset: () => {
+    sentMessages.length = 0;
+    failingChannels = [];
+  },
+};
@@ -0,0 +1,31 @@
+const { sendSms } = require("../utils/sms.utils");
+
+/**
+ * SMS channel provider backed by the configured HTTP SMS gateway
+ */
+const smsProvider = {
+  channel: "sms",
+  name: "http-gateway",
+
+  /**
+   * Send an SMS
+   * @param {Object} params - to, message, data
+   * @returns {Promise<Object>} - { success, messageId, response }
+   */
+  async send({ to, message, data = {} }) {
+    const response = await sendSms({
+      mobileNo: to,
+      countryCode: data.countryCode || "+91",
+      message: data.text || message,
+      templateId: data.templateId,
+    });
+
+    return {
+      success: true,
+      messageId: response?.messageId || response?.id,
+      response,
+    };
+  },
+};
+
+module.exports = smsProvider;
@@ -0,0 +1,48 @@
+const config = require("../config/config");
+const { sendWhatsAppMessage } = require("../utils/whatsapp.utils");
+
+/**
+ * WhatsApp channel provider backed by the onlywp.in template API.
+ * Messages are sent with `data.templateName` and `data.text1`-`data.text5`;
+ * without a template the configured default template is used with the
+ * subject and message as its first two variables.
+ */
+const whatsappProvider = {
+  channel: "whatsapp",
+  name: "onlywp",
+
+  /**
+   * Send a WhatsApp template message
+   * @param {Object} params - to, subject, message, data
+   * @returns {Promise<Object>} - { success, response }
+   */
+  async send({ to, subject, message, data = {} }) {
+    const templateName = data.templateName || config.whatsapp.defaultTemplate;
+
+    if (!templateName) {
+      throw new Error("No WhatsApp template configured for this message");
+    }
+
+    const templateText = data.templateName
+      ? data
+      : { text1: subject, text2: message };
+
+    const response = await sendWhatsAppMessage({
+      mobileNo: to,
+      countryCode: data.countryCode || "+91",
+      templateName,
+      text1: templateText.text1,
+      text2: templateText.text2,
+      text3: templateText.text3,
+      text4: templateText.text4,
+      text5: templateText.text5,
+    });
+
+    return {
+      success: true,
+      response,
+    };
+  },
+};
+
+module.exports = whatsappProvider;
@@ -0,0 +1,232 @@
+const express = require("express");
+const AssignmentRuleController = require("../controllers/assignmentRule.controller");
+const AuthMiddleware = require("../middlewares/auth.middleware");
+const { validateRequest } = require("../middlewares/validateReq.middleware");
+const { PERMISSIONS } = require("../config/roles");
+const {
+  createAssignmentRuleSchema,
+  updateAssignmentRuleSchema,
+  assignmentDryRunSchema,
+} = require("../validators/assignmentRule.validator");
+const auditMiddleware = require("../middlewares/audit.middleware");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/settings/assignment-rules:
+ *   get:
+ *     summary: List assignment rules
+ *     description: List the rules that pick an engineer for new tickets, in the order they are tried.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Assignment rules retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_SETTINGS),
+  AssignmentRuleController.getRules
+);
+
+/**
+ * @swagger
+ * /api/settings/assignment-rules:
+ *   post:
+ *     summary: Create an assignment rule
+ *     description: |
+ *       When a ticket is created, active rules are tried in ascending order. The first rule whose conditions match the ticket and that finds an engineer assigns it. If no rule does, the defaultAssignToSupportManager ticket setting still applies.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AssignmentRule'
+ *           example:
+ *             name: Punjab panel repairs
+ *             order: 10
+ *             conditions:
+ *               categories: [PANEL, BACKLIGHT]
+ *               states: [PUNJAB]
+ *             requiredSkills: [PANEL]
+ *             strategy: LEAST_OPEN_TICKETS
+ *     responses:
+ *       201:
+ *         description: Assignment rule created successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: A rule with this name exists
+ */
+router.post(
+  "/",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  auditMiddleware("AssignmentRule"),
+  validateRequest(createAssignmentRuleSchema),
+  AssignmentRuleController.createRule
+);
+
+/**
+ * @swagger
+ * /api/settings/assignment-rules/dry-run:
+ *   post:
+ *     summary: Dry-run the assignment rules
+ *     description: Show which engineer a sample ticket would be assigned to and why each rule did or did not apply. Nothing is assigned and round-robin positions do not move.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               itemId:
+ *                 type: string
+ *               customerId:
+ *                 type: string
+ *                 description: Use this customer's state, city and pincode
+ *               state:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               pincode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The engineer and rule that would apply, and the evaluation of every active rule
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Customer not found
+ */
+router.post(
+  "/dry-run",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_SETTINGS),
+  validateRequest(assignmentDryRunSchema),
+  AssignmentRuleController.dryRun
+);
+
+/**
+ * @swagger
+ * /api/settings/assignment-rules/{id}:
+ *   get:
+ *     summary: Get an assignment rule
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Rule ID
+ *     responses:
+ *       200:
+ *         description: Assignment rule retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Assignment rule not found
+ */
+router.get(
+  "/:id",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_SETTINGS),
+  AssignmentRuleController.getRuleById
+);
+
+/**
+ * @swagger
+ * /api/settings/assignment-rules/{id}:
+ *   put:
+ *     summary: Update an assignment rule
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Rule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AssignmentRule'
+ *     responses:
+ *       200:
+ *         description: Assignment rule updated successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Assignment rule not found
+ *       409:
+ *         description: A rule with this name exists
+ */
+router.put(
+  "/:id",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  auditMiddleware("AssignmentRule"),
+  validateRequest(updateAssignmentRuleSchema),
+  AssignmentRuleController.updateRule
+);
+
+/**
+ * @swagger
+ * /api/settings/assignment-rules/{id}:
+ *   delete:
+ *     summary: Delete an assignment rule
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Rule ID
+ *     responses:
+ *       200:
+ *         description: Assignment rule deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Assignment rule not found
+ */
+router.delete(
+  "/:id",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  auditMiddleware("AssignmentRule"),
+  AssignmentRuleController.deleteRule
+);
+
+module.exports = router;
@@ -0,0 +1,268 @@
+const express = require("express");
+const BusinessCalendarController = require("../controllers/businessCalendar.controller");
+const AuthMiddleware = require("../middlewares/auth.middleware");
+const { validateRequest } = require("../middlewares/validateReq.middleware");
+const { PERMISSIONS } = require("../config/roles");
+const {
+  updateCalendarSchema,
+  createHolidaySchema,
+  updateHolidaySchema,
+} = require("../validators/businessCalendar.validator");
+const auditMiddleware = require("../middlewares/audit.middleware");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/settings/calendar:
+ *   get:
+ *     summary: Get business calendar
+ *     description: Retrieve weekly working hours, timezone and holidays used for due date and SLA calculation.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Business calendar retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BusinessCalendar'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_SETTINGS),
+  BusinessCalendarController.getCalendar
+);
+
+/**
+ * @swagger
+ * /api/settings/calendar:
+ *   put:
+ *     summary: Update business calendar
+ *     description: Update weekly working hours and/or the timezone offset. Days not included keep their current hours.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               timezoneOffsetMinutes:
+ *                 type: number
+ *                 example: 330
+ *               weeklyHours:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     day:
+ *                       type: number
+ *                       description: 0 = Sunday, 6 = Saturday
+ *                     isWorkingDay:
+ *                       type: boolean
+ *                     start:
+ *                       type: string
+ *                       example: "09:00"
+ *                     end:
+ *                       type: string
+ *                       example: "18:00"
+ *     responses:
+ *       200:
+ *         description: Business calendar updated successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.put(
+  "/",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  auditMiddleware("BusinessCalendar"),
+  validateRequest(updateCalendarSchema),
+  BusinessCalendarController.updateCalendar
+);
+
+/**
+ * @swagger
+ * /api/settings/calendar/holidays:
+ *   get:
+ *     summary: List holidays
+ *     description: List holidays, optionally for a single year and/or state. State filtering includes nationwide holidays.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Only holidays in this year (recurring holidays are always included)
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         description: Only holidays that apply to this state
+ *     responses:
+ *       200:
+ *         description: Holidays retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/holidays",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_SETTINGS),
+  BusinessCalendarController.getHolidays
+);
+
+/**
+ * @swagger
+ * /api/settings/calendar/holidays:
+ *   post:
+ *     summary: Add a holiday
+ *     description: Add a public holiday. Leave states empty for a nationwide holiday.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - date
+ *             properties:
+ *               name:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               states:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               recurring:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Holiday added successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       409:
+ *         description: Holiday already exists
+ */
+router.post(
+  "/holidays",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  auditMiddleware("BusinessCalendar"),
+  validateRequest(createHolidaySchema),
+  BusinessCalendarController.addHoliday
+);
+
+/**
+ * @swagger
+ * /api/settings/calendar/holidays/{holidayId}:
+ *   put:
+ *     summary: Update a holiday
+ *     description: Update the name, date, states or recurrence of a holiday.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: holidayId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Holiday ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               states:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               recurring:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Holiday updated successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Holiday not found
+ */
+router.put(
+  "/holidays/:holidayId",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  auditMiddleware("BusinessCalendar"),
+  validateRequest(updateHolidaySchema),
+  BusinessCalendarController.updateHoliday
+);
+
+/**
+ * @swagger
+ * /api/settings/calendar/holidays/{holidayId}:
+ *   delete:
+ *     summary: Delete a holiday
+ *     description: Remove a holiday from the business calendar.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: holidayId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Holiday ID
+ *     responses:
+ *       200:
+ *         description: Holiday deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Holiday not found
+ */
+router.delete(
+  "/holidays/:holidayId",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  auditMiddleware("BusinessCalendar"),
+  BusinessCalendarController.deleteHoliday
+);
+
+module.exports = router;
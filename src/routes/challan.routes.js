@@ -0,0 +1,265 @@
+const express = require("express");
+const ChallanController = require("../controllers/challan.controller");
+const AuthMiddleware = require("../middlewares/auth.middleware");
+const { validateRequest } = require("../middlewares/validateReq.middleware");
+const { PERMISSIONS } = require("../config/roles");
+const {
+  createChallanSchema,
+  issueChallanSchema,
+  cancelChallanSchema,
+} = require("../validators/challan.validator");
+const auditMiddleware = require("../middlewares/audit.middleware");
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(AuthMiddleware.authenticate);
+
+/**
+ * @swagger
+ * /api/challans:
+ *   get:
+ *     summary: List delivery challans
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma-separated statuses (DRAFT, ISSUED, CANCELLED)
+ *       - in: query
+ *         name: ticketId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: financialYear
+ *         schema:
+ *           type: string
+ *           example: 2025-26
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Challan number, consignee name or mobile, or docket number
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Challans retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/",
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_ITEM),
+  ChallanController.getChallans
+);
+
+/**
+ * @swagger
+ * /api/challans:
+ *   post:
+ *     summary: Create a delivery challan
+ *     description: Build a challan from OUTWARD transactions of one ticket that left one warehouse. The consignee is the ticket's customer. It is a DRAFT unless issue is true.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [transactionIds]
+ *             properties:
+ *               transactionIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               docketNumber:
+ *                 type: string
+ *                 description: Defaults to the transactions' docket numbers
+ *               notes:
+ *                 type: string
+ *               issue:
+ *                 type: boolean
+ *                 description: Number the challan straight away
+ *     responses:
+ *       201:
+ *         description: Challan created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Challan'
+ *       400:
+ *         description: Transactions are not OUTWARD, or differ in ticket or warehouse
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: A transaction is already on another challan that is not cancelled
+ */
+router.post(
+  "/",
+  AuthMiddleware.requirePermission(PERMISSIONS.UPDATE_ITEM),
+  auditMiddleware("Challan"),
+  validateRequest(createChallanSchema),
+  ChallanController.createChallan
+);
+
+/**
+ * @swagger
+ * /api/challans/{id}:
+ *   get:
+ *     summary: Get a delivery challan
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Challan retrieved successfully
+ *       404:
+ *         description: Challan not found
+ */
+router.get(
+  "/:id",
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_ITEM),
+  ChallanController.getChallanById
+);
+
+/**
+ * @swagger
+ * /api/challans/{id}/pdf:
+ *   get:
+ *     summary: Print or reprint a delivery challan
+ *     description: The challan as PDF. An issued challan prints as ORIGINAL the first time and DUPLICATE after that; drafts and cancelled challans are marked as such.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Challan PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Challan not found
+ *       409:
+ *         description: The challan was changed while printing
+ */
+router.get(
+  "/:id/pdf",
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_ITEM),
+  ChallanController.printChallan
+);
+
+/**
+ * @swagger
+ * /api/challans/{id}/issue:
+ *   post:
+ *     summary: Issue a draft challan
+ *     description: Gives the challan the next number of the current financial year.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               docketNumber:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Challan issued successfully
+ *       400:
+ *         description: The challan is not a draft
+ *       409:
+ *         description: The challan was issued or cancelled at the same time
+ */
+router.post(
+  "/:id/issue",
+  AuthMiddleware.requirePermission(PERMISSIONS.UPDATE_ITEM),
+  auditMiddleware("Challan"),
+  validateRequest(issueChallanSchema),
+  ChallanController.issueChallan
+);
+
+/**
+ * @swagger
+ * /api/challans/{id}/cancel:
+ *   post:
+ *     summary: Cancel a delivery challan
+ *     description: Issued challans keep their number. Their transactions can be put on a new challan.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Challan cancelled successfully
+ *       400:
+ *         description: The challan is already cancelled
+ */
+router.post(
+  "/:id/cancel",
+  AuthMiddleware.requirePermission(PERMISSIONS.UPDATE_ITEM),
+  auditMiddleware("Challan"),
+  validateRequest(cancelChallanSchema),
+  ChallanController.cancelChallan
+);
+
+module.exports = router;
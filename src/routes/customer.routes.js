@@ -215,6 +215,25 @@ router.get(
  *               email:
  *                 type: string
  *                 format: email
+ *               notificationPreferences:
+ *                 type: object
+ *                 description: Opt-in for ticket updates.
+ *                 properties:
+ *                   email:
+ *                     type: boolean
+ *                   whatsapp:
+ *                     type: boolean
+ *                   sms:
+ *                     type: boolean
+ *                   includeAlternateMobile:
+ *                     type: boolean
+ *                   events:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       enum: [TICKET_CREATED, TICKET_ASSIGNED, TICKET_RESOLVED, TICKET_CLOSED]
+ *                   language:
+ *                     type: string
  *     responses:
  *       201:
  *         description: Customer created successfully
@@ -279,6 +298,25 @@ router.post(
  *                 format: email
  *               isActive:
  *                 type: boolean
+ *               notificationPreferences:
+ *                 type: object
+ *                 description: Opt-in for ticket updates. Omitted fields keep their current value.
+ *                 properties:
+ *                   email:
+ *                     type: boolean
+ *                   whatsapp:
+ *                     type: boolean
+ *                   sms:
+ *                     type: boolean
+ *                   includeAlternateMobile:
+ *                     type: boolean
+ *                   events:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       enum: [TICKET_CREATED, TICKET_ASSIGNED, TICKET_RESOLVED, TICKET_CLOSED]
+ *                   language:
+ *                     type: string
  *     responses:
  *       200:
  *         description: Customer updated successfully
@@ -17,6 +17,12 @@ router.use(AuthMiddleware.authenticate);
  *     tags: [Dashboard]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: teamId
+ *         schema:
+ *           type: string
+ *         description: Only count tickets in this team's queue or assigned to its members
  *     responses:
  *       200:
  *         description: Dashboard statistics
@@ -66,6 +72,11 @@ router.get("/activities", DashboardController.getRecentActivities);
  *           enum: [daily, weekly, monthly]
  *           default: monthly
  *         description: Time period for chart data
+ *       - in: query
+ *         name: teamId
+ *         schema:
+ *           type: string
+ *         description: Only count tickets in this team's queue or assigned to its members
  *     responses:
  *       200:
  *         description: Chart data
@@ -83,6 +94,12 @@ router.get("/chart-data", DashboardController.getChartData);
  *     tags: [Dashboard]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: teamId
+ *         schema:
+ *           type: string
+ *         description: Only count tickets in this team's queue or assigned to its members
  *     responses:
  *       200:
  *         description: Ticket statistics
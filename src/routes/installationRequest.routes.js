@@ -0,0 +1,541 @@
+const express = require("express");
+const InstallationRequestController = require("../controllers/installationRequest.controller");
+const AuthMiddleware = require("../middlewares/auth.middleware");
+const { validateRequest } = require("../middlewares/validateReq.middleware");
+const { PERMISSIONS } = require("../config/roles");
+const {
+  createInstallationSchema,
+  updateInstallationSchema,
+  scheduleInstallationSchema,
+  assignInstallationSchema,
+  completeInstallationSchema,
+  cancelInstallationSchema,
+} = require("../validators/installationRequest.validator");
+const auditMiddleware = require("../middlewares/audit.middleware");
+const { uploadToCloudinary } = require("../middlewares/cloudinary.middleware");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/installation-requests:
+ *   get:
+ *     summary: Get all installation requests
+ *     description: Retrieve installation requests with filtering and pagination. Engineers only see installations assigned to or created by them.
+ *     tags: [Installations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, SCHEDULED, IN_PROGRESS, COMPLETED, CANCELLED]
+ *         description: Filter by status
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *         description: Filter by assigned technician
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *         description: Filter by customer
+ *       - in: query
+ *         name: scheduledTimeSlot
+ *         schema:
+ *           type: string
+ *           enum: [MORNING, AFTERNOON, EVENING]
+ *         description: Filter by scheduled time slot
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Scheduled on or after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Scheduled on or before this date
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search in request ID, serial number, product type and model
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *         description: Sort fields, prefix with - for descending
+ *     responses:
+ *       200:
+ *         description: A list of installation requests
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  "/",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_INSTALLATION),
+  InstallationRequestController.getAllInstallationRequests
+);
+
+/**
+ * @swagger
+ * /api/installation-requests/{id}:
+ *   get:
+ *     summary: Get installation request by ID
+ *     description: Retrieve detailed information about a specific installation request.
+ *     tags: [Installations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Installation request ID
+ *     responses:
+ *       200:
+ *         description: Installation request details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InstallationRequest'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Installation request not found
+ */
+router.get(
+  "/:id",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_INSTALLATION),
+  InstallationRequestController.getInstallationRequestById
+);
+
+/**
+ * @swagger
+ * /api/installation-requests:
+ *   post:
+ *     summary: Create a new installation request
+ *     description: Raise an installation request for a customer's product. New requests start in PENDING.
+ *     tags: [Installations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - customerId
+ *               - productType
+ *               - productModel
+ *               - serialNumber
+ *             properties:
+ *               customerId:
+ *                 type: string
+ *               productType:
+ *                 type: string
+ *               productModel:
+ *                 type: string
+ *               serialNumber:
+ *                 type: string
+ *               purchaseDate:
+ *                 type: string
+ *                 format: date
+ *               purchaseLocation:
+ *                 type: string
+ *               preferredDate:
+ *                 type: string
+ *                 format: date
+ *               preferredTimeSlot:
+ *                 type: string
+ *                 enum: [MORNING, AFTERNOON, EVENING]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Installation request created successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Customer not found
+ */
+router.post(
+  "/",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.CREATE_INSTALLATION),
+  auditMiddleware("InstallationRequest"),
+  validateRequest(createInstallationSchema),
+  InstallationRequestController.createInstallationRequest
+);
+
+/**
+ * @swagger
+ * /api/installation-requests/{id}:
+ *   put:
+ *     summary: Update installation request details
+ *     description: Update product or preference details of an installation that is not completed or cancelled.
+ *     tags: [Installations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Installation request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               productType:
+ *                 type: string
+ *               productModel:
+ *                 type: string
+ *               serialNumber:
+ *                 type: string
+ *               purchaseDate:
+ *                 type: string
+ *                 format: date
+ *               purchaseLocation:
+ *                 type: string
+ *               preferredDate:
+ *                 type: string
+ *                 format: date
+ *               preferredTimeSlot:
+ *                 type: string
+ *                 enum: [MORNING, AFTERNOON, EVENING]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Installation request updated successfully
+ *       400:
+ *         description: Invalid input or installation already closed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Installation request not found
+ */
+router.put(
+  "/:id",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.UPDATE_INSTALLATION),
+  auditMiddleware("InstallationRequest"),
+  validateRequest(updateInstallationSchema),
+  InstallationRequestController.updateInstallationRequest
+);
+
+/**
+ * @swagger
+ * /api/installation-requests/{id}/schedule:
+ *   patch:
+ *     summary: Schedule an installation
+ *     description: Set or change the scheduled date and time slot. Moves a PENDING installation to SCHEDULED.
+ *     tags: [Installations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Installation request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scheduledDate
+ *               - scheduledTimeSlot
+ *             properties:
+ *               scheduledDate:
+ *                 type: string
+ *                 format: date
+ *               scheduledTimeSlot:
+ *                 type: string
+ *                 enum: [MORNING, AFTERNOON, EVENING]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Installation scheduled successfully
+ *       400:
+ *         description: Invalid input or status transition
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Installation request not found
+ */
+router.patch(
+  "/:id/schedule",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.ASSIGN_INSTALLATION),
+  auditMiddleware("InstallationRequest"),
+  validateRequest(scheduleInstallationSchema),
+  InstallationRequestController.scheduleInstallation
+);
+
+/**
+ * @swagger
+ * /api/installation-requests/{id}/assign:
+ *   patch:
+ *     summary: Assign an installation to a technician
+ *     description: Assign the installation to a user whose role can complete installations. The technician is notified.
+ *     tags: [Installations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Installation request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - assignToUserId
+ *             properties:
+ *               assignToUserId:
+ *                 type: string
+ *                 description: User ID of the technician
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Installation assigned successfully
+ *       400:
+ *         description: Invalid input or installation already closed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Installation request or user not found
+ */
+router.patch(
+  "/:id/assign",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.ASSIGN_INSTALLATION),
+  auditMiddleware("InstallationRequest"),
+  validateRequest(assignInstallationSchema),
+  InstallationRequestController.assignInstallation
+);
+
+/**
+ * @swagger
+ * /api/installation-requests/{id}/start:
+ *   patch:
+ *     summary: Start an installation
+ *     description: Move a SCHEDULED installation to IN_PROGRESS. Engineers can only start installations assigned to them.
+ *     tags: [Installations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Installation request ID
+ *     responses:
+ *       200:
+ *         description: Installation started successfully
+ *       400:
+ *         description: Invalid status transition or installation not assigned
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Installation request not found
+ */
+router.patch(
+  "/:id/start",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.COMPLETE_INSTALLATION),
+  auditMiddleware("InstallationRequest"),
+  InstallationRequestController.startInstallation
+);
+
+/**
+ * @swagger
+ * /api/installation-requests/{id}/complete:
+ *   patch:
+ *     summary: Complete an installation
+ *     description: Mark an IN_PROGRESS installation as COMPLETED with optional notes and photos. Engineers can only complete installations assigned to them.
+ *     tags: [Installations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Installation request ID
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               completionNotes:
+ *                 type: string
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       200:
+ *         description: Installation completed successfully
+ *       400:
+ *         description: Invalid status transition
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Installation request not found
+ */
+router.patch(
+  "/:id/complete",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.COMPLETE_INSTALLATION),
+  auditMiddleware("InstallationRequest"),
+  uploadToCloudinary("files"),
+  validateRequest(completeInstallationSchema),
+  InstallationRequestController.completeInstallation
+);
+
+/**
+ * @swagger
+ * /api/installation-requests/{id}/cancel:
+ *   patch:
+ *     summary: Cancel an installation
+ *     description: Cancel an installation that has not been completed yet.
+ *     tags: [Installations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Installation request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Installation cancelled successfully
+ *       400:
+ *         description: Invalid input or status transition
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Installation request not found
+ */
+router.patch(
+  "/:id/cancel",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.ASSIGN_INSTALLATION),
+  auditMiddleware("InstallationRequest"),
+  validateRequest(cancelInstallationSchema),
+  InstallationRequestController.cancelInstallation
+);
+
+/**
+ * @swagger
+ * /api/installation-requests/{id}:
+ *   delete:
+ *     summary: Delete an installation request
+ *     description: Permanently delete an installation request that is not in progress.
+ *     tags: [Installations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Installation request ID
+ *     responses:
+ *       200:
+ *         description: Installation request deleted successfully
+ *       400:
+ *         description: Installation is in progress
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Installation request not found
+ */
+router.delete(
+  "/:id",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.DELETE_INSTALLATION),
+  auditMiddleware("InstallationRequest"),
+  InstallationRequestController.deleteInstallationRequest
+);
+
+module.exports = router;
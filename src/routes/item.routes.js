@@ -3,6 +3,10 @@ const ItemController = require("../controllers/item.controller");
 const AuthMiddleware = require("../middlewares/auth.middleware");
 const { PERMISSIONS } = require("../config/roles");
 const auditMiddleware = require("../middlewares/audit.middleware");
+const { validateRequest } = require("../middlewares/validateReq.middleware");
+const {
+  inventoryTransactionSchema,
+} = require("../validators/ticket.validator");
 
 const router = express.Router();
 
@@ -30,10 +34,23 @@ router.get(
  * /api/items/low-stock:
  *   get:
  *     summary: Get low stock items
- *     description: Retrieve items with quantity below or equal to notification threshold.
+ *     description: |
+ *       Retrieve items with quantity below or equal to notification threshold.
+ *       With warehouseId or byLocation=true, returns one row per item and warehouse ({ item, warehouse, quantity, threshold }) where the stock at that warehouse is at or below its threshold, from the item's locationThresholds or else its notificationThreshold.
  *     tags: [Items]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: warehouseId
+ *         schema:
+ *           type: string
+ *         description: Check stock at this warehouse only
+ *       - in: query
+ *         name: byLocation
+ *         schema:
+ *           type: boolean
+ *         description: Check stock at every warehouse separately
  */
 router.get(
   "/low-stock",
@@ -57,6 +74,91 @@ router.get(
   ItemController.getItemsForDropdown
 );
 
+/**
+ * @swagger
+ * /api/items/serial-numbers/search:
+ *   get:
+ *     summary: Search serial numbers
+ *     description: Search the serial numbers listed in item sheets, across all items. Matches are case-insensitive.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Serial number prefix
+ *       - in: query
+ *         name: exact
+ *         schema:
+ *           type: boolean
+ *         description: Match the whole serial number only
+ *       - in: query
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Serial numbers with their item and sheet row
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SerialMetadata'
+ *       400:
+ *         description: No search given
+ */
+router.get(
+  "/serial-numbers/search",
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_ITEM),
+  ItemController.searchSerialNumbers
+);
+
+/**
+ * @swagger
+ * /api/items/serial-numbers/autocomplete:
+ *   get:
+ *     summary: Autocomplete serial numbers
+ *     description: Serial numbers from item sheets starting with the typed text, with the item they belong to.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Serial number suggestions
+ */
+router.get(
+  "/serial-numbers/autocomplete",
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_ITEM),
+  ItemController.autocompleteSerialNumbers
+);
+
 /**
  * @swagger
  * /api/items/{id}:
@@ -82,6 +184,17 @@ router.get(
  *     tags: [Items]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: warehouseId
+ *         schema:
+ *           type: string
+ *         description: Only transactions at this warehouse, including transfers to it
+ *       - in: query
+ *         name: transferStatus
+ *         schema:
+ *           type: string
+ *           enum: [IN_TRANSIT, RECEIVED, CANCELLED]
  */
 router.get(
   "/:id/transactions",
@@ -111,18 +224,110 @@ router.post(
  * /api/items/{id}/transaction:
  *   post:
  *     summary: Process inventory transaction
- *     description: Record inward or outward movement of inventory.
+ *     description: |
+ *       Record movement of inventory at a warehouse. INWARD adds stock to warehouseId; OUTWARD dispatches it from warehouseId against a ticket. TRANSFER takes stock from warehouseId and leaves it IN_TRANSIT until it is received at toWarehouseId.
  *     tags: [Items]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - warehouseId
+ *               - condition
+ *               - quantity
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [INWARD, OUTWARD, TRANSFER]
+ *               warehouseId:
+ *                 type: string
+ *               toWarehouseId:
+ *                 type: string
+ *                 description: Destination warehouse, for transfers
+ *               condition:
+ *                 type: string
+ *                 enum: [NEW, REPARABLE, REPAIRED]
+ *               quantity:
+ *                 type: integer
+ *               serialNumbers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: One per unit moved; required for items tracked by serial unit
+ *               ticketId:
+ *                 type: string
+ *                 description: Required for outward transactions
+ *               reference:
+ *                 type: string
+ *                 enum: [PURCHASE, RETURN, REPAIR, OTHER]
+ *               docketNumber:
+ *                 type: string
+ *               notes:
+ *                 type: string
  */
 router.post(
   "/:id/transaction",
   AuthMiddleware.requirePermission(PERMISSIONS.UPDATE_ITEM),
   auditMiddleware("Item"),
+  validateRequest(inventoryTransactionSchema),
   ItemController.processInventoryTransaction
 );
 
+/**
+ * @swagger
+ * /api/items/{id}/transfers/{transactionId}/receive:
+ *   post:
+ *     summary: Receive a transfer
+ *     description: Add the stock of a transfer in transit to its destination warehouse.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ */
+router.post(
+  "/:id/transfers/:transactionId/receive",
+  AuthMiddleware.requirePermission(PERMISSIONS.UPDATE_ITEM),
+  auditMiddleware("Item"),
+  ItemController.receiveTransfer
+);
+
+/**
+ * @swagger
+ * /api/items/{id}/transfers/{transactionId}/cancel:
+ *   post:
+ *     summary: Cancel a transfer
+ *     description: Return the stock of a transfer in transit to the warehouse it left.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ */
+router.post(
+  "/:id/transfers/:transactionId/cancel",
+  AuthMiddleware.requirePermission(PERMISSIONS.UPDATE_ITEM),
+  auditMiddleware("Item"),
+  ItemController.cancelTransfer
+);
+
 /**
  * @swagger
  * /api/items/{id}:
@@ -162,10 +367,40 @@ router.delete(
  * /api/items/{id}/upload:
  *   post:
  *     summary: Upload XLSX file for item
- *     description: Upload and process Excel file data for an item.
+ *     description: |
+ *       Merge an Excel file into the item's sheet and keep the result as a new version. Rows are matched on the item's main header column.
+ *       REPLACE makes the file the sheet, APPEND adds only rows with new keys, and UPSERT also updates rows already present.
  *     tags: [Items]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               mode:
+ *                 type: string
+ *                 enum: [REPLACE, APPEND, UPSERT]
+ *                 default: REPLACE
+ *     responses:
+ *       200:
+ *         description: File uploaded; meta.version describes the new version
+ *       400:
+ *         description: Invalid file, or the mode needs a main header column
+ *       409:
+ *         description: The sheet was changed by another upload at the same time
  */
 router.post(
   "/:id/upload",
@@ -173,6 +408,119 @@ router.post(
   ItemController.uploadXlsxFile
 );
 
+/**
+ * @swagger
+ * /api/items/{id}/upload/preview:
+ *   post:
+ *     summary: Preview an XLSX upload
+ *     description: Rows the upload would add, remove and change with the chosen mode, matched on the item's main header column. Nothing is saved. At most 100 rows are listed per section; the summary counts all of them.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               mode:
+ *                 type: string
+ *                 enum: [REPLACE, APPEND, UPSERT]
+ *                 default: REPLACE
+ *     responses:
+ *       200:
+ *         description: Upload preview generated successfully
+ *       400:
+ *         description: Invalid file, or the mode needs a main header column
+ */
+router.post(
+  "/:id/upload/preview",
+  AuthMiddleware.requirePermission(PERMISSIONS.UPDATE_ITEM),
+  ItemController.previewXlsxFile
+);
+
+/**
+ * @swagger
+ * /api/items/{id}/file-versions:
+ *   get:
+ *     summary: List versions of the item's sheet
+ *     description: Every upload and rollback, newest first, with file name, uploader and row counts.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: File versions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 currentVersion:
+ *                   type: integer
+ *                 versions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ItemFileVersion'
+ */
+router.get(
+  "/:id/file-versions",
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_ITEM),
+  ItemController.getFileVersions
+);
+
+/**
+ * @swagger
+ * /api/items/{id}/file-versions/{version}/rollback:
+ *   post:
+ *     summary: Roll back the item's sheet
+ *     description: Restore an earlier version of the sheet. The restore is saved as a new version.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: File version restored successfully
+ *       400:
+ *         description: The version is already the current sheet
+ *       404:
+ *         description: Item or version not found
+ */
+router.post(
+  "/:id/file-versions/:version/rollback",
+  AuthMiddleware.requirePermission(PERMISSIONS.UPDATE_ITEM),
+  auditMiddleware("Item"),
+  ItemController.rollbackFileVersion
+);
+
 /**
  * @swagger
  * /api/items/{id}/excel-data:
@@ -246,9 +594,14 @@ router.get("/transactions/:id", ItemController.getTransactionDetails);
 
 /**
  * @route POST /api/items/challans
- * @desc Record challan print
+ * @desc Record challan print of an OUTWARD transaction, issuing its challan
+ * the first time. Challans are managed under /api/challans.
  * @access Private
  */
-router.post("/challans", ItemController.recordChallanPrint);
+router.post(
+  "/challans",
+  AuthMiddleware.requirePermission(PERMISSIONS.UPDATE_ITEM),
+  ItemController.recordChallanPrint
+);
 
 module.exports = router;
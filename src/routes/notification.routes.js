@@ -0,0 +1,609 @@
+const express = require("express");
+const NotificationController = require("../controllers/notification.controller");
+const AuthMiddleware = require("../middlewares/auth.middleware");
+const { validateRequest } = require("../middlewares/validateReq.middleware");
+const { PERMISSIONS } = require("../config/roles");
+const {
+  markAllReadSchema,
+  retryFailedSchema,
+  createTemplateSchema,
+  updateTemplateSchema,
+  previewTemplateSchema,
+} = require("../validators/notification.validator");
+const auditMiddleware = require("../middlewares/audit.middleware");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get my notifications
+ *     description: List the current user's in-app notifications, newest first. With groupBy=ticket, notifications are grouped by ticket with per-ticket unread counts and the most recent notifications of each group.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number (pages of groups when grouped)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Items per page (at most 50 groups when grouped)
+ *       - in: query
+ *         name: isRead
+ *         schema:
+ *           type: boolean
+ *         description: Filter by read state
+ *       - in: query
+ *         name: ticketId
+ *         schema:
+ *           type: string
+ *         description: Only notifications about this ticket
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [ticket]
+ *         description: Group notifications by ticket
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/",
+  AuthMiddleware.authenticate,
+  NotificationController.getNotifications
+);
+
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Get my unread notification count
+ *     description: Total unread in-app notifications and the unread count for each ticket
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread notification count retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: number
+ *                 byTicket:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       ticketId:
+ *                         type: string
+ *                       count:
+ *                         type: number
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/unread-count",
+  AuthMiddleware.authenticate,
+  NotificationController.getUnreadCount
+);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   patch:
+ *     summary: Mark all my notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ticketId:
+ *                 type: string
+ *                 description: Only mark notifications about this ticket
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch(
+  "/read-all",
+  AuthMiddleware.authenticate,
+  validateRequest(markAllReadSchema),
+  NotificationController.markAllAsRead
+);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   patch:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Notification ID
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Notification'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Notification not found
+ */
+router.patch(
+  "/:id/read",
+  AuthMiddleware.authenticate,
+  NotificationController.markAsRead
+);
+
+/**
+ * @swagger
+ * /api/notifications/outbox:
+ *   get:
+ *     summary: Get outbox messages
+ *     description: List queued, sent and failed notifications with pagination and filtering. Admin only.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by status. Comma separated list of PENDING, PROCESSING, SENT, FAILED
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [email, whatsapp, sms]
+ *         description: Filter by channel
+ *       - in: query
+ *         name: notificationType
+ *         schema:
+ *           type: string
+ *         description: Filter by notification type
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Filter by recipient user ID
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by creation date from (YYYY-MM-DD)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by creation date to (YYYY-MM-DD)
+ *     responses:
+ *       200:
+ *         description: Outbox messages retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ */
+router.get(
+  "/outbox",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_ACTIVITY_LOGS),
+  NotificationController.getOutboxMessages
+);
+
+/**
+ * @swagger
+ * /api/notifications/outbox/retry-failed:
+ *   post:
+ *     summary: Re-send failed notifications
+ *     description: Queue every failed message, optionally limited to a channel or notification type, for delivery by the outbox worker.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               channel:
+ *                 type: string
+ *                 enum: [email, whatsapp, sms]
+ *               notificationType:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Failed messages queued for re-sending
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ */
+router.post(
+  "/outbox/retry-failed",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  validateRequest(retryFailedSchema),
+  NotificationController.retryFailedMessages
+);
+
+/**
+ * @swagger
+ * /api/notifications/outbox/{id}:
+ *   get:
+ *     summary: Get outbox message
+ *     description: Retrieve an outbox message with its payload and delivery log
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Outbox message ID
+ *     responses:
+ *       200:
+ *         description: Outbox message retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationOutbox'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Outbox message not found
+ */
+router.get(
+  "/outbox/:id",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_ACTIVITY_LOGS),
+  NotificationController.getOutboxMessageById
+);
+
+/**
+ * @swagger
+ * /api/notifications/outbox/{id}/retry:
+ *   patch:
+ *     summary: Re-send a failed notification
+ *     description: Make a new delivery attempt for a failed message. If it fails again the message goes back to the worker with a fresh set of retries.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Outbox message ID
+ *     responses:
+ *       200:
+ *         description: Delivery attempt made
+ *       400:
+ *         description: Only failed messages can be re-sent
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Outbox message not found
+ */
+router.patch(
+  "/outbox/:id/retry",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  auditMiddleware("NotificationOutbox"),
+  NotificationController.retryMessage
+);
+
+/**
+ * @swagger
+ * /api/notifications/templates/events:
+ *   get:
+ *     summary: Get notification events
+ *     description: List the events that have notification templates, the placeholders each one supports and the built-in templates used when none is saved.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notification events retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/templates/events",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_SETTINGS),
+  NotificationController.getTemplateEvents
+);
+
+/**
+ * @swagger
+ * /api/notifications/templates:
+ *   get:
+ *     summary: Get notification templates
+ *     description: List saved notification templates
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *         description: Filter by event
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [email, whatsapp, sms]
+ *         description: Filter by channel
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         description: Filter by language code
+ *     responses:
+ *       200:
+ *         description: Notification templates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/NotificationTemplate'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/templates",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_SETTINGS),
+  NotificationController.getTemplates
+);
+
+/**
+ * @swagger
+ * /api/notifications/templates:
+ *   post:
+ *     summary: Create notification template
+ *     description: Create a template for an event and channel, optionally for a specific language. Placeholders use the {{ticket.ticketId}} form.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationTemplate'
+ *     responses:
+ *       201:
+ *         description: Notification template created successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: A template for this event, channel and language already exists
+ */
+router.post(
+  "/templates",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  auditMiddleware("NotificationTemplate"),
+  validateRequest(createTemplateSchema),
+  NotificationController.createTemplate
+);
+
+/**
+ * @swagger
+ * /api/notifications/templates/preview:
+ *   post:
+ *     summary: Preview notification template
+ *     description: Render a saved template, or unsaved template content, against a real ticket. Placeholders with no value are listed in missingPlaceholders.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ticketId
+ *             properties:
+ *               ticketId:
+ *                 type: string
+ *               templateId:
+ *                 type: string
+ *                 description: Saved template to render
+ *               event:
+ *                 type: string
+ *               channel:
+ *                 type: string
+ *                 enum: [email, whatsapp, sms]
+ *               subject:
+ *                 type: string
+ *               body:
+ *                 type: string
+ *               providerTemplate:
+ *                 type: string
+ *               providerParams:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Notification template rendered successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Ticket or template not found
+ */
+router.post(
+  "/templates/preview",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_SETTINGS),
+  validateRequest(previewTemplateSchema),
+  NotificationController.previewTemplate
+);
+
+/**
+ * @swagger
+ * /api/notifications/templates/{id}:
+ *   get:
+ *     summary: Get notification template
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template ID
+ *     responses:
+ *       200:
+ *         description: Notification template retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationTemplate'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Notification template not found
+ */
+router.get(
+  "/templates/:id",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_SETTINGS),
+  NotificationController.getTemplateById
+);
+
+/**
+ * @swagger
+ * /api/notifications/templates/{id}:
+ *   put:
+ *     summary: Update notification template
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationTemplate'
+ *     responses:
+ *       200:
+ *         description: Notification template updated successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Notification template not found
+ *       409:
+ *         description: A template for this event, channel and language already exists
+ */
+router.put(
+  "/templates/:id",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  auditMiddleware("NotificationTemplate"),
+  validateRequest(updateTemplateSchema),
+  NotificationController.updateTemplate
+);
+
+/**
+ * @swagger
+ * /api/notifications/templates/{id}:
+ *   delete:
+ *     summary: Delete notification template
+ *     description: Delete a saved template. The built-in template for the event is used again.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template ID
+ *     responses:
+ *       200:
+ *         description: Notification template deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Notification template not found
+ */
+router.delete(
+  "/templates/:id",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  auditMiddleware("NotificationTemplate"),
+  NotificationController.deleteTemplate
+);
+
+module.exports = router;
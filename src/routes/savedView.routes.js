@@ -0,0 +1,201 @@
+const express = require("express");
+const SavedViewController = require("../controllers/savedView.controller");
+const AuthMiddleware = require("../middlewares/auth.middleware");
+const { validateRequest } = require("../middlewares/validateReq.middleware");
+const { PERMISSIONS } = require("../config/roles");
+const {
+  createSavedViewSchema,
+  updateSavedViewSchema,
+} = require("../validators/savedView.validator");
+const auditMiddleware = require("../middlewares/audit.middleware");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Saved Views
+ *   description: Saved ticket list filters, private or shared with a role
+ */
+
+/**
+ * @swagger
+ * /api/saved-views:
+ *   get:
+ *     summary: List saved views
+ *     description: List the current user's own views and the views shared with their role. Run a view with GET /api/tickets?viewId=...
+ *     tags: [Saved Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [mine, shared]
+ *         description: Only list the user's own views, or only views shared with them
+ *     responses:
+ *       200:
+ *         description: Saved views retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_TICKET),
+  SavedViewController.getViews
+);
+
+/**
+ * @swagger
+ * /api/saved-views:
+ *   post:
+ *     summary: Create a saved view
+ *     tags: [Saved Views]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedView'
+ *           example:
+ *             name: My urgent overdue tickets
+ *             filters:
+ *               assignedTo: me
+ *               priority: [HIGH, CRITICAL]
+ *               slaStatus: [BREACHED]
+ *             sort: -priority,createdAt
+ *             columns: [ticketId, title, priority, status, sla.resolutionDueAt]
+ *             visibility: PRIVATE
+ *     responses:
+ *       201:
+ *         description: Saved view created successfully
+ *       400:
+ *         description: Validation failed or unknown role
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: The user already has a view with this name
+ */
+router.post(
+  "/",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_TICKET),
+  auditMiddleware("SavedView"),
+  validateRequest(createSavedViewSchema),
+  SavedViewController.createView
+);
+
+/**
+ * @swagger
+ * /api/saved-views/{id}:
+ *   get:
+ *     summary: Get a saved view
+ *     tags: [Saved Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: View ID
+ *     responses:
+ *       200:
+ *         description: Saved view retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: The view is private to another user
+ *       404:
+ *         description: Saved view not found
+ */
+router.get(
+  "/:id",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_TICKET),
+  SavedViewController.getViewById
+);
+
+/**
+ * @swagger
+ * /api/saved-views/{id}:
+ *   put:
+ *     summary: Update a saved view
+ *     description: Only the owner of a view (or a super admin) can change it. Sending filters replaces all of the view's filters.
+ *     tags: [Saved Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: View ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedView'
+ *     responses:
+ *       200:
+ *         description: Saved view updated successfully
+ *       400:
+ *         description: Validation failed or unknown role
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the owner of the view
+ *       404:
+ *         description: Saved view not found
+ */
+router.put(
+  "/:id",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_TICKET),
+  auditMiddleware("SavedView"),
+  validateRequest(updateSavedViewSchema),
+  SavedViewController.updateView
+);
+
+/**
+ * @swagger
+ * /api/saved-views/{id}:
+ *   delete:
+ *     summary: Delete a saved view
+ *     description: Only the owner of a view (or a super admin) can delete it.
+ *     tags: [Saved Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: View ID
+ *     responses:
+ *       200:
+ *         description: Saved view deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the owner of the view
+ *       404:
+ *         description: Saved view not found
+ */
+router.delete(
+  "/:id",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_TICKET),
+  auditMiddleware("SavedView"),
+  SavedViewController.deleteView
+);
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require("express");
+const SequenceController = require("../controllers/sequence.controller");
+const AuthMiddleware = require("../middlewares/auth.middleware");
+const { validateRequest } = require("../middlewares/validateReq.middleware");
+const { PERMISSIONS } = require("../config/roles");
+const { updateSequenceSchema } = require("../validators/sequence.validator");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/settings/sequences:
+ *   get:
+ *     summary: List ID sequences
+ *     description: List the numbering settings of every auto-numbered entity (tickets, installation requests) with the next ID each will issue.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sequences retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_SETTINGS),
+  SequenceController.getSequences
+);
+
+/**
+ * @swagger
+ * /api/settings/sequences/{key}:
+ *   get:
+ *     summary: Get an ID sequence
+ *     description: Get the numbering settings of one entity with the next ID it will issue.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [ticket, installationRequest]
+ *         description: Sequence key
+ *     responses:
+ *       200:
+ *         description: Sequence retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Unknown sequence
+ */
+router.get(
+  "/:key",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_SETTINGS),
+  SequenceController.getSequence
+);
+
+/**
+ * @swagger
+ * /api/settings/sequences/{key}:
+ *   put:
+ *     summary: Update an ID sequence
+ *     description: Change the prefix, reset period or padding. A new prefix or reset period takes effect with the next ID, which continues after any existing IDs with the same prefix and date.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [ticket, installationRequest]
+ *         description: Sequence key
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               prefix:
+ *                 type: string
+ *                 example: TKT
+ *               resetPeriod:
+ *                 type: string
+ *                 enum: [DAILY, MONTHLY, FINANCIAL_YEAR, NEVER]
+ *               padding:
+ *                 type: number
+ *                 example: 4
+ *     responses:
+ *       200:
+ *         description: Sequence updated successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Unknown sequence
+ */
+router.put(
+  "/:key",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  validateRequest(updateSequenceSchema),
+  SequenceController.updateSequence
+);
+
+module.exports = router;
@@ -0,0 +1,199 @@
+const express = require("express");
+const SerialUnitController = require("../controllers/serialUnit.controller");
+const AuthMiddleware = require("../middlewares/auth.middleware");
+const { validateRequest } = require("../middlewares/validateReq.middleware");
+const { PERMISSIONS } = require("../config/roles");
+const {
+  registerSerialUnitsSchema,
+  updateSerialUnitStatusSchema,
+} = require("../validators/serialUnit.validator");
+const auditMiddleware = require("../middlewares/audit.middleware");
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(AuthMiddleware.authenticate);
+
+/**
+ * @swagger
+ * /api/serials:
+ *   get:
+ *     summary: List serial units
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma-separated statuses
+ *       - in: query
+ *         name: warehouseId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Serial number prefix
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Serial units retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/",
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_ITEM),
+  SerialUnitController.getUnits
+);
+
+/**
+ * @swagger
+ * /api/serials:
+ *   post:
+ *     summary: Register serial units
+ *     description: Register serial numbers for stock already counted at a warehouse. New stock should list its serials in the INWARD transaction instead.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [itemId, warehouseId, serialNumbers]
+ *             properties:
+ *               itemId:
+ *                 type: string
+ *               warehouseId:
+ *                 type: string
+ *               condition:
+ *                 type: string
+ *                 enum: [NEW, REPARABLE, REPAIRED]
+ *                 default: NEW
+ *               serialNumbers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Serial units registered successfully
+ *       400:
+ *         description: More serials than unregistered stock
+ *       409:
+ *         description: Some serial numbers are already registered
+ */
+router.post(
+  "/",
+  AuthMiddleware.requirePermission(PERMISSIONS.UPDATE_ITEM),
+  auditMiddleware("SerialUnit"),
+  validateRequest(registerSerialUnitsSchema),
+  SerialUnitController.registerUnits
+);
+
+/**
+ * @swagger
+ * /api/serials/{serial}:
+ *   get:
+ *     summary: Get a serial unit's lifecycle
+ *     description: Current status, location and customer of the unit, with its events, tickets and inventory transactions.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: serial
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         description: Needed when more than one item uses the serial number
+ *     responses:
+ *       200:
+ *         description: Serial unit retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SerialUnit'
+ *       400:
+ *         description: The serial number is used by several items
+ *       404:
+ *         description: Serial number not found
+ */
+router.get(
+  "/:serial",
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_ITEM),
+  SerialUnitController.getLifecycle
+);
+
+/**
+ * @swagger
+ * /api/serials/{serial}/status:
+ *   post:
+ *     summary: Record a serial unit status change
+ *     description: DISPATCHED units can be marked AT_CUSTOMER, and units at a customer IN_REPAIR or SCRAPPED. Stock moves go through inventory transactions.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: serial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [AT_CUSTOMER, IN_REPAIR, SCRAPPED]
+ *               itemId:
+ *                 type: string
+ *               ticketId:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Serial unit status updated successfully
+ *       400:
+ *         description: Status change not allowed
+ *       404:
+ *         description: Serial number not found
+ */
+router.post(
+  "/:serial/status",
+  AuthMiddleware.requirePermission(PERMISSIONS.UPDATE_ITEM),
+  auditMiddleware("SerialUnit"),
+  validateRequest(updateSerialUnitStatusSchema),
+  SerialUnitController.updateStatus
+);
+
+module.exports = router;
@@ -0,0 +1,263 @@
+const express = require("express");
+const TeamController = require("../controllers/team.controller");
+const AuthMiddleware = require("../middlewares/auth.middleware");
+const { validateRequest } = require("../middlewares/validateReq.middleware");
+const { PERMISSIONS } = require("../config/roles");
+const {
+  createTeamSchema,
+  updateTeamSchema,
+} = require("../validators/team.validator");
+const auditMiddleware = require("../middlewares/audit.middleware");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/teams:
+ *   get:
+ *     summary: List teams
+ *     description: List support teams with their manager and members.
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: manager
+ *         schema:
+ *           type: string
+ *         description: Filter by manager user ID
+ *       - in: query
+ *         name: member
+ *         schema:
+ *           type: string
+ *         description: Filter by member user ID
+ *     responses:
+ *       200:
+ *         description: Teams retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_USER),
+  TeamController.getTeams
+);
+
+/**
+ * @swagger
+ * /api/teams:
+ *   post:
+ *     summary: Create a team
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Team'
+ *     responses:
+ *       201:
+ *         description: Team created successfully
+ *       400:
+ *         description: Invalid input, or the manager or a member was not found
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: A team with this name exists
+ */
+router.post(
+  "/",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.CREATE_USER),
+  auditMiddleware("Team"),
+  validateRequest(createTeamSchema),
+  TeamController.createTeam
+);
+
+/**
+ * @swagger
+ * /api/teams/mine:
+ *   get:
+ *     summary: Get my teams
+ *     description: Active teams the current user manages or belongs to.
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Teams retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/mine", AuthMiddleware.authenticate, TeamController.getMyTeams);
+
+/**
+ * @swagger
+ * /api/teams/{id}:
+ *   get:
+ *     summary: Get a team
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Team retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Team not found
+ */
+router.get(
+  "/:id",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_USER),
+  TeamController.getTeamById
+);
+
+/**
+ * @swagger
+ * /api/teams/{id}/queue:
+ *   get:
+ *     summary: Get a team's ticket queue
+ *     description: Unresolved tickets in the team's queue that no one has picked up yet. Engineers can see the queues of their own teams and support managers those of the teams they manage.
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: assigned
+ *         schema:
+ *           type: boolean
+ *         description: Include tickets a team member has picked up
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by status instead of all unresolved ones. Comma-separate to match several.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *     responses:
+ *       200:
+ *         description: Team queue retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a member or the manager of this team
+ *       404:
+ *         description: Team not found
+ */
+router.get(
+  "/:id/queue",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_TICKET),
+  TeamController.getQueue
+);
+
+/**
+ * @swagger
+ * /api/teams/{id}:
+ *   put:
+ *     summary: Update a team
+ *     description: Fields sent replace the stored ones; members replaces the whole member list.
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Team'
+ *     responses:
+ *       200:
+ *         description: Team updated successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Team not found
+ *       409:
+ *         description: A team with this name exists
+ */
+router.put(
+  "/:id",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.UPDATE_USER),
+  auditMiddleware("Team"),
+  validateRequest(updateTeamSchema),
+  TeamController.updateTeam
+);
+
+/**
+ * @swagger
+ * /api/teams/{id}:
+ *   delete:
+ *     summary: Delete a team
+ *     description: Teams with unresolved tickets in their queue cannot be deleted; deactivate them instead.
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Team deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Team not found
+ *       409:
+ *         description: The team has unresolved tickets
+ */
+router.delete(
+  "/:id",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.DELETE_USER),
+  auditMiddleware("Team"),
+  TeamController.deleteTeam
+);
+
+module.exports = router;
@@ -0,0 +1,214 @@
+const express = require("express");
+const TerritoryController = require("../controllers/territory.controller");
+const AuthMiddleware = require("../middlewares/auth.middleware");
+const { validateRequest } = require("../middlewares/validateReq.middleware");
+const { PERMISSIONS } = require("../config/roles");
+const {
+  createTerritorySchema,
+  updateTerritorySchema,
+} = require("../validators/territory.validator");
+const auditMiddleware = require("../middlewares/audit.middleware");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/settings/territories:
+ *   get:
+ *     summary: List territories
+ *     description: List the pincode ranges and cities each group of engineers serves.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *     responses:
+ *       200:
+ *         description: Territories retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_SETTINGS),
+  TerritoryController.getTerritories
+);
+
+/**
+ * @swagger
+ * /api/settings/territories:
+ *   post:
+ *     summary: Create a territory
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Territory'
+ *     responses:
+ *       201:
+ *         description: Territory created successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: A territory with this name exists
+ */
+router.post(
+  "/",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  auditMiddleware("Territory"),
+  validateRequest(createTerritorySchema),
+  TerritoryController.createTerritory
+);
+
+/**
+ * @swagger
+ * /api/settings/territories/load:
+ *   get:
+ *     summary: Ticket load per territory
+ *     description: |
+ *       Total, open and closed tickets, SLA breaches and open tickets per active engineer (its engineers and the members of its active teams) for each active territory. Tickets are placed by their customer's pincode and city. Customers covered by several territories count towards each; customers covered by none are reported under unmapped.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only tickets created on or after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only tickets created on or before this date
+ *     responses:
+ *       200:
+ *         description: Territory load report generated successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/load",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_SETTINGS),
+  TerritoryController.getLoadReport
+);
+
+/**
+ * @swagger
+ * /api/settings/territories/{id}:
+ *   get:
+ *     summary: Get a territory
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Territory ID
+ *     responses:
+ *       200:
+ *         description: Territory retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Territory not found
+ */
+router.get(
+  "/:id",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_SETTINGS),
+  TerritoryController.getTerritoryById
+);
+
+/**
+ * @swagger
+ * /api/settings/territories/{id}:
+ *   put:
+ *     summary: Update a territory
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Territory ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Territory'
+ *     responses:
+ *       200:
+ *         description: Territory updated successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Territory not found
+ *       409:
+ *         description: A territory with this name exists
+ */
+router.put(
+  "/:id",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  auditMiddleware("Territory"),
+  validateRequest(updateTerritorySchema),
+  TerritoryController.updateTerritory
+);
+
+/**
+ * @swagger
+ * /api/settings/territories/{id}:
+ *   delete:
+ *     summary: Delete a territory
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Territory ID
+ *     responses:
+ *       200:
+ *         description: Territory deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Territory not found
+ */
+router.delete(
+  "/:id",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.MANAGE_SETTINGS),
+  auditMiddleware("Territory"),
+  TerritoryController.deleteTerritory
+);
+
+module.exports = router;
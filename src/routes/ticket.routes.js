@@ -7,10 +7,12 @@ const {
   createTicketSchema,
   updateTicketSchema,
   assignTicketSchema,
+  assignTeamSchema,
   commentSchema,
   attachmentsSchema,
   processFileUploads,
   deleteTicketSchema,
+  bulkTicketSchema,
 } = require("../validators/ticket.validator");
 const {
   uploadTicketImage,
@@ -93,22 +95,50 @@ router.get(
  *           default: 10
  *         description: Items per page
  *       - in: query
+ *         name: viewId
+ *         schema:
+ *           type: string
+ *         description: Run a saved view. Its filters, sort and columns apply; parameters sent with the request override the view's.
+ *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: [OPEN, ASSIGNED, IN_PROGRESS, PENDING_APPROVAL, RESOLVED, CLOSED, REOPENED]
- *         description: Filter by status
+ *         description: Filter by status (OPEN, ASSIGNED, IN_PROGRESS, PENDING_APPROVAL, RESOLVED, CLOSED, REOPENED). Comma-separate to match several.
+ *       - in: query
+ *         name: slaStatus
+ *         schema:
+ *           type: string
+ *         description: Filter by SLA status (ON_TRACK, AT_RISK, BREACHED, MET). Comma-separate to match several.
  *       - in: query
  *         name: priority
  *         schema:
  *           type: string
- *           enum: [LOW, MEDIUM, HIGH, CRITICAL]
- *         description: Filter by priority
+ *         description: Filter by priority (LOW, MEDIUM, HIGH, CRITICAL). Comma-separate to match several.
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         description: Filter by the customer's state
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: Filter by the customer's city
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: string
+ *         description: Filter by the team queue a ticket is in
  *       - in: query
  *         name: search
  *         schema:
  *           type: string
  *         description: Search in title and description
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *         description: Comma-separated related records to embed (history, comments, attachments, photos, assignmentHistory, or all)
  *     responses:
  *       200:
  *         description: A list of tickets
@@ -122,6 +152,155 @@ router.get(
   TicketController.getAllTickets
 );
 
+/**
+ * @swagger
+ * /api/tickets/search:
+ *   get:
+ *     summary: Search tickets
+ *     description: |
+ *       Ranked search across ticket IDs, serial and model numbers (including fragments), titles and descriptions, customer names, emails and phone numbers, and comment text. Internal comments are only searched for roles that can update tickets.
+ *       The response meta holds facet counts by status, priority, category, type and assignee. Each facet ignores its own filter, so the counts of the other values stay visible.
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Search text (at least 2 characters)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by status. Comma-separate to match several.
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *         description: Filter by priority. Comma-separate to match several.
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter by category. Comma-separate to match several.
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Filter by ticket type. Comma-separate to match several.
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *         description: Filter by assignee user ID, or unassigned. Comma-separate to match several.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Items per page
+ *     responses:
+ *       200:
+ *         description: Matching tickets, best match first, with score and matchedOn
+ *       400:
+ *         description: Search text missing or too short
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/search",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_TICKET),
+  TicketController.searchTickets
+);
+
+/**
+ * @swagger
+ * /api/tickets/bulk:
+ *   post:
+ *     summary: Run one action on several tickets
+ *     description: |
+ *       Assign, change the status or priority of, comment on or delete up to 100 tickets. Each ticket goes through the same checks, history entries and notifications as the single-ticket endpoint, and a failure on one ticket does not stop the others.
+ *       The permission of the matching single-ticket endpoint is required (assign_ticket for ASSIGN, delete_ticket for DELETE, update_ticket otherwise).
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ticketIds
+ *               - action
+ *             properties:
+ *               ticketIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               action:
+ *                 type: string
+ *                 enum: [ASSIGN, CHANGE_STATUS, CHANGE_PRIORITY, ADD_COMMENT, DELETE]
+ *               assignToUserId:
+ *                 type: string
+ *                 description: Required for ASSIGN
+ *               notes:
+ *                 type: string
+ *                 description: Assignment notes for ASSIGN
+ *               status:
+ *                 type: string
+ *                 description: Required for CHANGE_STATUS
+ *               priority:
+ *                 type: string
+ *                 enum: [LOW, MEDIUM, HIGH, CRITICAL]
+ *                 description: Required for CHANGE_PRIORITY
+ *               comment:
+ *                 type: string
+ *                 description: Required for ADD_COMMENT, and used as the update comment for CHANGE_STATUS and CHANGE_PRIORITY
+ *               isInternal:
+ *                 type: boolean
+ *                 description: Whether an ADD_COMMENT comment is internal
+ *               reason:
+ *                 type: string
+ *                 description: Required for DELETE
+ *           example:
+ *             ticketIds: [60d21b4667d0d8992e610c85, 60d21b4667d0d8992e610c86]
+ *             action: ASSIGN
+ *             assignToUserId: 60d21b4667d0d8992e610c01
+ *             notes: Reassigned while the previous engineer is on leave
+ *     responses:
+ *       200:
+ *         description: Per-ticket results with success, and the updated ticket summary or the error
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing the permission for this action
+ *       404:
+ *         description: User to assign the tickets to not found
+ */
+router.post(
+  "/bulk",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(
+    PERMISSIONS.UPDATE_TICKET,
+    PERMISSIONS.ASSIGN_TICKET,
+    PERMISSIONS.DELETE_TICKET
+  ),
+  validateRequest(bulkTicketSchema),
+  TicketController.bulkUpdateTickets
+);
+
 /**
  * @swagger
  * /api/tickets/count-by-date-type:
@@ -143,12 +322,82 @@ router.get(
   TicketController.getTicketCountByDateAndType
 );
 
+/**
+ * @swagger
+ * /api/tickets/stream:
+ *   get:
+ *     summary: Stream ticket updates
+ *     description: |
+ *       Server-Sent Events stream that pushes ticket.assigned, ticket.updated, ticket.comment_added and ticket.approved events. Each event carries the ticket summary and who performed the action, and only reaches users who can see the ticket.
+ *       Browsers using EventSource pass a stream token from POST /api/tickets/stream/token in the token query parameter instead of the Authorization header; session tokens are not accepted there.
+ *       The stream ends with a closed event (reason session_expired or account_inactive) when the session it was opened with expires or the user is deactivated.
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Stream token, for clients that cannot send the Authorization header
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  "/stream",
+  AuthMiddleware.authenticateStream,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_TICKET),
+  TicketController.streamTicketEvents
+);
+
+/**
+ * @swagger
+ * /api/tickets/stream/token:
+ *   post:
+ *     summary: Create a stream token
+ *     description: Short-lived token that only opens the ticket event stream, for EventSource clients that pass it in the query string. It expires after JWT_STREAM_EXPIRY (default 60s); request a new one to reconnect.
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Stream token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post(
+  "/stream/token",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_TICKET),
+  TicketController.createStreamToken
+);
+
 /**
  * @swagger
  * /api/tickets/{id}:
  *   get:
  *     summary: Get ticket by ID
- *     description: Retrieve detailed information about a specific ticket.
+ *     description: Retrieve detailed information about a specific ticket. History, comments and attachments are only embedded when requested with include.
  *     tags: [Tickets]
  *     security:
  *       - bearerAuth: []
@@ -159,6 +408,11 @@ router.get(
  *         schema:
  *           type: string
  *         description: Ticket ID
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *         description: Comma-separated related records to embed (history, comments, attachments, photos, assignmentHistory, or all)
  *     responses:
  *       200:
  *         description: Ticket details
@@ -208,6 +462,9 @@ router.get(
  *               dueDate:
  *                 type: string
  *                 format: date-time
+ *               teamId:
+ *                 type: string
+ *                 description: Put the ticket in this team's queue instead of assigning it by the assignment rules
  *               photos:
  *                 type: array
  *                 items:
@@ -295,6 +552,8 @@ router.post(
  *         description: Forbidden
  *       404:
  *         description: Ticket not found
+ *       422:
+ *         description: Status change not allowed by the ticket workflow
  */
 router.put(
   "/:id",
@@ -338,9 +597,9 @@ router.put(
  *                 description: Optional notes about the assignment
  *     responses:
  *       200:
- *         description: Ticket assigned successfully
+ *         description: Ticket assigned successfully. When the assignee is on leave, at their open ticket limit or off today, meta.warnings lists why.
  *       400:
- *         description: Invalid input
+ *         description: Invalid input, or the assignee is on leave or at capacity and the assignmentAvailabilityCheck ticket setting is BLOCK
  *       401:
  *         description: Unauthorized
  *       403:
@@ -357,6 +616,89 @@ router.post(
   TicketController.assignTicket
 );
 
+/**
+ * @swagger
+ * /api/tickets/{id}/assign-team:
+ *   post:
+ *     summary: Move a ticket to a team queue
+ *     description: Put a ticket in a team's queue for one of its members to pick up. An assignee who is not a member of the team is removed and an ASSIGNED ticket goes back to OPEN.
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Ticket ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - teamId
+ *             properties:
+ *               teamId:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *                 description: Optional notes about the assignment
+ *     responses:
+ *       200:
+ *         description: Ticket moved to team queue successfully
+ *       400:
+ *         description: Invalid input, the team is inactive or the ticket is resolved or closed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Ticket or team not found
+ */
+router.post(
+  "/:id/assign-team",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.ASSIGN_TICKET),
+  auditMiddleware("Ticket"),
+  validateRequest(assignTeamSchema),
+  TicketController.assignTicketToTeam
+);
+
+/**
+ * @swagger
+ * /api/tickets/{id}/assignee-suggestions:
+ *   get:
+ *     summary: Suggest engineers to assign a ticket to
+ *     description: |
+ *       Active engineers for the assignment dropdown, with their availability (leave, working days and open tickets against their limit). Available engineers come first; within that, engineers whose territory covers the ticket's customer by pincode range or city, directly or through one of the territory's teams, come first, with the covering territory names, then those with the fewest unresolved tickets.
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Ticket ID
+ *     responses:
+ *       200:
+ *         description: Assignee suggestions retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Ticket not found
+ */
+router.get(
+  "/:id/assignee-suggestions",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.ASSIGN_TICKET),
+  TicketController.getAssigneeSuggestions
+);
+
 /**
  * @swagger
  * /api/tickets/{id}/assignment-history:
@@ -422,6 +764,54 @@ router.post(
   TicketController.approveTicket
 );
 
+/**
+ * @swagger
+ * /api/tickets/{id}/comments:
+ *   get:
+ *     summary: Get ticket comments
+ *     description: Retrieve a page of comments on a ticket, newest first.
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Ticket ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Items per page
+ *       - in: query
+ *         name: isInternal
+ *         schema:
+ *           type: boolean
+ *         description: Only internal (true) or only public (false) comments
+ *     responses:
+ *       200:
+ *         description: Ticket comments retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Ticket not found
+ */
+router.get(
+  "/:id/comments",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_TICKET),
+  TicketController.getTicketComments
+);
+
 /**
  * @swagger
  * /api/tickets/{id}/comments:
@@ -478,6 +868,55 @@ router.post(
   TicketController.addComment
 );
 
+/**
+ * @swagger
+ * /api/tickets/{id}/attachments:
+ *   get:
+ *     summary: Get ticket attachments
+ *     description: Retrieve a page of files and photos on a ticket, newest first.
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Ticket ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Items per page
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [ATTACHMENT, PHOTO]
+ *         description: Only files of this kind
+ *     responses:
+ *       200:
+ *         description: Ticket attachments retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Ticket not found
+ */
+router.get(
+  "/:id/attachments",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_TICKET),
+  TicketController.getTicketAttachments
+);
+
 /**
  * @swagger
  * /api/tickets/{id}/attachments:
@@ -572,7 +1011,7 @@ router.delete(
  * /api/tickets/item/{itemId}/serial-numbers:
  *   get:
  *     summary: Get available serial numbers for an item
- *     description: Retrieve all available serial numbers for a specific item.
+ *     description: Serial numbers listed in the item's uploaded sheet, read from its main header column.
  *     tags: [Tickets]
  *     security:
  *       - bearerAuth: []
@@ -583,6 +1022,20 @@ router.delete(
  *         schema:
  *           type: string
  *         description: Item ID
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Serial number prefix, case-insensitive
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
  *     responses:
  *       200:
  *         description: Serial numbers retrieved successfully
@@ -603,7 +1056,7 @@ router.get(
  * /api/tickets/item/{itemId}/serial-number/{serialNumber}/metadata:
  *   get:
  *     summary: Get metadata for a serial number
- *     description: Retrieve metadata for a specific item and serial number combination.
+ *     description: The item sheet's row for the serial number, keyed by column header. Serial numbers match regardless of case.
  *     tags: [Tickets]
  *     security:
  *       - bearerAuth: []
@@ -640,7 +1093,7 @@ router.get(
  * /api/tickets/{id}/history:
  *   get:
  *     summary: Get ticket update history
- *     description: Retrieve the complete update history for a ticket including all changes.
+ *     description: Retrieve the complete update history for a ticket including all changes, newest first.
  *     tags: [Tickets]
  *     security:
  *       - bearerAuth: []
@@ -663,6 +1116,11 @@ router.get(
  *           type: integer
  *           default: 10
  *         description: Items per page
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Only entries with this action (e.g. STATUS_CHANGED)
  *     responses:
  *       200:
  *         description: Ticket history retrieved successfully
@@ -678,6 +1136,64 @@ router.get(
   TicketController.getTicketHistory
 );
 
+/**
+ * @swagger
+ * /api/tickets/{id}/timeline:
+ *   get:
+ *     summary: Get ticket timeline
+ *     description: Retrieve status changes, field changes, assignments, comments, attachment events, audit logs and sent notifications for a ticket as one feed, newest first. Internal comments are only shown to roles that can update tickets, and audit logs to roles that can view audit logs.
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Ticket ID
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *         description: Comma-separated event types (CREATED, STATUS_CHANGE, FIELD_CHANGE, ASSIGNMENT, COMMENT, ATTACHMENT, AUDIT, NOTIFICATION)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Events per page (max 100)
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [desc, asc]
+ *           default: desc
+ *         description: Newest first (desc) or oldest first (asc)
+ *     responses:
+ *       200:
+ *         description: Ticket timeline retrieved successfully
+ *       400:
+ *         description: Invalid event type or cursor
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Ticket not found
+ */
+router.get(
+  "/:id/timeline",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_TICKET),
+  TicketController.getTicketTimeline
+);
+
 /**
  * @swagger
  * /api/tickets/{id}:
@@ -7,6 +7,8 @@ const {
   updateSettingsSchema,
   autoApprovalSchema,
   dueDatesConfigSchema,
+  workflowSchema,
+  slaConfigSchema,
 } = require("../validators/ticketSettings.validator");
 const auditMiddleware = require("../middlewares/audit.middleware");
 
@@ -58,6 +60,9 @@ router.get(
  *                   type: string
  *               defaultAssignToSupportManager:
  *                 type: boolean
+ *               assignmentAvailabilityCheck:
+ *                 type: string
+ *                 enum: [OFF, WARN, BLOCK]
  *               defaultDueDateDays:
  *                 type: number
  *               priorityDueDates:
@@ -235,4 +240,161 @@ router.put(
   TicketSettingsController.updateDueDatesConfig
 );
 
+/**
+ * @swagger
+ * /api/settings/tickets/workflow:
+ *   get:
+ *     summary: Get ticket status workflow
+ *     description: Retrieve all ticket statuses, the transition table per role, and the transitions available to the current user's role so the UI can show only legal status actions.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Ticket workflow retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 statuses:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 transitions:
+ *                   type: object
+ *                   description: Allowed moves keyed by role code, then current status
+ *                 allowedTransitions:
+ *                   type: object
+ *                   description: Allowed moves for the current user's role
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/workflow",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_TICKET),
+  TicketSettingsController.getWorkflow
+);
+
+/**
+ * @swagger
+ * /api/settings/tickets/workflow:
+ *   put:
+ *     summary: Update ticket status workflow
+ *     description: Replace the status transition table. Roles without their own entry use the DEFAULT graph. Super Admin only.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - transitions
+ *             properties:
+ *               transitions:
+ *                 type: object
+ *                 example:
+ *                   DEFAULT:
+ *                     OPEN: [ASSIGNED, IN_PROGRESS, CLOSED]
+ *                   ENGINEER:
+ *                     ASSIGNED: [IN_PROGRESS]
+ *                     IN_PROGRESS: [RESOLVED]
+ *     responses:
+ *       200:
+ *         description: Ticket workflow updated successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.put(
+  "/workflow",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(ROLES.SUPER_ADMIN),
+  auditMiddleware("TicketSettings"),
+  validateRequest(workflowSchema),
+  TicketSettingsController.updateWorkflow
+);
+
+/**
+ * @swagger
+ * /api/settings/tickets/sla:
+ *   get:
+ *     summary: Get SLA configuration
+ *     description: Retrieve SLA policies and the at-risk threshold.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: SLA configuration retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/sla",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_SETTINGS),
+  TicketSettingsController.getSlaConfig
+);
+
+/**
+ * @swagger
+ * /api/settings/tickets/sla:
+ *   put:
+ *     summary: Update SLA configuration
+ *     description: Update SLA policies per priority and ticket type. New targets apply to tickets created afterwards or whose priority or type changes. Super Admin only.
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               slaEnabled:
+ *                 type: boolean
+ *               slaAtRiskPercent:
+ *                 type: number
+ *               slaPolicies:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     priority:
+ *                       type: string
+ *                       enum: [LOW, MEDIUM, HIGH, CRITICAL]
+ *                     ticketType:
+ *                       type: string
+ *                     firstResponseHours:
+ *                       type: number
+ *                     resolutionHours:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: SLA configuration updated successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.put(
+  "/sla",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.authorize(ROLES.SUPER_ADMIN),
+  auditMiddleware("TicketSettings"),
+  validateRequest(slaConfigSchema),
+  TicketSettingsController.updateSlaConfig
+);
+
 module.exports = router;
@@ -7,6 +7,9 @@ const {
   createUserSchema,
   updateUserSchema,
   updateNotificationPreferencesSchema,
+  updateAvailabilitySchema,
+  createLeaveSchema,
+  reassignLeaveTicketsSchema,
 } = require("../validators/user.validator");
 const auditMiddleware = require("../middlewares/audit.middleware");
 
@@ -348,6 +351,11 @@ router.get(
  *                 type: boolean
  *               sms:
  *                 type: boolean
+ *               inApp:
+ *                 type: boolean
+ *               language:
+ *                 type: string
+ *                 example: en
  *     responses:
  *       200:
  *         description: Notification preferences updated successfully
@@ -368,6 +376,285 @@ router.put(
   UserController.updateNotificationPreferences
 );
 
+/**
+ * @swagger
+ * /users/{id}/availability:
+ *   get:
+ *     summary: Get user availability
+ *     description: Working days, open ticket limit, leaves, and whether the user can take a ticket now. Users can view their own, admins can view any.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Availability retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+router.get(
+  "/:id/availability",
+  AuthMiddleware.authenticate,
+  UserController.getAvailability
+);
+
+/**
+ * @swagger
+ * /users/{id}/availability:
+ *   put:
+ *     summary: Update user working days and capacity
+ *     description: SUPER_ADMIN can update any user, SUPPORT_MANAGER can update ENGINEER users and themselves.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               workingDays:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 description: Days of the week worked (0 = Sunday); empty follows the business calendar
+ *                 example: [1, 2, 3, 4, 5, 6]
+ *               maxOpenTickets:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Most unresolved tickets at once; null removes the limit
+ *                 example: 15
+ *     responses:
+ *       200:
+ *         description: Availability updated successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+router.put(
+  "/:id/availability",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.UPDATE_USER),
+  auditMiddleware("UserAvailability"),
+  validateRequest(updateAvailabilitySchema),
+  UserController.updateAvailability
+);
+
+/**
+ * @swagger
+ * /users/{id}/leaves:
+ *   post:
+ *     summary: Record a leave period
+ *     description: Users can record their own leave; SUPER_ADMIN can record leave for anyone and SUPPORT_MANAGER for ENGINEER users. The response counts the open tickets the leave affects.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Last day of leave (inclusive)
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Leave recorded successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Leave overlaps an existing leave
+ */
+router.post(
+  "/:id/leaves",
+  AuthMiddleware.authenticate,
+  auditMiddleware("UserAvailability"),
+  validateRequest(createLeaveSchema),
+  UserController.addLeave
+);
+
+/**
+ * @swagger
+ * /users/{id}/leaves/{leaveId}:
+ *   delete:
+ *     summary: Remove a leave period
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: path
+ *         name: leaveId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Leave ID
+ *     responses:
+ *       200:
+ *         description: Leave removed successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User or leave not found
+ */
+router.delete(
+  "/:id/leaves/:leaveId",
+  AuthMiddleware.authenticate,
+  auditMiddleware("UserAvailability"),
+  UserController.removeLeave
+);
+
+/**
+ * @swagger
+ * /users/{id}/leaves/{leaveId}/tickets:
+ *   get:
+ *     summary: List tickets affected by a leave
+ *     description: Unresolved tickets assigned to the user that are due on or after the first day of leave, or have no due date.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: path
+ *         name: leaveId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Leave ID
+ *     responses:
+ *       200:
+ *         description: Leave tickets retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User or leave not found
+ */
+router.get(
+  "/:id/leaves/:leaveId/tickets",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.ASSIGN_TICKET),
+  UserController.getLeaveTickets
+);
+
+/**
+ * @swagger
+ * /users/{id}/leaves/{leaveId}/reassign:
+ *   post:
+ *     summary: Move a leave's tickets to another user
+ *     description: Assigns the tickets affected by the leave (or the selected ones) to another user, one ticket at a time. A failure on one ticket does not stop the others.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: path
+ *         name: leaveId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Leave ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - assignToUserId
+ *             properties:
+ *               assignToUserId:
+ *                 type: string
+ *               ticketIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Only move these tickets; all affected tickets when left out
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Per-ticket results of the move
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User, leave or new assignee not found
+ */
+router.post(
+  "/:id/leaves/:leaveId/reassign",
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requirePermission(PERMISSIONS.ASSIGN_TICKET),
+  validateRequest(reassignLeaveTicketsSchema),
+  UserController.reassignLeaveTickets
+);
+
 /**
  * @swagger
  * /users/{id}:
@@ -0,0 +1,201 @@
+const express = require("express");
+const WarehouseController = require("../controllers/warehouse.controller");
+const AuthMiddleware = require("../middlewares/auth.middleware");
+const { validateRequest } = require("../middlewares/validateReq.middleware");
+const { PERMISSIONS } = require("../config/roles");
+const {
+  createWarehouseSchema,
+  updateWarehouseSchema,
+} = require("../validators/warehouse.validator");
+const auditMiddleware = require("../middlewares/audit.middleware");
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(AuthMiddleware.authenticate);
+
+/**
+ * @swagger
+ * /api/warehouses:
+ *   get:
+ *     summary: List warehouses
+ *     description: List the stock locations items are held at.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name, code or city
+ *     responses:
+ *       200:
+ *         description: Warehouses retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/",
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_ITEM),
+  WarehouseController.getWarehouses
+);
+
+/**
+ * @swagger
+ * /api/warehouses:
+ *   post:
+ *     summary: Create a warehouse
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Warehouse'
+ *     responses:
+ *       201:
+ *         description: Warehouse created successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: A warehouse with this name or code exists
+ */
+router.post(
+  "/",
+  AuthMiddleware.requirePermission(PERMISSIONS.CREATE_ITEM),
+  auditMiddleware("Warehouse"),
+  validateRequest(createWarehouseSchema),
+  WarehouseController.createWarehouse
+);
+
+/**
+ * @swagger
+ * /api/warehouses/{id}:
+ *   get:
+ *     summary: Get a warehouse
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Warehouse retrieved successfully
+ *       404:
+ *         description: Warehouse not found
+ */
+router.get(
+  "/:id",
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_ITEM),
+  WarehouseController.getWarehouseById
+);
+
+/**
+ * @swagger
+ * /api/warehouses/{id}/stock:
+ *   get:
+ *     summary: Get warehouse stock
+ *     description: Stock held at the warehouse per item and condition, with the transfers in transit to it (incoming) and from it (outgoing).
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Warehouse stock retrieved successfully
+ *       404:
+ *         description: Warehouse not found
+ */
+router.get(
+  "/:id/stock",
+  AuthMiddleware.requirePermission(PERMISSIONS.VIEW_ITEM),
+  WarehouseController.getStock
+);
+
+/**
+ * @swagger
+ * /api/warehouses/{id}:
+ *   put:
+ *     summary: Update a warehouse
+ *     description: A warehouse with transfers in transit cannot be deactivated.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Warehouse'
+ *     responses:
+ *       200:
+ *         description: Warehouse updated successfully
+ *       404:
+ *         description: Warehouse not found
+ *       409:
+ *         description: Name or code taken, or transfers in transit
+ */
+router.put(
+  "/:id",
+  AuthMiddleware.requirePermission(PERMISSIONS.UPDATE_ITEM),
+  auditMiddleware("Warehouse"),
+  validateRequest(updateWarehouseSchema),
+  WarehouseController.updateWarehouse
+);
+
+/**
+ * @swagger
+ * /api/warehouses/{id}:
+ *   delete:
+ *     summary: Delete a warehouse
+ *     description: Only warehouses no item has stock, transactions or a threshold at can be deleted; deactivate the others.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Warehouse deleted successfully
+ *       404:
+ *         description: Warehouse not found
+ *       409:
+ *         description: The warehouse is in use
+ */
+router.delete(
+  "/:id",
+  AuthMiddleware.requirePermission(PERMISSIONS.DELETE_ITEM),
+  auditMiddleware("Warehouse"),
+  WarehouseController.deleteWarehouse
+);
+
+module.exports = router;
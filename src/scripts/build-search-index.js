@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+const Ticket = require("../models/ticket.model");
+const Customer = require("../models/customer.model");
+const TicketComment = require("../models/ticketComment.model");
+const { buildSearchKeywords } = require("../utils/search.utils");
+require("dotenv").config();
+
+const BATCH_SIZE = 500;
+
+/**
+ * Recompute the search keywords of every document in a collection. Saves
+ * keep them up to date afterwards; this covers documents written before
+ * search existed or inserted without the model hooks (e.g. imports).
+ */
+async function rebuildKeywords(Model, fields) {
+  const cursor = Model.collection.find(
+    {},
+    { projection: fields.reduce((p, f) => ({ ...p, [f]: 1 }), {}) }
+  );
+  let operations = [];
+  let count = 0;
+
+  for await (const doc of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: {
+          $set: {
+            searchKeywords: buildSearchKeywords(fields.map((f) => doc[f])),
+          },
+        },
+      },
+    });
+    count += 1;
+
+    if (operations.length === BATCH_SIZE) {
+      await Model.collection.bulkWrite(operations, { ordered: false });
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    await Model.collection.bulkWrite(operations, { ordered: false });
+  }
+
+  return count;
+}
+
+async function buildSearchIndex() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log("Connected to MongoDB");
+
+    // Make sure the text and keyword indexes exist before searching
+    await Promise.all([
+      Ticket.createIndexes(),
+      Customer.createIndexes(),
+      TicketComment.createIndexes(),
+    ]);
+    console.log("Search indexes created");
+
+    const tickets = await rebuildKeywords(Ticket, [
+      "ticketId",
+      "serialNumber",
+      "modelNumber",
+    ]);
+    const customers = await rebuildKeywords(Customer, [
+      "mobile",
+      "alternateMobile",
+    ]);
+
+    console.log(
+      `Rebuilt search keywords for ${tickets} ticket(s) and ${customers} customer(s)`
+    );
+  } catch (error) {
+    console.error("Error building search index:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+// Run the function
+buildSearchIndex();
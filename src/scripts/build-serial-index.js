@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+const Item = require("../models/item.model");
+const SerialMetadataService = require("../services/serialMetadata.service");
+require("dotenv").config();
+
+/**
+ * Fill the serial number registry from sheets uploaded before it existed.
+ *
+ *   node src/scripts/build-serial-index.js [--dry-run]
+ *
+ * Every item with an uploaded sheet and a main header column is indexed
+ * again from scratch, so running it twice gives the same result.
+ */
+async function indexSerialMetadata() {
+  const dryRun = process.argv.includes("--dry-run");
+  const counts = { items: 0, serialNumbers: 0 };
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log("Connected to MongoDB");
+
+    const cursor = Item.find({
+      mainHeaderKey: { $nin: [null, ""] },
+      "uploadedFile.data.0": { $exists: true },
+    }).cursor();
+
+    for await (const item of cursor) {
+      counts.items += 1;
+
+      if (dryRun) {
+        counts.serialNumbers += item.uploadedFile.data.length;
+        continue;
+      }
+
+      counts.serialNumbers += await SerialMetadataService.indexItem(item);
+    }
+
+    console.log(
+      `${dryRun ? "Would index up to" : "Indexed"} ${counts.serialNumbers} serial number(s) of ${counts.items} item(s)`
+    );
+  } catch (error) {
+    console.error("Error indexing serial metadata:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+// Run the function
+indexSerialMetadata();
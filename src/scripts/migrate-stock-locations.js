@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+const Item = require("../models/item.model");
+const Warehouse = require("../models/warehouse.model");
+require("dotenv").config();
+
+/**
+ * Place stock recorded before warehouses existed at one warehouse.
+ *
+ *   node src/scripts/migrate-stock-locations.js [--warehouse=CODE] [--dry-run]
+ *
+ * The warehouse (MAIN by default) is created if there is none with that
+ * code. Stock entries without a warehouse are merged into that warehouse's
+ * entry for the same condition, and transactions without one are marked as
+ * having happened there. Running it again changes nothing.
+ */
+async function migrateStockLocations() {
+  const dryRun = process.argv.includes("--dry-run");
+  const codeArg = process.argv.find((arg) => arg.startsWith("--warehouse="));
+  const code = (codeArg ? codeArg.split("=")[1] : "MAIN").toUpperCase();
+  const counts = { items: 0, stockEntries: 0, transactions: 0 };
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log("Connected to MongoDB");
+
+    let warehouse = await Warehouse.findOne({ code });
+    if (!warehouse && !dryRun) {
+      warehouse = await Warehouse.create({ name: `${code} warehouse`, code });
+      console.log(`Created warehouse ${code}`);
+    }
+
+    const cursor = Item.find({
+      $or: [
+        { inventory: { $elemMatch: { warehouse: null } } },
+        { transactions: { $elemMatch: { warehouse: null } } },
+      ],
+    }).cursor();
+
+    for await (const item of cursor) {
+      counts.items += 1;
+
+      const unlocated = item.inventory.filter((stock) => !stock.warehouse);
+      const unlocatedTransactions = item.transactions.filter(
+        (transaction) => !transaction.warehouse
+      );
+      counts.stockEntries += unlocated.length;
+      counts.transactions += unlocatedTransactions.length;
+
+      if (dryRun) continue;
+
+      for (const stock of unlocated) {
+        const existing = item.inventory.find(
+          (entry) =>
+            entry.condition === stock.condition &&
+            entry.warehouse &&
+            entry.warehouse.equals(warehouse._id)
+        );
+
+        if (existing) {
+          existing.quantity += stock.quantity;
+          stock.deleteOne();
+        } else {
+          stock.warehouse = warehouse._id;
+        }
+      }
+
+      for (const transaction of unlocatedTransactions) {
+        transaction.warehouse = warehouse._id;
+      }
+
+      await item.save();
+    }
+
+    console.log(
+      `${dryRun ? "Would move" : "Moved"} stock of ${counts.items} item(s) to ${code}:`,
+      counts
+    );
+  } catch (error) {
+    console.error("Error migrating stock locations:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+// Run the function
+migrateStockLocations();
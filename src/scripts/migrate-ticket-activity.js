@@ -0,0 +1,129 @@
+const mongoose = require("mongoose");
+const Ticket = require("../models/ticket.model");
+const TicketHistory = require("../models/ticketHistory.model");
+const TicketComment = require("../models/ticketComment.model");
+const TicketAttachment = require("../models/ticketAttachment.model");
+const TicketAssignment = require("../models/ticketAssignment.model");
+require("dotenv").config();
+
+// Arrays that used to be embedded in each ticket document
+const EMBEDDED_FIELDS = [
+  "history",
+  "comments",
+  "attachments",
+  "photos",
+  "assignmentHistory",
+];
+
+/**
+ * Upsert records by _id, so existing IDs (e.g. attachment IDs used by the
+ * delete endpoint) are kept and the script can safely be run again
+ */
+async function copyRecords(Model, ticketId, records, extra = {}) {
+  if (!records || records.length === 0) return 0;
+
+  await Model.collection.bulkWrite(
+    records.map((record) => {
+      const doc = { ...record, ...extra, ticketId };
+      if (!doc._id) doc._id = new mongoose.Types.ObjectId();
+
+      return {
+        updateOne: {
+          filter: { _id: doc._id },
+          update: { $setOnInsert: doc },
+          upsert: true,
+        },
+      };
+    }),
+    { ordered: false }
+  );
+
+  return records.length;
+}
+
+async function migrateTicketActivity() {
+  const dryRun = process.argv.includes("--dry-run");
+  const counts = {
+    tickets: 0,
+    history: 0,
+    comments: 0,
+    attachments: 0,
+    photos: 0,
+    assignmentHistory: 0,
+  };
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log("Connected to MongoDB");
+
+    // Read the raw documents - the embedded arrays are no longer part of the
+    // ticket schema
+    const cursor = Ticket.collection.find(
+      { $or: EMBEDDED_FIELDS.map((field) => ({ [field]: { $exists: true } })) },
+      { projection: EMBEDDED_FIELDS.reduce((p, f) => ({ ...p, [f]: 1 }), {}) }
+    );
+
+    for await (const ticket of cursor) {
+      counts.tickets += 1;
+
+      if (dryRun) {
+        for (const field of EMBEDDED_FIELDS) {
+          counts[field] += (ticket[field] || []).length;
+        }
+        continue;
+      }
+
+      counts.history += await copyRecords(
+        TicketHistory,
+        ticket._id,
+        ticket.history
+      );
+      counts.comments += await copyRecords(
+        TicketComment,
+        ticket._id,
+        ticket.comments
+      );
+      counts.attachments += await copyRecords(
+        TicketAttachment,
+        ticket._id,
+        ticket.attachments,
+        { kind: "ATTACHMENT" }
+      );
+      counts.photos += await copyRecords(
+        TicketAttachment,
+        ticket._id,
+        ticket.photos,
+        { kind: "PHOTO" }
+      );
+      counts.assignmentHistory += await copyRecords(
+        TicketAssignment,
+        ticket._id,
+        ticket.assignmentHistory
+      );
+
+      // Only drop the embedded arrays once every record has been copied
+      await Ticket.collection.updateOne(
+        { _id: ticket._id },
+        { $unset: EMBEDDED_FIELDS.reduce((u, f) => ({ ...u, [f]: "" }), {}) }
+      );
+    }
+
+    console.log(
+      `${dryRun ? "Would migrate" : "Migrated"} ${counts.tickets} ticket(s):`,
+      counts
+    );
+  } catch (error) {
+    console.error("Error migrating ticket activity:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+// Run the function
+migrateTicketActivity();
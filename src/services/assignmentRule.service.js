@@ -0,0 +1,410 @@
+const AssignmentRule = require("../models/assignmentRule.model");
+const Ticket = require("../models/ticket.model");
+const User = require("../models/user.model");
+const Customer = require("../models/customer.model");
+const TerritoryService = require("./territory.service");
+const AvailabilityService = require("./availability.service");
+const ApiError = require("../utils/apiError.util");
+const { ROLES } = require("../config/roles");
+
+const ENGINEER_FIELDS = "name email role skills territories";
+
+const upper = (value) =>
+  value === null || value === undefined
+    ? ""
+    : String(value).trim().toUpperCase();
+
+class AssignmentRuleService {
+  /**
+   * List all assignment rules in the order they are tried
+   * @returns {Promise<Array>}
+   */
+  static async getRules() {
+    return await AssignmentRule.find()
+      .sort({ order: 1, createdAt: 1 })
+      .populate("engineers", ENGINEER_FIELDS)
+      .populate("lastAssignedTo", "name email");
+  }
+
+  /**
+   * Get an assignment rule
+   * @param {String} id - Rule ID
+   * @returns {Promise<Object>}
+   */
+  static async getRuleById(id) {
+    const rule = await AssignmentRule.findById(id)
+      .populate("engineers", ENGINEER_FIELDS)
+      .populate("lastAssignedTo", "name email");
+
+    if (!rule) {
+      throw ApiError.notFound("Assignment rule not found");
+    }
+
+    return rule;
+  }
+
+  /**
+   * Create an assignment rule
+   * @param {Object} ruleData - Rule fields
+   * @param {String} userId - ID of the user creating the rule
+   * @returns {Promise<Object>}
+   */
+  static async createRule(ruleData, userId) {
+    await this.validateEngineers(ruleData.engineers);
+
+    try {
+      return await AssignmentRule.create({
+        ...ruleData,
+        createdBy: userId,
+        updatedBy: userId,
+      });
+    } catch (error) {
+      throw this.translateError(error, ruleData.name);
+    }
+  }
+
+  /**
+   * Update an assignment rule
+   * @param {String} id - Rule ID
+   * @param {Object} updateData - Fields to change
+   * @param {String} userId - ID of the user updating the rule
+   * @returns {Promise<Object>}
+   */
+  static async updateRule(id, updateData, userId) {
+    const rule = await AssignmentRule.findById(id);
+    if (!rule) {
+      throw ApiError.notFound("Assignment rule not found");
+    }
+
+    await this.validateEngineers(updateData.engineers);
+
+    Object.assign(rule, updateData, { updatedBy: userId });
+
+    try {
+      return await rule.save();
+    } catch (error) {
+      throw this.translateError(error, rule.name);
+    }
+  }
+
+  /**
+   * Delete an assignment rule
+   * @param {String} id - Rule ID
+   * @returns {Promise<Object>} - Deleted rule
+   */
+  static async deleteRule(id) {
+    const rule = await AssignmentRule.findByIdAndDelete(id);
+
+    if (!rule) {
+      throw ApiError.notFound("Assignment rule not found");
+    }
+
+    return rule;
+  }
+
+  /**
+   * Show which engineer a sample ticket would be assigned to, and why each
+   * rule did or did not apply. Nothing is assigned and round-robin
+   * positions do not move.
+   * @param {Object} sample - type, category, itemId and either customerId
+   * or state, city and pincode
+   * @returns {Promise<Object>} - { assignee, rule, evaluations }
+   */
+  static async dryRun(sample) {
+    let location = {
+      state: sample.state,
+      city: sample.city,
+      pincode: sample.pincode,
+    };
+
+    if (sample.customerId) {
+      const customer = await Customer.findById(sample.customerId).select(
+        "state city pincode"
+      );
+      if (!customer) {
+        throw ApiError.notFound("Customer not found");
+      }
+      location = customer;
+    }
+
+    return await this.findAssignee(sample, location, { dryRun: true });
+  }
+
+  /**
+   * Pick an engineer for a new ticket using the first active rule that
+   * matches it and finds someone
+   * @param {Object} ticket - type, category and itemId of the ticket
+   * @param {Object} location - state, city and pincode of the customer
+   * @param {Object} options - dryRun: evaluate without recording anything
+   * @returns {Promise<Object>} - { assignee, rule, evaluations }; assignee
+   * and rule are null when no rule applies
+   */
+  static async findAssignee(ticket, location = {}, { dryRun = false } = {}) {
+    const rules = await AssignmentRule.find({ isActive: true }).sort({
+      order: 1,
+      createdAt: 1,
+    });
+    const evaluations = [];
+
+    for (const rule of rules) {
+      const evaluation = {
+        ruleId: rule._id,
+        name: rule.name,
+        order: rule.order,
+        strategy: rule.strategy,
+      };
+      evaluations.push(evaluation);
+
+      const mismatch = this.getMismatch(rule, ticket, location);
+      if (mismatch) {
+        evaluation.matched = false;
+        evaluation.reason = mismatch;
+        continue;
+      }
+
+      evaluation.matched = true;
+
+      const engineers = await this.getPool(rule);
+      if (engineers.length === 0) {
+        evaluation.reason = "No active engineer in the rule's pool";
+        continue;
+      }
+
+      const { available: pool, unavailable } =
+        await AvailabilityService.partitionAvailable(engineers);
+      if (unavailable.length > 0) {
+        evaluation.unavailable = unavailable.map((engineer) => engineer.name);
+      }
+      if (pool.length === 0) {
+        evaluation.reason =
+          "Every engineer in the rule's pool is on leave or at capacity";
+        continue;
+      }
+
+      const assignee = await this.pick(rule, pool, ticket, location, dryRun);
+      if (!assignee) {
+        evaluation.reason = `No engineer in the pool suits ${rule.strategy}`;
+        continue;
+      }
+
+      evaluation.assignee = {
+        _id: assignee._id,
+        name: assignee.name,
+        email: assignee.email,
+      };
+      return { assignee, rule, evaluations };
+    }
+
+    return { assignee: null, rule: null, evaluations };
+  }
+
+  /**
+   * Explain why a ticket does not match a rule's conditions
+   * @returns {String|null} - Reason, or null when the ticket matches
+   * @private
+   */
+  static getMismatch(rule, ticket, location) {
+    const conditions = rule.conditions || {};
+    const checks = [
+      ["types", "Type", upper(ticket.type)],
+      ["categories", "Category", upper(ticket.category)],
+      ["states", "State", upper(location.state)],
+      ["cities", "City", upper(location.city)],
+      ["pincodes", "Pincode", String(location.pincode || "").trim()],
+    ];
+
+    for (const [field, label, value] of checks) {
+      const allowed = conditions[field] || [];
+      if (allowed.length > 0 && !allowed.includes(value)) {
+        return `${label} ${value || "(none)"} is not one of ${allowed.join(", ")}`;
+      }
+    }
+
+    const itemIds = (conditions.itemIds || []).map(String);
+    if (itemIds.length > 0 && !itemIds.includes(String(ticket.itemId))) {
+      return "Item is not one of the rule's items";
+    }
+
+    return null;
+  }
+
+  /**
+   * Active engineers the rule can pick from, in a stable order, before
+   * availability is checked
+   * @private
+   */
+  static async getPool(rule) {
+    const query = { isActive: true };
+
+    if (rule.engineers && rule.engineers.length > 0) {
+      query._id = { $in: rule.engineers };
+    } else {
+      query.role = ROLES.ENGINEER;
+    }
+
+    if (rule.requiredSkills && rule.requiredSkills.length > 0) {
+      query.skills = { $all: rule.requiredSkills };
+    }
+
+    return await User.find(query)
+      .select(`${ENGINEER_FIELDS} availability`)
+      .sort({ _id: 1 });
+  }
+
+  /**
+   * Pick one engineer from the pool with the rule's strategy
+   * @private
+   */
+  static async pick(rule, pool, ticket, location, dryRun) {
+    if (rule.strategy === "ROUND_ROBIN") {
+      return await this.pickRoundRobin(rule, pool, dryRun);
+    }
+
+    let candidates = pool;
+
+    if (rule.strategy === "SKILL_MATCH") {
+      candidates = this.bestSkillMatches(pool, ticket);
+    } else if (rule.strategy === "TERRITORY_MATCH") {
+      candidates = await this.closestTerritoryMatches(pool, location);
+    }
+
+    if (candidates.length === 0) return null;
+
+    const assignee = await this.leastLoaded(candidates);
+    if (!dryRun) {
+      await this.recordAssignment(rule, assignee);
+    }
+
+    return assignee;
+  }
+
+  /**
+   * Take the next engineer in turn. The rule's counter is claimed with an
+   * atomic $inc, so tickets created at the same moment go to different
+   * engineers.
+   * @private
+   */
+  static async pickRoundRobin(rule, pool, dryRun) {
+    if (dryRun) {
+      return pool[(rule.assignmentCount || 0) % pool.length];
+    }
+
+    const claimed = await AssignmentRule.findOneAndUpdate(
+      { _id: rule._id },
+      { $inc: { assignmentCount: 1 } }
+    );
+    const assignee = pool[(claimed.assignmentCount || 0) % pool.length];
+
+    await AssignmentRule.updateOne(
+      { _id: rule._id },
+      { $set: { lastAssignedTo: assignee._id, lastAssignedAt: new Date() } }
+    );
+
+    return assignee;
+  }
+
+  /**
+   * Engineers whose skill tags cover most of the ticket's category and type
+   * @private
+   */
+  static bestSkillMatches(pool, ticket) {
+    const wanted = [upper(ticket.category), upper(ticket.type)].filter(Boolean);
+    const scored = pool.map((engineer) => ({
+      engineer,
+      score: wanted.filter((skill) => (engineer.skills || []).includes(skill))
+        .length,
+    }));
+    const best = Math.max(0, ...scored.map((s) => s.score));
+
+    return best === 0
+      ? []
+      : scored.filter((s) => s.score === best).map((s) => s.engineer);
+  }
+
+  /**
+   * Engineers serving a territory that covers the customer, else those whose
+   * territory tags hold the customer's pincode, else city, else state
+   * @private
+   */
+  static async closestTerritoryMatches(pool, location) {
+    const territories =
+      await TerritoryService.findCoveringTerritories(location);
+    const covering = await TerritoryService.getServingEngineers(territories);
+    const served = pool.filter((engineer) =>
+      covering.has(engineer._id.toString())
+    );
+    if (served.length > 0) return served;
+
+    const levels = [
+      String(location.pincode || "").trim(),
+      upper(location.city),
+      upper(location.state),
+    ].filter(Boolean);
+
+    for (const territory of levels) {
+      const matches = pool.filter((engineer) =>
+        (engineer.territories || []).includes(territory)
+      );
+      if (matches.length > 0) return matches;
+    }
+
+    return [];
+  }
+
+  /**
+   * The engineer with the fewest unresolved tickets; ties go to the first
+   * in pool order
+   * @private
+   */
+  static async leastLoaded(candidates) {
+    if (candidates.length === 1) return candidates[0];
+
+    const openTickets = await Ticket.getOpenCountsByAssignee(
+      candidates.map((engineer) => engineer._id)
+    );
+
+    return candidates.reduce((best, engineer) =>
+      (openTickets.get(engineer._id.toString()) || 0) <
+      (openTickets.get(best._id.toString()) || 0)
+        ? engineer
+        : best
+    );
+  }
+
+  /**
+   * @private
+   */
+  static async recordAssignment(rule, assignee) {
+    await AssignmentRule.updateOne(
+      { _id: rule._id },
+      {
+        $inc: { assignmentCount: 1 },
+        $set: { lastAssignedTo: assignee._id, lastAssignedAt: new Date() },
+      }
+    );
+  }
+
+  /**
+   * @private
+   */
+  static async validateEngineers(engineerIds) {
+    if (!engineerIds || engineerIds.length === 0) return;
+
+    const found = await User.countDocuments({ _id: { $in: engineerIds } });
+    if (found !== new Set(engineerIds.map(String)).size) {
+      throw ApiError.badRequest("One or more engineers were not found");
+    }
+  }
+
+  /**
+   * @private
+   */
+  static translateError(error, name) {
+    if (error.code === 11000) {
+      return ApiError.conflict(`An assignment rule named "${name}" exists`);
+    }
+    return error;
+  }
+}
+
+module.exports = AssignmentRuleService;
@@ -42,6 +42,28 @@ class AuthService {
     });
   }
 
+  /**
+   * Short-lived token that can only open the ticket event stream. It goes
+   * in the query string, as EventSource cannot send headers, and carries
+   * the session's expiry so the stream closes when the session would.
+   * @param {Object} user - req.user of the authenticated session
+   * @returns {String}
+   */
+  static generateStreamToken(user) {
+    return jwt.sign(
+      {
+        id: user.id,
+        role: user.role,
+        purpose: "stream",
+        sessionExp:
+          user.sessionExpiresAt &&
+          Math.floor(user.sessionExpiresAt.getTime() / 1000),
+      },
+      config.jwt.secret,
+      { expiresIn: config.jwt.streamTokenExpiresIn }
+    );
+  }
+
   static async seedSuperAdmin(email, name, password) {
     const existingAdmin = await User.findOne({ role: ROLES.SUPER_ADMIN });
 
@@ -64,10 +86,20 @@ class AuthService {
     };
   }
 
-  static async verifyToken(token) {
+  /**
+   * @param {String} token - JWT
+   * @param {String} purpose - Set to "stream" to accept stream tokens only;
+   * without it, only session tokens are accepted
+   * @returns {Promise<Object>} - { id, role, sessionExpiresAt }
+   */
+  static async verifyToken(token, purpose) {
     try {
       const decoded = jwt.verify(token, config.jwt.secret);
 
+      if (decoded.purpose !== purpose) {
+        throw ApiError.unauthorized("Invalid token");
+      }
+
       const user = await User.findOne({
         _id: decoded.id,
         isActive: true,
@@ -77,9 +109,12 @@ class AuthService {
         throw ApiError.unauthorized("User not found or inactive");
       }
 
+      const sessionExp = purpose ? decoded.sessionExp : decoded.exp;
+
       return {
         id: user._id,
         role: user.role,
+        sessionExpiresAt: sessionExp ? new Date(sessionExp * 1000) : undefined,
       };
     } catch (error) {
       if (error.name === "TokenExpiredError") {
@@ -111,6 +146,7 @@ class AuthService {
       Please click on the following link, or paste this into your browser to complete the process:\n\n
       ${resetUrl}\n\n
       If you did not request this, please ignore this email and your password will remain unchanged.\n`,
+      sensitive: true,
     });
 
     return true;
@@ -0,0 +1,338 @@
+const User = require("../models/user.model");
+const Ticket = require("../models/ticket.model");
+const TicketSettings = require("../models/ticketSettings.model");
+const ApiError = require("../utils/apiError.util");
+const BusinessCalendarService = require("./businessCalendar.service");
+const { ROLES } = require("../config/roles");
+const { UNAVAILABILITY_REASONS } = require("../config/availability");
+const { CLOSED_TICKET_STATUSES } = require("../config/ticketWorkflow");
+
+const dateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+class AvailabilityService {
+  /**
+   * Get a user's working days, capacity, leaves and current availability
+   * @param {String} userId - User ID
+   * @param {Object} requester - { userId, role } of the user asking
+   * @returns {Promise<Object>}
+   */
+  static async getAvailability(userId, requester) {
+    const user = await this.getUser(userId);
+    this.checkAccess(user, requester, { allowSelf: true });
+
+    const status = (await this.checkUsers([user])).get(user._id.toString());
+    const {
+      workingDays = [],
+      maxOpenTickets,
+      leaves = [],
+    } = user.availability || {};
+
+    return {
+      userId: user._id,
+      name: user.name,
+      workingDays,
+      maxOpenTickets: maxOpenTickets || null,
+      leaves: [...leaves].sort((a, b) => a.startDate - b.startDate),
+      ...status,
+    };
+  }
+
+  /**
+   * Set a user's working days and open ticket limit
+   * @param {String} userId - User ID
+   * @param {Object} schedule - workingDays and/or maxOpenTickets (null
+   * removes the limit)
+   * @param {Object} requester - { userId, role } of the user making the change
+   * @returns {Promise<Object>} - Updated availability
+   */
+  static async updateSchedule(userId, schedule, requester) {
+    const user = await this.getUser(userId);
+    this.checkAccess(user, requester);
+
+    if (schedule.workingDays !== undefined) {
+      user.set("availability.workingDays", [...new Set(schedule.workingDays)]);
+    }
+    if (schedule.maxOpenTickets !== undefined) {
+      user.set("availability.maxOpenTickets", schedule.maxOpenTickets);
+    }
+
+    await user.save();
+
+    return await this.getAvailability(userId, requester);
+  }
+
+  /**
+   * Record a leave period. Users can record their own leave.
+   * @param {String} userId - User ID
+   * @param {Object} leaveData - startDate, endDate and reason
+   * @param {Object} requester - { userId, role } of the user recording it
+   * @returns {Promise<Object>} - { leave, affectedTickets }
+   */
+  static async addLeave(userId, leaveData, requester) {
+    const user = await this.getUser(userId);
+    this.checkAccess(user, requester, { allowSelf: true });
+
+    const startDate = new Date(leaveData.startDate);
+    const endDate = new Date(leaveData.endDate);
+    if (dateKey(endDate) < dateKey(startDate)) {
+      throw ApiError.badRequest("Leave cannot end before it starts");
+    }
+
+    const leaves = (user.availability && user.availability.leaves) || [];
+    const overlapping = leaves.find(
+      (leave) =>
+        dateKey(leave.startDate) <= dateKey(endDate) &&
+        dateKey(startDate) <= dateKey(leave.endDate)
+    );
+    if (overlapping) {
+      throw ApiError.conflict(
+        `Leave overlaps an existing leave from ${dateKey(overlapping.startDate)} to ${dateKey(overlapping.endDate)}`
+      );
+    }
+
+    user.availability.leaves.push({
+      startDate,
+      endDate,
+      reason: leaveData.reason,
+      createdBy: requester.userId,
+    });
+    await user.save();
+
+    const leave = user.availability.leaves[user.availability.leaves.length - 1];
+    const affectedTickets = await Ticket.countDocuments(
+      this.getLeaveTicketFilter(user._id, leave)
+    );
+
+    return { leave, affectedTickets };
+  }
+
+  /**
+   * Remove a leave period
+   * @param {String} userId - User ID
+   * @param {String} leaveId - Leave ID
+   * @param {Object} requester - { userId, role } of the user removing it
+   * @returns {Promise<Object>} - Removed leave
+   */
+  static async removeLeave(userId, leaveId, requester) {
+    const user = await this.getUser(userId);
+    this.checkAccess(user, requester, { allowSelf: true });
+
+    const leave = this.getLeave(user, leaveId);
+    leave.deleteOne();
+    await user.save();
+
+    return leave;
+  }
+
+  /**
+   * Unresolved tickets a leave affects: those assigned to the user that are
+   * due on or after the first day of leave, or have no due date
+   * @param {String} userId - User ID
+   * @param {String} leaveId - Leave ID
+   * @returns {Promise<Object>} - { user, leave, tickets }
+   */
+  static async getLeaveTickets(userId, leaveId) {
+    const user = await this.getUser(userId);
+    const leave = this.getLeave(user, leaveId);
+
+    const tickets = await Ticket.find(
+      this.getLeaveTicketFilter(user._id, leave)
+    )
+      .select("ticketId title status priority dueDate customerId")
+      .populate("customerId", "name city pincode")
+      .sort({ dueDate: 1 });
+
+    return { user, leave, tickets };
+  }
+
+  /**
+   * Work out whether each user can take a ticket at a given moment
+   * @param {Array} users - User documents with availability loaded
+   * @param {Date} at - Moment to check, defaults to now
+   * @returns {Promise<Map>} - User ID to { available, reasons, openTickets,
+   * maxOpenTickets }. reasons holds { code, message } for every reason
+   * found; available is false only for blocking ones.
+   */
+  static async checkUsers(users, at = new Date()) {
+    const calendar = await BusinessCalendarService.getCalendar();
+    const offset = calendar.timezoneOffsetMinutes || 0;
+    const today = BusinessCalendarService.getLocalDateKey(at, offset);
+    const weekday = BusinessCalendarService.toLocal(at, offset).getUTCDay();
+    const calendarDay = (calendar.weeklyHours || []).find(
+      (day) => day.day === weekday
+    );
+
+    const openTickets = await Ticket.getOpenCountsByAssignee(
+      users.map((user) => user._id)
+    );
+
+    const statuses = new Map();
+    for (const user of users) {
+      const key = user._id.toString();
+      const availability = user.availability || {};
+      const open = openTickets.get(key) || 0;
+      const max = availability.maxOpenTickets || null;
+      const reasons = [];
+
+      const leave = (availability.leaves || []).find(
+        (entry) =>
+          dateKey(entry.startDate) <= today && today <= dateKey(entry.endDate)
+      );
+      if (leave) {
+        reasons.push({
+          code: "ON_LEAVE",
+          message: `${user.name} is on leave until ${dateKey(leave.endDate)}`,
+        });
+      }
+
+      if (max && open >= max) {
+        reasons.push({
+          code: "AT_CAPACITY",
+          message: `${user.name} has ${open} open tickets (limit ${max})`,
+        });
+      }
+
+      const worksToday =
+        availability.workingDays && availability.workingDays.length > 0
+          ? availability.workingDays.includes(weekday)
+          : !calendarDay || calendarDay.isWorkingDay;
+      if (!worksToday) {
+        reasons.push({
+          code: "NON_WORKING_DAY",
+          message: `${user.name} does not work today`,
+        });
+      }
+
+      statuses.set(key, {
+        available: !reasons.some(
+          (reason) => UNAVAILABILITY_REASONS[reason.code].blocking
+        ),
+        reasons,
+        openTickets: open,
+        maxOpenTickets: max,
+      });
+    }
+
+    return statuses;
+  }
+
+  /**
+   * Check a manual assignment against the assignmentAvailabilityCheck
+   * ticket setting
+   * @param {Object} user - User document the ticket is being assigned to
+   * @returns {Promise<Array>} - Warnings ({ code, message }) to show with
+   * the assignment
+   * @throws {ApiError} - When the setting is BLOCK and the user is
+   * unavailable
+   */
+  static async checkAssignment(user) {
+    const mode = await this.getCheckMode();
+    if (mode === "OFF") return [];
+
+    const status = (await this.checkUsers([user])).get(user._id.toString());
+
+    if (mode === "BLOCK" && !status.available) {
+      const blocking = status.reasons.filter(
+        (reason) => UNAVAILABILITY_REASONS[reason.code].blocking
+      );
+      throw ApiError.badRequest(
+        `Cannot assign ticket: ${blocking.map((reason) => reason.message).join("; ")}`
+      );
+    }
+
+    return status.reasons;
+  }
+
+  /**
+   * Split candidates for automatic assignment into those who can take a
+   * ticket and those who cannot. Everyone is available when the check is
+   * OFF.
+   * @param {Array} users - User documents with availability loaded
+   * @returns {Promise<Object>} - { available, unavailable }
+   */
+  static async partitionAvailable(users) {
+    if (users.length === 0 || (await this.getCheckMode()) === "OFF") {
+      return { available: users, unavailable: [] };
+    }
+
+    const statuses = await this.checkUsers(users);
+
+    return {
+      available: users.filter(
+        (user) => statuses.get(user._id.toString()).available
+      ),
+      unavailable: users.filter(
+        (user) => !statuses.get(user._id.toString()).available
+      ),
+    };
+  }
+
+  /**
+   * @private
+   */
+  static async getCheckMode() {
+    const settings = await TicketSettings.getSingleton();
+    return settings.assignmentAvailabilityCheck || "WARN";
+  }
+
+  /**
+   * @private
+   */
+  static getLeaveTicketFilter(userId, leave) {
+    return {
+      assignedTo: userId,
+      status: { $nin: CLOSED_TICKET_STATUSES },
+      $or: [
+        { dueDate: { $gte: new Date(dateKey(leave.startDate)) } },
+        { dueDate: null },
+      ],
+    };
+  }
+
+  /**
+   * @private
+   */
+  static async getUser(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw ApiError.notFound("User not found");
+    }
+    return user;
+  }
+
+  /**
+   * @private
+   */
+  static getLeave(user, leaveId) {
+    const leave =
+      user.availability && user.availability.leaves.id(String(leaveId));
+    if (!leave) {
+      throw ApiError.notFound("Leave not found");
+    }
+    return leave;
+  }
+
+  /**
+   * Super admins manage anyone, support managers manage engineers and
+   * themselves, and other users only themselves where allowed
+   * @private
+   */
+  static checkAccess(user, requester, { allowSelf = false } = {}) {
+    const isSelf = user._id.toString() === String(requester.userId);
+
+    if (requester.role === ROLES.SUPER_ADMIN) return;
+
+    if (requester.role === ROLES.SUPPORT_MANAGER) {
+      if (user.role === ROLES.ENGINEER || isSelf) return;
+      throw ApiError.forbidden(
+        "Support Managers can only manage availability for Engineers or themselves"
+      );
+    }
+
+    if (!(allowSelf && isSelf)) {
+      throw ApiError.forbidden("Insufficient permissions");
+    }
+  }
+}
+
+module.exports = AvailabilityService;
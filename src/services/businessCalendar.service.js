@@ -0,0 +1,423 @@
+const BusinessCalendar = require("../models/businessCalendar.model");
+const ApiError = require("../utils/apiError.util");
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Upper bound on days scanned when looking for working time, so a calendar
+// with no working days cannot loop forever
+const MAX_DAYS_TO_SCAN = 730;
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class BusinessCalendarService {
+  /**
+   * Get the business calendar
+   * @returns {Promise<Object>} - Calendar document
+   */
+  static async getCalendar() {
+    return await BusinessCalendar.getSingleton();
+  }
+
+  /**
+   * Update weekly hours and timezone
+   * @param {Object} updateData - weeklyHours and/or timezoneOffsetMinutes
+   * @param {String} userId - ID of the user making the update
+   * @returns {Promise<Object>} - Updated calendar
+   */
+  static async updateCalendar(updateData, userId) {
+    const calendar = await this.getCalendar();
+
+    if (updateData.weeklyHours) {
+      const days = new Set();
+
+      for (const day of updateData.weeklyHours) {
+        if (days.has(day.day)) {
+          throw ApiError.badRequest(`Day ${day.day} is listed more than once`);
+        }
+        days.add(day.day);
+
+        if (day.isWorkingDay !== false && day.start >= day.end) {
+          throw ApiError.badRequest(
+            `Closing time must be after opening time for day ${day.day}`
+          );
+        }
+      }
+
+      // Keep existing entries for days that were not sent
+      const weeklyHours = calendar.weeklyHours
+        .map((day) => day.toObject())
+        .filter((day) => !days.has(day.day));
+
+      calendar.weeklyHours = [...weeklyHours, ...updateData.weeklyHours].sort(
+        (a, b) => a.day - b.day
+      );
+    }
+
+    if (updateData.timezoneOffsetMinutes !== undefined) {
+      calendar.timezoneOffsetMinutes = updateData.timezoneOffsetMinutes;
+    }
+
+    calendar.updatedBy = userId;
+    await calendar.save();
+
+    return calendar;
+  }
+
+  /**
+   * List holidays, optionally filtered by year and state
+   * @param {Object} filters - year and state filters
+   * @returns {Promise<Array>} - Holidays sorted by date
+   */
+  static async getHolidays({ year, state } = {}) {
+    const calendar = await this.getCalendar();
+
+    return calendar.holidays
+      .filter((holiday) => {
+        if (
+          year &&
+          !holiday.recurring &&
+          holiday.date.getUTCFullYear() !== parseInt(year, 10)
+        ) {
+          return false;
+        }
+        if (state && !this.holidayAppliesToState(holiday, state)) {
+          return false;
+        }
+        return true;
+      })
+      .sort((a, b) => a.date - b.date);
+  }
+
+  /**
+   * Add a holiday
+   * @param {Object} holidayData - name, date, states, recurring
+   * @param {String} userId - ID of the user adding the holiday
+   * @returns {Promise<Object>} - Created holiday
+   */
+  static async addHoliday(holidayData, userId) {
+    const calendar = await this.getCalendar();
+    const date = this.normalizeHolidayDate(
+      holidayData.date,
+      calendar.timezoneOffsetMinutes
+    );
+
+    const duplicate = calendar.holidays.find(
+      (holiday) =>
+        holiday.date.getTime() === date.getTime() &&
+        holiday.name.toLowerCase() === holidayData.name.trim().toLowerCase()
+    );
+
+    if (duplicate) {
+      throw ApiError.conflict(
+        "A holiday with this name and date already exists"
+      );
+    }
+
+    calendar.holidays.push({
+      name: holidayData.name,
+      date,
+      states: holidayData.states || [],
+      recurring: holidayData.recurring || false,
+      createdBy: userId,
+    });
+
+    calendar.updatedBy = userId;
+    await calendar.save();
+
+    return calendar.holidays[calendar.holidays.length - 1];
+  }
+
+  /**
+   * Update a holiday
+   * @param {String} holidayId - Holiday ID
+   * @param {Object} updateData - Fields to update
+   * @param {String} userId - ID of the user making the update
+   * @returns {Promise<Object>} - Updated holiday
+   */
+  static async updateHoliday(holidayId, updateData, userId) {
+    const calendar = await this.getCalendar();
+    const holiday = calendar.holidays.id(holidayId);
+
+    if (!holiday) {
+      throw ApiError.notFound("Holiday not found");
+    }
+
+    if (updateData.name !== undefined) holiday.name = updateData.name;
+    if (updateData.states !== undefined) holiday.states = updateData.states;
+    if (updateData.recurring !== undefined) {
+      holiday.recurring = updateData.recurring;
+    }
+    if (updateData.date !== undefined) {
+      holiday.date = this.normalizeHolidayDate(
+        updateData.date,
+        calendar.timezoneOffsetMinutes
+      );
+    }
+
+    calendar.updatedBy = userId;
+    await calendar.save();
+
+    return holiday;
+  }
+
+  /**
+   * Delete a holiday
+   * @param {String} holidayId - Holiday ID
+   * @param {String} userId - ID of the user deleting the holiday
+   * @returns {Promise<Object>} - Deleted holiday
+   */
+  static async deleteHoliday(holidayId, userId) {
+    const calendar = await this.getCalendar();
+    const holiday = calendar.holidays.id(holidayId);
+
+    if (!holiday) {
+      throw ApiError.notFound("Holiday not found");
+    }
+
+    holiday.deleteOne();
+    calendar.updatedBy = userId;
+    await calendar.save();
+
+    return holiday;
+  }
+
+  /**
+   * Store holidays as UTC midnight of their calendar date so they can be
+   * compared against local day keys regardless of the input format
+   * @param {String|Date} value - Date input
+   * @param {Number} offsetMinutes - Business timezone offset
+   * @returns {Date}
+   */
+  static normalizeHolidayDate(value, offsetMinutes) {
+    if (typeof value === "string" && DATE_ONLY_PATTERN.test(value)) {
+      return new Date(`${value}T00:00:00.000Z`);
+    }
+
+    const parsed = new Date(value);
+    if (isNaN(parsed.getTime())) {
+      throw ApiError.badRequest("Holiday date must be a valid date");
+    }
+
+    const dateKey = this.getLocalDateKey(parsed, offsetMinutes);
+    return new Date(`${dateKey}T00:00:00.000Z`);
+  }
+
+  /**
+   * Whether a holiday applies to the given state. Holidays without states
+   * apply everywhere.
+   * @param {Object} holiday - Holiday entry
+   * @param {String} state - State name
+   * @returns {Boolean}
+   */
+  static holidayAppliesToState(holiday, state) {
+    if (!holiday.states || holiday.states.length === 0) {
+      return true;
+    }
+
+    if (!state) {
+      return false;
+    }
+
+    const normalizedState = state.trim().toLowerCase();
+    return holiday.states.some(
+      (holidayState) => holidayState.trim().toLowerCase() === normalizedState
+    );
+  }
+
+  /**
+   * Shift an instant into the business timezone. Read the result with the
+   * getUTC* methods.
+   * @param {Date} date - Instant
+   * @param {Number} offsetMinutes - Business timezone offset
+   * @returns {Date}
+   */
+  static toLocal(date, offsetMinutes) {
+    return new Date(new Date(date).getTime() + offsetMinutes * MINUTE_MS);
+  }
+
+  /**
+   * Get the YYYY-MM-DD key of the business-local day containing an instant
+   * @param {Date} date - Instant
+   * @param {Number} offsetMinutes - Business timezone offset
+   * @returns {String}
+   */
+  static getLocalDateKey(date, offsetMinutes) {
+    return this.toLocal(date, offsetMinutes).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Check if the business-local day containing an instant is a holiday
+   * @param {Object} calendar - Calendar document
+   * @param {Date} date - Instant
+   * @param {String} state - Customer state, for state-specific holidays
+   * @returns {Boolean}
+   */
+  static isHoliday(calendar, date, state) {
+    const key = this.getLocalDateKey(date, calendar.timezoneOffsetMinutes);
+
+    return (calendar.holidays || []).some((holiday) => {
+      if (!this.holidayAppliesToState(holiday, state)) {
+        return false;
+      }
+
+      const holidayKey = holiday.date.toISOString().slice(0, 10);
+      return holiday.recurring
+        ? holidayKey.slice(5) === key.slice(5)
+        : holidayKey === key;
+    });
+  }
+
+  /**
+   * Get the opening and closing instants of the business-local day
+   * containing an instant
+   * @param {Object} calendar - Calendar document
+   * @param {Date} date - Instant
+   * @param {String} state - Customer state
+   * @returns {Object|null} - { open, close } or null for non-working days
+   */
+  static getWorkingWindow(calendar, date, state) {
+    const offset = calendar.timezoneOffsetMinutes;
+    const local = this.toLocal(date, offset);
+    const dayHours = (calendar.weeklyHours || []).find(
+      (day) => day.day === local.getUTCDay()
+    );
+
+    if (
+      !dayHours ||
+      !dayHours.isWorkingDay ||
+      this.isHoliday(calendar, date, state)
+    ) {
+      return null;
+    }
+
+    const localMidnight = Date.UTC(
+      local.getUTCFullYear(),
+      local.getUTCMonth(),
+      local.getUTCDate()
+    );
+    const toInstant = (time) => {
+      const [hours, minutes] = time.split(":").map(Number);
+      return new Date(
+        localMidnight + (hours * 60 + minutes - offset) * MINUTE_MS
+      );
+    };
+
+    const open = toInstant(dayHours.start);
+    const close = toInstant(dayHours.end);
+
+    return close > open ? { open, close } : null;
+  }
+
+  /**
+   * Get the instant at which the next business-local day starts
+   * @private
+   */
+  static startOfNextLocalDay(calendar, date) {
+    const offset = calendar.timezoneOffsetMinutes;
+    const local = this.toLocal(date, offset);
+    const nextMidnight =
+      Date.UTC(
+        local.getUTCFullYear(),
+        local.getUTCMonth(),
+        local.getUTCDate()
+      ) + DAY_MS;
+
+    return new Date(nextMidnight - offset * MINUTE_MS);
+  }
+
+  /**
+   * Check if an instant falls inside working hours
+   * @param {Object} calendar - Calendar document
+   * @param {Date} date - Instant
+   * @param {String} state - Customer state
+   * @returns {Boolean}
+   */
+  static isWorkingTime(calendar, date, state) {
+    const window = this.getWorkingWindow(calendar, date, state);
+    const time = new Date(date);
+
+    return !!window && time >= window.open && time < window.close;
+  }
+
+  /**
+   * Add working minutes to an instant, skipping nights, weekly off days
+   * and holidays
+   * @param {Object} calendar - Calendar document
+   * @param {Date} start - Start instant
+   * @param {Number} minutes - Working minutes to add
+   * @param {String} state - Customer state
+   * @returns {Date}
+   */
+  static addWorkingMinutes(calendar, start, minutes, state) {
+    let cursor = new Date(start);
+    let remaining = minutes;
+
+    for (let i = 0; i < MAX_DAYS_TO_SCAN; i++) {
+      const window = this.getWorkingWindow(calendar, cursor, state);
+
+      if (window && cursor < window.close) {
+        const from = cursor > window.open ? cursor : window.open;
+        const available = (window.close - from) / MINUTE_MS;
+
+        if (remaining <= available) {
+          return new Date(from.getTime() + remaining * MINUTE_MS);
+        }
+
+        remaining -= available;
+      }
+
+      cursor = this.startOfNextLocalDay(calendar, cursor);
+    }
+
+    // No working time configured - fall back to wall-clock time
+    return new Date(new Date(start).getTime() + minutes * MINUTE_MS);
+  }
+
+  /**
+   * Add working hours to an instant
+   * @param {Object} calendar - Calendar document
+   * @param {Date} start - Start instant
+   * @param {Number} hours - Working hours to add
+   * @param {String} state - Customer state
+   * @returns {Date}
+   */
+  static addWorkingHours(calendar, start, hours, state) {
+    return this.addWorkingMinutes(calendar, start, hours * 60, state);
+  }
+
+  /**
+   * Add working days to an instant. The result is the close of business on
+   * the nth working day after the start day.
+   * @param {Object} calendar - Calendar document
+   * @param {Date} start - Start instant
+   * @param {Number} days - Working days to add
+   * @param {String} state - Customer state
+   * @returns {Date}
+   */
+  static addWorkingDays(calendar, start, days, state) {
+    if (!days || days <= 0) {
+      return new Date(start);
+    }
+
+    let cursor = new Date(start);
+    let remaining = days;
+
+    for (let i = 0; i < MAX_DAYS_TO_SCAN; i++) {
+      cursor = this.startOfNextLocalDay(calendar, cursor);
+      const window = this.getWorkingWindow(calendar, cursor, state);
+
+      if (window) {
+        remaining -= 1;
+        if (remaining === 0) {
+          return window.close;
+        }
+      }
+    }
+
+    // No working days configured - fall back to calendar days
+    return new Date(new Date(start).getTime() + days * DAY_MS);
+  }
+}
+
+module.exports = BusinessCalendarService;
@@ -0,0 +1,639 @@
+const PDFDocument = require("pdfkit");
+const Challan = require("../models/challan.model");
+const Item = require("../models/item.model");
+const Ticket = require("../models/ticket.model");
+const Warehouse = require("../models/warehouse.model");
+const SequenceService = require("./sequence.service");
+const ApiError = require("../utils/apiError.util");
+const { escapeRegex } = require("../utils/search.utils");
+const config = require("../config/config");
+
+const formatDate = (date) => {
+  const d = new Date(date);
+  return [
+    String(d.getDate()).padStart(2, "0"),
+    String(d.getMonth() + 1).padStart(2, "0"),
+    d.getFullYear(),
+  ].join("/");
+};
+
+const formatAmount = (value) => Number(value || 0).toFixed(2);
+
+const joinAddress = (party) =>
+  [
+    party.address,
+    party.village,
+    party.city,
+    [party.state, party.pincode].filter(Boolean).join(" - "),
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+// Columns of the line table: header, width and alignment
+const LINE_COLUMNS = [
+  { key: "index", label: "#", width: 24 },
+  { key: "name", label: "Item", width: 130 },
+  { key: "sku", label: "SKU", width: 60 },
+  { key: "condition", label: "Condition", width: 60 },
+  { key: "serials", label: "Serial numbers", width: 96 },
+  { key: "quantity", label: "Qty", width: 35, align: "right" },
+  { key: "rate", label: "Rate", width: 55, align: "right" },
+  { key: "amount", label: "Amount", width: 55, align: "right" },
+];
+
+class ChallanService {
+  /**
+   * List challans
+   * @param {Object} query - status, ticketId, financialYear, startDate,
+   * endDate and search (challan number, consignee or docket number) filters
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} - Paginated challans
+   */
+  static async getChallans(query, options) {
+    const filter = {};
+    if (query.status) filter.status = { $in: query.status.split(",") };
+    if (query.ticketId) filter.ticket = query.ticketId;
+    if (query.financialYear) filter.financialYear = query.financialYear;
+    if (query.startDate || query.endDate) {
+      filter.createdAt = {};
+      if (query.startDate) filter.createdAt.$gte = new Date(query.startDate);
+      if (query.endDate) filter.createdAt.$lte = new Date(query.endDate);
+    }
+    if (query.search) {
+      const pattern = new RegExp(escapeRegex(query.search.trim()), "i");
+      filter.$or = [
+        { challanNumber: pattern },
+        { "consignee.name": pattern },
+        { "consignee.mobile": pattern },
+        { docketNumber: pattern },
+      ];
+    }
+
+    return await Challan.paginate(filter, {
+      ...options,
+      populate: [
+        { path: "ticket", select: "ticketId title status" },
+        { path: "createdBy", select: "name email" },
+      ],
+    });
+  }
+
+  /**
+   * Get a challan
+   * @param {String} id - Challan ID
+   * @returns {Promise<Object>}
+   */
+  static async getChallanById(id) {
+    const challan = await Challan.findById(id)
+      .populate("ticket", "ticketId title status")
+      .populate("createdBy", "name email")
+      .populate("issuedBy", "name email")
+      .populate("cancelledBy", "name email")
+      .populate("lastPrintedBy", "name email");
+
+    if (!challan) {
+      throw ApiError.notFound("Challan not found");
+    }
+
+    return challan;
+  }
+
+  /**
+   * Build a challan from OUTWARD transactions. They must all be for the
+   * same ticket and leave the same warehouse, and none may be on another
+   * challan that is not cancelled. The consignee is the ticket's customer.
+   * @param {Object} data - transactionIds, and optional docketNumber, notes
+   * and issue (number it straight away)
+   * @param {String} userId - ID of the user creating it
+   * @returns {Promise<Object>} - The DRAFT, or ISSUED, challan
+   */
+  static async createChallan(data, userId) {
+    const transactionIds = [...new Set(data.transactionIds.map(String))];
+    const dispatches = await this.getDispatches(transactionIds);
+
+    const { ticketId, warehouse: warehouseId } = dispatches[0].transaction;
+    if (
+      dispatches.some(
+        ({ transaction }) => String(transaction.ticketId) !== String(ticketId)
+      )
+    ) {
+      throw ApiError.badRequest(
+        "All transactions on a challan must be for the same ticket"
+      );
+    }
+    if (
+      dispatches.some(
+        ({ transaction }) =>
+          String(transaction.warehouse) !== String(warehouseId)
+      )
+    ) {
+      throw ApiError.badRequest(
+        "All transactions on a challan must leave the same warehouse"
+      );
+    }
+
+    await this.checkNotOnChallan(transactionIds, {
+      status: { $ne: "CANCELLED" },
+    });
+
+    const ticket = await Ticket.findById(ticketId).populate(
+      "customerId",
+      "name mobile alternateMobile address village city state pincode"
+    );
+    if (!ticket) {
+      throw ApiError.notFound("The transactions' ticket no longer exists");
+    }
+    const customer = ticket.customerId || {};
+    const warehouse = (await Warehouse.findById(warehouseId)) || {};
+
+    const dockets = [
+      ...new Set(
+        dispatches
+          .map(({ transaction }) => transaction.docketNumber)
+          .filter(Boolean)
+      ),
+    ];
+
+    const challan = new Challan({
+      ticket: ticket._id,
+      consignee: {
+        customer: customer._id,
+        name: customer.name,
+        mobile: customer.mobile,
+        alternateMobile: customer.alternateMobile,
+        address: customer.address,
+        village: customer.village,
+        city: customer.city,
+        state: customer.state,
+        pincode: customer.pincode,
+      },
+      dispatchedFrom: {
+        warehouse: warehouse._id,
+        name: warehouse.name,
+        code: warehouse.code,
+        address: warehouse.address,
+        city: warehouse.city,
+        state: warehouse.state,
+        pincode: warehouse.pincode,
+      },
+      lines: dispatches.map(({ item, transaction }) => ({
+        item: item._id,
+        transaction: transaction._id,
+        name: item.name,
+        sku: item.sku,
+        condition: transaction.condition,
+        quantity: transaction.quantity,
+        serialNumbers: transaction.serialNumbers,
+        rate: item.price || 0,
+        amount: (item.price || 0) * transaction.quantity,
+      })),
+      docketNumber: data.docketNumber || dockets.join(", ") || undefined,
+      notes: data.notes,
+      createdBy: userId,
+    });
+
+    // Saved as a draft first, so a clash with another challan does not use
+    // up a number
+    await this.saveNew(challan);
+
+    if (data.issue) {
+      return await this.issue(challan, userId);
+    }
+
+    return challan;
+  }
+
+  /**
+   * Number a draft challan with the next number of the current financial
+   * year
+   * @param {String} id - Challan ID
+   * @param {Object} data - Optional docketNumber
+   * @param {String} userId - ID of the user issuing it
+   * @returns {Promise<Object>} - Issued challan
+   */
+  static async issueChallan(id, data, userId) {
+    const challan = await this.getChallanById(id);
+
+    if (challan.status !== "DRAFT") {
+      throw ApiError.badRequest(
+        `Only draft challans can be issued; this one is ${challan.status}`
+      );
+    }
+
+    await this.issue(
+      challan,
+      userId,
+      data.docketNumber ? { docketNumber: data.docketNumber } : {}
+    );
+
+    return await this.getChallanById(id);
+  }
+
+  /**
+   * Cancel a challan. Issued challans keep their number, so numbering has
+   * no gaps; their transactions can go on a new challan.
+   * @param {String} id - Challan ID
+   * @param {String} reason - Why it is cancelled
+   * @param {String} userId - ID of the user cancelling it
+   * @returns {Promise<Object>} - Cancelled challan
+   */
+  static async cancelChallan(id, reason, userId) {
+    const challan = await this.getChallanById(id);
+
+    if (challan.status === "CANCELLED") {
+      throw ApiError.badRequest("Challan is already cancelled");
+    }
+
+    challan.status = "CANCELLED";
+    challan.cancelledAt = new Date();
+    challan.cancelledBy = userId;
+    challan.cancellationReason = reason;
+
+    return await challan.save();
+  }
+
+  /**
+   * Render a challan as PDF. Issued challans print as ORIGINAL the first
+   * time and DUPLICATE afterwards; drafts and cancelled challans are marked
+   * as such and do not count as prints.
+   * @param {String} id - Challan ID
+   * @param {String} userId - ID of the user printing it
+   * @returns {Promise<Object>} - { challan, pdf } with pdf a Buffer
+   */
+  static async printChallan(id, userId) {
+    let challan = await this.getChallanById(id);
+
+    let copy = challan.status;
+    if (challan.status === "ISSUED") {
+      const previous = await this.countPrint(challan, userId, { new: false });
+      copy = previous.printCount === 0 ? "ORIGINAL" : "DUPLICATE";
+      challan = await this.getChallanById(id);
+    }
+
+    const pdf = await this.renderPdf(challan, copy);
+
+    return { challan, pdf };
+  }
+
+  /**
+   * Record a print for an OUTWARD transaction, issuing a challan for it
+   * the first time
+   * @param {String} transactionId - ID of the OUTWARD transaction
+   * @param {String} userId - ID of the user printing it
+   * @returns {Promise<Object>} - The transaction's challan
+   */
+  static async recordTransactionPrint(transactionId, userId) {
+    let challan = await Challan.findOne({
+      "lines.transaction": transactionId,
+      status: { $ne: "CANCELLED" },
+    });
+
+    if (!challan) {
+      challan = await this.createChallan(
+        { transactionIds: [transactionId], issue: true },
+        userId
+      );
+    } else if (challan.status === "DRAFT") {
+      challan = await this.issue(challan, userId);
+    }
+
+    return await this.countPrint(challan, userId, { new: true });
+  }
+
+  /**
+   * Find OUTWARD transactions with their items, in the order asked for
+   * @private
+   */
+  static async getDispatches(transactionIds) {
+    const items = await Item.find({
+      "transactions._id": { $in: transactionIds },
+    }).select("name sku price transactions");
+
+    const found = new Map();
+    for (const item of items) {
+      for (const transaction of item.transactions) {
+        if (transactionIds.includes(String(transaction._id))) {
+          found.set(String(transaction._id), { item, transaction });
+        }
+      }
+    }
+
+    const missing = transactionIds.filter((id) => !found.has(id));
+    if (missing.length > 0) {
+      throw ApiError.notFound(`Transactions not found: ${missing.join(", ")}`);
+    }
+
+    const dispatches = transactionIds.map((id) => found.get(id));
+    if (dispatches.some(({ transaction }) => transaction.type !== "OUTWARD")) {
+      throw ApiError.badRequest(
+        "Only OUTWARD transactions can go on a challan"
+      );
+    }
+
+    return dispatches;
+  }
+
+  /**
+   * @private
+   */
+  static async checkNotOnChallan(transactionIds, filter) {
+    const existing = await Challan.findOne({
+      ...filter,
+      "lines.transaction": { $in: transactionIds },
+    }).select("challanNumber status");
+
+    if (existing) {
+      throw ApiError.conflict(
+        existing.challanNumber
+          ? `The transactions are already on challan ${existing.challanNumber}`
+          : `The transactions are already on draft challan ${existing._id}`
+      );
+    }
+  }
+
+  /**
+   * Save a new challan. The database refuses a transaction that is already
+   * on another challan that is not cancelled, which catches challans made
+   * at the same time that checkNotOnChallan cannot see.
+   * @private
+   */
+  static async saveNew(challan) {
+    try {
+      return await challan.save();
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern?.["lines.transaction"]) {
+        throw ApiError.conflict(
+          "The transactions were put on another challan at the same time"
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a draft challan. It is moved out of DRAFT before a number is
+   * taken, so two requests issuing it at once cannot both use up a number.
+   * @private
+   */
+  static async issue(challan, userId, changes = {}) {
+    const issuedAt = new Date();
+
+    const claimed = await Challan.findOneAndUpdate(
+      { _id: challan._id, status: "DRAFT" },
+      {
+        $set: {
+          ...changes,
+          status: "ISSUED",
+          financialYear: SequenceService.getFinancialYear(issuedAt),
+          issuedAt,
+          issuedBy: userId,
+        },
+      }
+    );
+
+    if (!claimed) {
+      throw ApiError.conflict(
+        "The challan was issued or cancelled at the same time"
+      );
+    }
+
+    let challanNumber;
+    try {
+      challanNumber = await SequenceService.next("challan", issuedAt);
+    } catch (error) {
+      await Challan.updateOne(
+        { _id: challan._id, status: "ISSUED", challanNumber: null },
+        {
+          $set: { status: "DRAFT" },
+          $unset: { financialYear: "", issuedAt: "", issuedBy: "" },
+        }
+      );
+      throw error;
+    }
+
+    // Set even if the challan was cancelled meanwhile: cancelled challans
+    // keep their number
+    return await Challan.findByIdAndUpdate(
+      challan._id,
+      { $set: { challanNumber } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Count a print of an issued challan
+   * @param {Object} challan - Challan
+   * @param {String} userId - ID of the user printing it
+   * @param {Object} options - `new: false` returns the challan as it was
+   * before this print, to tell the first print from later ones
+   * @returns {Promise<Object>} - Challan
+   * @private
+   */
+  static async countPrint(challan, userId, options) {
+    const printed = await Challan.findOneAndUpdate(
+      {
+        _id: challan._id,
+        status: "ISSUED",
+        challanNumber: { $exists: true },
+      },
+      {
+        $inc: { printCount: 1 },
+        $set: { lastPrintedAt: new Date(), lastPrintedBy: userId },
+      },
+      options
+    );
+
+    if (!printed) {
+      throw ApiError.conflict(
+        "The challan was changed while printing; try again"
+      );
+    }
+
+    return printed;
+  }
+
+  /**
+   * Lay out a challan on A4
+   * @private
+   */
+  static renderPdf(challan, copy) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: "A4", margin: 40 });
+      const chunks = [];
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+
+      const left = doc.page.margins.left;
+      const width = doc.page.width - left - doc.page.margins.right;
+      const { company } = config;
+
+      // Supplier
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(16)
+        .text(company.name || "", left, 40, { width });
+      doc.font("Helvetica").fontSize(9);
+      [
+        company.address,
+        company.phone && `Phone: ${company.phone}`,
+        company.gstin && `GSTIN: ${company.gstin}`,
+      ]
+        .filter(Boolean)
+        .forEach((line) => doc.text(line, { width }));
+
+      doc
+        .moveDown()
+        .font("Helvetica-Bold")
+        .fontSize(13)
+        .text("DELIVERY CHALLAN", left, doc.y, { width, align: "center" });
+      doc
+        .fontSize(9)
+        .text(copy, left, doc.y - 12, { width, align: "right" })
+        .moveDown();
+
+      // Consignee and challan details side by side
+      const boxTop = doc.y;
+      const half = width / 2 - 10;
+      const { consignee, dispatchedFrom } = challan;
+
+      doc
+        .font("Helvetica-Bold")
+        .text("Consignee", left, boxTop, { width: half });
+      doc.font("Helvetica");
+      [
+        consignee.name,
+        joinAddress(consignee),
+        consignee.mobile && `Mobile: ${consignee.mobile}`,
+        consignee.alternateMobile && `Alternate: ${consignee.alternateMobile}`,
+      ]
+        .filter(Boolean)
+        .forEach((line) => doc.text(line, { width: half }));
+      const consigneeBottom = doc.y;
+
+      const details = [
+        ["Challan No.", challan.challanNumber || "Not issued"],
+        ["Date", formatDate(challan.issuedAt || challan.createdAt)],
+        ["Ticket", challan.ticket && challan.ticket.ticketId],
+        ["Docket No.", challan.docketNumber],
+        [
+          "Dispatched from",
+          [dispatchedFrom.name, joinAddress(dispatchedFrom)]
+            .filter(Boolean)
+            .join(", "),
+        ],
+      ].filter(([, value]) => value);
+
+      doc.y = boxTop;
+      details.forEach(([label, value]) => {
+        const y = doc.y;
+        doc.font("Helvetica-Bold").text(label, left + half + 20, y, {
+          width: 85,
+        });
+        doc.font("Helvetica").text(value, left + half + 105, y, {
+          width: half - 85,
+        });
+      });
+
+      doc.y = Math.max(consigneeBottom, doc.y) + 15;
+
+      // Lines
+      const drawRow = (cells, bold) => {
+        doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+        const height =
+          Math.max(
+            ...LINE_COLUMNS.map((column) =>
+              doc.heightOfString(String(cells[column.key] ?? ""), {
+                width: column.width - 6,
+              })
+            )
+          ) + 6;
+
+        if (doc.y + height > doc.page.height - doc.page.margins.bottom - 80) {
+          doc.addPage();
+        }
+
+        const y = doc.y;
+        let x = left;
+        LINE_COLUMNS.forEach((column) => {
+          doc.text(String(cells[column.key] ?? ""), x + 3, y + 3, {
+            width: column.width - 6,
+            align: column.align || "left",
+          });
+          x += column.width;
+        });
+        doc
+          .moveTo(left, y + height)
+          .lineTo(left + width, y + height)
+          .strokeColor("#999999")
+          .stroke();
+        doc.y = y + height;
+      };
+
+      drawRow(
+        Object.fromEntries(LINE_COLUMNS.map((c) => [c.key, c.label])),
+        true
+      );
+      challan.lines.forEach((line, idx) =>
+        drawRow({
+          index: idx + 1,
+          name: line.name,
+          sku: line.sku,
+          condition: line.condition,
+          serials: (line.serialNumbers || []).join(", "),
+          quantity: line.quantity,
+          rate: formatAmount(line.rate),
+          amount: formatAmount(line.amount),
+        })
+      );
+      drawRow(
+        {
+          name: "Total",
+          quantity: challan.totalQuantity,
+          amount: formatAmount(challan.totalAmount),
+        },
+        true
+      );
+
+      if (challan.notes) {
+        doc
+          .moveDown()
+          .font("Helvetica-Bold")
+          .text("Notes", left, doc.y, { width })
+          .font("Helvetica")
+          .text(challan.notes, { width });
+      }
+
+      if (challan.status === "CANCELLED") {
+        doc
+          .moveDown()
+          .font("Helvetica-Bold")
+          .fillColor("#b00020")
+          .text(
+            `Cancelled on ${formatDate(challan.cancelledAt)}${challan.cancellationReason ? `: ${challan.cancellationReason}` : ""}`,
+            left,
+            doc.y,
+            { width }
+          )
+          .fillColor("black");
+      }
+
+      // Signatures
+      const signatureY = doc.page.height - doc.page.margins.bottom - 40;
+      doc
+        .font("Helvetica")
+        .fontSize(9)
+        .text("Receiver's signature", left, signatureY, { width: half })
+        .text(
+          `For ${company.name || ""}\n\nAuthorised signatory`,
+          left + half + 20,
+          signatureY - 24,
+          { width: half, align: "right" }
+        );
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = ChallanService;
@@ -120,6 +120,14 @@ class CustomerService {
 
     // Update customer fields
     Object.keys(updateData).forEach((key) => {
+      if (key === "notificationPreferences") {
+        // Merge so a partial update keeps the other opt-ins
+        Object.entries(updateData.notificationPreferences).forEach(
+          ([field, value]) =>
+            customer.set(`notificationPreferences.${field}`, value)
+        );
+        return;
+      }
       customer[key] = updateData[key];
     });
 
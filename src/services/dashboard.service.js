@@ -5,14 +5,18 @@ const Item = require("../models/item.model");
 const Customer = require("../models/customer.model");
 const InstallationRequest = require("../models/installationRequest.model");
 const ActivityLog = require("../models/activityLog.model");
+const TeamService = require("./team.service");
 
 class DashboardService {
   /**
    * Get dashboard summary statistics
+   * @param {String} teamId - Only count tickets of this team
    * @returns {Promise<Object>} Dashboard summary data
    */
-  static async getDashboardStats() {
+  static async getDashboardStats(teamId) {
     try {
+      const ticketFilter = await this.getTicketFilter(teamId);
+
       const [
         totalUsers,
         totalTickets,
@@ -24,8 +28,9 @@ class DashboardService {
         customerCount,
       ] = await Promise.all([
         User.countDocuments({ isActive: true }),
-        Ticket.countDocuments(),
+        Ticket.countDocuments(ticketFilter),
         Ticket.countDocuments({
+          ...ticketFilter,
           status: {
             $in: [
               "OPEN",
@@ -126,10 +131,12 @@ class DashboardService {
   /**
    * Get chart data for dashboard
    * @param {String} period - 'daily', 'weekly', or 'monthly'
+   * @param {String} teamId - Only count tickets of this team
    * @returns {Promise<Array>} Chart data
    */
-  static async getChartData(period = "monthly") {
+  static async getChartData(period = "monthly", teamId) {
     try {
+      const ticketFilter = await this.getTicketFilter(teamId);
       const now = new Date();
       let startDate;
       let dateFormat;
@@ -170,7 +177,7 @@ class DashboardService {
 
       // Get ticket counts
       const ticketData = await Ticket.aggregate([
-        { $match: { createdAt: { $gte: startDate } } },
+        { $match: { ...ticketFilter, createdAt: { $gte: startDate } } },
         {
           $group: {
             _id: groupBy,
@@ -229,11 +236,13 @@ class DashboardService {
 
   /**
    * Get ticket statistics by status
+   * @param {String} teamId - Only count tickets of this team
    * @returns {Promise<Object>} Ticket stats by status
    */
-  static async getTicketStats() {
+  static async getTicketStats(teamId) {
     try {
       const stats = await Ticket.aggregate([
+        { $match: await this.getTicketFilter(teamId) },
         { $group: { _id: "$status", count: { $sum: 1 } } },
         { $sort: { _id: 1 } },
       ]);
@@ -579,6 +588,14 @@ class DashboardService {
 
     return result;
   }
+
+  /**
+   * Ticket query condition for the team filter; all tickets without one
+   * @private
+   */
+  static async getTicketFilter(teamId) {
+    return teamId ? await TeamService.getTicketFilter(teamId) : {};
+  }
 }
 
 module.exports = DashboardService;
@@ -0,0 +1,431 @@
+const InstallationRequest = require("../models/installationRequest.model");
+const Customer = require("../models/customer.model");
+const User = require("../models/user.model");
+const Role = require("../models/role.model");
+const ApiError = require("../utils/apiError.util");
+const { escapeRegex } = require("../utils/search.utils");
+const { ROLES, PERMISSIONS } = require("../config/roles");
+const { notify } = require("./notification.service");
+
+/**
+ * Lifecycle transitions allowed for installation requests.
+ * SCHEDULED -> SCHEDULED covers rescheduling.
+ */
+const STATUS_TRANSITIONS = {
+  PENDING: ["SCHEDULED", "CANCELLED"],
+  SCHEDULED: ["SCHEDULED", "IN_PROGRESS", "CANCELLED"],
+  IN_PROGRESS: ["COMPLETED", "CANCELLED"],
+  COMPLETED: [],
+  CANCELLED: [],
+};
+
+const DETAIL_POPULATE = [
+  {
+    path: "customerId",
+    select: "name mobile email address city state pincode village",
+  },
+  { path: "assignedTo", select: "name email role mobileNumber" },
+  { path: "assignedBy", select: "name email role" },
+  { path: "completedBy", select: "name email role" },
+  { path: "cancelledBy", select: "name email role" },
+  { path: "createdBy", select: "name email role" },
+];
+
+class InstallationRequestService {
+  /**
+   * Get all installation requests with pagination and filtering
+   * @param {Object} query - Query parameters for filtering
+   * @param {Object} options - Pagination and sorting options
+   * @param {String} userId - ID of the user making the request
+   * @param {String} userRole - Role of the user making the request
+   * @returns {Promise<Object>} - Paginated installation requests
+   */
+  static async getAllInstallationRequests(query, options, userId, userRole) {
+    let queryObject = { ...query };
+
+    if (queryObject.search) {
+      const searchRegex = {
+        $regex: escapeRegex(queryObject.search),
+        $options: "i",
+      };
+      queryObject.$or = [
+        { requestId: searchRegex },
+        { serialNumber: searchRegex },
+        { productModel: searchRegex },
+        { productType: searchRegex },
+      ];
+      delete queryObject.search;
+    }
+
+    // Engineers only see installations they are assigned to or raised
+    if (userRole === ROLES.ENGINEER) {
+      queryObject.$and = [
+        ...(queryObject.$and || []),
+        { $or: [{ assignedTo: userId }, { createdBy: userId }] },
+      ];
+    }
+
+    const updatedOptions = {
+      ...options,
+      populate: [...(options.populate || []), ...DETAIL_POPULATE],
+    };
+
+    return await InstallationRequest.paginate(queryObject, updatedOptions);
+  }
+
+  /**
+   * Get installation request by ID
+   * @param {String} id - Installation request ID
+   * @param {String} userId - ID of the user making the request
+   * @param {String} userRole - Role of the user making the request
+   * @returns {Promise<Object>} - Installation request data
+   */
+  static async getInstallationRequestById(id, userId, userRole) {
+    const installation = await InstallationRequest.findById(id).populate(
+      DETAIL_POPULATE
+    );
+
+    if (!installation) {
+      throw ApiError.notFound("Installation request not found");
+    }
+
+    if (userRole === ROLES.ENGINEER) {
+      const assignedId = installation.assignedTo?._id?.toString();
+      const creatorId = installation.createdBy?._id?.toString();
+
+      if (assignedId !== userId.toString() && creatorId !== userId.toString()) {
+        throw ApiError.forbidden(
+          "You do not have permission to view this installation request"
+        );
+      }
+    }
+
+    return installation;
+  }
+
+  /**
+   * Create a new installation request
+   * @param {Object} installationData - Installation request data
+   * @param {String} userId - ID of the user creating the request
+   * @returns {Promise<Object>} - Created installation request
+   */
+  static async createInstallationRequest(installationData, userId) {
+    const customer = await Customer.findById(installationData.customerId);
+
+    if (!customer) {
+      throw ApiError.notFound("Customer not found");
+    }
+
+    if (!customer.isActive) {
+      throw ApiError.badRequest(
+        "Cannot create an installation request for an inactive customer"
+      );
+    }
+
+    const installation = new InstallationRequest({
+      ...installationData,
+      status: "PENDING",
+      createdBy: userId,
+    });
+
+    await installation.save();
+
+    return installation;
+  }
+
+  /**
+   * Update installation request details
+   * @param {String} id - Installation request ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object>} - Updated installation request
+   */
+  static async updateInstallationRequest(id, updateData) {
+    const installation = await this.findInstallationOrFail(id);
+
+    if (["COMPLETED", "CANCELLED"].includes(installation.status)) {
+      throw ApiError.badRequest(
+        `Cannot update an installation request that is ${installation.status.toLowerCase()}`
+      );
+    }
+
+    Object.keys(updateData).forEach((key) => {
+      installation[key] = updateData[key];
+    });
+
+    await installation.save();
+
+    return installation;
+  }
+
+  /**
+   * Schedule (or reschedule) an installation
+   * @param {String} id - Installation request ID
+   * @param {Object} scheduleData - scheduledDate, scheduledTimeSlot and optional notes
+   * @returns {Promise<Object>} - Updated installation request
+   */
+  static async scheduleInstallation(id, scheduleData) {
+    const installation = await this.findInstallationOrFail(id);
+
+    this.assertTransition(installation, "SCHEDULED");
+
+    installation.scheduledDate = scheduleData.scheduledDate;
+    installation.scheduledTimeSlot = scheduleData.scheduledTimeSlot;
+    installation.status = "SCHEDULED";
+
+    if (scheduleData.notes) {
+      installation.notes = scheduleData.notes;
+    }
+
+    await installation.save();
+
+    if (installation.assignedTo) {
+      await notify({
+        userId: installation.assignedTo,
+        subject: `Installation Scheduled: ${installation.requestId}`,
+        message: `Installation ${installation.requestId} (${installation.productModel}) has been scheduled for ${new Date(installation.scheduledDate).toDateString()} (${installation.scheduledTimeSlot}).`,
+        notificationType: "INSTALLATION_SCHEDULED",
+      });
+    }
+
+    return installation;
+  }
+
+  /**
+   * Assign an installation to a technician
+   * @param {String} id - Installation request ID
+   * @param {String} assignToUserId - ID of the technician
+   * @param {String} assignedByUserId - ID of the user making the assignment
+   * @param {String} notes - Optional assignment notes
+   * @returns {Promise<Object>} - Updated installation request
+   */
+  static async assignInstallation(id, assignToUserId, assignedByUserId, notes) {
+    const installation = await this.findInstallationOrFail(id);
+
+    if (["COMPLETED", "CANCELLED"].includes(installation.status)) {
+      throw ApiError.badRequest(
+        `Cannot assign an installation request that is ${installation.status.toLowerCase()}`
+      );
+    }
+
+    const assignToUser = await User.findById(assignToUserId);
+    if (!assignToUser) {
+      throw ApiError.notFound("User to assign installation to not found");
+    }
+
+    if (!assignToUser.isActive) {
+      throw ApiError.badRequest("Cannot assign installation to inactive user");
+    }
+
+    const assignToUserRole = await Role.findOne({ code: assignToUser.role });
+    if (
+      !assignToUserRole ||
+      !assignToUserRole.permissions.includes(PERMISSIONS.COMPLETE_INSTALLATION)
+    ) {
+      throw ApiError.forbidden(
+        "Selected user does not have permission to complete installations"
+      );
+    }
+
+    installation.assignedTo = assignToUserId;
+    installation.assignedBy = assignedByUserId;
+    installation.assignedAt = new Date();
+
+    if (notes) {
+      installation.notes = notes;
+    }
+
+    await installation.save();
+
+    const customer = await Customer.findById(installation.customerId);
+    const schedule = installation.scheduledDate
+      ? `${new Date(installation.scheduledDate).toDateString()} (${installation.scheduledTimeSlot})`
+      : "Not scheduled yet";
+
+    await notify({
+      userId: assignToUserId,
+      subject: `Installation Assigned: ${installation.requestId}`,
+      message: `You have been assigned installation ${installation.requestId}.\n\nProduct: ${installation.productType} - ${installation.productModel}\nSerial Number: ${installation.serialNumber}\nCustomer: ${customer ? `${customer.name} (${customer.mobile})` : "N/A"}\nSchedule: ${schedule}`,
+      notificationType: "INSTALLATION_ASSIGNED",
+    });
+
+    return installation;
+  }
+
+  /**
+   * Mark an installation as in progress
+   * @param {String} id - Installation request ID
+   * @param {String} userId - ID of the user starting the installation
+   * @param {String} userRole - Role of the user starting the installation
+   * @returns {Promise<Object>} - Updated installation request
+   */
+  static async startInstallation(id, userId, userRole) {
+    const installation = await this.findInstallationOrFail(id);
+
+    this.assertTransition(installation, "IN_PROGRESS");
+
+    if (!installation.assignedTo) {
+      throw ApiError.badRequest(
+        "Installation must be assigned to a technician before it can be started"
+      );
+    }
+
+    this.assertAssignee(installation, userId, userRole);
+
+    installation.status = "IN_PROGRESS";
+    installation.startedAt = new Date();
+
+    await installation.save();
+
+    return installation;
+  }
+
+  /**
+   * Complete an installation
+   * @param {String} id - Installation request ID
+   * @param {Object} completionData - completionNotes and uploaded files
+   * @param {String} userId - ID of the user completing the installation
+   * @param {String} userRole - Role of the user completing the installation
+   * @returns {Promise<Object>} - Updated installation request
+   */
+  static async completeInstallation(id, completionData, userId, userRole) {
+    const installation = await this.findInstallationOrFail(id);
+
+    this.assertTransition(installation, "COMPLETED");
+    this.assertAssignee(installation, userId, userRole);
+
+    const files = completionData.files || [];
+    const attachments = files.map((file) => ({
+      url: file.cloudinaryUrl || file.path,
+      filename: file.originalname,
+      uploadedBy: userId,
+      uploadedAt: new Date(),
+    }));
+
+    installation.attachments.push(...attachments);
+    installation.status = "COMPLETED";
+    installation.completedBy = userId;
+    installation.completedAt = new Date();
+
+    if (completionData.completionNotes) {
+      installation.completionNotes = completionData.completionNotes;
+    }
+
+    await installation.save();
+
+    if (
+      installation.createdBy &&
+      installation.createdBy.toString() !== userId.toString()
+    ) {
+      await notify({
+        userId: installation.createdBy,
+        subject: `Installation Completed: ${installation.requestId}`,
+        message: `Installation ${installation.requestId} (${installation.productModel}, S/N ${installation.serialNumber}) has been completed.${installation.completionNotes ? `\n\nNotes: ${installation.completionNotes}` : ""}`,
+        notificationType: "INSTALLATION_COMPLETED",
+      });
+    }
+
+    return installation;
+  }
+
+  /**
+   * Cancel an installation
+   * @param {String} id - Installation request ID
+   * @param {String} reason - Reason for cancellation
+   * @param {String} userId - ID of the user cancelling the installation
+   * @returns {Promise<Object>} - Updated installation request
+   */
+  static async cancelInstallation(id, reason, userId) {
+    const installation = await this.findInstallationOrFail(id);
+
+    this.assertTransition(installation, "CANCELLED");
+
+    installation.status = "CANCELLED";
+    installation.cancelledBy = userId;
+    installation.cancelledAt = new Date();
+    installation.cancellationReason = reason;
+
+    await installation.save();
+
+    if (installation.assignedTo) {
+      await notify({
+        userId: installation.assignedTo,
+        subject: `Installation Cancelled: ${installation.requestId}`,
+        message: `Installation ${installation.requestId} has been cancelled.\n\nReason: ${reason}`,
+        notificationType: "INSTALLATION_CANCELLED",
+      });
+    }
+
+    return installation;
+  }
+
+  /**
+   * Delete an installation request
+   * @param {String} id - Installation request ID
+   * @returns {Promise<Object>} - Deletion confirmation
+   */
+  static async deleteInstallationRequest(id) {
+    const installation = await this.findInstallationOrFail(id);
+
+    if (installation.status === "IN_PROGRESS") {
+      throw ApiError.badRequest(
+        "Cannot delete an installation that is in progress. Cancel it first."
+      );
+    }
+
+    await InstallationRequest.deleteOne({ _id: id });
+
+    return {
+      success: true,
+      message: "Installation request deleted successfully",
+    };
+  }
+
+  /**
+   * Find an installation request or throw a 404
+   * @param {String} id - Installation request ID
+   * @returns {Promise<Object>} - Installation request document
+   */
+  static async findInstallationOrFail(id) {
+    const installation = await InstallationRequest.findById(id);
+
+    if (!installation) {
+      throw ApiError.notFound("Installation request not found");
+    }
+
+    return installation;
+  }
+
+  /**
+   * Ensure the installation can move to the requested status
+   * @param {Object} installation - Installation request document
+   * @param {String} nextStatus - Target status
+   */
+  static assertTransition(installation, nextStatus) {
+    const allowed = STATUS_TRANSITIONS[installation.status] || [];
+
+    if (!allowed.includes(nextStatus)) {
+      throw ApiError.badRequest(
+        `Cannot change installation status from ${installation.status} to ${nextStatus}`
+      );
+    }
+  }
+
+  /**
+   * Engineers may only work on installations assigned to them
+   * @param {Object} installation - Installation request document
+   * @param {String} userId - ID of the acting user
+   * @param {String} userRole - Role of the acting user
+   */
+  static assertAssignee(installation, userId, userRole) {
+    if (
+      userRole === ROLES.ENGINEER &&
+      installation.assignedTo?.toString() !== userId.toString()
+    ) {
+      throw ApiError.forbidden(
+        "Only the assigned technician can update this installation"
+      );
+    }
+  }
+}
+
+module.exports = InstallationRequestService;
@@ -1,7 +1,19 @@
+const mongoose = require("mongoose");
 const Item = require("../models/item.model");
 const Ticket = require("../models/ticket.model");
 const ApiError = require("../utils/apiError.util");
-const XLSX = require("xlsx");
+const { TicketActivityService } = require("./ticketActivity.service");
+const WarehouseService = require("./warehouse.service");
+const SerialUnitService = require("./serialUnit.service");
+const SerialMetadataService = require("./serialMetadata.service");
+const ItemFileVersionService = require("./itemFileVersion.service");
+const ChallanService = require("./challan.service");
+
+const WAREHOUSE_FIELDS = "name code city";
+
+// Stock entries and transactions hold a warehouse ID, or the warehouse
+// itself once populated
+const warehouseKey = (ref) => String((ref && ref._id) || ref || "");
 
 class ItemService {
   /**
@@ -50,8 +62,12 @@ class ItemService {
     const item = await Item.findById(id)
       .populate("createdBy", "name email")
       .populate("updatedBy", "name email")
+      .populate("inventory.warehouse", WAREHOUSE_FIELDS)
       .populate("inventory.updatedBy", "name email")
+      .populate("transactions.warehouse", WAREHOUSE_FIELDS)
+      .populate("transactions.toWarehouse", WAREHOUSE_FIELDS)
       .populate("transactions.performedBy", "name email")
+      .populate("transactions.receivedBy", "name email")
       .populate("transactions.ticketId", "ticketId");
 
     if (!item) {
@@ -100,6 +116,14 @@ class ItemService {
       }
     }
 
+    if (inventory.some((stock) => !stock.warehouse)) {
+      throw ApiError.badRequest("Each stock entry must name a warehouse");
+    }
+    await this.validateWarehouses([
+      ...inventory.map((stock) => stock.warehouse),
+      ...(itemData.locationThresholds || []).map((entry) => entry.warehouse),
+    ]);
+
     const totalQuantity = inventory.reduce(
       (total, stock) => total + (stock.quantity || 0),
       0
@@ -124,6 +148,7 @@ class ItemService {
         .filter((stock) => stock.quantity > 0)
         .map((stock) => ({
           type: "INWARD",
+          warehouse: stock.warehouse,
           condition: stock.condition,
           quantity: stock.quantity,
           reference: "OTHER",
@@ -160,13 +185,29 @@ class ItemService {
       updateData.warrantyInDays = Math.round(updateData.warrantyInDays);
     }
 
+    if (updateData.locationThresholds) {
+      await this.validateWarehouses(
+        updateData.locationThresholds.map((entry) => entry.warehouse)
+      );
+    }
+
     // Handle inventory updates separately
     if (updateData.inventory) {
+      if (updateData.inventory.some((stock) => !stock.warehouse)) {
+        throw ApiError.badRequest("Each stock entry must name a warehouse");
+      }
+      await this.validateWarehouses(
+        updateData.inventory.map((stock) => stock.warehouse)
+      );
+
       // We don't replace the inventory array completely to preserve history
       // Instead, we update existing entries or add new ones
       updateData.inventory.forEach((stockUpdate) => {
         const existingStockIndex = item.inventory.findIndex(
-          (stock) => stock.condition === stockUpdate.condition
+          (stock) =>
+            stock.condition === stockUpdate.condition &&
+            warehouseKey(stock.warehouse) ===
+              warehouseKey(stockUpdate.warehouse)
         );
 
         if (existingStockIndex >= 0) {
@@ -179,6 +220,7 @@ class ItemService {
         } else {
           // Add new stock entry
           item.inventory.push({
+            warehouse: stockUpdate.warehouse,
             condition: stockUpdate.condition,
             quantity: stockUpdate.quantity,
             location: stockUpdate.location,
@@ -205,14 +247,26 @@ class ItemService {
       }
     });
 
+    // The main header is the sheet's serial number column
+    const reindexSerials = item.isModified("mainHeaderKey");
+
     item.updatedBy = userId;
     await item.save();
 
+    if (reindexSerials) {
+      await SerialMetadataService.indexItem(item);
+    }
+
     return item;
   }
 
   /**
-   * Process inventory transaction (inward or outward)
+   * Process inventory transaction. INWARD adds stock to a warehouse and
+   * OUTWARD dispatches it from one against a ticket. TRANSFER takes stock
+   * from one warehouse and leaves it in transit until the destination
+   * receives it. Items tracked by serial unit name the serials they move.
+   * Stock is changed atomically, so concurrent dispatches cannot take more
+   * than is there.
    */
   static async processInventoryTransaction(id, transactionData, userId) {
     const {
@@ -223,6 +277,9 @@ class ItemService {
       notes,
       docketNumber,
       reference,
+      warehouseId,
+      toWarehouseId,
+      serialNumbers,
     } = transactionData;
 
     if (!type || !condition || !quantity) {
@@ -235,32 +292,54 @@ class ItemService {
       throw ApiError.badRequest("Transaction quantity must be positive");
     }
 
+    if (!warehouseId) {
+      throw ApiError.badRequest("Warehouse is required for transactions");
+    }
+
     if (type === "OUTWARD" && !ticketId) {
       throw ApiError.badRequest(
         "Ticket ID is required for outward transactions"
       );
     }
 
-    const item = await this.getItemById(id);
-
-    let inventoryEntry = item.inventory.find(
-      (stock) => stock.condition === condition
-    );
+    if (!["INWARD", "OUTWARD", "TRANSFER"].includes(type)) {
+      throw ApiError.badRequest("Invalid transaction type");
+    }
 
-    // If entry doesn't exist, create it
-    if (!inventoryEntry) {
-      inventoryEntry = {
-        condition,
-        quantity: 0,
-        updatedBy: userId,
-        updatedAt: new Date(),
-      };
-      item.inventory.push(inventoryEntry);
+    if (type === "TRANSFER") {
+      if (!toWarehouseId) {
+        throw ApiError.badRequest(
+          "Destination warehouse is required for transfers"
+        );
+      }
+      if (String(toWarehouseId) === String(warehouseId)) {
+        throw ApiError.badRequest(
+          "A transfer must go to a different warehouse"
+        );
+      }
     }
 
+    const warehouse = await WarehouseService.getActiveWarehouse(warehouseId);
+    const toWarehouse =
+      type === "TRANSFER"
+        ? await WarehouseService.getActiveWarehouse(toWarehouseId)
+        : null;
+
+    const item = await this.getItemById(id);
+
+    const serials = await SerialUnitService.checkMovement(item, {
+      type,
+      warehouse: warehouse._id,
+      condition,
+      quantity,
+      serialNumbers,
+    });
+
     // Process the transaction
     const transaction = {
+      _id: new mongoose.Types.ObjectId(),
       type,
+      warehouse: warehouse._id,
       condition,
       quantity,
       ticketId: ticketId || undefined, // Allow ticketId for both inward and outward
@@ -270,74 +349,135 @@ class ItemService {
       performedAt: new Date(),
     };
 
-    // Add docket number if provided for outward transactions
-    if (type === "OUTWARD" && docketNumber) {
+    if (serials) {
+      transaction.serialNumbers = serials.serialNumbers;
+    }
+
+    // Add docket number if provided for goods leaving a warehouse
+    if (type !== "INWARD" && docketNumber) {
       transaction.docketNumber = docketNumber;
     }
 
-    // Update inventory quantity
-    if (type === "INWARD") {
-      // For inward, we add to the quantity
-      inventoryEntry.quantity += quantity;
-    } else if (type === "OUTWARD") {
-      // For outward, we subtract from the quantity
-      if (inventoryEntry.quantity < quantity) {
-        throw ApiError.badRequest(
-          `Insufficient ${condition} inventory. Available: ${inventoryEntry.quantity}, Requested: ${quantity}`
-        );
-      }
-      inventoryEntry.quantity -= quantity;
+    if (type === "TRANSFER") {
+      transaction.toWarehouse = toWarehouse._id;
+      transaction.transferStatus = "IN_TRANSIT";
+    }
 
-      // Update ticket status to RESOLVED
-      const ticket = await Ticket.findById(ticketId);
+    let ticket = null;
+    if (type === "OUTWARD") {
+      ticket = await Ticket.findById(ticketId);
       if (!ticket) {
         throw ApiError.notFound("Selected ticket not found");
       }
+    }
+
+    // Units are claimed first, so two requests cannot move the same serial
+    if (serials) {
+      await SerialUnitService.recordMovement(
+        item,
+        transaction,
+        serials,
+        userId,
+        { customer: ticket ? ticket.customerId : undefined }
+      );
+    }
+
+    // Inward adds to the warehouse's stock; outward and transfers take from it
+    const changed = await this.changeStock(
+      item._id,
+      {
+        warehouse: warehouse._id,
+        condition,
+        quantity: type === "INWARD" ? quantity : -quantity,
+      },
+      userId,
+      { push: { transactions: transaction } }
+    );
+
+    if (!changed) {
+      if (serials) {
+        await SerialUnitService.releaseMovement(item, transaction, serials);
+      }
 
-      // Update ticket status and add a comment about the dispatch
+      const available = await this.getAvailableStock(
+        item._id,
+        warehouse._id,
+        condition
+      );
+      throw ApiError.badRequest(
+        `Insufficient ${condition} inventory at ${warehouse.name}. Available: ${available}, Requested: ${quantity}`
+      );
+    }
+
+    if (ticket) {
+      // Update ticket status to RESOLVED and add a comment about the dispatch
       ticket.status = "RESOLVED";
       ticket.resolvedBy = userId;
       ticket.resolvedAt = new Date();
 
+      await ticket.save();
+
       // Add a comment about the dispatch
-      ticket.comments.push({
-        comment: `Item dispatched: ${item.name} (${quantity} units, ${condition})${docketNumber ? ` - Docket: ${docketNumber}` : ""}`,
+      await TicketActivityService.addComment(ticket._id, {
+        comment: `Item dispatched: ${item.name} (${quantity} units, ${condition}) from ${warehouse.name}${docketNumber ? ` - Docket: ${docketNumber}` : ""}`,
         createdBy: userId,
         createdAt: new Date(),
         isInternal: true,
       });
-
-      await ticket.save();
-    } else {
-      throw ApiError.badRequest("Invalid transaction type");
     }
 
-    // Update the timestamp and user
-    inventoryEntry.updatedBy = userId;
-    inventoryEntry.updatedAt = new Date();
+    const updated = await this.getItemById(item._id);
 
-    // Recalculate total quantity
-    item.quantity = item.inventory.reduce(
-      (total, stock) => total + stock.quantity,
-      0
-    );
+    return {
+      item: updated,
+      transaction: updated.transactions.id(transaction._id),
+    };
+  }
 
-    // Add transaction to history
-    item.transactions.push(transaction);
+  /**
+   * Receive a transfer at its destination warehouse
+   * @param {String} id - Item ID
+   * @param {String} transactionId - ID of the TRANSFER transaction
+   * @param {String} userId - ID of the user receiving the stock
+   * @param {String} notes - Optional receipt notes
+   * @returns {Promise<Object>} - { item, transaction }
+   */
+  static async receiveTransfer(id, transactionId, userId, notes) {
+    const item = await this.getItemById(id);
+    const transaction = this.getTransferInTransit(item, transactionId);
 
-    // Update status based on new total quantity
-    if (item.quantity === 0) {
-      item.status = "OUT_OF_STOCK";
-    } else {
-      item.status = "AVAILABLE";
-    }
+    const destination = await WarehouseService.getActiveWarehouse(
+      warehouseKey(transaction.toWarehouse)
+    );
 
-    await item.save();
+    return await this.endTransfer(item, transaction, destination._id, userId, {
+      transferStatus: "RECEIVED",
+      receivedBy: userId,
+      receivedAt: new Date(),
+      notes,
+    });
+  }
 
-    return {
+  /**
+   * Cancel a transfer still in transit, returning the stock to the warehouse
+   * it left
+   * @param {String} id - Item ID
+   * @param {String} transactionId - ID of the TRANSFER transaction
+   * @param {String} userId - ID of the user cancelling it
+   * @param {String} notes - Optional reason
+   * @returns {Promise<Object>} - { item, transaction }
+   */
+  static async cancelTransfer(id, transactionId, userId, notes) {
+    const item = await this.getItemById(id);
+    const transaction = this.getTransferInTransit(item, transactionId);
+
+    return await this.endTransfer(
       item,
       transaction,
-    };
+      warehouseKey(transaction.warehouse),
+      userId,
+      { transferStatus: "CANCELLED", notes }
+    );
   }
 
   /**
@@ -365,6 +505,21 @@ class ItemService {
       );
     }
 
+    // Filter by warehouse if specified, on either end of a transfer
+    if (query.warehouseId) {
+      transactions = transactions.filter(
+        (t) =>
+          warehouseKey(t.warehouse) === query.warehouseId ||
+          warehouseKey(t.toWarehouse) === query.warehouseId
+      );
+    }
+
+    if (query.transferStatus) {
+      transactions = transactions.filter(
+        (t) => t.transferStatus === query.transferStatus
+      );
+    }
+
     // Filter by date range if specified
     if (query.startDate && query.endDate) {
       const startDate = new Date(query.startDate);
@@ -398,59 +553,61 @@ class ItemService {
   static async deleteItem(id) {
     const item = await this.getItemById(id);
     await item.deleteOne();
+    await SerialMetadataService.removeItem(item._id);
+    await ItemFileVersionService.removeVersions(item._id);
     return { success: true };
   }
 
   /**
-   * Process XLSX file and update item
+   * Process XLSX file and update item. The result is kept as a new version
+   * of the item's sheet.
+   * @param {String} id - Item ID
+   * @param {Object} file - Uploaded Excel file
+   * @param {String} userId - ID of the uploader
+   * @param {String} mode - REPLACE (default), APPEND or UPSERT
+   * @returns {Promise<Object>} - { item, version }
    */
-  static async processXlsxFile(id, file, userId) {
+  static async processXlsxFile(id, file, userId, mode) {
     if (!file) {
       throw ApiError.badRequest("No file provided");
     }
 
-    try {
-      const workbook = XLSX.read(file.buffer, { type: "buffer" });
-      const firstSheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[firstSheetName];
-
-      const data = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-
-      const headers = data[0];
-      const rows = data.slice(1).filter((row) => row.length > 0);
-
-      if (!headers || headers.length === 0) {
-        throw ApiError.badRequest("Invalid Excel file: No headers found");
-      }
-
-      if (!rows || rows.length === 0) {
-        throw ApiError.badRequest("Invalid Excel file: No data found");
-      }
-
-      const item = await this.getItemById(id);
-
-      item.uploadedFile = {
-        fileName: file.originalname,
-        headers: headers,
-        data: rows,
-      };
+    const item = await this.getItemById(id);
+    return await ItemFileVersionService.uploadFile(item, file, mode, userId);
+  }
 
-      if (item.mainHeaderKey && !headers.includes(item.mainHeaderKey)) {
-        item.mainHeaderKey = null;
-      }
+  /**
+   * Compare an Excel file with the item's sheet without saving it
+   * @param {String} id - Item ID
+   * @param {Object} file - Uploaded Excel file
+   * @param {String} mode - REPLACE (default), APPEND or UPSERT
+   * @returns {Promise<Object>} - Rows added, removed and changed
+   */
+  static async previewXlsxFile(id, file, mode) {
+    const item = await this.getItemById(id);
+    return ItemFileVersionService.previewUpload(item, file, mode);
+  }
 
-      item.updatedBy = userId;
-      await item.save();
+  /**
+   * Versions of the item's sheet, newest first
+   * @param {String} id - Item ID
+   * @returns {Promise<Object>} - { currentVersion, versions }
+   */
+  static async getFileVersions(id) {
+    const item = await this.getItemById(id);
+    return await ItemFileVersionService.getVersions(item);
+  }
 
-      return item;
-    } catch (error) {
-      if (error instanceof ApiError) {
-        throw error;
-      }
-      throw ApiError.badRequest(
-        "Error processing Excel file: " + error.message
-      );
-    }
+  /**
+   * Restore an earlier version of the item's sheet
+   * @param {String} id - Item ID
+   * @param {Number} version - Version to restore
+   * @param {String} userId - ID of the user rolling back
+   * @returns {Promise<Object>} - { item, version }
+   */
+  static async rollbackFileVersion(id, version, userId) {
+    const item = await this.getItemById(id);
+    return await ItemFileVersionService.rollback(item, version, userId);
   }
 
   /**
@@ -465,6 +622,77 @@ class ItemService {
     return lowStockItems;
   }
 
+  /**
+   * Get low stock per warehouse: every item and warehouse where the item's
+   * stock, across conditions, is at or below the warehouse's threshold
+   * (locationThresholds, else notificationThreshold). Warehouses an item has
+   * a threshold for but no stock at count as empty.
+   * @param {String} warehouseId - Only check this warehouse
+   * @returns {Promise<Array>} - { item, warehouse, quantity, threshold },
+   * lowest quantity first
+   */
+  static async getLowStockByLocation(warehouseId) {
+    const filter = { status: { $ne: "DISCONTINUED" } };
+    filter.$or = warehouseId
+      ? [
+          { "inventory.warehouse": warehouseId },
+          { "locationThresholds.warehouse": warehouseId },
+        ]
+      : [
+          { "inventory.warehouse": { $ne: null } },
+          { "locationThresholds.0": { $exists: true } },
+        ];
+
+    const items = await Item.find(filter)
+      .select(
+        "name sku category inventory notificationThreshold locationThresholds"
+      )
+      .populate("inventory.warehouse", WAREHOUSE_FIELDS)
+      .populate("locationThresholds.warehouse", WAREHOUSE_FIELDS);
+
+    const rows = [];
+    for (const item of items) {
+      const locations = new Map();
+      const locationOf = (warehouse) => {
+        const key = warehouseKey(warehouse);
+        if (!locations.has(key)) {
+          locations.set(key, {
+            warehouse,
+            quantity: 0,
+            threshold: item.notificationThreshold,
+          });
+        }
+        return locations.get(key);
+      };
+
+      for (const stock of item.inventory) {
+        if (stock.warehouse)
+          locationOf(stock.warehouse).quantity += stock.quantity;
+      }
+      for (const entry of item.locationThresholds || []) {
+        if (entry.warehouse)
+          locationOf(entry.warehouse).threshold = entry.threshold;
+      }
+
+      for (const [key, location] of locations) {
+        if (warehouseId && key !== String(warehouseId)) continue;
+        if (location.quantity > location.threshold) continue;
+
+        rows.push({
+          item: {
+            _id: item._id,
+            name: item.name,
+            sku: item.sku,
+            category: item.category,
+          },
+          ...location,
+        });
+      }
+    }
+
+    return rows.sort((a, b) => a.quantity - b.quantity);
+  }
+
   /**
    * Get transaction details for challan
    * @param {string} transactionId - Transaction ID
@@ -481,6 +709,8 @@ class ItemService {
         "transactions.$": 1,
       }
     )
+      .populate("transactions.warehouse", "name code address city state")
+      .populate("transactions.toWarehouse", "name code address city state")
       .populate("transactions.performedBy", "name email")
       .populate("transactions.ticketId", "ticketId");
 
@@ -507,37 +737,223 @@ class ItemService {
   }
 
   /**
-   * Record challan print
-   * @param {Object} challanData - Challan data
+   * Record challan print for an OUTWARD transaction, issuing its challan
+   * the first time
+   * @param {Object} challanData - Challan data (transactionId)
    * @param {string} userId - ID of user recording the challan
-   * @returns {Promise<Object>} - Recorded challan
+   * @returns {Promise<Object>} - The transaction's challan
    */
   static async recordChallanPrint(challanData, userId) {
-    const { transactionId, challanNumber, itemId, quantity, condition } =
-      challanData;
+    const { transactionId } = challanData;
 
-    if (!transactionId || !itemId) {
-      throw ApiError.badRequest("Transaction ID and Item ID are required");
+    if (!transactionId) {
+      throw ApiError.badRequest("Transaction ID is required");
     }
 
-    const item = await Item.findById(itemId);
-    if (!item) {
-      throw ApiError.notFound("Item not found");
+    return await ChallanService.recordTransactionPrint(transactionId, userId);
+  }
+
+  /**
+   * Add to, or take from, the stock of a condition at a warehouse in one
+   * atomic update. Stock is only taken while enough is there.
+   * @param {String} itemId - Item ID
+   * @param {Object} stock - warehouse, condition and quantity (negative to
+   * take stock)
+   * @param {String} userId - ID of the user moving the stock
+   * @param {Object} extra - filter, set, push and arrayFilters added to the
+   * update
+   * @returns {Promise<Boolean>} - false if nothing matched: too little
+   * stock, or the extra filter failed
+   * @private
+   */
+  static async changeStock(itemId, stock, userId, extra = {}) {
+    const { warehouse, condition, quantity } = stock;
+    const now = new Date();
+
+    if (quantity > 0) {
+      await Item.updateOne(
+        {
+          _id: itemId,
+          inventory: { $not: { $elemMatch: { warehouse, condition } } },
+        },
+        {
+          $push: {
+            inventory: {
+              warehouse,
+              condition,
+              quantity: 0,
+              updatedBy: userId,
+              updatedAt: now,
+            },
+          },
+        }
+      );
     }
 
-    const challanRecord = {
-      challanNumber: challanNumber || `OUT-${Date.now().toString().slice(-6)}`,
-      transactionId,
-      itemId,
-      itemName: item.name,
-      itemSku: item.sku,
-      quantity: quantity || 0,
-      condition: condition || "NEW",
-      printedBy: userId,
-      printedAt: new Date(),
-    };
+    const result = await Item.updateOne(
+      {
+        _id: itemId,
+        inventory: {
+          $elemMatch: {
+            warehouse,
+            condition,
+            ...(quantity < 0 && { quantity: { $gte: -quantity } }),
+          },
+        },
+        ...extra.filter,
+      },
+      {
+        $inc: { "inventory.$[entry].quantity": quantity },
+        $set: {
+          "inventory.$[entry].updatedBy": userId,
+          "inventory.$[entry].updatedAt": now,
+          ...extra.set,
+        },
+        ...(extra.push && { $push: extra.push }),
+      },
+      {
+        arrayFilters: [
+          { "entry.warehouse": warehouse, "entry.condition": condition },
+          ...(extra.arrayFilters || []),
+        ],
+      }
+    );
+
+    if (result.modifiedCount === 0) return false;
+
+    await this.refreshStock(itemId);
+    return true;
+  }
+
+  /**
+   * Return a transfer's stock to a warehouse and close it. Only one of
+   * concurrent receive and cancel requests gets through.
+   * @private
+   */
+  static async endTransfer(item, transaction, warehouseId, userId, fields) {
+    const { notes, ...changes } = fields;
+    if (notes) {
+      changes.notes = [transaction.notes, notes].filter(Boolean).join("\n");
+    }
+
+    const changed = await this.changeStock(
+      item._id,
+      {
+        warehouse: warehouseId,
+        condition: transaction.condition,
+        quantity: transaction.quantity,
+      },
+      userId,
+      {
+        filter: {
+          transactions: {
+            $elemMatch: { _id: transaction._id, transferStatus: "IN_TRANSIT" },
+          },
+        },
+        set: Object.fromEntries(
+          Object.entries(changes).map(([field, value]) => [
+            `transactions.$[transfer].${field}`,
+            value,
+          ])
+        ),
+        arrayFilters: [{ "transfer._id": transaction._id }],
+      }
+    );
+
+    if (!changed) {
+      throw ApiError.conflict(
+        "The transfer was received or cancelled at the same time"
+      );
+    }
+
+    const updated = await this.getItemById(item._id);
+    const saved = updated.transactions.id(transaction._id);
+    await SerialUnitService.recordTransferEnd(updated, saved, userId);
+
+    return { item: updated, transaction: saved };
+  }
+
+  /**
+   * Stock of a condition at a warehouse as currently stored
+   * @private
+   */
+  static async getAvailableStock(itemId, warehouseId, condition) {
+    const item = await Item.findById(itemId).select("inventory");
+    const entry = item
+      ? item.inventory.find(
+          (stock) =>
+            stock.condition === condition &&
+            warehouseKey(stock.warehouse) === warehouseKey(warehouseId)
+        )
+      : null;
+
+    return entry ? entry.quantity : 0;
+  }
+
+  /**
+   * @private
+   */
+  static getTransferInTransit(item, transactionId) {
+    const transaction = item.transactions.id(String(transactionId));
+    if (!transaction || transaction.type !== "TRANSFER") {
+      throw ApiError.notFound("Transfer not found");
+    }
+    if (transaction.transferStatus !== "IN_TRANSIT") {
+      throw ApiError.badRequest(
+        `Transfer is already ${transaction.transferStatus.toLowerCase()}`
+      );
+    }
+    return transaction;
+  }
+
+  /**
+   * Recalculate the item's total stock, stock in transit and status from
+   * the stored document, so concurrent moves cannot leave them stale. An
+   * item with stock on the way is not out of stock.
+   * @private
+   */
+  static async refreshStock(itemId) {
+    await Item.updateOne({ _id: itemId }, [
+      {
+        $set: {
+          quantity: { $sum: "$inventory.quantity" },
+          inTransitQuantity: {
+            $sum: {
+              $map: {
+                input: {
+                  $filter: {
+                    input: { $ifNull: ["$transactions", []] },
+                    cond: { $eq: ["$$this.transferStatus", "IN_TRANSIT"] },
+                  },
+                },
+                in: "$$this.quantity",
+              },
+            },
+          },
+        },
+      },
+      {
+        $set: {
+          status: {
+            $cond: [
+              { $gt: [{ $add: ["$quantity", "$inTransitQuantity"] }, 0] },
+              "AVAILABLE",
+              "OUT_OF_STOCK",
+            ],
+          },
+        },
+      },
+    ]);
+  }
 
-    return challanRecord;
+  /**
+   * @private
+   */
+  static async validateWarehouses(warehouseIds) {
+    const ids = [...new Set(warehouseIds.filter(Boolean).map(String))];
+    for (const id of ids) {
+      await WarehouseService.getWarehouseById(id);
+    }
   }
 }
 
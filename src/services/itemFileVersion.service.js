@@ -0,0 +1,420 @@
+const XLSX = require("xlsx");
+const ItemFileVersion = require("../models/itemFileVersion.model");
+const ApiError = require("../utils/apiError.util");
+const SerialMetadataService = require("./serialMetadata.service");
+
+const MERGE_MODES = ["REPLACE", "APPEND", "UPSERT"];
+
+// Rows listed per section of a preview; the summary counts all of them
+const PREVIEW_LIMIT = 100;
+
+const cellText = (value) =>
+  value === undefined || value === null ? "" : value.toString().trim();
+
+const toRecords = (headers, rows) =>
+  rows.map((row) =>
+    headers.reduce((record, header, idx) => {
+      record[header] = row[idx] === undefined ? null : row[idx];
+      return record;
+    }, {})
+  );
+
+const toRows = (headers, records) =>
+  records.map((record) =>
+    headers.map((header) =>
+      record[header] === undefined ? null : record[header]
+    )
+  );
+
+class ItemFileVersionService {
+  /**
+   * Read the first sheet of an uploaded Excel file
+   * @param {Object} file - Multer file
+   * @returns {Object} - { fileName, headers, rows }
+   */
+  static parseSheet(file) {
+    if (!file) {
+      throw ApiError.badRequest("No file provided");
+    }
+
+    let data;
+    try {
+      const workbook = XLSX.read(file.buffer, { type: "buffer" });
+      const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+      data = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+    } catch (error) {
+      throw ApiError.badRequest(
+        "Error processing Excel file: " + error.message
+      );
+    }
+
+    const headers = data[0];
+    const rows = data.slice(1).filter((row) => row.length > 0);
+
+    if (!headers || headers.length === 0) {
+      throw ApiError.badRequest("Invalid Excel file: No headers found");
+    }
+
+    if (!rows || rows.length === 0) {
+      throw ApiError.badRequest("Invalid Excel file: No data found");
+    }
+
+    return { fileName: file.originalname, headers, rows };
+  }
+
+  /**
+   * Merge an uploaded sheet into the item's current one. Rows are matched
+   * on the main header column:
+   * - REPLACE: the upload becomes the sheet; rows missing from it are removed
+   * - APPEND: rows with a new key are added; rows already present are skipped
+   * - UPSERT: new rows are added and present ones take the upload's values
+   * Without a main header every uploaded row counts as new.
+   * @param {Object} current - { headers, data } of the item's sheet
+   * @param {Object} incoming - { headers, rows } of the upload
+   * @param {String} mode - REPLACE, APPEND or UPSERT
+   * @param {String} keyHeader - The item's main header
+   * @returns {Object} - { headers, rows, columns, summary, added, removed,
+   * changed }
+   */
+  static mergeSheets(current, incoming, mode, keyHeader) {
+    const currentHeaders = current.headers || [];
+    const keyed = !!keyHeader && incoming.headers.includes(keyHeader);
+
+    if (mode !== "REPLACE" && keyHeader && !keyed) {
+      throw ApiError.badRequest(
+        `The file has no "${keyHeader}" column to match rows on`
+      );
+    }
+    if (mode === "UPSERT" && !keyHeader) {
+      throw ApiError.badRequest(
+        "Choose the item's main header before upserting rows"
+      );
+    }
+
+    const headers =
+      mode === "REPLACE"
+        ? incoming.headers
+        : [
+            ...currentHeaders,
+            ...incoming.headers.filter(
+              (header) => !currentHeaders.includes(header)
+            ),
+          ];
+    const keyOf = (record) => (keyed ? cellText(record[keyHeader]) : "");
+    const changesOf = (before, after) =>
+      incoming.headers
+        .filter(
+          (header) => cellText(before[header]) !== cellText(after[header])
+        )
+        .map((header) => ({
+          column: header,
+          from: cellText(before[header]),
+          to: cellText(after[header]),
+        }));
+
+    const currentRecords = toRecords(currentHeaders, current.data || []);
+    const byKey = new Map();
+    currentRecords.forEach((record, index) => {
+      const key = keyOf(record);
+      if (key && !byKey.has(key)) byKey.set(key, { record, index });
+    });
+
+    const summary = {
+      added: 0,
+      removed: 0,
+      changed: 0,
+      unchanged: 0,
+      skipped: 0,
+    };
+    const added = [];
+    const removed = [];
+    const changed = [];
+    const note = (list, counter, entry) => {
+      summary[counter] += 1;
+      if (list && list.length < PREVIEW_LIMIT) list.push(entry);
+    };
+
+    const result = mode === "REPLACE" ? [] : [...currentRecords];
+    const matched = new Set();
+
+    for (const record of toRecords(incoming.headers, incoming.rows)) {
+      const key = keyOf(record);
+      const existing = key ? byKey.get(key) : null;
+
+      if (!existing || (mode === "REPLACE" && matched.has(key))) {
+        note(added, "added", { key, row: record });
+        result.push(record);
+        if (key && mode !== "REPLACE") {
+          byKey.set(key, { record, index: result.length - 1 });
+        }
+        continue;
+      }
+
+      if (mode === "APPEND") {
+        note(null, "skipped");
+        continue;
+      }
+
+      matched.add(key);
+      const changes = changesOf(existing.record, record);
+      if (changes.length > 0) {
+        note(changed, "changed", { key, changes });
+      } else {
+        note(null, "unchanged");
+      }
+
+      if (mode === "REPLACE") {
+        result.push(record);
+      } else {
+        result[existing.index] = { ...existing.record, ...record };
+      }
+    }
+
+    if (mode === "REPLACE") {
+      for (const record of currentRecords) {
+        const key = keyOf(record);
+        if (!key || !matched.has(key)) {
+          note(removed, "removed", { key, row: record });
+        }
+      }
+    }
+
+    return {
+      headers,
+      rows: toRows(headers, result),
+      columns: {
+        added: headers.filter((header) => !currentHeaders.includes(header)),
+        removed: currentHeaders.filter((header) => !headers.includes(header)),
+      },
+      summary,
+      added,
+      removed,
+      changed,
+    };
+  }
+
+  /**
+   * What uploading a file with a merge mode would change, without saving
+   * @param {Object} item - Item document
+   * @param {Object} file - Multer file
+   * @param {String} mode - REPLACE, APPEND or UPSERT
+   * @returns {Object}
+   */
+  static previewUpload(item, file, mode) {
+    const mergeMode = this.getMergeMode(mode);
+    const incoming = this.parseSheet(file);
+    const merged = this.mergeSheets(
+      item.uploadedFile || {},
+      incoming,
+      mergeMode,
+      item.mainHeaderKey
+    );
+
+    return {
+      mode: mergeMode,
+      fileName: incoming.fileName,
+      keyColumn: item.mainHeaderKey || null,
+      currentVersion: (item.uploadedFile && item.uploadedFile.version) || null,
+      uploadedRowCount: incoming.rows.length,
+      rowCount: merged.rows.length,
+      columns: merged.columns,
+      summary: merged.summary,
+      added: merged.added,
+      removed: merged.removed,
+      changed: merged.changed,
+    };
+  }
+
+  /**
+   * Merge an uploaded file into the item's sheet and keep the result as a
+   * new version
+   * @param {Object} item - Item document
+   * @param {Object} file - Multer file
+   * @param {String} mode - REPLACE (default), APPEND or UPSERT
+   * @param {String} userId - ID of the uploader
+   * @returns {Promise<Object>} - { item, version }
+   */
+  static async uploadFile(item, file, mode, userId) {
+    const mergeMode = this.getMergeMode(mode);
+    const incoming = this.parseSheet(file);
+    const merged = this.mergeSheets(
+      item.uploadedFile || {},
+      incoming,
+      mergeMode,
+      item.mainHeaderKey
+    );
+
+    const version = await this.recordVersion(
+      item,
+      {
+        fileName: incoming.fileName,
+        mode: mergeMode,
+        uploadedRowCount: incoming.rows.length,
+        summary: merged.summary,
+        headers: merged.headers,
+        data: merged.rows,
+      },
+      userId
+    );
+
+    await this.applyVersion(item, version, userId);
+
+    return { item, version };
+  }
+
+  /**
+   * Restore the sheet of an earlier version. The restore is kept as a new
+   * version, so it can itself be rolled back.
+   * @param {Object} item - Item document
+   * @param {Number} versionNumber - Version to restore
+   * @param {String} userId - ID of the user rolling back
+   * @returns {Promise<Object>} - { item, version }
+   */
+  static async rollback(item, versionNumber, userId) {
+    const target = await ItemFileVersion.findOne({
+      item: item._id,
+      version: versionNumber,
+    });
+    if (!target) {
+      throw ApiError.notFound(`Version ${versionNumber} not found`);
+    }
+
+    const currentVersion = item.uploadedFile && item.uploadedFile.version;
+    if (currentVersion === target.version) {
+      throw ApiError.badRequest(
+        `Version ${target.version} is already the current sheet`
+      );
+    }
+
+    const merged = this.mergeSheets(
+      item.uploadedFile || {},
+      { headers: target.headers, rows: target.data },
+      "REPLACE",
+      item.mainHeaderKey
+    );
+
+    const version = await this.recordVersion(
+      item,
+      {
+        fileName: target.fileName,
+        mode: "ROLLBACK",
+        restoredVersion: target.version,
+        uploadedRowCount: target.data.length,
+        summary: merged.summary,
+        headers: target.headers,
+        data: target.data,
+      },
+      userId
+    );
+
+    await this.applyVersion(item, version, userId);
+
+    return { item, version };
+  }
+
+  /**
+   * An item's sheet versions, newest first, without their rows
+   * @param {Object} item - Item document
+   * @returns {Promise<Object>} - { currentVersion, versions }
+   */
+  static async getVersions(item) {
+    const versions = await ItemFileVersion.find({ item: item._id })
+      .select("-headers -data")
+      .populate("uploadedBy", "name email")
+      .sort({ version: -1 });
+
+    return {
+      currentVersion: (item.uploadedFile && item.uploadedFile.version) || null,
+      versions,
+    };
+  }
+
+  /**
+   * Drop an item's versions
+   * @param {String} itemId - Item ID
+   */
+  static async removeVersions(itemId) {
+    await ItemFileVersion.deleteMany({ item: itemId });
+  }
+
+  /**
+   * Save a new version. The sheet an item had before versions were kept
+   * becomes version 1, so it can be rolled back to.
+   * @private
+   */
+  static async recordVersion(item, attributes, userId) {
+    const latest = await ItemFileVersion.findOne({ item: item._id })
+      .sort({ version: -1 })
+      .select("version");
+    let next = latest ? latest.version + 1 : 1;
+
+    try {
+      const sheet = item.uploadedFile;
+      if (!latest && sheet && sheet.data && sheet.data.length > 0) {
+        await ItemFileVersion.create({
+          item: item._id,
+          version: next,
+          fileName: sheet.fileName,
+          mode: "INITIAL",
+          uploadedRowCount: sheet.data.length,
+          rowCount: sheet.data.length,
+          headers: sheet.headers,
+          data: sheet.data,
+          uploadedBy: item.updatedBy,
+        });
+        next += 1;
+      }
+
+      return await ItemFileVersion.create({
+        ...attributes,
+        item: item._id,
+        version: next,
+        rowCount: attributes.data.length,
+        uploadedBy: userId,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw ApiError.conflict(
+          "The item's sheet was changed at the same time; reload and try again"
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Make a version the item's sheet and rebuild its serial registry
+   * @private
+   */
+  static async applyVersion(item, version, userId) {
+    item.uploadedFile = {
+      fileName: version.fileName,
+      headers: version.headers,
+      data: version.data,
+      version: version.version,
+    };
+
+    if (item.mainHeaderKey && !version.headers.includes(item.mainHeaderKey)) {
+      item.mainHeaderKey = null;
+    }
+
+    item.updatedBy = userId;
+    await item.save();
+    await SerialMetadataService.indexItem(item);
+  }
+
+  /**
+   * @private
+   */
+  static getMergeMode(mode) {
+    const mergeMode = (mode || "REPLACE").toString().toUpperCase();
+    if (!MERGE_MODES.includes(mergeMode)) {
+      throw ApiError.badRequest(
+        `Merge mode must be one of: ${MERGE_MODES.join(", ")}`
+      );
+    }
+    return mergeMode;
+  }
+}
+
+module.exports = ItemFileVersionService;
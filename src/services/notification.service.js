@@ -1,44 +1,69 @@
-const { Resend } = require("resend");
 const NotificationPreference = require("../models/notificationPreference.model");
 const User = require("../models/user.model");
-const config = require("../config/config");
+const NotificationOutboxService = require("./notificationOutbox.service");
+const NotificationTemplateService = require("./notificationTemplate.service");
+const NotificationInboxService = require("./notificationInbox.service");
+
+const CHANNELS = ["email", "whatsapp", "sms"];
 
 class NotificationService {
-  constructor() {
-    this.resend = new Resend(config.email.resendApiKey);
+  /**
+   * Send an email through the outbox. Mails are queued for the outbox
+   * worker, except sensitive ones carrying credentials: those get a single
+   * attempt straight away that rejects on failure, and their content is not
+   * kept.
+   * @param {Object} params - to, subject, text, html, attachments, sensitive
+   * @returns {Promise<Object>} - { success, messageId, outboxId, status }
+   */
+  async sendEmail({ to, subject, text, html, attachments, sensitive }) {
+    const message = await NotificationOutboxService.enqueue(
+      {
+        channel: "email",
+        to,
+        payload: { subject, message: text, html, attachments },
+        sensitive: !!sensitive,
+      },
+      { claim: !!sensitive }
+    );
+
+    if (!sensitive) {
+      return this.toQueuedResult(message);
+    }
+
+    const result = await NotificationOutboxService.deliver(message);
+
+    if (!result.success) {
+      console.error("Email sending failed:", result.error);
+      throw {
+        success: false,
+        error: result.error,
+        outboxId: result.outboxId,
+      };
+    }
+
+    console.log("Email sent successfully");
+    console.log("Message ID:", result.messageId);
+    return {
+      success: true,
+      messageId: result.messageId,
+      outboxId: result.outboxId,
+      status: result.status,
+    };
   }
 
-  async sendEmail({ to, subject, text, html }) {
-    return new Promise((resolve, reject) => {
-      this.resend.emails
-        .send({
-          from: `Nextview Kavach <${config.email.from}>`,
-          to: Array.isArray(to) ? to : [to],
-          subject: subject,
-          text: text,
-          html: html,
-          headers: {
-            Importance: "high",
-            Priority: "urgent",
-            "X-Priority": "1",
-          },
-        })
-        .then((response) => {
-          console.log("Email sent successfully");
-          console.log("Message ID:", response.data.id);
-          resolve({
-            success: true,
-            messageId: response.data.id,
-          });
-        })
-        .catch((error) => {
-          console.error("Email sending failed:", error);
-          reject({
-            success: false,
-            error: error.message,
-          });
-        });
-    });
+  /**
+   * Result for a message left to the outbox worker
+   * @param {Object} message - Outbox message
+   * @returns {Object} - Per-channel result
+   * @private
+   */
+  toQueuedResult(message) {
+    return {
+      channel: message.channel,
+      success: true,
+      outboxId: message._id,
+      status: message.status,
+    };
   }
 
   async getUserNotificationPreferences(userId) {
@@ -49,6 +74,8 @@ class NotificationService {
         email: true,
         whatsapp: false,
         sms: false,
+        inApp: true,
+        language: "en",
       };
     }
 
@@ -56,10 +83,64 @@ class NotificationService {
       email: preferences.email,
       whatsapp: preferences.whatsapp,
       sms: preferences.sms,
+      inApp: preferences.inApp !== false,
+      language: preferences.language || "en",
     };
   }
 
-  async notify({ userId, subject, message, notificationType }) {
+  /**
+   * Work out which channels a notification goes out on
+   * @param {Object} preferences - User notification preferences
+   * @param {Array} channels - Explicit channel list (overrides preferences)
+   * @param {Array} requiredChannels - Channels to use regardless of preferences
+   * @returns {Array} - Channel names
+   * @private
+   */
+  resolveChannels(preferences, channels, requiredChannels = []) {
+    const selected = channels
+      ? channels
+      : CHANNELS.filter((channel) => preferences[channel]);
+
+    return CHANNELS.filter(
+      (channel) =>
+        selected.includes(channel) || requiredChannels.includes(channel)
+    );
+  }
+
+  /**
+   * Notify a user on every channel they opted into
+   * @param {Object} params - Notification parameters
+   * @param {String} params.userId - Recipient user ID
+   * @param {String} params.subject - Subject line
+   * @param {String} params.message - Message body
+   * @param {String} params.notificationType - Type of notification
+   * @param {Object} params.templateData - Placeholder values. When given, the
+   * notification templates for notificationType are rendered in the user's
+   * language and used instead of subject and message (optional)
+   * @param {Array} params.channels - Send on exactly these channels, which
+   * may include "inApp" (optional)
+   * @param {Array} params.requiredChannels - Channels to send on even if the
+   * user has not opted in (optional)
+   * @param {Object} params.channelData - Extra provider data keyed by channel,
+   * e.g. the WhatsApp template and its variables (optional)
+   * @param {String} params.ticketId - Ticket the notification is about, used
+   * to group the in-app notification and shown on the ticket timeline
+   * (optional)
+   * @returns {Promise<Object>} - { success, results } with one result per
+   * channel, including the outbox message ID and its status. Messages are
+   * queued for the outbox worker rather than sent during the call.
+   */
+  async notify({
+    userId,
+    subject,
+    message,
+    notificationType,
+    templateData,
+    channels,
+    requiredChannels,
+    channelData = {},
+    ticketId,
+  }) {
     try {
       const user = await User.findById(userId);
 
@@ -68,35 +149,61 @@ class NotificationService {
       }
 
       const preferences = await this.getUserNotificationPreferences(userId);
+      const rendered = templateData
+        ? await NotificationTemplateService.renderForEvent(
+            notificationType,
+            templateData,
+            preferences.language
+          )
+        : {};
       const results = [];
 
-      if (preferences.email) {
-        const emailResult = await this.sendEmail({
-          to: user.email,
-          subject,
-          text: message,
+      if (channels ? channels.includes("inApp") : preferences.inApp) {
+        const inAppContent = rendered.email || { subject, message };
+        const notification = await NotificationInboxService.createNotification({
+          userId: user._id,
+          type: notificationType,
+          title: inAppContent.subject,
+          message: inAppContent.message,
+          ticketId,
         });
 
         results.push({
-          channel: "email",
-          success: emailResult.success,
+          channel: "inApp",
+          success: true,
+          notificationId: notification._id,
         });
       }
 
-      if (preferences.whatsapp) {
-        results.push({
-          channel: "whatsapp",
-          success: false,
-          message: "WhatsApp integration not implemented yet",
-        });
-      }
+      for (const channel of this.resolveChannels(
+        preferences,
+        channels,
+        requiredChannels
+      )) {
+        // Channels without their own template reuse the email text
+        const content = rendered[channel] || {};
+        const fallback = rendered.email || { subject, message };
 
-      if (preferences.sms) {
-        results.push({
-          channel: "sms",
-          success: false,
-          message: "SMS integration not implemented yet",
+        // Every message goes through the outbox, so a slow provider does not
+        // hold up the caller
+        const outboxMessage = await NotificationOutboxService.enqueue({
+          channel,
+          to: NotificationOutboxService.getChannelAddress(user, channel),
+          userId: user._id,
+          ticketId,
+          notificationType,
+          payload: {
+            subject: content.subject || fallback.subject,
+            message: content.message || fallback.message,
+            data: {
+              notificationType,
+              ...content.data,
+              ...channelData[channel],
+            },
+          },
         });
+
+        results.push(this.toQueuedResult(outboxMessage));
       }
 
       return {
@@ -111,13 +218,85 @@ class NotificationService {
       };
     }
   }
+
+  /**
+   * Send a ticket update to a customer on the channels they opted into.
+   * Nothing is sent unless the customer opted in to the event.
+   * @param {Object} params - Notification parameters
+   * @param {Object} params.customer - Customer document
+   * @param {String} params.event - Customer lifecycle event (e.g. TICKET_RESOLVED)
+   * @param {Object} params.templateData - Placeholder values for the
+   * CUSTOMER_<event> templates
+   * @param {String} params.ticketId - Ticket the update is about (optional)
+   * @returns {Promise<Object>} - { success, results } with one result per
+   * channel and address. Messages are queued for the outbox worker.
+   */
+  async notifyCustomer({ customer, event, templateData, ticketId }) {
+    const preferences = customer.notificationPreferences || {};
+    const notificationType = `CUSTOMER_${event}`;
+
+    if (!(preferences.events || []).includes(event)) {
+      return { success: false, results: [] };
+    }
+
+    try {
+      const rendered = await NotificationTemplateService.renderForEvent(
+        notificationType,
+        templateData,
+        preferences.language
+      );
+
+      const mobiles = [customer.mobile];
+      if (preferences.includeAlternateMobile && customer.alternateMobile) {
+        mobiles.push(customer.alternateMobile);
+      }
+
+      const results = [];
+
+      for (const channel of CHANNELS.filter((c) => preferences[c])) {
+        const content = rendered[channel] || rendered.email || {};
+        const addresses = channel === "email" ? [customer.email] : mobiles;
+
+        for (const to of addresses) {
+          const outboxMessage = await NotificationOutboxService.enqueue({
+            channel,
+            to,
+            customerId: customer._id,
+            ticketId,
+            notificationType,
+            payload: {
+              subject: content.subject || rendered.email?.subject,
+              message: content.message || rendered.email?.message,
+              data: { notificationType, ...content.data },
+            },
+          });
+
+          results.push({ ...this.toQueuedResult(outboxMessage), to });
+        }
+      }
+
+      return {
+        success: results.some((r) => r.success),
+        results,
+      };
+    } catch (error) {
+      console.error("Customer notification failed:", error);
+      return {
+        success: false,
+        error: error.message,
+        results: [],
+      };
+    }
+  }
 }
 
 const notificationService = new NotificationService();
 
 module.exports = {
+  CHANNELS,
   sendEmail: (params) => notificationService.sendEmail(params),
   notify: (params) => notificationService.notify(params),
+  notifyCustomer: (params) => notificationService.notifyCustomer(params),
   getUserNotificationPreferences: (userId) =>
     notificationService.getUserNotificationPreferences(userId),
 };
@@ -0,0 +1,209 @@
+const mongoose = require("mongoose");
+const Notification = require("../models/notification.model");
+const ApiError = require("../utils/apiError.util");
+
+// Number of recent notifications returned with each ticket group
+const NOTIFICATIONS_PER_GROUP = 5;
+
+const DEFAULT_GROUP_LIMIT = 10;
+const MAX_GROUP_LIMIT = 50;
+
+class NotificationInboxService {
+  /**
+   * Write a notification to a user's inbox
+   * @param {Object} notificationData - userId, type, title, message, ticketId
+   * @returns {Promise<Object>} - Created notification
+   */
+  static async createNotification(notificationData) {
+    return await Notification.create(notificationData);
+  }
+
+  /**
+   * Get a user's notifications
+   * @param {String} userId - User ID
+   * @param {Object} filters - isRead and ticketId filters
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} - Paginated notifications
+   */
+  static async getNotifications(userId, filters, options) {
+    const query = { userId };
+
+    if (filters.isRead !== undefined) query.isRead = filters.isRead;
+    if (filters.ticketId) query.ticketId = filters.ticketId;
+
+    return await Notification.paginate(query, {
+      ...options,
+      sort: { createdAt: -1 },
+      populate: [{ path: "ticketId", select: "ticketId title status" }],
+    });
+  }
+
+  /**
+   * Get a user's notifications grouped by ticket, most recent activity first.
+   * Notifications that are not about a ticket form a group with no ticket.
+   * @param {String} userId - User ID
+   * @param {Object} filters - isRead filter
+   * @param {Object} options - page and limit, applied to groups
+   * @returns {Promise<Object>} - { results, pagination }
+   */
+  static async getNotificationsByTicket(userId, filters, options) {
+    const page = parseInt(options.page, 10) || 1;
+    const limit = Math.min(
+      parseInt(options.limit, 10) || DEFAULT_GROUP_LIMIT,
+      MAX_GROUP_LIMIT
+    );
+
+    const match = { userId: new mongoose.Types.ObjectId(userId) };
+    if (filters.isRead !== undefined) match.isRead = filters.isRead;
+
+    // Groups hold only counts; the latest notifications are fetched for the
+    // groups on this page alone
+    const [result] = await Notification.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$ticketId",
+          latestAt: { $max: "$createdAt" },
+          total: { $sum: 1 },
+          unreadCount: { $sum: { $cond: ["$isRead", 0, 1] } },
+        },
+      },
+      { $sort: { latestAt: -1, _id: -1 } },
+      {
+        $facet: {
+          results: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $lookup: {
+                from: "tickets",
+                localField: "_id",
+                foreignField: "_id",
+                as: "ticket",
+              },
+            },
+            {
+              $lookup: {
+                from: Notification.collection.name,
+                let: { ticketId: "$_id" },
+                pipeline: [
+                  {
+                    $match: {
+                      ...match,
+                      // Notifications without a ticket group under null
+                      $expr: {
+                        $eq: [{ $ifNull: ["$ticketId", null] }, "$$ticketId"],
+                      },
+                    },
+                  },
+                  { $sort: { createdAt: -1 } },
+                  { $limit: NOTIFICATIONS_PER_GROUP },
+                ],
+                as: "notifications",
+              },
+            },
+            {
+              $project: {
+                _id: 0,
+                "ticket._id": 1,
+                "ticket.ticketId": 1,
+                "ticket.title": 1,
+                "ticket.status": 1,
+                latestAt: 1,
+                total: 1,
+                unreadCount: 1,
+                notifications: 1,
+              },
+            },
+          ],
+          total: [{ $count: "count" }],
+        },
+      },
+    ]);
+
+    // $lookup returns an array; each group has at most one ticket
+    result.results.forEach((group) => {
+      group.ticket = group.ticket[0] || null;
+    });
+
+    const total = result.total[0] ? result.total[0].count : 0;
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      results: result.results,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Get a user's unread notification count, in total and per ticket
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} - { total, byTicket }
+   */
+  static async getUnreadCount(userId) {
+    const counts = await Notification.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId),
+          isRead: false,
+        },
+      },
+      { $group: { _id: "$ticketId", count: { $sum: 1 } } },
+    ]);
+
+    return {
+      total: counts.reduce((sum, group) => sum + group.count, 0),
+      byTicket: counts
+        .filter((group) => group._id)
+        .map((group) => ({ ticketId: group._id, count: group.count })),
+    };
+  }
+
+  /**
+   * Mark one of a user's notifications as read
+   * @param {String} id - Notification ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} - Updated notification
+   */
+  static async markAsRead(id, userId) {
+    const notification = await Notification.findOne({ _id: id, userId });
+
+    if (!notification) {
+      throw ApiError.notFound("Notification not found");
+    }
+
+    if (!notification.isRead) {
+      notification.isRead = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    return notification;
+  }
+
+  /**
+   * Mark all of a user's notifications as read, optionally for one ticket
+   * @param {String} userId - User ID
+   * @param {String} ticketId - Limit to this ticket (optional)
+   * @returns {Promise<Number>} - Number of notifications marked read
+   */
+  static async markAllAsRead(userId, ticketId) {
+    const query = { userId, isRead: false };
+    if (ticketId) query.ticketId = ticketId;
+
+    const result = await Notification.updateMany(query, {
+      $set: { isRead: true, readAt: new Date() },
+    });
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = NotificationInboxService;
@@ -0,0 +1,364 @@
+const NotificationOutbox = require("../models/notificationOutbox.model");
+const User = require("../models/user.model");
+const ApiError = require("../utils/apiError.util");
+const config = require("../config/config");
+const { getProvider } = require("../providers");
+
+const MINUTE_MS = 60 * 1000;
+
+// Retry delays double from the base delay up to the cap
+const BASE_RETRY_DELAY_MINUTES = 2;
+const MAX_RETRY_DELAY_MINUTES = 60;
+
+// Messages stuck in PROCESSING longer than this are assumed to belong to a
+// worker that died and are handed back to the queue
+const STALE_LOCK_MINUTES = 10;
+
+// Content of a sensitive message removed once it has been attempted
+const SENSITIVE_PAYLOAD_FIELDS = [
+  "payload.message",
+  "payload.html",
+  "payload.attachments",
+  "payload.data",
+];
+
+class NotificationOutboxService {
+  /**
+   * Get the address a channel delivers to for a user
+   * @param {Object} user - User document
+   * @param {String} channel - Channel name
+   * @returns {String|undefined}
+   */
+  static getChannelAddress(user, channel) {
+    return channel === "email" ? user.email : user.mobileNumber;
+  }
+
+  /**
+   * Delay before the next attempt after a number of failed attempts
+   * @param {Number} attempts - Failed attempts so far
+   * @returns {Number} - Delay in milliseconds
+   */
+  static getRetryDelay(attempts) {
+    const minutes = Math.min(
+      BASE_RETRY_DELAY_MINUTES * Math.pow(2, Math.max(attempts - 1, 0)),
+      MAX_RETRY_DELAY_MINUTES
+    );
+
+    return minutes * MINUTE_MS;
+  }
+
+  /**
+   * When a sent or failed message is deleted
+   * @param {Date} from - When the message was sent or failed
+   * @returns {Date}
+   */
+  static getExpiry(from = new Date()) {
+    return new Date(
+      from.getTime() + config.notifications.retentionDays * 24 * 60 * MINUTE_MS
+    );
+  }
+
+  /**
+   * Add a message to the outbox. Sensitive messages, those carrying a
+   * password or reset link, get a single attempt: their content is removed
+   * afterwards and they are never re-sent.
+   * @param {Object} messageData - channel, to, userId, notificationType,
+   * payload, sensitive
+   * @param {Object} options - Set `claim` to lock the message for immediate
+   * delivery by the caller instead of the worker
+   * @returns {Promise<Object>} - Outbox message
+   */
+  static async enqueue(messageData, { claim = false } = {}) {
+    const now = new Date();
+
+    return await NotificationOutbox.create({
+      ...messageData,
+      maxAttempts: messageData.sensitive
+        ? 1
+        : messageData.maxAttempts || config.notifications.maxAttempts,
+      status: claim ? "PROCESSING" : "PENDING",
+      lockedAt: claim ? now : undefined,
+      nextAttemptAt: now,
+    });
+  }
+
+  /**
+   * Make one delivery attempt for a claimed message and record the outcome.
+   * Failed attempts are rescheduled with exponential backoff until
+   * maxAttempts is reached.
+   * @param {Object} message - Outbox message in PROCESSING status
+   * @returns {Promise<Object>} - Per-channel result
+   */
+  static async deliver(message) {
+    const provider = getProvider(message.channel);
+    const now = new Date();
+    let to = message.to;
+    let outcome;
+
+    if (!to && message.userId) {
+      const user = await User.findById(message.userId).select(
+        "email mobileNumber"
+      );
+      to = user ? this.getChannelAddress(user, message.channel) : undefined;
+    }
+
+    if (!provider) {
+      outcome = {
+        success: false,
+        permanent: true,
+        error: `No provider registered for ${message.channel}`,
+      };
+    } else if (!to) {
+      outcome = {
+        success: false,
+        permanent: true,
+        error:
+          message.channel === "email"
+            ? "No email address on file"
+            : "No mobile number on file",
+      };
+    } else {
+      try {
+        const result = await provider.send({
+          to,
+          subject: message.payload?.subject,
+          message: message.payload?.message,
+          html: message.payload?.html,
+          attachments: message.payload?.attachments,
+          data: message.payload?.data,
+        });
+
+        outcome = { success: true, messageId: result && result.messageId };
+      } catch (error) {
+        console.error(`${message.channel} notification failed:`, error);
+        outcome = { success: false, error: error.message };
+      }
+    }
+
+    message.to = to;
+    message.attempts += 1;
+    message.lockedAt = undefined;
+    message.provider = provider ? provider.name : undefined;
+    message.deliveryLog.push({
+      attemptedAt: now,
+      success: outcome.success,
+      provider: message.provider,
+      messageId: outcome.messageId,
+      error: outcome.error,
+    });
+
+    if (outcome.success) {
+      message.status = "SENT";
+      message.sentAt = now;
+      message.messageId = outcome.messageId;
+      message.lastError = undefined;
+    } else if (outcome.permanent || message.attempts >= message.maxAttempts) {
+      message.status = "FAILED";
+      message.lastError = outcome.error;
+    } else {
+      message.status = "PENDING";
+      message.lastError = outcome.error;
+      message.nextAttemptAt = new Date(
+        now.getTime() + this.getRetryDelay(message.attempts)
+      );
+    }
+
+    if (message.status !== "PENDING") {
+      message.expiresAt = this.getExpiry(now);
+
+      if (message.sensitive) {
+        message.payload = { subject: message.payload?.subject };
+      }
+    }
+
+    await message.save();
+
+    return {
+      channel: message.channel,
+      provider: message.provider,
+      success: outcome.success,
+      messageId: outcome.messageId,
+      error: outcome.error,
+      outboxId: message._id,
+      status: message.status,
+    };
+  }
+
+  /**
+   * Lock the next message that is due for delivery
+   * @returns {Promise<Object|null>} - Claimed message
+   */
+  static async claimNext() {
+    const now = new Date();
+
+    return await NotificationOutbox.findOneAndUpdate(
+      { status: "PENDING", nextAttemptAt: { $lte: now } },
+      { $set: { status: "PROCESSING", lockedAt: now } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Hand messages left in PROCESSING by a crashed worker back to the queue.
+   * Sensitive ones may already have gone out, so they fail instead.
+   * @returns {Promise<Number>} - Number of messages released
+   */
+  static async releaseStaleLocks() {
+    const now = new Date();
+    const stale = {
+      status: "PROCESSING",
+      lockedAt: {
+        $lte: new Date(now.getTime() - STALE_LOCK_MINUTES * MINUTE_MS),
+      },
+    };
+
+    await NotificationOutbox.updateMany(
+      { ...stale, sensitive: true },
+      {
+        $set: {
+          status: "FAILED",
+          lastError: "Delivery was interrupted",
+          expiresAt: this.getExpiry(now),
+        },
+        $unset: Object.fromEntries(
+          SENSITIVE_PAYLOAD_FIELDS.map((field) => [field, ""])
+        ),
+      }
+    );
+
+    const result = await NotificationOutbox.updateMany(
+      { ...stale, sensitive: { $ne: true } },
+      { $set: { status: "PENDING", nextAttemptAt: now } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Deliver due messages. Run by the outbox cron job.
+   * @param {Number} batchSize - Maximum messages to process in this run
+   * @returns {Promise<Object>} - Counts of messages sent, failed and rescheduled
+   */
+  static async processOutbox(batchSize = 50) {
+    const summary = { sent: 0, failed: 0, retrying: 0 };
+
+    await this.releaseStaleLocks();
+
+    for (let i = 0; i < batchSize; i++) {
+      const message = await this.claimNext();
+
+      if (!message) {
+        break;
+      }
+
+      const result = await this.deliver(message);
+
+      if (result.status === "SENT") summary.sent += 1;
+      else if (result.status === "FAILED") summary.failed += 1;
+      else summary.retrying += 1;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Get outbox messages with pagination and filtering
+   * @param {Object} query - Filter query
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} - Paginated messages
+   */
+  static async getOutboxMessages(query, options) {
+    return await NotificationOutbox.paginate(query, {
+      ...options,
+      select: "-deliveryLog",
+      populate: [{ path: "userId", select: "name email" }],
+    });
+  }
+
+  /**
+   * Get an outbox message with its delivery log
+   * @param {String} id - Outbox message ID
+   * @returns {Promise<Object>} - Outbox message
+   */
+  static async getOutboxMessageById(id) {
+    const message = await NotificationOutbox.findById(id).populate([
+      { path: "userId", select: "name email" },
+      { path: "retriedBy", select: "name email" },
+    ]);
+
+    if (!message) {
+      throw ApiError.notFound("Outbox message not found");
+    }
+
+    return message;
+  }
+
+  /**
+   * Re-send a failed message straight away. The message gets a fresh set of
+   * attempts, so it goes back to the worker if this attempt fails too.
+   * Sensitive messages no longer have their content and cannot be re-sent.
+   * @param {String} id - Outbox message ID
+   * @param {String} userId - ID of the user re-sending the message
+   * @returns {Promise<Object>} - Delivery result
+   */
+  static async retryMessage(id, userId) {
+    const now = new Date();
+
+    const message = await NotificationOutbox.findOneAndUpdate(
+      { _id: id, status: "FAILED", sensitive: { $ne: true } },
+      {
+        $set: {
+          status: "PROCESSING",
+          lockedAt: now,
+          attempts: 0,
+          nextAttemptAt: now,
+          retriedBy: userId,
+          retriedAt: now,
+        },
+        $unset: { expiresAt: "" },
+      },
+      { new: true }
+    );
+
+    if (!message) {
+      const existing = await this.getOutboxMessageById(id);
+      if (existing.sensitive) {
+        throw ApiError.badRequest(
+          "Messages carrying credentials are not kept and cannot be re-sent"
+        );
+      }
+      throw ApiError.badRequest("Only failed messages can be re-sent");
+    }
+
+    return await this.deliver(message);
+  }
+
+  /**
+   * Queue all failed messages matching a filter for another round of
+   * delivery by the worker. Sensitive messages are left out.
+   * @param {Object} query - Filter query (channel, notificationType)
+   * @param {String} userId - ID of the user re-sending the messages
+   * @returns {Promise<Number>} - Number of messages queued
+   */
+  static async retryFailedMessages(query, userId) {
+    const now = new Date();
+
+    const result = await NotificationOutbox.updateMany(
+      { ...query, status: "FAILED", sensitive: { $ne: true } },
+      {
+        $set: {
+          status: "PENDING",
+          attempts: 0,
+          nextAttemptAt: now,
+          retriedBy: userId,
+          retriedAt: now,
+        },
+        $unset: { expiresAt: "" },
+      }
+    );
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = NotificationOutboxService;
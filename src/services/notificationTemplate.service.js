@@ -0,0 +1,398 @@
+const NotificationTemplate = require("../models/notificationTemplate.model");
+const Ticket = require("../models/ticket.model");
+const User = require("../models/user.model");
+const Customer = require("../models/customer.model");
+const ApiError = require("../utils/apiError.util");
+const { TicketActivityService } = require("./ticketActivity.service");
+const {
+  renderTemplate,
+  findMissingPlaceholders,
+} = require("../utils/template.utils");
+const {
+  NOTIFICATION_CHANNELS,
+  DEFAULT_LANGUAGE,
+  NOTIFICATION_EVENTS,
+  DEFAULT_NOTIFICATION_TEMPLATES,
+} = require("../config/notificationTemplates");
+
+// WhatsApp provider templates take up to five variables (text1 - text5)
+const MAX_PROVIDER_PARAMS = 5;
+
+class NotificationTemplateService {
+  /**
+   * List notification events with their placeholders and built-in templates
+   * @returns {Array} - Events
+   */
+  static getEvents() {
+    return Object.entries(NOTIFICATION_EVENTS).map(([event, details]) => ({
+      event,
+      ...details,
+      defaultTemplates: DEFAULT_NOTIFICATION_TEMPLATES.filter(
+        (template) => template.event === event
+      ),
+    }));
+  }
+
+  /**
+   * Get saved templates
+   * @param {Object} filters - event, channel and language filters
+   * @returns {Promise<Array>} - Templates
+   */
+  static async getTemplates({ event, channel, language } = {}) {
+    const query = {};
+    if (event) query.event = event;
+    if (channel) query.channel = channel;
+    if (language) query.language = language.toLowerCase();
+
+    return await NotificationTemplate.find(query)
+      .populate("updatedBy", "name email")
+      .sort({ event: 1, channel: 1, language: 1 });
+  }
+
+  /**
+   * Get a template by ID
+   * @param {String} id - Template ID
+   * @returns {Promise<Object>} - Template
+   */
+  static async getTemplateById(id) {
+    const template = await NotificationTemplate.findById(id).populate(
+      "updatedBy",
+      "name email"
+    );
+
+    if (!template) {
+      throw ApiError.notFound("Notification template not found");
+    }
+
+    return template;
+  }
+
+  /**
+   * Create a template
+   * @param {Object} templateData - Template data
+   * @param {String} userId - ID of the user creating the template
+   * @returns {Promise<Object>} - Created template
+   */
+  static async createTemplate(templateData, userId) {
+    const language = (templateData.language || DEFAULT_LANGUAGE).toLowerCase();
+
+    this.assertValidTemplate(templateData);
+    await this.assertUnique(templateData.event, templateData.channel, language);
+
+    return await NotificationTemplate.create({
+      ...templateData,
+      language,
+      createdBy: userId,
+      updatedBy: userId,
+    });
+  }
+
+  /**
+   * Update a template
+   * @param {String} id - Template ID
+   * @param {Object} updateData - Fields to update
+   * @param {String} userId - ID of the user making the update
+   * @returns {Promise<Object>} - Updated template
+   */
+  static async updateTemplate(id, updateData, userId) {
+    const template = await NotificationTemplate.findById(id);
+
+    if (!template) {
+      throw ApiError.notFound("Notification template not found");
+    }
+
+    const merged = { ...template.toObject(), ...updateData };
+    merged.language = (merged.language || DEFAULT_LANGUAGE).toLowerCase();
+
+    this.assertValidTemplate(merged);
+
+    if (
+      merged.event !== template.event ||
+      merged.channel !== template.channel ||
+      merged.language !== template.language
+    ) {
+      await this.assertUnique(merged.event, merged.channel, merged.language);
+    }
+
+    Object.assign(template, updateData, {
+      language: merged.language,
+      updatedBy: userId,
+    });
+    await template.save();
+
+    return template;
+  }
+
+  /**
+   * Delete a template. The built-in template for the event is used again.
+   * @param {String} id - Template ID
+   * @returns {Promise<Object>} - Deleted template
+   */
+  static async deleteTemplate(id) {
+    const template = await NotificationTemplate.findByIdAndDelete(id);
+
+    if (!template) {
+      throw ApiError.notFound("Notification template not found");
+    }
+
+    return template;
+  }
+
+  /**
+   * Check a template has the content its channel needs
+   * @private
+   */
+  static assertValidTemplate(template) {
+    if (!NOTIFICATION_EVENTS[template.event]) {
+      throw ApiError.badRequest(
+        `Unknown event ${template.event}. Allowed events: ${Object.keys(NOTIFICATION_EVENTS).join(", ")}`
+      );
+    }
+
+    if (template.channel === "whatsapp") {
+      if (!template.providerTemplate) {
+        throw ApiError.badRequest(
+          "WhatsApp templates need the provider template name"
+        );
+      }
+      if ((template.providerParams || []).length > MAX_PROVIDER_PARAMS) {
+        throw ApiError.badRequest(
+          `WhatsApp templates take at most ${MAX_PROVIDER_PARAMS} parameters`
+        );
+      }
+    } else if (!template.body) {
+      throw ApiError.badRequest("Template body is required");
+    }
+
+    if (template.channel === "email" && !template.subject) {
+      throw ApiError.badRequest("Email templates need a subject");
+    }
+  }
+
+  /**
+   * @private
+   */
+  static async assertUnique(event, channel, language) {
+    const existing = await NotificationTemplate.findOne({
+      event,
+      channel,
+      language,
+    });
+
+    if (existing) {
+      throw ApiError.conflict(
+        `A ${channel} template for ${event} (${language}) already exists`
+      );
+    }
+  }
+
+  /**
+   * Find the templates to use for an event on each channel. Saved templates
+   * in the requested language win, then saved templates in the default
+   * language, then the built-in templates.
+   * @param {String} event - Notification event
+   * @param {String} language - Language code
+   * @returns {Promise<Object>} - Templates keyed by channel
+   */
+  static async findTemplates(event, language = DEFAULT_LANGUAGE) {
+    const languages = [...new Set([language, DEFAULT_LANGUAGE])];
+
+    const saved = await NotificationTemplate.find({
+      event,
+      language: { $in: languages },
+      isActive: true,
+    }).lean();
+
+    const templates = {};
+
+    for (const channel of NOTIFICATION_CHANNELS) {
+      templates[channel] =
+        languages
+          .map((lang) =>
+            saved.find((t) => t.channel === channel && t.language === lang)
+          )
+          .find(Boolean) ||
+        DEFAULT_NOTIFICATION_TEMPLATES.find(
+          (t) => t.event === event && t.channel === channel
+        ) ||
+        null;
+    }
+
+    return templates;
+  }
+
+  /**
+   * Render a template against a context
+   * @param {Object} template - Template
+   * @param {Object} context - Values available to the placeholders
+   * @returns {Object} - { subject, message, data }
+   */
+  static render(template, context) {
+    const rendered = {
+      subject: renderTemplate(template.subject, context),
+      message: renderTemplate(template.body, context),
+      data: {},
+    };
+
+    if (template.providerTemplate) {
+      rendered.data.templateName = template.providerTemplate;
+      (template.providerParams || []).forEach((param, index) => {
+        rendered.data[`text${index + 1}`] = renderTemplate(param, context);
+      });
+    }
+
+    return rendered;
+  }
+
+  /**
+   * Render the templates for an event on every channel that has one
+   * @param {String} event - Notification event
+   * @param {Object} context - Values available to the placeholders
+   * @param {String} language - Language code
+   * @returns {Promise<Object>} - Rendered content keyed by channel
+   */
+  static async renderForEvent(event, context, language) {
+    const templates = await this.findTemplates(event, language);
+    const rendered = {};
+
+    for (const [channel, template] of Object.entries(templates)) {
+      if (template) {
+        rendered[channel] = this.render(template, context);
+      }
+    }
+
+    return rendered;
+  }
+
+  /**
+   * Build the placeholder values for a ticket notification
+   * @param {Object} ticket - Ticket document
+   * @param {Object} extras - actor, comment, previousStatus, customer, assignee
+   * @returns {Promise<Object>} - Template context
+   */
+  static async buildTicketContext(ticket, extras = {}) {
+    const customer =
+      extras.customer ||
+      (ticket.customerId
+        ? await Customer.findById(ticket.customerId._id || ticket.customerId)
+        : null);
+
+    const assignee =
+      extras.assignee ||
+      (ticket.assignedTo
+        ? await User.findById(ticket.assignedTo._id || ticket.assignedTo)
+        : null);
+
+    const location = customer
+      ? [
+          ticket.type,
+          ticket.serialNumber,
+          `${customer.city}, ${customer.state} - ${customer.pincode}`,
+          customer.village || "",
+        ]
+          .filter(Boolean)
+          .join(" / ")
+      : "";
+
+    const context = {
+      ticket: {
+        ticketId: ticket.ticketId || ticket._id.toString().slice(-6),
+        shortId: ticket._id.toString().slice(-6),
+        title: ticket.title,
+        description: ticket.description,
+        status: ticket.status,
+        priority: ticket.priority,
+        type: ticket.type,
+        serialNumber: ticket.serialNumber,
+        dueDate: ticket.dueDate
+          ? new Date(ticket.dueDate).toLocaleDateString("en-GB")
+          : "Not set",
+        location,
+      },
+      customer: customer
+        ? {
+            name: customer.name,
+            mobile: customer.mobile,
+            email: customer.email,
+            city: customer.city,
+            state: customer.state,
+            pincode: customer.pincode,
+            village: customer.village,
+          }
+        : {},
+      assignee: assignee
+        ? {
+            name: assignee.name,
+            email: assignee.email,
+            mobileNumber: assignee.mobileNumber,
+          }
+        : { name: "Not assigned" },
+      actor: { name: extras.actor ? extras.actor.name : "A user" },
+      previousStatus: extras.previousStatus,
+    };
+
+    if (extras.comment) {
+      const text = extras.comment.comment || "";
+      context.comment = {
+        text,
+        excerpt: `${text.substring(0, 100)}${text.length > 100 ? "..." : ""}`,
+      };
+    }
+
+    return context;
+  }
+
+  /**
+   * Render a saved or unsaved template against a real ticket
+   * @param {Object} previewData - templateId or event/channel/subject/body,
+   * plus ticketId
+   * @param {String} userId - User running the preview, used as {{actor.name}}
+   * @returns {Promise<Object>} - Rendered subject, message, provider data and
+   * placeholders that had no value
+   */
+  static async previewTemplate(previewData, userId) {
+    const template = previewData.templateId
+      ? await this.getTemplateById(previewData.templateId)
+      : previewData;
+
+    if (!NOTIFICATION_EVENTS[template.event]) {
+      throw ApiError.badRequest(`Unknown event ${template.event}`);
+    }
+
+    const ticket = await Ticket.findById(previewData.ticketId);
+    if (!ticket) {
+      throw ApiError.notFound("Ticket not found");
+    }
+
+    const lastComment = (await TicketActivityService.getLatestComment(
+      ticket._id
+    )) || { comment: "Sample comment text" };
+
+    const actor = await User.findById(userId).select("name");
+    const context = await this.buildTicketContext(ticket, {
+      actor,
+      comment: lastComment,
+      previousStatus: "OPEN",
+    });
+
+    const rendered = this.render(template, context);
+    const sources = [
+      template.subject,
+      template.body,
+      ...(template.providerParams || []),
+    ];
+
+    return {
+      event: template.event,
+      channel: template.channel,
+      ...rendered,
+      missingPlaceholders: [
+        ...new Set(
+          sources.flatMap((text) => findMissingPlaceholders(text, context))
+        ),
+      ],
+    };
+  }
+}
+
+module.exports = NotificationTemplateService;
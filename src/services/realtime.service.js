@@ -0,0 +1,199 @@
+const crypto = require("crypto");
+const User = require("../models/user.model");
+
+// Comment lines sent on idle connections so proxies do not close them
+const HEARTBEAT_MS = 25 * 1000;
+
+// How long browsers wait before reconnecting a dropped stream
+const RECONNECT_MS = 5 * 1000;
+
+// How often open connections are checked against their users' accounts
+const ACCOUNT_CHECK_MS = 60 * 1000;
+
+// Connected Server-Sent Events clients, keyed by connection ID
+const clients = new Map();
+
+let eventCounter = 0;
+let accountCheck = null;
+
+class RealtimeService {
+  /**
+   * Open a Server-Sent Events stream for an authenticated user. The
+   * connection stays registered until the client disconnects, the session
+   * it was opened with expires or the user is deactivated or deleted.
+   * @param {Object} req - Express request with req.user set
+   * @param {Object} res - Express response
+   * @returns {String} - Connection ID
+   */
+  static subscribe(req, res) {
+    const id = crypto.randomUUID();
+
+    res.status(200);
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+    const client = {
+      id,
+      userId: req.user.id.toString(),
+      role: req.user.role,
+      expiresAt: req.user.sessionExpiresAt,
+      res,
+      heartbeat: setInterval(() => this.keepAlive(id), HEARTBEAT_MS),
+    };
+
+    clients.set(id, client);
+    this.send(client, "connected", { connectionId: id });
+
+    if (!accountCheck) {
+      accountCheck = setInterval(
+        () =>
+          this.checkAccounts().catch((error) =>
+            console.error("Failed to check realtime connections:", error)
+          ),
+        ACCOUNT_CHECK_MS
+      );
+      accountCheck.unref();
+    }
+
+    req.on("close", () => this.unsubscribe(id));
+
+    return id;
+  }
+
+  /**
+   * Remove a connection
+   * @param {String} id - Connection ID
+   */
+  static unsubscribe(id) {
+    const client = clients.get(id);
+
+    if (client) {
+      clearInterval(client.heartbeat);
+      clients.delete(id);
+    }
+
+    if (clients.size === 0 && accountCheck) {
+      clearInterval(accountCheck);
+      accountCheck = null;
+    }
+  }
+
+  /**
+   * Tell a client why its stream ends, then end it
+   * @param {String} id - Connection ID
+   * @param {String} reason - session_expired or account_inactive
+   */
+  static close(id, reason) {
+    const client = clients.get(id);
+
+    if (client) {
+      this.send(client, "closed", { reason });
+      client.res.end();
+      this.unsubscribe(id);
+    }
+  }
+
+  /**
+   * Ping an idle connection, or close it once its session has expired
+   * @private
+   */
+  static keepAlive(id) {
+    const client = clients.get(id);
+
+    if (!client) return;
+
+    if (client.expiresAt && client.expiresAt <= new Date()) {
+      this.close(id, "session_expired");
+    } else {
+      client.res.write(": ping\n\n");
+    }
+  }
+
+  /**
+   * Close the connections of users who have been deactivated or deleted,
+   * and pick up role changes of the others
+   * @returns {Promise<Number>} - Number of connections closed
+   */
+  static async checkAccounts() {
+    const userIds = [
+      ...new Set([...clients.values()].map((client) => client.userId)),
+    ];
+    if (userIds.length === 0) return 0;
+
+    const users = await User.find({
+      _id: { $in: userIds },
+      isActive: true,
+    }).select("role");
+    const roles = new Map(
+      users.map((user) => [user._id.toString(), user.role])
+    );
+
+    let closed = 0;
+    for (const client of [...clients.values()]) {
+      if (roles.has(client.userId)) {
+        client.role = roles.get(client.userId);
+      } else {
+        this.close(client.id, "account_inactive");
+        closed += 1;
+      }
+    }
+
+    return closed;
+  }
+
+  /**
+   * Write one event to a connection
+   * @param {Object} client - Connected client
+   * @param {String} event - Event name
+   * @param {Object} data - Event payload
+   */
+  static send(client, event, data) {
+    eventCounter += 1;
+
+    try {
+      client.res.write(
+        `id: ${eventCounter}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+      );
+    } catch (error) {
+      console.error("Failed to write realtime event:", error);
+      this.unsubscribe(client.id);
+    }
+  }
+
+  /**
+   * Push an event to every connection that passes the filter
+   * @param {String} event - Event name
+   * @param {Object} data - Event payload
+   * @param {Function} filter - Called with { userId, role } for each
+   * connection; return true to deliver the event
+   * @returns {Number} - Number of connections the event was sent to
+   */
+  static broadcast(event, data, filter = () => true) {
+    let delivered = 0;
+
+    for (const client of clients.values()) {
+      if (filter({ userId: client.userId, role: client.role })) {
+        this.send(client, event, data);
+        delivered += 1;
+      }
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Number of open connections
+   * @returns {Number}
+   */
+  static getConnectionCount() {
+    return clients.size;
+  }
+}
+
+module.exports = RealtimeService;
@@ -354,7 +354,7 @@ class ReportService {
         ],
       });
 
-      console.log("Daily report sent successfully");
+      console.log("Daily report queued for sending");
     } catch (error) {
       console.error("Error generating daily report:", error);
       throw error;
@@ -461,7 +461,7 @@ class ReportService {
         text: emailText,
       });
 
-      console.log("Weekly report sent successfully");
+      console.log("Weekly report queued for sending");
     } catch (error) {
       console.error("Error generating weekly report:", error);
       throw error;
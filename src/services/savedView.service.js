@@ -0,0 +1,231 @@
+const SavedView = require("../models/savedView.model");
+const Role = require("../models/role.model");
+const ApiError = require("../utils/apiError.util");
+const { ROLES } = require("../config/roles");
+const {
+  SAVED_VIEW_LIST_FILTERS,
+  SAVED_VIEW_TEXT_FILTERS,
+  CURRENT_USER,
+} = require("../config/savedViews");
+
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "filters",
+  "sort",
+  "columns",
+  "visibility",
+  "sharedWithRole",
+];
+
+class SavedViewService {
+  /**
+   * List the views a user can use: their own and those shared with their role
+   * @param {Object} user - { userId, role }
+   * @param {String} scope - "mine", "shared" or empty for both
+   * @returns {Promise<Array>}
+   */
+  static async getViews(user, scope) {
+    const own = { createdBy: user.userId };
+    const shared = { visibility: "ROLE", sharedWithRole: user.role };
+
+    let query = { $or: [own, shared] };
+    if (scope === "mine") query = own;
+    if (scope === "shared")
+      query = { ...shared, createdBy: { $ne: user.userId } };
+
+    return await SavedView.find(query)
+      .sort({ name: 1 })
+      .populate("createdBy", "name email");
+  }
+
+  /**
+   * Get a view the user owns or that is shared with their role (super
+   * admins can get any view)
+   * @param {String} id - View ID
+   * @param {Object} user - { userId, role }
+   * @returns {Promise<Object>}
+   */
+  static async getViewById(id, user) {
+    const view = await SavedView.findById(id).populate(
+      "createdBy",
+      "name email"
+    );
+
+    if (!view) {
+      throw ApiError.notFound("Saved view not found");
+    }
+
+    const isOwner =
+      view.createdBy &&
+      view.createdBy._id.toString() === user.userId.toString();
+    const isShared =
+      view.visibility === "ROLE" && view.sharedWithRole === user.role;
+
+    if (!isOwner && !isShared && user.role !== ROLES.SUPER_ADMIN) {
+      throw ApiError.forbidden("You do not have access to this view");
+    }
+
+    return view;
+  }
+
+  /**
+   * Create a view owned by the user
+   * @param {Object} viewData - Name, filters, sort, columns and sharing
+   * @param {Object} user - { userId, role }
+   * @returns {Promise<Object>}
+   */
+  static async createView(viewData, user) {
+    const data = this.pickEditable(viewData);
+    if (data.visibility !== "ROLE") data.sharedWithRole = undefined;
+    await this.validateSharing(data.visibility, data.sharedWithRole);
+
+    try {
+      return await SavedView.create({
+        ...data,
+        createdBy: user.userId,
+        updatedBy: user.userId,
+      });
+    } catch (error) {
+      throw this.translateError(error, data.name);
+    }
+  }
+
+  /**
+   * Update a view. Only its owner (or a super admin) can change it.
+   * @param {String} id - View ID
+   * @param {Object} updateData - Fields to change
+   * @param {Object} user - { userId, role }
+   * @returns {Promise<Object>}
+   */
+  static async updateView(id, updateData, user) {
+    const view = await this.getOwnedView(id, user);
+    const data = this.pickEditable(updateData);
+
+    const visibility = data.visibility || view.visibility;
+    if (visibility === "PRIVATE") data.sharedWithRole = undefined;
+    await this.validateSharing(
+      visibility,
+      data.sharedWithRole !== undefined
+        ? data.sharedWithRole
+        : view.sharedWithRole
+    );
+
+    Object.assign(view, data, { updatedBy: user.userId });
+
+    try {
+      return await view.save();
+    } catch (error) {
+      throw this.translateError(error, view.name);
+    }
+  }
+
+  /**
+   * Delete a view. Only its owner (or a super admin) can delete it.
+   * @param {String} id - View ID
+   * @param {Object} user - { userId, role }
+   * @returns {Promise<Object>} - Deleted view
+   */
+  static async deleteView(id, user) {
+    const view = await this.getOwnedView(id, user);
+    await view.deleteOne();
+    return view;
+  }
+
+  /**
+   * Turn a view into GET /tickets query parameters
+   * @param {Object} view - Saved view
+   * @param {Object} user - { userId, role } of the user running the view
+   * @returns {Object} - Query parameters
+   */
+  static toQueryParams(view, user) {
+    const filters = view.filters || {};
+    const params = {};
+
+    for (const field of SAVED_VIEW_LIST_FILTERS) {
+      if (filters[field] && filters[field].length > 0) {
+        params[field] = filters[field].join(",");
+      }
+    }
+
+    for (const field of SAVED_VIEW_TEXT_FILTERS) {
+      if (filters[field]) params[field] = filters[field];
+    }
+
+    if (params.assignedTo === CURRENT_USER) {
+      params.assignedTo = user.userId;
+    }
+
+    if (filters.createdWithinDays) {
+      const since = new Date();
+      since.setDate(since.getDate() - filters.createdWithinDays);
+      params.startDate = since.toISOString();
+    } else if (filters.startDate) {
+      params.startDate = filters.startDate.toISOString();
+    }
+    if (filters.endDate) params.endDate = filters.endDate.toISOString();
+
+    if (view.sort) params.sort = view.sort;
+
+    return params;
+  }
+
+  /**
+   * @private
+   */
+  static async getOwnedView(id, user) {
+    const view = await SavedView.findById(id);
+
+    if (!view) {
+      throw ApiError.notFound("Saved view not found");
+    }
+
+    if (
+      view.createdBy.toString() !== user.userId.toString() &&
+      user.role !== ROLES.SUPER_ADMIN
+    ) {
+      throw ApiError.forbidden("Only the owner of a view can change it");
+    }
+
+    return view;
+  }
+
+  /**
+   * @private
+   */
+  static pickEditable(viewData) {
+    const data = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (viewData[field] !== undefined) data[field] = viewData[field];
+    }
+    return data;
+  }
+
+  /**
+   * @private
+   */
+  static async validateSharing(visibility, sharedWithRole) {
+    if (visibility !== "ROLE") return;
+
+    if (!sharedWithRole) {
+      throw ApiError.badRequest("Shared with role is required for ROLE views");
+    }
+
+    const role = await Role.exists({ code: sharedWithRole.toUpperCase() });
+    if (!role) {
+      throw ApiError.badRequest(`Role ${sharedWithRole} does not exist`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  static translateError(error, name) {
+    if (error.code === 11000) {
+      return ApiError.conflict(`You already have a view named "${name}"`);
+    }
+    return error;
+  }
+}
+
+module.exports = SavedViewService;
@@ -0,0 +1,238 @@
+const mongoose = require("mongoose");
+const Counter = require("../models/counter.model");
+const ApiError = require("../utils/apiError.util");
+const { escapeRegex } = require("../utils/search.utils");
+const {
+  DEFAULT_SEQUENCES,
+  FINANCIAL_YEAR_START_MONTH,
+} = require("../config/sequences");
+
+// Attempts at claiming a number before giving up. Only reached when other
+// requests keep rolling the counter into a new period at the same moment.
+const MAX_CLAIM_ATTEMPTS = 5;
+
+class SequenceService {
+  /**
+   * Get the definition of a numbered entity
+   * @param {String} key - Sequence key (e.g. ticket)
+   * @returns {Object} - Default settings, model and field
+   * @private
+   */
+  static getDefinition(key) {
+    const definition = DEFAULT_SEQUENCES[key];
+
+    if (!definition) {
+      throw ApiError.notFound(`Unknown sequence: ${key}`);
+    }
+
+    return definition;
+  }
+
+  /**
+   * Get the counter for a sequence, creating it with the default settings
+   * the first time
+   * @param {String} key - Sequence key
+   * @returns {Promise<Object>} - Counter document
+   */
+  static async getCounter(key) {
+    const { prefix, resetPeriod, padding } = this.getDefinition(key);
+
+    try {
+      return await Counter.findOneAndUpdate(
+        { key },
+        { $setOnInsert: { key, prefix, resetPeriod, padding, seq: 0 } },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Another request created the counter at the same moment
+      if (error.code === 11000) {
+        return await Counter.findOne({ key });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Financial year a date falls in
+   * @param {Date} date - Date
+   * @returns {String} - e.g. 2025-26
+   */
+  static getFinancialYear(date = new Date()) {
+    const startYear =
+      date.getMonth() + 1 >= FINANCIAL_YEAR_START_MONTH
+        ? date.getFullYear()
+        : date.getFullYear() - 1;
+
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+  }
+
+  /**
+   * Build the prefix and date part shared by every ID in a period
+   * @param {Object} counter - Counter settings (prefix, resetPeriod)
+   * @param {Date} date - Date the ID is issued
+   * @returns {String} - e.g. TKT20250101, TKT202501, DC/2025-26/ or TKT
+   */
+  static getStem(counter, date = new Date()) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+
+    switch (counter.resetPeriod) {
+      case "DAILY":
+        return `${counter.prefix}${year}${month}${day}`;
+      case "MONTHLY":
+        return `${counter.prefix}${year}${month}`;
+      case "FINANCIAL_YEAR":
+        return `${counter.prefix}/${this.getFinancialYear(date)}/`;
+      default:
+        return counter.prefix;
+    }
+  }
+
+  /**
+   * Format an ID from its stem and sequence number
+   * @param {String} stem - Prefix and date part
+   * @param {Number} seq - Sequence number
+   * @param {Number} padding - Minimum number of digits
+   * @returns {String}
+   */
+  static format(stem, seq, padding) {
+    return `${stem}${String(seq).padStart(padding, "0")}`;
+  }
+
+  /**
+   * Find the highest number already used with a stem, so a new or reset
+   * counter continues after IDs that were issued before it existed
+   * @param {String} key - Sequence key
+   * @param {String} stem - Prefix and date part
+   * @param {Number} padding - Minimum number of digits
+   * @returns {Promise<Number>} - Highest existing number, or 0
+   */
+  static async getHighestExisting(key, stem, padding) {
+    const { model, field } = this.getDefinition(key);
+
+    // Allow one digit past the padding for numbers that outgrew it, but no
+    // more - a longer suffix is an ID from a finer reset period (e.g. the
+    // daily TKT202501010001 seen from the monthly stem TKT202501)
+    const pattern = `^${escapeRegex(stem)}\\d{1,${padding + 1}}$`;
+
+    // Compare numerically - IDs that outgrew their padding do not sort
+    // correctly as strings
+    const [result] = await mongoose.model(model).aggregate([
+      { $match: { [field]: { $regex: pattern } } },
+      {
+        $group: {
+          _id: null,
+          highest: {
+            $max: {
+              $toLong: { $substrCP: [`$${field}`, stem.length, 20] },
+            },
+          },
+        },
+      },
+    ]);
+
+    return result ? Number(result.highest) : 0;
+  }
+
+  /**
+   * Issue the next ID for a sequence. Numbers are claimed with an atomic
+   * $inc, so concurrent callers never receive the same ID.
+   * @param {String} key - Sequence key (e.g. ticket, installationRequest)
+   * @param {Date} date - Date the ID is issued (defaults to now)
+   * @returns {Promise<String>} - Formatted ID
+   */
+  static async next(key, date = new Date()) {
+    const counter = await this.getCounter(key);
+    const stem = this.getStem(counter, date);
+
+    for (let attempt = 0; attempt < MAX_CLAIM_ATTEMPTS; attempt++) {
+      const current = await Counter.findOneAndUpdate(
+        { key, stem },
+        { $inc: { seq: 1 } },
+        { new: true }
+      );
+
+      if (current) {
+        return this.format(stem, current.seq, current.padding);
+      }
+
+      // First ID of a new period (or after the prefix changed) - start
+      // after whatever already exists. Only one caller can move the counter
+      // to the new stem; the others retry the $inc above.
+      const highest = await this.getHighestExisting(key, stem, counter.padding);
+      const started = await Counter.findOneAndUpdate(
+        { key, stem: { $ne: stem } },
+        { $set: { stem, seq: highest + 1 } },
+        { new: true }
+      );
+
+      if (started) {
+        return this.format(stem, started.seq, started.padding);
+      }
+    }
+
+    throw ApiError.conflict(`Could not generate the next ${key} number`);
+  }
+
+  /**
+   * List all sequences with their settings and the next ID they will issue
+   * @returns {Promise<Array>}
+   */
+  static async getSequences() {
+    return await Promise.all(
+      Object.keys(DEFAULT_SEQUENCES).map((key) => this.getSequence(key))
+    );
+  }
+
+  /**
+   * Get a sequence with its settings and the next ID it will issue
+   * @param {String} key - Sequence key
+   * @returns {Promise<Object>}
+   */
+  static async getSequence(key) {
+    const counter = await this.getCounter(key);
+    const stem = this.getStem(counter);
+    const nextSeq =
+      counter.stem === stem
+        ? counter.seq + 1
+        : (await this.getHighestExisting(key, stem, counter.padding)) + 1;
+
+    return {
+      key,
+      prefix: counter.prefix,
+      resetPeriod: counter.resetPeriod,
+      padding: counter.padding,
+      currentStem: counter.stem,
+      lastSeq: counter.seq,
+      nextId: this.format(stem, nextSeq, counter.padding),
+      updatedBy: counter.updatedBy,
+      updatedAt: counter.updatedAt,
+    };
+  }
+
+  /**
+   * Change the prefix, reset period or padding of a sequence. A new prefix
+   * or reset period starts a new stem, seeded from existing IDs on next use.
+   * @param {String} key - Sequence key
+   * @param {Object} updateData - prefix, resetPeriod and/or padding
+   * @param {String} userId - ID of the user making the update
+   * @returns {Promise<Object>} - Updated sequence
+   */
+  static async updateSequence(key, updateData, userId) {
+    await this.getCounter(key);
+
+    const update = { updatedBy: userId };
+    for (const field of ["prefix", "resetPeriod", "padding"]) {
+      if (updateData[field] !== undefined) {
+        update[field] = updateData[field];
+      }
+    }
+
+    await Counter.updateOne({ key }, { $set: update }, { runValidators: true });
+
+    return await this.getSequence(key);
+  }
+}
+
+module.exports = SequenceService;
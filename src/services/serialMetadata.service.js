@@ -0,0 +1,200 @@
+const SerialMetadata = require("../models/serialMetadata.model");
+const Item = require("../models/item.model");
+const ApiError = require("../utils/apiError.util");
+const { escapeRegex } = require("../utils/search.utils");
+
+const INSERT_BATCH_SIZE = 1000;
+
+const toKey = (serialNumber) => String(serialNumber).trim().toUpperCase();
+
+class SerialMetadataService {
+  /**
+   * Rebuild an item's entries from its uploaded sheet. The serial number
+   * is read from the item's main header column; items without one, or
+   * without a sheet, have no entries. When a serial number appears on
+   * several rows the first row wins.
+   * @param {Object} item - Item document
+   * @returns {Promise<Number>} - Number of serial numbers indexed
+   */
+  static async indexItem(item) {
+    await this.removeItem(item._id);
+
+    const { uploadedFile, mainHeaderKey } = item;
+    if (!mainHeaderKey || !uploadedFile || !uploadedFile.data) return 0;
+
+    const headers = uploadedFile.headers || [];
+    const serialIdx = headers.indexOf(mainHeaderKey);
+    if (serialIdx === -1) return 0;
+
+    const seen = new Set();
+    const entries = [];
+
+    uploadedFile.data.forEach((row, idx) => {
+      const cell = row[serialIdx];
+      if (cell === undefined || cell === null) return;
+
+      const serialNumber = cell.toString().trim();
+      const key = toKey(serialNumber);
+      if (!serialNumber || seen.has(key)) return;
+      seen.add(key);
+
+      const metadata = {};
+      headers.forEach((header, headerIdx) => {
+        if (row[headerIdx] !== undefined && row[headerIdx] !== null) {
+          metadata[header] = row[headerIdx].toString();
+        }
+      });
+
+      entries.push({
+        item: item._id,
+        serialNumber,
+        key,
+        metadata,
+        fileName: uploadedFile.fileName,
+        // Header is row 1 of the sheet
+        rowNumber: idx + 2,
+      });
+    });
+
+    for (let i = 0; i < entries.length; i += INSERT_BATCH_SIZE) {
+      await SerialMetadata.insertMany(entries.slice(i, i + INSERT_BATCH_SIZE), {
+        ordered: false,
+      });
+    }
+
+    return entries.length;
+  }
+
+  /**
+   * Drop an item's entries
+   * @param {String} itemId - Item ID
+   */
+  static async removeItem(itemId) {
+    await SerialMetadata.deleteMany({ item: itemId });
+  }
+
+  /**
+   * Find the entry for an item's serial number, ignoring case
+   * @param {String} itemId - Item ID
+   * @param {String} serialNumber - Serial number
+   * @returns {Promise<Object|null>}
+   */
+  static async findEntry(itemId, serialNumber) {
+    return await SerialMetadata.findOne({
+      item: itemId,
+      key: toKey(serialNumber),
+    });
+  }
+
+  /**
+   * Sheet metadata of an item's serial number
+   * @param {String} itemId - Item ID
+   * @param {String} serialNumber - Serial number
+   * @returns {Promise<Object>} - { itemId, serialNumber, metadata, ... }
+   */
+  static async getMetadata(itemId, serialNumber) {
+    const item = await Item.findById(itemId).select("name mainHeaderKey");
+    if (!item) {
+      throw ApiError.notFound("Item not found");
+    }
+
+    const entry = await this.findEntry(item._id, serialNumber);
+    if (!entry) {
+      throw ApiError.notFound(
+        `Serial number ${serialNumber} not found for ${item.name}`
+      );
+    }
+
+    return {
+      itemId: item._id,
+      itemName: item.name,
+      serialNumber: entry.serialNumber,
+      serialNumberColumn: item.mainHeaderKey,
+      metadata: Object.fromEntries(entry.metadata || []),
+      fileName: entry.fileName,
+      rowNumber: entry.rowNumber,
+    };
+  }
+
+  /**
+   * Serial numbers listed for an item
+   * @param {String} itemId - Item ID
+   * @param {Object} query - search (prefix), page and limit
+   * @returns {Promise<Object>} - { item, results, pagination }
+   */
+  static async getItemSerialNumbers(itemId, query = {}) {
+    const item = await Item.findById(itemId).select("name mainHeaderKey");
+    if (!item) {
+      throw ApiError.notFound("Item not found");
+    }
+
+    const { results, pagination } = await SerialMetadata.paginate(
+      { item: item._id, ...this.prefixFilter(query.search) },
+      {
+        page: query.page || 1,
+        limit: query.limit || 50,
+        sort: { key: 1 },
+        select: "serialNumber rowNumber",
+        lean: true,
+      }
+    );
+
+    return { item, results, pagination };
+  }
+
+  /**
+   * Search serial numbers across all items
+   * @param {Object} query - search (prefix, or the whole serial number
+   * with exact=true), itemId, page and limit
+   * @returns {Promise<Object>} - Paginated entries with their item
+   */
+  static async search(query = {}) {
+    if (!query.search || !query.search.trim()) {
+      throw ApiError.badRequest("A serial number to search for is required");
+    }
+
+    const filter =
+      query.exact === "true" || query.exact === true
+        ? { key: toKey(query.search) }
+        : this.prefixFilter(query.search);
+    if (query.itemId) filter.item = query.itemId;
+
+    return await SerialMetadata.paginate(filter, {
+      page: query.page || 1,
+      limit: query.limit || 20,
+      sort: { key: 1 },
+      populate: [{ path: "item", select: "name sku category" }],
+    });
+  }
+
+  /**
+   * Serial number suggestions while typing
+   * @param {String} prefix - What has been typed so far
+   * @param {Object} options - itemId and limit (default 10)
+   * @returns {Promise<Array>} - { serialNumber, item } pairs
+   */
+  static async autocomplete(prefix, options = {}) {
+    if (!prefix || !prefix.trim()) return [];
+
+    const filter = this.prefixFilter(prefix);
+    if (options.itemId) filter.item = options.itemId;
+
+    return await SerialMetadata.find(filter)
+      .select("serialNumber item")
+      .populate("item", "name")
+      .sort({ key: 1 })
+      .limit(Math.min(parseInt(options.limit, 10) || 10, 50))
+      .lean();
+  }
+
+  /**
+   * Anchored, case-folded so the key index serves it
+   * @private
+   */
+  static prefixFilter(prefix) {
+    if (!prefix || !prefix.trim()) return {};
+    return { key: new RegExp(`^${escapeRegex(toKey(prefix))}`) };
+  }
+}
+
+module.exports = SerialMetadataService;
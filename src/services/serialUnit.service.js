@@ -0,0 +1,551 @@
+const SerialUnit = require("../models/serialUnit.model");
+const Item = require("../models/item.model");
+const Warehouse = require("../models/warehouse.model");
+const ApiError = require("../utils/apiError.util");
+const { escapeRegex } = require("../utils/search.utils");
+const {
+  MANUAL_STATUS_TRANSITIONS,
+  RETURNABLE_STATUSES,
+} = require("../config/serialUnits");
+
+class SerialUnitService {
+  /**
+   * List serial units
+   * @param {Object} query - itemId, status, warehouseId, customerId and
+   * search (serial number prefix) filters
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} - Paginated units
+   */
+  static async getUnits(query, options) {
+    const filter = {};
+    if (query.itemId) filter.item = query.itemId;
+    if (query.status) filter.status = { $in: query.status.split(",") };
+    if (query.warehouseId) filter.warehouse = query.warehouseId;
+    if (query.customerId) filter.customer = query.customerId;
+    if (query.search) {
+      filter.serialNumber = new RegExp(`^${escapeRegex(query.search.trim())}`);
+    }
+
+    return await SerialUnit.paginate(filter, {
+      ...options,
+      select: "-events",
+      populate: [
+        { path: "item", select: "name sku category" },
+        { path: "warehouse", select: "name code" },
+        { path: "customer", select: "name mobile city" },
+      ],
+    });
+  }
+
+  /**
+   * A unit's full lifecycle: where it is now, every movement and status
+   * change, and the tickets and transactions linked to it
+   * @param {String} serialNumber - Serial number
+   * @param {String} itemId - Item ID, needed when the serial number is used
+   * by more than one item
+   * @returns {Promise<Object>}
+   */
+  static async getLifecycle(serialNumber, itemId) {
+    const filter = { serialNumber: serialNumber.trim() };
+    if (itemId) filter.item = itemId;
+
+    const units = await SerialUnit.find(filter)
+      .populate("item", "name sku category")
+      .populate("warehouse", "name code city")
+      .populate("customer", "name mobile email city state pincode")
+      .populate("tickets", "ticketId title status type createdAt")
+      .populate("events.warehouse", "name code")
+      .populate("events.customer", "name mobile")
+      .populate("events.ticket", "ticketId")
+      .populate("events.performedBy", "name email");
+
+    if (units.length === 0) {
+      throw ApiError.notFound("Serial number not found");
+    }
+    if (units.length > 1) {
+      throw ApiError.badRequest(
+        `Serial number ${serialNumber} is used by ${units.length} items; pass itemId to pick one`
+      );
+    }
+
+    const unit = units[0];
+    const transactionIds = new Set(unit.transactions.map(String));
+    const item = await Item.findById(unit.item._id)
+      .select("transactions")
+      .populate("transactions.warehouse", "name code")
+      .populate("transactions.toWarehouse", "name code")
+      .populate("transactions.ticketId", "ticketId")
+      .populate("transactions.performedBy", "name email");
+
+    return {
+      ...unit.toObject(),
+      transactions: (item ? item.transactions : [])
+        .filter((transaction) => transactionIds.has(String(transaction._id)))
+        .map((transaction) => {
+          const { serialNumbers, ...details } = transaction.toObject();
+          return details;
+        }),
+    };
+  }
+
+  /**
+   * Register serial numbers for stock that is already counted at a
+   * warehouse. Stock added from now on should name its serials in the
+   * INWARD transaction instead.
+   * @param {Object} data - itemId, warehouseId, condition and serialNumbers
+   * @param {String} userId - ID of the user registering them
+   * @returns {Promise<Array>} - Created units
+   */
+  static async registerUnits(data, userId) {
+    const { itemId, warehouseId, condition = "NEW" } = data;
+    const serialNumbers = this.normalizeSerials(data.serialNumbers);
+
+    const item = await Item.findById(itemId).select("name inventory");
+    if (!item) {
+      throw ApiError.notFound("Item not found");
+    }
+
+    const warehouse = await Warehouse.findById(warehouseId);
+    if (!warehouse) {
+      throw ApiError.notFound("Warehouse not found");
+    }
+
+    const existing = await SerialUnit.find({
+      item: item._id,
+      serialNumber: { $in: serialNumbers },
+    }).select("serialNumber");
+    if (existing.length > 0) {
+      throw ApiError.conflict(
+        `Already registered: ${existing.map((unit) => unit.serialNumber).join(", ")}`
+      );
+    }
+
+    const stock = item.inventory
+      .filter(
+        (entry) =>
+          entry.condition === condition &&
+          String(entry.warehouse) === String(warehouse._id)
+      )
+      .reduce((total, entry) => total + entry.quantity, 0);
+    const registered = await SerialUnit.countDocuments({
+      item: item._id,
+      warehouse: warehouse._id,
+      condition,
+      status: "IN_STOCK",
+    });
+
+    if (registered + serialNumbers.length > stock) {
+      throw ApiError.badRequest(
+        `${warehouse.name} holds ${stock - registered} unregistered ${condition} units of ${item.name}; cannot register ${serialNumbers.length}`
+      );
+    }
+
+    return await SerialUnit.insertMany(
+      serialNumbers.map((serialNumber) => ({
+        serialNumber,
+        item: item._id,
+        status: "IN_STOCK",
+        condition,
+        warehouse: warehouse._id,
+        createdBy: userId,
+        events: [
+          {
+            action: "REGISTERED",
+            status: "IN_STOCK",
+            warehouse: warehouse._id,
+            performedBy: userId,
+          },
+        ],
+      }))
+    );
+  }
+
+  /**
+   * Record a status change that happens outside the warehouses, e.g.
+   * delivery to the customer or a unit going in for repair
+   * @param {String} serialNumber - Serial number
+   * @param {Object} data - status, and optional itemId, ticketId and notes
+   * @param {String} userId - ID of the user recording it
+   * @returns {Promise<Object>} - Updated unit
+   */
+  static async updateStatus(serialNumber, data, userId) {
+    const filter = { serialNumber: serialNumber.trim() };
+    if (data.itemId) filter.item = data.itemId;
+
+    const units = await SerialUnit.find(filter);
+    if (units.length === 0) {
+      throw ApiError.notFound("Serial number not found");
+    }
+    if (units.length > 1) {
+      throw ApiError.badRequest(
+        `Serial number ${serialNumber} is used by ${units.length} items; pass itemId to pick one`
+      );
+    }
+
+    const unit = units[0];
+    const allowed = MANUAL_STATUS_TRANSITIONS[unit.status] || [];
+    if (!allowed.includes(data.status)) {
+      throw ApiError.badRequest(
+        allowed.length > 0
+          ? `A ${unit.status} unit can only be marked ${allowed.join(" or ")}`
+          : `A ${unit.status} unit changes status through inventory transactions only`
+      );
+    }
+
+    unit.status = data.status;
+    if (data.ticketId) unit.tickets.addToSet(data.ticketId);
+    unit.events.push({
+      action: "STATUS_CHANGED",
+      status: data.status,
+      customer: unit.customer,
+      ticket: data.ticketId || undefined,
+      notes: data.notes,
+      performedBy: userId,
+    });
+
+    return await unit.save();
+  }
+
+  /**
+   * Check the serials named in an inventory transaction before any stock
+   * moves. Once an item has serial units, every transaction must name the
+   * units it moves.
+   * @param {Object} item - Item document
+   * @param {Object} movement - type, warehouse, condition, quantity and
+   * serialNumbers of the transaction
+   * @returns {Promise<Object|null>} - { serialNumbers, units } to pass to
+   * recordMovement, or null for items without serial units
+   */
+  static async checkMovement(item, movement) {
+    const { type, warehouse, condition, quantity } = movement;
+
+    if (!movement.serialNumbers || movement.serialNumbers.length === 0) {
+      if (await SerialUnit.exists({ item: item._id })) {
+        throw ApiError.badRequest(
+          `${item.name} is tracked by serial number; list the serial numbers being moved`
+        );
+      }
+      return null;
+    }
+
+    const serialNumbers = this.normalizeSerials(movement.serialNumbers);
+    if (serialNumbers.length !== quantity) {
+      throw ApiError.badRequest(
+        `Got ${serialNumbers.length} serial number(s) for a quantity of ${quantity}`
+      );
+    }
+
+    const units = await SerialUnit.find({
+      item: item._id,
+      serialNumber: { $in: serialNumbers },
+    });
+
+    if (type === "INWARD") {
+      const present = units.filter(
+        (unit) => !RETURNABLE_STATUSES.includes(unit.status)
+      );
+      if (present.length > 0) {
+        throw ApiError.badRequest(
+          `Already in stock or scrapped: ${present.map((unit) => `${unit.serialNumber} (${unit.status})`).join(", ")}`
+        );
+      }
+      return { serialNumbers, units };
+    }
+
+    const found = new Set(units.map((unit) => unit.serialNumber));
+    const unknown = serialNumbers.filter((serial) => !found.has(serial));
+    if (unknown.length > 0) {
+      throw ApiError.badRequest(
+        `Unknown serial numbers for ${item.name}: ${unknown.join(", ")}`
+      );
+    }
+
+    const unavailable = units.filter(
+      (unit) =>
+        unit.status !== "IN_STOCK" ||
+        String(unit.warehouse) !== String(warehouse) ||
+        unit.condition !== condition
+    );
+    if (unavailable.length > 0) {
+      throw ApiError.badRequest(
+        `Not in stock as ${condition} at this warehouse: ${unavailable.map((unit) => unit.serialNumber).join(", ")}`
+      );
+    }
+
+    return { serialNumbers, units };
+  }
+
+  /**
+   * Move the units of an inventory transaction. Units are only moved from
+   * the state checkMovement found them in; if another request moved any of
+   * them first, the units moved here are put back and a conflict is thrown.
+   * @param {Object} item - Item document
+   * @param {Object} transaction - The transaction, with its _id
+   * @param {Object} checked - Result of checkMovement
+   * @param {String} userId - ID of the user who made the transaction
+   * @param {Object} context - customer the units were dispatched to
+   */
+  static async recordMovement(
+    item,
+    transaction,
+    checked,
+    userId,
+    context = {}
+  ) {
+    const event = {
+      transaction: transaction._id,
+      notes: transaction.notes || undefined,
+      performedBy: userId,
+      performedAt: transaction.performedAt,
+    };
+
+    if (transaction.type === "INWARD") {
+      const known = new Set(checked.units.map((unit) => unit.serialNumber));
+      const fresh = checked.serialNumbers.filter(
+        (serial) => !known.has(serial)
+      );
+      const inwardEvent = {
+        ...event,
+        action: "INWARD",
+        status: "IN_STOCK",
+        warehouse: transaction.warehouse,
+      };
+
+      let moved = true;
+
+      if (fresh.length > 0) {
+        try {
+          await SerialUnit.insertMany(
+            fresh.map((serialNumber) => ({
+              serialNumber,
+              item: item._id,
+              status: "IN_STOCK",
+              condition: transaction.condition,
+              warehouse: transaction.warehouse,
+              transactions: [transaction._id],
+              events: [inwardEvent],
+              createdBy: userId,
+            })),
+            { ordered: false }
+          );
+        } catch (error) {
+          if (error.code !== 11000) throw error;
+          moved = false;
+        }
+      }
+
+      if (checked.units.length > 0) {
+        const result = await SerialUnit.updateMany(
+          {
+            _id: { $in: checked.units.map((unit) => unit._id) },
+            status: { $in: RETURNABLE_STATUSES },
+          },
+          {
+            $set: {
+              status: "IN_STOCK",
+              condition: transaction.condition,
+              warehouse: transaction.warehouse,
+            },
+            $unset: { customer: 1 },
+            $push: { transactions: transaction._id, events: inwardEvent },
+          }
+        );
+        moved = moved && result.modifiedCount === checked.units.length;
+      }
+
+      if (!moved) await this.abortMovement(item, transaction, checked);
+      return;
+    }
+
+    const update =
+      transaction.type === "OUTWARD"
+        ? {
+            $set: { status: "DISPATCHED", customer: context.customer },
+            $unset: { warehouse: 1 },
+            $addToSet: { tickets: transaction.ticketId },
+            $push: {
+              transactions: transaction._id,
+              events: {
+                ...event,
+                action: "OUTWARD",
+                status: "DISPATCHED",
+                warehouse: transaction.warehouse,
+                customer: context.customer,
+                ticket: transaction.ticketId,
+              },
+            },
+          }
+        : {
+            $set: { status: "IN_TRANSIT", warehouse: transaction.toWarehouse },
+            $push: {
+              transactions: transaction._id,
+              events: {
+                ...event,
+                action: "TRANSFER_SENT",
+                status: "IN_TRANSIT",
+                warehouse: transaction.toWarehouse,
+              },
+            },
+          };
+
+    const result = await SerialUnit.updateMany(
+      {
+        _id: { $in: checked.units.map((unit) => unit._id) },
+        status: "IN_STOCK",
+        warehouse: transaction.warehouse,
+        condition: transaction.condition,
+      },
+      update
+    );
+
+    if (result.modifiedCount !== checked.serialNumbers.length) {
+      await this.abortMovement(item, transaction, checked);
+    }
+  }
+
+  /**
+   * @private
+   */
+  static async abortMovement(item, transaction, checked) {
+    await this.releaseMovement(item, transaction, checked);
+    throw ApiError.conflict(
+      "Some of these serial numbers were moved by another transaction at the same time; reload and try again"
+    );
+  }
+
+  /**
+   * Put back the units a transaction moved, as checkMovement found them,
+   * when the transaction cannot go ahead
+   * @param {Object} item - Item document
+   * @param {Object} transaction - The transaction, with its _id
+   * @param {Object} checked - Result of checkMovement
+   */
+  static async releaseMovement(item, transaction, checked) {
+    const known = new Set(checked.units.map((unit) => unit.serialNumber));
+    const fresh = checked.serialNumbers.filter((serial) => !known.has(serial));
+
+    if (fresh.length > 0) {
+      await SerialUnit.deleteMany({
+        item: item._id,
+        serialNumber: { $in: fresh },
+        transactions: transaction._id,
+      });
+    }
+
+    if (checked.units.length === 0) return;
+
+    await SerialUnit.bulkWrite(
+      checked.units.map((unit) => {
+        const $set = { status: unit.status, condition: unit.condition };
+        const $unset = {};
+        for (const field of ["warehouse", "customer"]) {
+          if (unit[field]) $set[field] = unit[field];
+          else $unset[field] = 1;
+        }
+
+        const $pull = {
+          transactions: transaction._id,
+          events: { transaction: transaction._id },
+        };
+        const hadTicket = (unit.tickets || []).some(
+          (ticket) => String(ticket) === String(transaction.ticketId)
+        );
+        if (transaction.ticketId && !hadTicket) {
+          $pull.tickets = transaction.ticketId;
+        }
+
+        return {
+          updateOne: {
+            filter: { _id: unit._id, transactions: transaction._id },
+            update: { $set, $unset, $pull },
+          },
+        };
+      })
+    );
+  }
+
+  /**
+   * Put the units of a transfer back in stock once it has been received
+   * or cancelled
+   * @param {Object} item - Item document
+   * @param {Object} transaction - The TRANSFER transaction
+   * @param {String} userId - ID of the user who received or cancelled it
+   */
+  static async recordTransferEnd(item, transaction, userId) {
+    if (!transaction.serialNumbers || transaction.serialNumbers.length === 0) {
+      return;
+    }
+
+    const received = transaction.transferStatus === "RECEIVED";
+    const warehouse = received
+      ? transaction.toWarehouse
+      : transaction.warehouse;
+    const warehouseId = (warehouse && warehouse._id) || warehouse;
+
+    await SerialUnit.updateMany(
+      { item: item._id, serialNumber: { $in: transaction.serialNumbers } },
+      {
+        $set: { status: "IN_STOCK", warehouse: warehouseId },
+        $push: {
+          events: {
+            action: received ? "TRANSFER_RECEIVED" : "TRANSFER_CANCELLED",
+            status: "IN_STOCK",
+            warehouse: warehouseId,
+            transaction: transaction._id,
+            performedBy: userId,
+          },
+        },
+      }
+    );
+  }
+
+  /**
+   * Link a new ticket to the unit it was raised for, if the unit is known
+   * @param {Object} ticket - Ticket with itemId and serialNumber
+   * @param {String} userId - ID of the user who raised it
+   */
+  static async linkTicket(ticket, userId) {
+    if (!ticket.itemId || !ticket.serialNumber) return;
+
+    await SerialUnit.updateOne(
+      { item: ticket.itemId, serialNumber: ticket.serialNumber.trim() },
+      {
+        $addToSet: { tickets: ticket._id },
+        $push: {
+          events: {
+            action: "TICKET_OPENED",
+            ticket: ticket._id,
+            customer: ticket.customerId,
+            performedBy: userId,
+          },
+        },
+      }
+    );
+  }
+
+  /**
+   * @private
+   */
+  static normalizeSerials(serialNumbers = []) {
+    const serials = serialNumbers
+      .map((serial) => String(serial).trim())
+      .filter(Boolean);
+
+    if (serials.length === 0) {
+      throw ApiError.badRequest("At least one serial number is required");
+    }
+
+    const duplicates = serials.filter(
+      (serial, index) => serials.indexOf(serial) !== index
+    );
+    if (duplicates.length > 0) {
+      throw ApiError.badRequest(
+        `Serial numbers listed more than once: ${[...new Set(duplicates)].join(", ")}`
+      );
+    }
+
+    return serials;
+  }
+}
+
+module.exports = SerialUnitService;
@@ -0,0 +1,298 @@
+const Ticket = require("../models/ticket.model");
+const User = require("../models/user.model");
+const TicketSettings = require("../models/ticketSettings.model");
+const { ROLES } = require("../config/roles");
+const {
+  DEFAULT_SLA_POLICIES,
+  DEFAULT_SLA_AT_RISK_PERCENT,
+  SLA_ACTIVE_TICKET_STATUSES,
+} = require("../config/sla");
+const { notify } = require("./notification.service");
+const BusinessCalendarService = require("./businessCalendar.service");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class SlaService {
+  /**
+   * Find the SLA policy for a priority and ticket type
+   * @param {Object} settings - Ticket settings document
+   * @param {String} priority - Ticket priority
+   * @param {String} ticketType - Ticket type
+   * @returns {Object|null} - Matching policy
+   */
+  static getPolicy(settings, priority, ticketType) {
+    const policies =
+      settings.slaPolicies && settings.slaPolicies.length > 0
+        ? settings.slaPolicies
+        : DEFAULT_SLA_POLICIES;
+
+    return (
+      policies.find(
+        (p) => p.priority === priority && p.ticketType === ticketType
+      ) ||
+      policies.find((p) => p.priority === priority && !p.ticketType) ||
+      null
+    );
+  }
+
+  /**
+   * Calculate SLA targets for a ticket. When a business calendar is given,
+   * targets are counted in working hours only.
+   * @param {Object} settings - Ticket settings document
+   * @param {String} priority - Ticket priority
+   * @param {String} ticketType - Ticket type
+   * @param {Date} startAt - When the SLA clock started
+   * @param {Object} calendar - Business calendar document (optional)
+   * @param {String} state - Customer state, for state holidays (optional)
+   * @returns {Object|null} - SLA target dates
+   */
+  static calculateTargets(
+    settings,
+    priority,
+    ticketType,
+    startAt,
+    calendar,
+    state
+  ) {
+    const policy = this.getPolicy(settings, priority, ticketType);
+
+    if (!policy) {
+      return null;
+    }
+
+    const atRiskPercent =
+      settings.slaAtRiskPercent || DEFAULT_SLA_AT_RISK_PERCENT;
+    const addHours = (hours) =>
+      calendar
+        ? BusinessCalendarService.addWorkingHours(
+            calendar,
+            startAt,
+            hours,
+            state
+          )
+        : new Date(new Date(startAt).getTime() + hours * HOUR_MS);
+
+    return {
+      firstResponseDueAt: addHours(policy.firstResponseHours),
+      resolutionDueAt: addHours(policy.resolutionHours),
+      atRiskAt: addHours((policy.resolutionHours * atRiskPercent) / 100),
+    };
+  }
+
+  /**
+   * Apply SLA targets to a ticket without saving it. Existing response,
+   * breach and escalation state is preserved so this can be re-run when
+   * the priority or type changes.
+   * @param {Object} ticket - Ticket document
+   * @param {Object} settings - Ticket settings document
+   * @param {Object} calendar - Business calendar document (optional)
+   * @param {String} state - Customer state (optional)
+   * @returns {Object} - The ticket
+   */
+  static applyPolicy(ticket, settings, calendar, state) {
+    if (settings.slaEnabled === false) {
+      return ticket;
+    }
+
+    const targets = this.calculateTargets(
+      settings,
+      ticket.priority,
+      ticket.type,
+      ticket.createdAt || new Date(),
+      calendar,
+      state
+    );
+
+    if (!targets) {
+      return ticket;
+    }
+
+    ticket.set("sla.firstResponseDueAt", targets.firstResponseDueAt);
+    ticket.set("sla.resolutionDueAt", targets.resolutionDueAt);
+    ticket.set("sla.atRiskAt", targets.atRiskAt);
+
+    const currentStatus = ticket.get("sla.status");
+
+    if (
+      !currentStatus ||
+      (currentStatus === "AT_RISK" && targets.atRiskAt > new Date())
+    ) {
+      ticket.set("sla.status", "ON_TRACK");
+    }
+
+    return ticket;
+  }
+
+  /**
+   * Record the first staff response on a ticket without saving it
+   * @param {Object} ticket - Ticket document
+   * @param {String} userId - ID of the responding user
+   * @returns {Object} - The ticket
+   */
+  static recordFirstResponse(ticket, userId) {
+    if (
+      ticket.sla &&
+      ticket.sla.status &&
+      !ticket.sla.firstRespondedAt &&
+      ticket.createdBy?.toString() !== userId?.toString()
+    ) {
+      ticket.sla.firstRespondedAt = new Date();
+    }
+
+    return ticket;
+  }
+
+  /**
+   * Flag at-risk tickets and escalate breached ones. Run by the SLA cron job.
+   * @returns {Promise<Object>} - Counts of tickets flagged in this run
+   */
+  static async checkSlaBreaches() {
+    const settings = await TicketSettings.getSingleton();
+
+    if (settings.slaEnabled === false) {
+      return { atRisk: 0, breached: 0 };
+    }
+
+    const now = new Date();
+
+    const atRiskTickets = await Ticket.find({
+      status: { $in: SLA_ACTIVE_TICKET_STATUSES },
+      "sla.status": "ON_TRACK",
+      "sla.atRiskAt": { $lte: now },
+    });
+
+    for (const ticket of atRiskTickets) {
+      ticket.sla.status = "AT_RISK";
+      await ticket.save();
+
+      if (ticket.assignedTo) {
+        await notify({
+          userId: ticket.assignedTo,
+          subject: `SLA At Risk: ${ticket.ticketId}`,
+          message: `Ticket ${ticket.ticketId} (${ticket.title}) is at risk of breaching its SLA.\n\nResolution due: ${ticket.sla.resolutionDueAt.toLocaleString()}`,
+          notificationType: "SLA_AT_RISK",
+          ticketId: ticket._id,
+        });
+      }
+    }
+
+    const breachedTickets = await Ticket.find({
+      status: { $in: SLA_ACTIVE_TICKET_STATUSES },
+      "sla.status": { $in: ["ON_TRACK", "AT_RISK", "BREACHED"] },
+      $or: [
+        {
+          "sla.resolutionBreached": { $ne: true },
+          "sla.resolutionDueAt": { $lte: now },
+        },
+        {
+          "sla.firstResponseBreached": { $ne: true },
+          "sla.firstRespondedAt": null,
+          "sla.firstResponseDueAt": { $lte: now },
+        },
+      ],
+    });
+
+    for (const ticket of breachedTickets) {
+      const breaches = [];
+
+      if (
+        !ticket.sla.resolutionBreached &&
+        ticket.sla.resolutionDueAt <= now
+      ) {
+        ticket.sla.resolutionBreached = true;
+        breaches.push("resolution");
+      }
+
+      if (
+        !ticket.sla.firstResponseBreached &&
+        !ticket.sla.firstRespondedAt &&
+        ticket.sla.firstResponseDueAt <= now
+      ) {
+        ticket.sla.firstResponseBreached = true;
+        breaches.push("first response");
+      }
+
+      ticket.sla.status = "BREACHED";
+      if (!ticket.sla.breachedAt) {
+        ticket.sla.breachedAt = now;
+      }
+
+      await this.escalateTicket(ticket, breaches);
+      await ticket.save();
+    }
+
+    return {
+      atRisk: atRiskTickets.length,
+      breached: breachedTickets.length,
+    };
+  }
+
+  /**
+   * Escalate a breached ticket one level up the reporting chain. The ticket
+   * is updated but not saved.
+   * @param {Object} ticket - Ticket document
+   * @param {Array} breaches - Names of the targets that were breached
+   * @returns {Promise<Array>} - IDs of the users notified
+   */
+  static async escalateTicket(ticket, breaches) {
+    const recipients = await this.getEscalationRecipients(ticket);
+
+    ticket.sla.escalationLevel = (ticket.sla.escalationLevel || 0) + 1;
+    ticket.sla.escalatedAt = new Date();
+    ticket.sla.escalatedTo = recipients[0];
+
+    const assignee = ticket.assignedTo
+      ? await User.findById(ticket.assignedTo).select("name")
+      : null;
+
+    for (const recipientId of recipients) {
+      await notify({
+        userId: recipientId,
+        subject: `SLA Breached: ${ticket.ticketId}`,
+        message: `Ticket ${ticket.ticketId} (${ticket.title}) has breached its ${breaches.join(" and ")} SLA.\n\nPriority: ${ticket.priority}\nAssigned to: ${assignee ? assignee.name : "Unassigned"}\nResolution due: ${ticket.sla.resolutionDueAt.toLocaleString()}\nEscalation level: ${ticket.sla.escalationLevel}`,
+        notificationType: "SLA_BREACHED",
+        ticketId: ticket._id,
+      });
+    }
+
+    return recipients;
+  }
+
+  /**
+   * Work out who should receive an escalation. Later escalations go to the
+   * manager of whoever received the previous one.
+   * @param {Object} ticket - Ticket document
+   * @returns {Promise<Array>} - User IDs
+   */
+  static async getEscalationRecipients(ticket) {
+    const escalateFrom = ticket.sla.escalatedTo || ticket.assignedTo;
+
+    if (escalateFrom) {
+      const user = await User.findById(escalateFrom).select("reportsTo");
+
+      if (user && user.reportsTo) {
+        const manager = await User.findOne({
+          _id: user.reportsTo,
+          isActive: true,
+        }).select("_id");
+
+        if (manager) {
+          return [manager._id];
+        }
+      }
+    }
+
+    const fallbackRole = ticket.sla.escalatedTo
+      ? ROLES.SUPER_ADMIN
+      : ROLES.SUPPORT_MANAGER;
+
+    const fallbackUsers = await User.find({
+      role: fallbackRole,
+      isActive: true,
+    }).select("_id");
+
+    return fallbackUsers.map((user) => user._id);
+  }
+}
+
+module.exports = SlaService;
@@ -0,0 +1,292 @@
+const Team = require("../models/team.model");
+const Territory = require("../models/territory.model");
+const Ticket = require("../models/ticket.model");
+const User = require("../models/user.model");
+const ApiError = require("../utils/apiError.util");
+const { ROLES } = require("../config/roles");
+const { CLOSED_TICKET_STATUSES } = require("../config/ticketWorkflow");
+
+const MEMBER_FIELDS = "name email role isActive";
+
+class TeamService {
+  /**
+   * List teams
+   * @param {Object} query - isActive, manager and member filters
+   * @returns {Promise<Array>}
+   */
+  static async getTeams(query = {}) {
+    const filter = {};
+    if (query.isActive !== undefined) {
+      filter.isActive = query.isActive === "true" || query.isActive === true;
+    }
+    if (query.manager) filter.manager = query.manager;
+    if (query.member) filter.members = query.member;
+
+    return await Team.find(filter)
+      .sort({ name: 1 })
+      .populate("manager", MEMBER_FIELDS)
+      .populate("members", MEMBER_FIELDS);
+  }
+
+  /**
+   * Teams a user manages or belongs to
+   * @param {String} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  static async getUserTeams(userId) {
+    return await Team.find({
+      isActive: true,
+      $or: [{ manager: userId }, { members: userId }],
+    })
+      .sort({ name: 1 })
+      .populate("manager", MEMBER_FIELDS)
+      .populate("members", MEMBER_FIELDS);
+  }
+
+  /**
+   * Get a team
+   * @param {String} id - Team ID
+   * @returns {Promise<Object>}
+   */
+  static async getTeamById(id) {
+    const team = await Team.findById(id)
+      .populate("manager", MEMBER_FIELDS)
+      .populate("members", MEMBER_FIELDS);
+
+    if (!team) {
+      throw ApiError.notFound("Team not found");
+    }
+
+    return team;
+  }
+
+  /**
+   * Create a team
+   * @param {Object} teamData - Team fields
+   * @param {String} userId - ID of the user creating the team
+   * @returns {Promise<Object>}
+   */
+  static async createTeam(teamData, userId) {
+    await this.validateManager(teamData.manager);
+    await this.validateMembers(teamData.members);
+
+    try {
+      return await Team.create({
+        ...teamData,
+        createdBy: userId,
+        updatedBy: userId,
+      });
+    } catch (error) {
+      throw this.translateError(error, teamData.name);
+    }
+  }
+
+  /**
+   * Update a team
+   * @param {String} id - Team ID
+   * @param {Object} updateData - Fields to change
+   * @param {String} userId - ID of the user updating the team
+   * @returns {Promise<Object>}
+   */
+  static async updateTeam(id, updateData, userId) {
+    const team = await Team.findById(id);
+    if (!team) {
+      throw ApiError.notFound("Team not found");
+    }
+
+    if (updateData.manager) {
+      await this.validateManager(updateData.manager);
+    }
+    await this.validateMembers(updateData.members);
+
+    Object.assign(team, updateData, { updatedBy: userId });
+
+    try {
+      return await team.save();
+    } catch (error) {
+      throw this.translateError(error, team.name);
+    }
+  }
+
+  /**
+   * Delete a team. A team with unresolved tickets in its queue cannot be
+   * deleted; deactivate it or move the tickets first.
+   * @param {String} id - Team ID
+   * @returns {Promise<Object>} - Deleted team
+   */
+  static async deleteTeam(id) {
+    const team = await Team.findById(id);
+    if (!team) {
+      throw ApiError.notFound("Team not found");
+    }
+
+    const openTickets = await Ticket.countDocuments({
+      team: team._id,
+      status: { $nin: CLOSED_TICKET_STATUSES },
+    });
+    if (openTickets > 0) {
+      throw ApiError.conflict(
+        `Team has ${openTickets} unresolved tickets; move them or deactivate the team instead`
+      );
+    }
+
+    await Ticket.updateMany({ team: team._id }, { $unset: { team: 1 } });
+    await Territory.updateMany(
+      { teams: team._id },
+      { $pull: { teams: team._id } }
+    );
+    await team.deleteOne();
+
+    return team;
+  }
+
+  /**
+   * Tickets in a team's queue. By default only tickets no one has picked up
+   * yet; pass assigned=true for all the team's unresolved tickets.
+   * Engineers can see the queues of teams they belong to and support
+   * managers the queues of teams they manage.
+   * @param {String} teamId - Team ID
+   * @param {Object} query - status and assigned filters
+   * @param {Object} options - Pagination options
+   * @param {Object} requester - { userId, role } of the user asking
+   * @returns {Promise<Object>} - Paginated tickets
+   */
+  static async getQueue(teamId, query, options, requester) {
+    const team = await Team.findById(teamId);
+    if (!team) {
+      throw ApiError.notFound("Team not found");
+    }
+
+    const userId = String(requester.userId);
+    if (
+      (requester.role === ROLES.ENGINEER &&
+        !team.members.some((member) => member.toString() === userId)) ||
+      (requester.role === ROLES.SUPPORT_MANAGER &&
+        team.manager.toString() !== userId)
+    ) {
+      throw ApiError.forbidden("You can only view your own team's queue");
+    }
+
+    const filter = {
+      team: team._id,
+      status: query.status
+        ? { $in: query.status.split(",") }
+        : { $nin: CLOSED_TICKET_STATUSES },
+    };
+    if (query.assigned !== "true") {
+      filter.assignedTo = null;
+    }
+
+    return await Ticket.paginate(filter, {
+      ...options,
+      populate: [
+        { path: "customerId", select: "name mobile city pincode" },
+        { path: "assignedTo", select: "name email" },
+      ],
+    });
+  }
+
+  /**
+   * The active teams a support manager runs and their members
+   * @param {String} managerId - User ID
+   * @returns {Promise<Object>} - { teamIds, memberIds }
+   */
+  static async getManagerScope(managerId) {
+    const teams = await Team.find({ manager: managerId, isActive: true })
+      .select("members")
+      .lean();
+
+    return {
+      teamIds: teams.map((team) => team._id),
+      memberIds: teams.flatMap((team) => team.members),
+    };
+  }
+
+  /**
+   * Which support managers see a ticket through their teams
+   * @param {Object} ticket - Ticket object
+   * @returns {Promise<Object>} - { managers, ticketManagers }: IDs of every
+   * manager running an active team, and of those whose team queue holds the
+   * ticket or whose team includes its assignee
+   */
+  static async getTicketTeamAccess(ticket) {
+    const idOf = (ref) => (ref && ref._id ? ref._id : ref)?.toString();
+    const teamId = idOf(ticket.team);
+    const assigneeId = idOf(ticket.assignedTo);
+
+    const teams = await Team.find({ isActive: true })
+      .select("manager members")
+      .lean();
+
+    return {
+      managers: new Set(teams.map((team) => team.manager.toString())),
+      ticketManagers: new Set(
+        teams
+          .filter(
+            (team) =>
+              team._id.toString() === teamId ||
+              (assigneeId &&
+                team.members.some((member) => member.toString() === assigneeId))
+          )
+          .map((team) => team.manager.toString())
+      ),
+    };
+  }
+
+  /**
+   * Query condition for a team's tickets: those in its queue and those
+   * assigned to its members
+   * @param {String} teamId - Team ID
+   * @returns {Promise<Object>}
+   */
+  static async getTicketFilter(teamId) {
+    const team = await Team.findById(teamId).select("members").lean();
+    if (!team) {
+      throw ApiError.notFound("Team not found");
+    }
+
+    return {
+      $or: [{ team: team._id }, { assignedTo: { $in: team.members } }],
+    };
+  }
+
+  /**
+   * @private
+   */
+  static async validateManager(managerId) {
+    const manager = await User.findById(managerId).select("role isActive");
+    if (!manager) {
+      throw ApiError.badRequest("Team manager not found");
+    }
+    if (!manager.isActive) {
+      throw ApiError.badRequest("Team manager is inactive");
+    }
+    if (manager.role === ROLES.ENGINEER) {
+      throw ApiError.badRequest("An engineer cannot manage a team");
+    }
+  }
+
+  /**
+   * @private
+   */
+  static async validateMembers(memberIds) {
+    if (!memberIds || memberIds.length === 0) return;
+
+    const found = await User.countDocuments({ _id: { $in: memberIds } });
+    if (found !== new Set(memberIds.map(String)).size) {
+      throw ApiError.badRequest("One or more team members were not found");
+    }
+  }
+
+  /**
+   * @private
+   */
+  static translateError(error, name) {
+    if (error.code === 11000) {
+      return ApiError.conflict(`A team named "${name}" exists`);
+    }
+    return error;
+  }
+}
+
+module.exports = TeamService;
@@ -0,0 +1,386 @@
+const Territory = require("../models/territory.model");
+const Team = require("../models/team.model");
+const Ticket = require("../models/ticket.model");
+const User = require("../models/user.model");
+const Customer = require("../models/customer.model");
+const ApiError = require("../utils/apiError.util");
+const AvailabilityService = require("./availability.service");
+const { ROLES } = require("../config/roles");
+const { CLOSED_TICKET_STATUSES } = require("../config/ticketWorkflow");
+
+const ENGINEER_FIELDS = "name email role mobileNumber location";
+const TEAM_FIELDS = "name isActive";
+
+const idOf = (value) => (value._id || value).toString();
+
+class TerritoryService {
+  /**
+   * List territories
+   * @param {Object} query - isActive filter
+   * @returns {Promise<Array>}
+   */
+  static async getTerritories(query = {}) {
+    const filter = {};
+    if (query.isActive !== undefined) {
+      filter.isActive = query.isActive === "true" || query.isActive === true;
+    }
+
+    return await Territory.find(filter)
+      .sort({ name: 1 })
+      .populate("engineers", ENGINEER_FIELDS)
+      .populate("teams", TEAM_FIELDS);
+  }
+
+  /**
+   * Get a territory
+   * @param {String} id - Territory ID
+   * @returns {Promise<Object>}
+   */
+  static async getTerritoryById(id) {
+    const territory = await Territory.findById(id)
+      .populate("engineers", ENGINEER_FIELDS)
+      .populate("teams", TEAM_FIELDS);
+
+    if (!territory) {
+      throw ApiError.notFound("Territory not found");
+    }
+
+    return territory;
+  }
+
+  /**
+   * Create a territory
+   * @param {Object} territoryData - Territory fields
+   * @param {String} userId - ID of the user creating the territory
+   * @returns {Promise<Object>}
+   */
+  static async createTerritory(territoryData, userId) {
+    this.validateRanges(territoryData.pincodeRanges);
+    await this.validateEngineers(territoryData.engineers);
+    await this.validateTeams(territoryData.teams);
+
+    try {
+      return await Territory.create({
+        ...territoryData,
+        createdBy: userId,
+        updatedBy: userId,
+      });
+    } catch (error) {
+      throw this.translateError(error, territoryData.name);
+    }
+  }
+
+  /**
+   * Update a territory
+   * @param {String} id - Territory ID
+   * @param {Object} updateData - Fields to change
+   * @param {String} userId - ID of the user updating the territory
+   * @returns {Promise<Object>}
+   */
+  static async updateTerritory(id, updateData, userId) {
+    const territory = await Territory.findById(id);
+    if (!territory) {
+      throw ApiError.notFound("Territory not found");
+    }
+
+    this.validateRanges(updateData.pincodeRanges);
+    await this.validateEngineers(updateData.engineers);
+    await this.validateTeams(updateData.teams);
+
+    Object.assign(territory, updateData, { updatedBy: userId });
+
+    try {
+      return await territory.save();
+    } catch (error) {
+      throw this.translateError(error, territory.name);
+    }
+  }
+
+  /**
+   * Delete a territory
+   * @param {String} id - Territory ID
+   * @returns {Promise<Object>} - Deleted territory
+   */
+  static async deleteTerritory(id) {
+    const territory = await Territory.findByIdAndDelete(id);
+
+    if (!territory) {
+      throw ApiError.notFound("Territory not found");
+    }
+
+    return territory;
+  }
+
+  /**
+   * Active territories that cover a customer location
+   * @param {Object} location - state, city and pincode
+   * @returns {Promise<Array>}
+   */
+  static async findCoveringTerritories(location) {
+    const territories = await Territory.find({ isActive: true }).sort({
+      name: 1,
+    });
+
+    return territories.filter((territory) => territory.covers(location));
+  }
+
+  /**
+   * Users serving each of the given territories: their engineers and the
+   * members of their active teams
+   * @param {Array} territories - Territory documents
+   * @returns {Promise<Map>} - User ID => names of the territories served
+   */
+  static async getServingEngineers(territories) {
+    const teamIds = territories.flatMap((territory) =>
+      (territory.teams || []).map(idOf)
+    );
+    const teams = teamIds.length
+      ? await Team.find({ _id: { $in: teamIds }, isActive: true }).select(
+          "members"
+        )
+      : [];
+    const members = new Map(
+      teams.map((team) => [team._id.toString(), team.members])
+    );
+
+    const servedBy = new Map();
+    for (const territory of territories) {
+      const userIds = new Set([
+        ...(territory.engineers || []).map(idOf),
+        ...(territory.teams || []).flatMap((team) =>
+          (members.get(idOf(team)) || []).map(idOf)
+        ),
+      ]);
+
+      for (const userId of userIds) {
+        servedBy.set(userId, [...(servedBy.get(userId) || []), territory.name]);
+      }
+    }
+
+    return servedBy;
+  }
+
+  /**
+   * Engineers for a ticket's assignment dropdown, with their availability.
+   * Available engineers come before those on leave or at capacity; within
+   * that, engineers whose territory covers the ticket's customer come
+   * first, then fewest unresolved tickets.
+   * @param {String} ticketId - Ticket ID
+   * @returns {Promise<Object>} - { customer, territories, engineers }
+   */
+  static async suggestEngineers(ticketId) {
+    const ticket = await Ticket.findById(ticketId).select(
+      "customerId assignedTo"
+    );
+    if (!ticket) {
+      throw ApiError.notFound("Ticket not found");
+    }
+
+    const customer = await Customer.findById(ticket.customerId).select(
+      "name state city village pincode"
+    );
+    const territories = customer
+      ? await this.findCoveringTerritories(customer)
+      : [];
+
+    const coveredBy = await this.getServingEngineers(territories);
+
+    const engineers = await User.find({
+      isActive: true,
+      $or: [{ role: ROLES.ENGINEER }, { _id: { $in: [...coveredBy.keys()] } }],
+    }).select(`${ENGINEER_FIELDS} availability`);
+
+    const statuses = await AvailabilityService.checkUsers(engineers);
+
+    const suggestions = engineers
+      .map((engineer) => {
+        const key = engineer._id.toString();
+        return {
+          _id: engineer._id,
+          name: engineer.name,
+          email: engineer.email,
+          role: engineer.role,
+          location: engineer.location,
+          territories: coveredBy.get(key) || [],
+          coversCustomer: coveredBy.has(key),
+          ...statuses.get(key),
+          isCurrentAssignee:
+            !!ticket.assignedTo && ticket.assignedTo.toString() === key,
+        };
+      })
+      .sort(
+        (a, b) =>
+          b.available - a.available ||
+          b.coversCustomer - a.coversCustomer ||
+          a.openTickets - b.openTickets ||
+          a.name.localeCompare(b.name)
+      );
+
+    return {
+      customer,
+      territories: territories.map((territory) => ({
+        _id: territory._id,
+        name: territory.name,
+      })),
+      engineers: suggestions,
+    };
+  }
+
+  /**
+   * Ticket load per territory. A customer covered by several territories
+   * counts towards each of them; customers covered by none are reported
+   * under "unmapped".
+   * @param {Object} filters - startDate and endDate on ticket creation
+   * @returns {Promise<Object>} - { territories, unmapped }
+   */
+  static async getLoadReport(filters = {}) {
+    const match = {};
+    if (filters.startDate || filters.endDate) {
+      match.createdAt = {};
+      if (filters.startDate) match.createdAt.$gte = new Date(filters.startDate);
+      if (filters.endDate) match.createdAt.$lte = new Date(filters.endDate);
+    }
+
+    const perCustomer = await Ticket.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$customerId",
+          total: { $sum: 1 },
+          open: {
+            $sum: {
+              $cond: [{ $in: ["$status", CLOSED_TICKET_STATUSES] }, 0, 1],
+            },
+          },
+          breached: {
+            $sum: { $cond: [{ $eq: ["$sla.status", "BREACHED"] }, 1, 0] },
+          },
+        },
+      },
+    ]);
+
+    const customers = await Customer.find({
+      _id: { $in: perCustomer.map((entry) => entry._id) },
+    }).select("state city pincode");
+    const locations = new Map(
+      customers.map((customer) => [customer._id.toString(), customer])
+    );
+
+    const territories = await Territory.find({ isActive: true }).sort({
+      name: 1,
+    });
+    const servedBy = await this.getServingEngineers(territories);
+    const activeUsers = await User.find({
+      _id: { $in: [...servedBy.keys()] },
+      isActive: true,
+    }).select("_id");
+    const engineerCounts = new Map();
+    for (const user of activeUsers) {
+      for (const name of servedBy.get(user._id.toString())) {
+        engineerCounts.set(name, (engineerCounts.get(name) || 0) + 1);
+      }
+    }
+
+    const emptyLoad = () => ({
+      totalTickets: 0,
+      openTickets: 0,
+      closedTickets: 0,
+      slaBreached: 0,
+      customers: 0,
+    });
+    const rows = territories.map((territory) => ({
+      territory,
+      load: emptyLoad(),
+    }));
+    const unmapped = emptyLoad();
+
+    const add = (load, entry) => {
+      load.totalTickets += entry.total;
+      load.openTickets += entry.open;
+      load.closedTickets += entry.total - entry.open;
+      load.slaBreached += entry.breached;
+      load.customers += 1;
+    };
+
+    for (const entry of perCustomer) {
+      const location = entry._id && locations.get(entry._id.toString());
+      const covering = location
+        ? rows.filter((row) => row.territory.covers(location))
+        : [];
+
+      if (covering.length === 0) {
+        add(unmapped, entry);
+      }
+      for (const row of covering) {
+        add(row.load, entry);
+      }
+    }
+
+    return {
+      territories: rows.map(({ territory, load }) => {
+        const activeEngineers = engineerCounts.get(territory.name) || 0;
+
+        return {
+          _id: territory._id,
+          name: territory.name,
+          engineers: activeEngineers,
+          ...load,
+          openTicketsPerEngineer:
+            activeEngineers > 0
+              ? Math.round((load.openTickets / activeEngineers) * 100) / 100
+              : null,
+        };
+      }),
+      unmapped,
+    };
+  }
+
+  /**
+   * @private
+   */
+  static validateRanges(ranges) {
+    for (const range of ranges || []) {
+      if (Number(range.from) > Number(range.to)) {
+        throw ApiError.badRequest(
+          `Pincode range ${range.from}-${range.to} ends before it starts`
+        );
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  static async validateEngineers(engineerIds) {
+    if (!engineerIds || engineerIds.length === 0) return;
+
+    const found = await User.countDocuments({ _id: { $in: engineerIds } });
+    if (found !== new Set(engineerIds.map(String)).size) {
+      throw ApiError.badRequest("One or more engineers were not found");
+    }
+  }
+
+  /**
+   * @private
+   */
+  static async validateTeams(teamIds) {
+    if (!teamIds || teamIds.length === 0) return;
+
+    const found = await Team.countDocuments({ _id: { $in: teamIds } });
+    if (found !== new Set(teamIds.map(String)).size) {
+      throw ApiError.badRequest("One or more teams were not found");
+    }
+  }
+
+  /**
+   * @private
+   */
+  static translateError(error, name) {
+    if (error.code === 11000) {
+      return ApiError.conflict(`A territory named "${name}" exists`);
+    }
+    return error;
+  }
+}
+
+module.exports = TerritoryService;
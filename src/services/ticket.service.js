@@ -4,14 +4,36 @@ const Item = require("../models/item.model");
 const TicketSettings = require("../models/ticketSettings.model");
 const ApiError = require("../utils/apiError.util");
 const { ROLES, PERMISSIONS, hasPermission } = require("../config/roles");
-const { notify } = require("./notification.service");
+const {
+  isTransitionAllowed,
+  getRoleTransitions,
+  CLOSED_TICKET_STATUSES,
+} = require("../config/ticketWorkflow");
+const { notify, notifyCustomer } = require("./notification.service");
 const { uploadToCloudinary } = require("../middlewares/cloudinary.middleware");
 const Customer = require("../models/customer.model");
-const NotificationService = require("./notification.service");
 const Role = require("../models/role.model");
 const ExcelJS = require("exceljs");
 const mongoose = require("mongoose");
-const { sendWhatsAppMessage } = require("../utils/whatsapp.utils");
+const SlaService = require("./sla.service");
+const BusinessCalendarService = require("./businessCalendar.service");
+const NotificationTemplateService = require("./notificationTemplate.service");
+const RealtimeService = require("./realtime.service");
+const { TicketActivityService } = require("./ticketActivity.service");
+const AssignmentRuleService = require("./assignmentRule.service");
+const AvailabilityService = require("./availability.service");
+const TeamService = require("./team.service");
+const SerialUnitService = require("./serialUnit.service");
+const SerialMetadataService = require("./serialMetadata.service");
+const Team = require("../models/team.model");
+
+// Ticket statuses that trigger a customer lifecycle notification
+const CUSTOMER_STATUS_EVENTS = {
+  ASSIGNED: "TICKET_ASSIGNED",
+  RESOLVED: "TICKET_RESOLVED",
+  CLOSED: "TICKET_CLOSED",
+  CLOSED_BY_CUSTOMER: "TICKET_CLOSED",
+};
 
 class TicketService {
   /**
@@ -25,39 +47,23 @@ class TicketService {
   static async getAllTickets(query, options, userId, userRole) {
     let queryObject = { ...query };
 
-    if (queryObject.problem) {
-      queryObject.problems = queryObject.problem;
-      delete queryObject.problem;
-    }
-
     // Handle type filter
-    if (queryObject.type) {
+    if (queryObject.type && queryObject.type.$in) {
+      queryObject.type = {
+        $in: queryObject.type.$in.map((type) => type.toUpperCase()),
+      };
+    } else if (queryObject.type) {
       queryObject.type = queryObject.type.toUpperCase();
     }
 
-    if (userRole === ROLES.ENGINEER && !queryObject.assignedTo) {
-      queryObject = {
-        ...queryObject,
-        $or: [{ assignedTo: userId }, { createdBy: userId }],
-      };
-    } else if (userRole === ROLES.SUPPORT_MANAGER) {
-      if (!queryObject.$or) {
-        const engineersUnderManager = await User.find({
-          role: ROLES.ENGINEER,
-        }).select("_id");
-
-        const engineerIds = engineersUnderManager.map((e) => e._id);
-
-        queryObject = {
-          ...queryObject,
-          $or: [
-            { assignedTo: userId },
-            { createdBy: userId },
-            { assignedTo: { $in: engineerIds } },
-            { status: "PENDING_APPROVAL" },
-          ],
-        };
-      }
+    if (
+      (userRole === ROLES.ENGINEER && !queryObject.assignedTo) ||
+      userRole === ROLES.SUPPORT_MANAGER
+    ) {
+      // Kept beside, not merged into, any search $or so neither replaces
+      // the other
+      const visibility = await this.getVisibilityFilter(userId, userRole);
+      queryObject.$and = [...(queryObject.$and || []), visibility];
     }
 
     const updatedOptions = {
@@ -77,6 +83,54 @@ class TicketService {
     return await Ticket.paginate(queryObject, updatedOptions);
   }
 
+  /**
+   * Build the query condition limiting tickets to the ones a role may list.
+   * Engineers see their own tickets. Support managers who run teams see
+   * their own tickets, their teams' queues and tickets assigned to their
+   * team members; those who run no team still see every engineer's tickets
+   * and tickets awaiting approval.
+   * @param {String} userId - ID of the user making the request
+   * @param {String} userRole - Role of the user making the request
+   * @returns {Promise<Object>} - Query condition (empty for other roles)
+   */
+  static async getVisibilityFilter(userId, userRole) {
+    if (userRole === ROLES.ENGINEER) {
+      return { $or: [{ assignedTo: userId }, { createdBy: userId }] };
+    }
+
+    if (userRole === ROLES.SUPPORT_MANAGER) {
+      const { teamIds, memberIds } = await TeamService.getManagerScope(userId);
+
+      if (teamIds.length > 0) {
+        return {
+          $or: [
+            { assignedTo: userId },
+            { createdBy: userId },
+            { team: { $in: teamIds } },
+            { assignedTo: { $in: memberIds } },
+          ],
+        };
+      }
+
+      const engineersUnderManager = await User.find({
+        role: ROLES.ENGINEER,
+      }).select("_id");
+
+      const engineerIds = engineersUnderManager.map((e) => e._id);
+
+      return {
+        $or: [
+          { assignedTo: userId },
+          { createdBy: userId },
+          { assignedTo: { $in: engineerIds } },
+          { status: "PENDING_APPROVAL" },
+        ],
+      };
+    }
+
+    return {};
+  }
+
   /**
    * Get ticket by ID
    * @param {String} id - Ticket ID
@@ -91,9 +145,7 @@ class TicketService {
       .populate("assignedBy", "name email role")
       .populate("approvedBy", "name email role")
       .populate("resolvedBy", "name email role")
-      .populate("closedBy", "name email role")
-      .populate("comments.createdBy", "name email role")
-      .populate("attachments.uploadedBy", "name email role");
+      .populate("closedBy", "name email role");
 
     if (!ticket) {
       throw ApiError.notFound("Ticket not found");
@@ -147,6 +199,14 @@ class TicketService {
       type: formData.type || "SERVICE",
     };
 
+    if (formData.teamId) {
+      const team = await Team.findById(formData.teamId);
+      if (!team || !team.isActive) {
+        throw ApiError.badRequest("Team not found or inactive");
+      }
+      ticketData.team = team._id;
+    }
+
     if (ticketData.itemId) {
       const item = await Item.findById(ticketData.itemId);
       if (!item) {
@@ -160,26 +220,82 @@ class TicketService {
       }
     }
 
+    const calendar = await BusinessCalendarService.getCalendar();
+
     if (!ticketData.dueDate) {
       const priority = ticketData.priority || "MEDIUM";
       const daysToAdd =
         settings.priorityDueDates[priority] || settings.defaultDueDateDays;
 
-      const dueDate = new Date();
-      dueDate.setDate(dueDate.getDate() + daysToAdd);
-      ticketData.dueDate = dueDate;
+      // Count working days only, so due dates never land on a weekly off
+      // day or a holiday in the customer's state
+      ticketData.dueDate = BusinessCalendarService.addWorkingDays(
+        calendar,
+        new Date(),
+        daysToAdd,
+        customer.state
+      );
+    }
+
+    if (settings.slaEnabled !== false) {
+      const slaTargets = SlaService.calculateTargets(
+        settings,
+        ticketData.priority,
+        ticketData.type,
+        new Date(),
+        calendar,
+        customer.state
+      );
+
+      if (slaTargets) {
+        ticketData.sla = { ...slaTargets, status: "ON_TRACK" };
+      }
     }
 
     let assignToData = {};
+    let assignmentRecord = null;
+
+    // Assignment rules pick an engineer first; a failure here must not stop
+    // the ticket from being created. Tickets raised into a team queue wait
+    // there for the team to pick them up.
+    try {
+      const { assignee, rule } = ticketData.team
+        ? {}
+        : await AssignmentRuleService.findAssignee(ticketData, customer);
+
+      if (assignee) {
+        assignToData = {
+          assignedTo: assignee._id,
+          assignedBy: userId,
+          assignedAt: new Date(),
+          status: "ASSIGNED",
+        };
+
+        assignmentRecord = {
+          assignedTo: assignee._id,
+          assignedBy: userId,
+          assignedAt: new Date(),
+          notes: `Auto-assigned by rule "${rule.name}" (${rule.strategy})`,
+        };
+      }
+    } catch (error) {
+      console.error("Error applying assignment rules:", error);
+    }
+
     if (
+      !assignmentRecord &&
+      !ticketData.team &&
       settings.defaultAssignToSupportManager &&
       userRole !== ROLES.SUPER_ADMIN &&
       userRole !== ROLES.SUPPORT_MANAGER
     ) {
-      const supportManager = await User.findOne({
+      const supportManagers = await User.find({
         role: ROLES.SUPPORT_MANAGER,
         isActive: true,
       }).sort({ lastLogin: -1 });
+      const { available } =
+        await AvailabilityService.partitionAvailable(supportManagers);
+      const supportManager = available[0];
 
       if (supportManager) {
         assignToData = {
@@ -189,22 +305,17 @@ class TicketService {
           status: "ASSIGNED",
         };
 
-        const assignmentRecord = {
+        assignmentRecord = {
           assignedTo: supportManager._id,
           assignedBy: userId,
           assignedAt: new Date(),
           notes: "Auto-assigned based on system settings",
         };
-
-        if (!ticketData.assignmentHistory) {
-          ticketData.assignmentHistory = [];
-        }
-
-        ticketData.assignmentHistory.push(assignmentRecord);
       }
     }
 
-    // Initialize comments array with the initial comment
+    // The initial comment and creation record are stored once the ticket
+    // has an ID
     const initialComment = {
       comment: formData.initialComment,
       createdBy: userId,
@@ -212,7 +323,6 @@ class TicketService {
       isInternal: false,
     };
 
-    // Initialize history array with the creation record
     const initialHistory = {
       action: "CREATED",
       performedBy: userId,
@@ -226,10 +336,14 @@ class TicketService {
       ...ticketData,
       ...assignToData,
       createdBy: userId,
-      comments: [initialComment],
-      history: [initialHistory],
     });
 
+    await TicketActivityService.addComment(ticket._id, initialComment);
+    await TicketActivityService.addHistory(ticket._id, initialHistory);
+    if (assignmentRecord) {
+      await TicketActivityService.addAssignment(ticket._id, assignmentRecord);
+    }
+
     // Update customer's ticket count and references
     await customer.addTicket(ticket._id);
 
@@ -277,10 +391,10 @@ class TicketService {
 
         const attachments = await Promise.all(uploadPromises);
 
-        ticket.attachments = attachments;
+        await TicketActivityService.addAttachments(ticket._id, attachments);
 
         // Add attachment history entry
-        const attachmentHistory = {
+        await TicketActivityService.addHistory(ticket._id, {
           action: "ATTACHMENT_ADDED",
           performedBy: userId,
           timestamp: new Date(),
@@ -288,10 +402,7 @@ class TicketService {
           changes: {
             attachments: attachments.map((a) => a.filename).join(", "),
           },
-        };
-
-        ticket.history.push(attachmentHistory);
-        await ticket.save();
+        });
       } catch (error) {
         console.error("Error processing attachments:", error);
       }
@@ -301,6 +412,12 @@ class TicketService {
     if (ticket.itemId && ticket.serialNumber) {
       await ticket.extractItemMetadata();
       await ticket.save();
+
+      try {
+        await SerialUnitService.linkTicket(ticket, userId);
+      } catch (error) {
+        console.error("Error linking ticket to serial unit:", error);
+      }
     }
 
     // Send notification if ticket is assigned
@@ -308,19 +425,10 @@ class TicketService {
       await this.notifyTicketAssignment(ticket, userId);
     }
 
-    // Notify customer about ticket creation
-    if (customer && customer.email) {
-      try {
-        await notify({
-          userId: userId, // The creator will be notified as a fallback
-          email: customer.email, // Direct email to customer
-          subject: `New Support Ticket Created: ${ticket.ticketId}`,
-          message: `Dear ${customer.name},\n\nA new support ticket has been created for you:\n\nTicket ID: ${ticket.ticketId}\nTitle: ${ticket.title}\nPriority: ${ticket.priority}\n\nWe'll be in touch with you soon regarding this matter.\n\nThank you for your patience.`,
-          notificationType: "TICKET_CREATED_CUSTOMER",
-        });
-      } catch (error) {
-        console.error("Failed to send customer notification:", error);
-      }
+    // Notify the customer if they opted in
+    await this.notifyCustomer(ticket, "TICKET_CREATED", userId, customer);
+    if (ticket.assignedTo) {
+      await this.notifyCustomer(ticket, "TICKET_ASSIGNED", userId, customer);
     }
 
     return ticket;
@@ -341,8 +449,6 @@ class TicketService {
       .populate("approvedBy", "name email role")
       .populate("resolvedBy", "name email role")
       .populate("closedBy", "name email role")
-      .populate("comments.createdBy", "name email role")
-      .populate("attachments.uploadedBy", "name email role")
       .populate(
         "customerId",
         "name mobile email address city state pincode village alternateMobile alternatePersonName"
@@ -383,7 +489,7 @@ class TicketService {
     }
 
     // Check if user has permissions to update this ticket
-    this.checkUpdatePermissions(ticket, updateData, userId, userRole);
+    await this.checkUpdatePermissions(ticket, updateData, userId, userRole);
 
     // Check if we need to change status
     const statusChanged =
@@ -394,15 +500,27 @@ class TicketService {
 
     // Apply status changes based on rules - this will modify updateData
     if (statusChanged) {
+      await this.validateStatusTransition(ticket, updateData.status, userRole);
       this.applyStatusChange(ticket, updateData, userId);
     }
 
+    // Moving the ticket along counts as the first response for SLA purposes
+    if (statusChanged) {
+      SlaService.recordFirstResponse(ticket, userId);
+    }
+
     // Remove non-ticket fields from updateData
     const cleanUpdate = { ...updateData };
     const fieldsToRemove = [
       "files",
       "attachmentsToDelete",
       "updateComment", // Our custom field that doesn't go into the ticket
+      // Stored in their own collections
+      "comments",
+      "attachments",
+      "photos",
+      "history",
+      "assignmentHistory",
     ];
 
     fieldsToRemove.forEach((field) => {
@@ -412,21 +530,18 @@ class TicketService {
     // Track what fields were changed
     const fieldChanges = [];
 
+    // History entries are written once the ticket has been saved
+    const historyEntries = [];
+
     // Prepare to track changes
     Object.keys(cleanUpdate).forEach((key) => {
-      if (
-        key !== "comments" &&
-        key !== "attachments" &&
-        key !== "assignmentHistory"
-      ) {
-        // Only track if values are different
-        if (JSON.stringify(ticket[key]) !== JSON.stringify(cleanUpdate[key])) {
-          fieldChanges.push({
-            field: key,
-            oldValue: ticket[key],
-            newValue: cleanUpdate[key],
-          });
-        }
+      // Only track if values are different
+      if (JSON.stringify(ticket[key]) !== JSON.stringify(cleanUpdate[key])) {
+        fieldChanges.push({
+          field: key,
+          oldValue: ticket[key],
+          newValue: cleanUpdate[key],
+        });
       }
     });
 
@@ -466,10 +581,13 @@ class TicketService {
           Array.isArray(attachmentsToDelete) &&
           attachmentsToDelete.length > 0
         ) {
-          // Get details of attachments being deleted for history
-          const deletedAttachments = ticket.attachments
-            .filter((a) => attachmentsToDelete.includes(a._id.toString()))
-            .map((a) => ({ id: a._id.toString(), name: a.filename }));
+          // Remove attachments that should be deleted
+          const deletedAttachments = (
+            await TicketActivityService.removeAttachments(
+              ticket._id,
+              attachmentsToDelete
+            )
+          ).map((a) => ({ id: a._id.toString(), name: a.filename }));
 
           // Add history entry for attachment removal
           if (deletedAttachments.length > 0) {
@@ -484,14 +602,8 @@ class TicketService {
                   .join(", "),
               },
             };
-            ticket.history.push(attachmentHistoryEntry);
+            historyEntries.push(attachmentHistoryEntry);
           }
-
-          // Remove attachments that should be deleted
-          ticket.attachments = ticket.attachments.filter(
-            (attachment) =>
-              !attachmentsToDelete.includes(attachment._id.toString())
-          );
         }
       } catch (e) {
         console.error("Error processing attachments to delete:", e);
@@ -534,7 +646,7 @@ class TicketService {
         const newAttachments = await Promise.all(uploadPromises);
 
         // Add the new attachments to the existing ones
-        ticket.attachments.push(...newAttachments);
+        await TicketActivityService.addAttachments(ticket._id, newAttachments);
 
         // Add history entry for adding attachments
         const attachmentHistoryEntry = {
@@ -546,7 +658,7 @@ class TicketService {
             addedAttachments: newAttachments.map((a) => a.filename).join(", "),
           },
         };
-        ticket.history.push(attachmentHistoryEntry);
+        historyEntries.push(attachmentHistoryEntry);
       } catch (error) {
         console.error("Error processing file attachments:", error);
       }
@@ -558,20 +670,19 @@ class TicketService {
     });
 
     // Add a comment about the update if there were changes
+    let updateComment = null;
     if (
       fieldChanges.length > 0 ||
       updateData.files ||
       updateData.attachmentsToDelete
     ) {
-      const commentData = {
+      updateComment = {
         comment: updateData.updateComment,
         isInternal: true, // System-generated update comments are internal
         createdBy: userId,
         createdAt: new Date(),
       };
 
-      ticket.comments.push(commentData);
-
       // Add history entry for the update
       const historyEntry = {
         action: statusChanged ? "STATUS_CHANGED" : "UPDATED",
@@ -581,12 +692,33 @@ class TicketService {
         fieldChanges: fieldChanges,
       };
 
-      ticket.history.push(historyEntry);
+      historyEntries.push(historyEntry);
+    }
+
+    // Re-calculate SLA targets if priority or type changed
+    if (
+      fieldChanges.some(
+        (change) => change.field === "priority" || change.field === "type"
+      )
+    ) {
+      const settings = await TicketSettings.getSingleton();
+      const calendar = await BusinessCalendarService.getCalendar();
+      const customer = await Customer.findById(ticket.customerId).select(
+        "state"
+      );
+      SlaService.applyPolicy(ticket, settings, calendar, customer?.state);
     }
 
     // Save the ticket
     await ticket.save();
 
+    if (updateComment) {
+      await TicketActivityService.addComment(ticket._id, updateComment);
+    }
+    if (historyEntries.length > 0) {
+      await TicketActivityService.addHistory(ticket._id, historyEntries);
+    }
+
     // Update ticket count for problems if they were changed
     if (fieldChanges.some((change) => change.field === "problems")) {
       const Problem = mongoose.model("Problem");
@@ -618,10 +750,22 @@ class TicketService {
     if (statusChanged) {
       const settings = await TicketSettings.getSingleton();
       if (settings.notifyOnStatusChange) {
-        await this.notifyStatusChange(ticket, userId);
+        await this.notifyStatusChange(ticket, userId, oldTicket.status);
+      }
+
+      if (CUSTOMER_STATUS_EVENTS[ticket.status]) {
+        await this.notifyCustomer(
+          ticket,
+          CUSTOMER_STATUS_EVENTS[ticket.status],
+          userId
+        );
       }
     }
 
+    await this.publishTicketEvent("ticket.updated", ticket, userId, {
+      previousStatus: statusChanged ? oldTicket.status : undefined,
+    });
+
     return ticket;
   }
 
@@ -672,7 +816,7 @@ class TicketService {
    * Check if user has permission to update the ticket
    * @private
    */
-  static checkUpdatePermissions(ticket, updateData, userId, userRole) {
+  static async checkUpdatePermissions(ticket, updateData, userId, userRole) {
     if (userRole === ROLES.ENGINEER) {
       if (ticket.assignedTo?.toString() !== userId?.toString()) {
         throw ApiError.forbidden(
@@ -699,12 +843,13 @@ class TicketService {
         ticket.assignedTo?.toString() !== userId &&
         ticket.createdBy.toString() !== userId
       ) {
-        const isEngineerUnderManager = User.exists({
-          _id: ticket.assignedTo,
-          role: ROLES.ENGINEER,
+        // Managers may update the tickets they are allowed to list
+        const isVisible = await Ticket.exists({
+          _id: ticket._id,
+          ...(await this.getVisibilityFilter(userId, userRole)),
         });
 
-        if (!isEngineerUnderManager) {
+        if (!isVisible) {
           throw ApiError.forbidden(
             "You do not have permission to update this ticket"
           );
@@ -714,52 +859,55 @@ class TicketService {
   }
 
   /**
-   * Handle status changes and related fields
+   * Ensure the requested status change is allowed by the configured workflow
    * @private
    */
-  static handleStatusChange(ticket, updateData, userId) {
-    switch (updateData.status) {
-      case "RESOLVED":
-        updateData.resolvedBy = userId;
-        updateData.resolvedAt = new Date();
+  static async validateStatusTransition(ticket, nextStatus, userRole) {
+    const settings = await TicketSettings.getSingleton();
 
-        // Check if auto-approval is needed
-        const settings = TicketSettings.getSingleton();
-        if (
-          !settings.autoApproval ||
-          !settings.autoApprovalRoles.includes(userRole)
-        ) {
-          updateData.status = "PENDING_APPROVAL";
-        }
-        break;
+    if (
+      !isTransitionAllowed(
+        settings.statusTransitions,
+        userRole,
+        ticket.status,
+        nextStatus
+      )
+    ) {
+      const allowed =
+        getRoleTransitions(settings.statusTransitions, userRole)[
+          ticket.status
+        ] || [];
+
+      throw ApiError.validationError(
+        `Cannot change ticket status from ${ticket.status} to ${nextStatus}`,
+        [
+          {
+            field: "status",
+            message: allowed.length
+              ? `Allowed next statuses: ${allowed.join(", ")}`
+              : `No status changes are allowed from ${ticket.status} for your role`,
+          },
+        ]
+      );
+    }
 
-      case "CLOSED":
-        updateData.closedBy = userId;
-        updateData.closedAt = new Date();
-        break;
+    if (nextStatus === "REOPENED") {
+      if (!settings.allowReopenClosedTickets) {
+        throw ApiError.forbidden("Reopening closed tickets is not allowed");
+      }
 
-      case "REOPENED":
-        // Check if reopening is allowed
-        const ticketSettings = TicketSettings.getSingleton();
-        if (!ticketSettings.allowReopenClosedTickets) {
-          throw ApiError.forbidden("Reopening closed tickets is not allowed");
-        }
+      if (ticket.closedAt) {
+        const daysSinceClosure = Math.ceil(
+          (new Date() - new Date(ticket.closedAt)) / (1000 * 60 * 60 * 24)
+        );
 
-        if (ticket.closedAt) {
-          const daysSinceClosure = Math.ceil(
-            (new Date() - new Date(ticket.closedAt)) / (1000 * 60 * 60 * 24)
+        if (daysSinceClosure > settings.reopenWindowDays) {
+          throw ApiError.forbidden(
+            `Tickets can only be reopened within ${settings.reopenWindowDays} days of closure`
           );
-
-          if (daysSinceClosure > ticketSettings.reopenWindowDays) {
-            throw ApiError.forbidden(
-              `Tickets can only be reopened within ${ticketSettings.reopenWindowDays} days of closure`
-            );
-          }
         }
-        break;
+      }
     }
-
-    return updateData;
   }
 
   /**
@@ -778,21 +926,17 @@ class TicketService {
     }
 
     // Check permissions
-    this.checkUpdatePermissions(ticket, {}, userId, userRole);
+    await this.checkUpdatePermissions(ticket, {}, userId, userRole);
 
-    // Find the attachment
-    const attachmentIndex = ticket.attachments.findIndex(
-      (a) => a._id.toString() === attachmentId
-    );
+    // Remove the attachment
+    const removed = await TicketActivityService.removeAttachments(ticket._id, [
+      attachmentId,
+    ]);
 
-    if (attachmentIndex === -1) {
+    if (removed.length === 0) {
       throw ApiError.notFound("Attachment not found");
     }
 
-    // Remove the attachment
-    ticket.attachments.splice(attachmentIndex, 1);
-    await ticket.save();
-
     return ticket;
   }
 
@@ -851,20 +995,18 @@ class TicketService {
 
       const attachments = await Promise.all(uploadPromises);
 
-      ticket.attachments.push(...attachments);
+      await TicketActivityService.addAttachments(ticket._id, attachments);
 
       // Add a comment about the attachments
-      const commentData = {
+      await TicketActivityService.addComment(ticket._id, {
         comment: formData.comment,
         createdBy: userId,
         createdAt: new Date(),
         isInternal: formData.isInternal || false,
-      };
-
-      ticket.comments.push(commentData);
+      });
 
       // Add history entry for attachment added
-      const historyEntry = {
+      await TicketActivityService.addHistory(ticket._id, {
         action: "ATTACHMENT_ADDED",
         performedBy: userId,
         timestamp: new Date(),
@@ -872,11 +1014,7 @@ class TicketService {
         changes: {
           attachments: attachments.map((a) => a.filename).join(", "),
         },
-      };
-
-      ticket.history.push(historyEntry);
-
-      await ticket.save();
+      });
 
       return ticket;
     } catch (error) {
@@ -931,6 +1069,11 @@ class TicketService {
       );
     }
 
+    // Refuses the assignment when unavailable users are blocked by the
+    // ticket settings; otherwise returns warnings to pass back
+    const availabilityWarnings =
+      await AvailabilityService.checkAssignment(assignToUser);
+
     const assignmentRecord = {
       assignedTo: assignToUserId,
       assignedBy: assignedByUserId,
@@ -938,12 +1081,6 @@ class TicketService {
       notes: notes,
     };
 
-    if (!ticket.assignmentHistory) {
-      ticket.assignmentHistory = [];
-    }
-
-    ticket.assignmentHistory.push(assignmentRecord);
-
     ticket.assignedTo = assignToUserId;
     ticket.assignedBy = assignedByUserId;
     ticket.assignedAt = new Date();
@@ -964,38 +1101,125 @@ class TicketService {
       },
     };
 
-    ticket.history.push(historyEntry);
-
     // Save ticket
     await ticket.save();
 
+    await TicketActivityService.addAssignment(ticket._id, assignmentRecord);
+    await TicketActivityService.addHistory(ticket._id, historyEntry);
+
     // Notify the assigned user
     await this.notifyTicketAssignment(ticket, assignedByUserId);
+    await this.notifyCustomer(ticket, "TICKET_ASSIGNED", assignedByUserId);
+
+    await this.publishTicketEvent("ticket.assigned", ticket, assignedByUserId);
+
+    ticket.$locals.availabilityWarnings = availabilityWarnings;
 
     return ticket;
   }
 
   /**
-   * Get ticket assignment history
+   * Put a ticket in a team's queue. An assignee outside the team is removed
+   * so a team member can pick the ticket up.
    * @param {String} ticketId - Ticket ID
-   * @returns {Promise<Array>} - Assignment history data
+   * @param {String} teamId - ID of the team
+   * @param {String} assignedByUserId - ID of the user making the assignment
+   * @param {String} notes - Optional notes about the assignment
+   * @returns {Promise<Object>} - Updated ticket data
    */
-  static async getTicketAssignmentHistory(ticketId) {
-    const ticket = await Ticket.findById(ticketId)
-      .populate({
-        path: "assignmentHistory.assignedTo",
-        select: "name email role",
-      })
-      .populate({
-        path: "assignmentHistory.assignedBy",
-        select: "name email role",
-      });
+  static async assignTicketToTeam(
+    ticketId,
+    teamId,
+    assignedByUserId,
+    notes = ""
+  ) {
+    const ticket = await Ticket.findById(ticketId);
 
     if (!ticket) {
       throw ApiError.notFound("Ticket not found");
     }
 
-    return ticket.assignmentHistory;
+    if (CLOSED_TICKET_STATUSES.includes(ticket.status)) {
+      throw ApiError.badRequest(
+        `Cannot move a ${ticket.status.toLowerCase()} ticket to a team queue`
+      );
+    }
+
+    const team = await Team.findById(teamId);
+    if (!team) {
+      throw ApiError.notFound("Team not found");
+    }
+
+    if (!team.isActive) {
+      throw ApiError.badRequest("Cannot assign ticket to an inactive team");
+    }
+
+    const previousTeam = ticket.team || "None";
+    const previousAssignee = ticket.assignedTo;
+    const keepsAssignee =
+      previousAssignee &&
+      team.members.some((member) => member.equals(previousAssignee));
+
+    ticket.team = team._id;
+
+    if (previousAssignee && !keepsAssignee) {
+      ticket.assignedTo = undefined;
+      ticket.assignedBy = undefined;
+      ticket.assignedAt = undefined;
+
+      if (ticket.status === "ASSIGNED") {
+        ticket.status = "OPEN";
+      }
+    }
+
+    await ticket.save();
+
+    await TicketActivityService.addHistory(ticket._id, {
+      action: "ASSIGNED",
+      performedBy: assignedByUserId,
+      timestamp: new Date(),
+      comment: notes || `Ticket moved to the ${team.name} queue`,
+      changes: {
+        team: team._id,
+        previousTeam,
+        assignedTo: ticket.assignedTo || "None",
+        previousAssignee: previousAssignee || "None",
+        status: ticket.status,
+      },
+    });
+
+    await this.publishTicketEvent("ticket.assigned", ticket, assignedByUserId);
+
+    return ticket;
+  }
+
+  /**
+   * Get ticket assignment history
+   * @param {String} ticketId - Ticket ID
+   * @returns {Promise<Array>} - Assignment history data
+   */
+  static async getTicketAssignmentHistory(ticketId) {
+    return await TicketActivityService.getAssignmentHistory(ticketId);
+  }
+
+  /**
+   * Serial numbers an item's sheet lists, for picking one on a ticket
+   * @param {String} itemId - Item ID
+   * @param {Object} query - search (prefix), page and limit
+   * @returns {Promise<Object>} - { item, results, pagination }
+   */
+  static async getAvailableSerialNumbers(itemId, query) {
+    return await SerialMetadataService.getItemSerialNumbers(itemId, query);
+  }
+
+  /**
+   * Sheet metadata of an item's serial number
+   * @param {String} itemId - Item ID
+   * @param {String} serialNumber - Serial number
+   * @returns {Promise<Object>}
+   */
+  static async getSerialNumberMetadata(itemId, serialNumber) {
+    return await SerialMetadataService.getMetadata(itemId, serialNumber);
   }
 
   /**
@@ -1030,11 +1254,13 @@ class TicketService {
       },
     };
 
-    ticket.history.push(historyEntry);
-
     await ticket.save();
+    await TicketActivityService.addHistory(ticket._id, historyEntry);
 
     await this.notifyTicketApproved(ticket, userId);
+    await this.notifyCustomer(ticket, "TICKET_RESOLVED", userId);
+
+    await this.publishTicketEvent("ticket.approved", ticket, userId);
 
     return ticket;
   }
@@ -1063,7 +1289,9 @@ class TicketService {
       attachments: attachments || [],
     };
 
-    ticket.comments.push(commentData);
+    if (!isInternal) {
+      SlaService.recordFirstResponse(ticket, userId);
+    }
 
     // Add to history
     const historyEntry = {
@@ -1077,15 +1305,110 @@ class TicketService {
       },
     };
 
-    ticket.history.push(historyEntry);
     await ticket.save();
 
+    const savedComment = await TicketActivityService.addComment(
+      ticket._id,
+      commentData
+    );
+    await TicketActivityService.addHistory(ticket._id, historyEntry);
+
     // Notify relevant parties about the new comment
     await this.notifyNewComment(ticket, commentData, userId);
 
+    await this.publishTicketEvent("ticket.comment_added", ticket, userId, {
+      comment: {
+        _id: savedComment._id,
+        isInternal: savedComment.isInternal,
+        createdBy: savedComment.createdBy,
+        createdAt: savedComment.createdAt,
+      },
+    });
+
     return ticket;
   }
 
+  /**
+   * Check whether a user may see a ticket. Mirrors the role filters applied
+   * when listing tickets.
+   * @param {Object} ticket - Ticket object
+   * @param {Object} user - { userId, role }
+   * @param {String} assigneeRole - Role of the ticket's assignee, if any
+   * @param {Object} teamAccess - From TeamService.getTicketTeamAccess
+   * @returns {Boolean}
+   */
+  static canViewTicket(ticket, user, assigneeRole, teamAccess) {
+    const idOf = (ref) => (ref && ref._id ? ref._id : ref)?.toString();
+    const isAssignee = idOf(ticket.assignedTo) === user.userId.toString();
+    const isCreator = idOf(ticket.createdBy) === user.userId.toString();
+
+    if (user.role === ROLES.ENGINEER) {
+      return isAssignee || isCreator;
+    }
+
+    if (user.role === ROLES.SUPPORT_MANAGER) {
+      if (isAssignee || isCreator) return true;
+
+      const managerId = user.userId.toString();
+      if (teamAccess && teamAccess.managers.has(managerId)) {
+        return teamAccess.ticketManagers.has(managerId);
+      }
+
+      return (
+        assigneeRole === ROLES.ENGINEER || ticket.status === "PENDING_APPROVAL"
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Push a ticket event to connected users who may see the ticket
+   * @param {String} event - Event name (e.g. ticket.assigned)
+   * @param {Object} ticket - Ticket object
+   * @param {String} actionUserId - ID of the user who performed the action
+   * @param {Object} details - Extra event data
+   * @private
+   */
+  static async publishTicketEvent(event, ticket, actionUserId, details = {}) {
+    if (RealtimeService.getConnectionCount() === 0) return;
+
+    try {
+      const assignee = ticket.assignedTo
+        ? await User.findById(ticket.assignedTo).select("role")
+        : null;
+      const teamAccess = await TeamService.getTicketTeamAccess(ticket);
+
+      RealtimeService.broadcast(
+        event,
+        {
+          ticket: {
+            _id: ticket._id,
+            ticketId: ticket.ticketId,
+            title: ticket.title,
+            status: ticket.status,
+            priority: ticket.priority,
+            team: ticket.team,
+            assignedTo: ticket.assignedTo,
+            updatedAt: ticket.updatedAt,
+          },
+          performedBy: actionUserId,
+          timestamp: new Date(),
+          ...details,
+        },
+        (user) =>
+          this.canViewTicket(
+            ticket,
+            user,
+            assignee ? assignee.role : null,
+            teamAccess
+          )
+      );
+    } catch (error) {
+      console.error("Failed to publish ticket event:", error);
+    }
+  }
+
   /**
    * Notify user about ticket assignment
    * @param {Object} ticket - Ticket object
@@ -1099,126 +1422,76 @@ class TicketService {
     if (!assignedUser) return;
 
     const actionUser = await User.findById(actionUserId);
-    const actionUsername = actionUser ? actionUser.name : "A user";
+    const customer = await Customer.findById(ticket.customerId);
+
+    const templateData = await NotificationTemplateService.buildTicketContext(
+      ticket,
+      { actor: actionUser, customer, assignee: assignedUser }
+    );
 
+    // The WhatsApp assignment template carries customer details, so it only
+    // goes out when the customer has a mobile number on file
     await notify({
       userId: ticket.assignedTo,
-      subject: `New Ticket Assignment: ${ticket.title} (#${ticket._id.toString().slice(-6)})`,
-      message: `${actionUsername} has assigned you a ticket titled "${ticket.title}" with ${ticket.priority} priority. Please review and take necessary action.`,
       notificationType: "TICKET_ASSIGNED",
+      ticketId: ticket._id,
+      templateData,
+      requiredChannels: customer && customer.mobile ? ["whatsapp"] : [],
     });
-
-    try {
-      const customer = await Customer.findById(ticket.customerId);
-      if (!customer || !customer.mobile) return;
-
-      const dueDate = ticket.dueDate
-        ? new Date(ticket.dueDate).toLocaleDateString("en-GB")
-        : "Not set";
-
-      const location = [
-        ticket.type,
-        ticket.serialNumber,
-        `${customer.city}, ${customer.state} - ${customer.pincode}`,
-        customer.village || "",
-      ]
-        .filter(Boolean)
-        .join(" / ");
-
-      const customerInfo = `${customer.name} - ${customer.mobile}`;
-
-      await sendWhatsAppMessage({
-        mobileNo: assignedUser.mobileNumber,
-        countryCode: "+91",
-        templateName: "assign_ticket_template_3",
-        text1: ticket.ticketId || ticket._id.toString().slice(-6),
-        text2: assignedUser.name || "Not assigned",
-        text3: dueDate || "Not set",
-        text4: customerInfo || "No customer info",
-        text5: location,
-      });
-    } catch (error) {
-      console.error("Failed to send WhatsApp notification:", error);
-    }
   }
 
   /**
    * Notify users about ticket status change
    * @param {Object} ticket - Ticket object
    * @param {String} actionUserId - ID of the user who performed the action
+   * @param {String} previousStatus - Status before the change
    * @private
    */
-  static async notifyStatusChange(ticket, actionUserId) {
-    const actionUser = await User.findById(actionUserId);
-    const actionUsername = actionUser ? actionUser.name : "A user";
-
+  static async notifyStatusChange(ticket, actionUserId, previousStatus) {
     // Determine who needs to be notified based on ticket status
     let notifyUserId;
-    let message;
 
     switch (ticket.status) {
       case "RESOLVED":
-        // Notify creator
-        notifyUserId = ticket.createdBy;
-        message = `Your ticket "${ticket.title}" has been resolved by ${actionUsername}.`;
-        break;
-
-      case "ASSIGNED":
-        // Notify assigned user
-        notifyUserId = ticket.assignedTo;
-        message = `A ticket "${ticket.title}" has been assigned to you by ${actionUsername}.`;
-        break;
-
       case "CLOSED":
+      case "IN_PROGRESS":
         // Notify creator
         notifyUserId = ticket.createdBy;
-        message = `Your ticket "${ticket.title}" has been closed by ${actionUsername}.`;
         break;
 
+      case "ASSIGNED":
       case "CLOSED_BY_CUSTOMER":
         // Notify assigned user (if any)
-        if (ticket.assignedTo) {
-          notifyUserId = ticket.assignedTo;
-          message = `Ticket "${ticket.title}" has been closed by the customer according to ${actionUsername}.`;
-        }
+        notifyUserId = ticket.assignedTo;
         break;
 
       case "REOPENED":
         // Notify assigned user or most recently assigned user
         if (ticket.assignedTo) {
           notifyUserId = ticket.assignedTo;
-        } else if (
-          ticket.assignmentHistory &&
-          ticket.assignmentHistory.length > 0
-        ) {
+        } else {
           const latestAssignment =
-            ticket.assignmentHistory[ticket.assignmentHistory.length - 1];
-          notifyUserId = latestAssignment.assignedTo;
+            await TicketActivityService.getLatestAssignment(ticket._id);
+          notifyUserId = latestAssignment?.assignedTo;
         }
-        message = `Ticket "${ticket.title}" has been reopened by ${actionUsername}.`;
-        break;
-
-      case "IN_PROGRESS":
-        // Notify creator
-        notifyUserId = ticket.createdBy;
-        message = `Your ticket "${ticket.title}" is now in progress.`;
         break;
     }
 
-    if (notifyUserId && notifyUserId !== actionUserId) {
-      // Add notification logic here
-      try {
-        await NotificationService.addNotification({
-          userId: notifyUserId,
-          title: "Ticket Status Update",
-          message,
-          type: "TICKET_UPDATE",
-          referenceId: ticket._id,
-        });
-      } catch (error) {
-        console.error("Failed to send notification:", error);
-      }
+    if (!notifyUserId || notifyUserId.toString() === actionUserId.toString()) {
+      return;
     }
+
+    const actionUser = await User.findById(actionUserId);
+
+    await notify({
+      userId: notifyUserId,
+      notificationType: "TICKET_STATUS_CHANGED",
+      ticketId: ticket._id,
+      templateData: await NotificationTemplateService.buildTicketContext(
+        ticket,
+        { actor: actionUser, previousStatus }
+      ),
+    });
   }
 
   /**
@@ -1231,13 +1504,15 @@ class TicketService {
     if (!ticket.resolvedBy) return;
 
     const actionUser = await User.findById(actionUserId);
-    const actionUsername = actionUser ? actionUser.name : "A user";
 
     await notify({
       userId: ticket.resolvedBy,
-      subject: `Resolution Approved: ${ticket.title} (#${ticket._id.toString().slice(-6)})`,
-      message: `${actionUsername} has approved your resolution for ticket "${ticket.title}" (#${ticket._id.toString().slice(-6)}).`,
       notificationType: "TICKET_APPROVED",
+      ticketId: ticket._id,
+      templateData: await NotificationTemplateService.buildTicketContext(
+        ticket,
+        { actor: actionUser }
+      ),
     });
   }
 
@@ -1249,6 +1524,12 @@ class TicketService {
    * @private
    */
   static async notifyNewComment(ticket, comment, actionUserId) {
+    const actionUser = await User.findById(actionUserId);
+    const templateData = await NotificationTemplateService.buildTicketContext(
+      ticket,
+      { actor: actionUser, comment }
+    );
+
     if (comment.isInternal) {
       // For internal comments, notify only staff
       const staffToNotify = [];
@@ -1272,16 +1553,13 @@ class TicketService {
         }
       }
 
-      const actionUser = await User.findById(actionUserId);
-      const actionUsername = actionUser ? actionUser.name : "A user";
-
       // Send notifications
       for (const userId of staffToNotify) {
         await notify({
           userId,
-          subject: `New Internal Comment: ${ticket.title} (#${ticket._id.toString().slice(-6)})`,
-          message: `${actionUsername} left an internal comment on ticket "${ticket.title}": "${comment.comment.substring(0, 100)}${comment.comment.length > 100 ? "..." : ""}"`,
           notificationType: "TICKET_COMMENT_INTERNAL",
+          ticketId: ticket._id,
+          templateData,
         });
       }
     } else {
@@ -1295,20 +1573,69 @@ class TicketService {
         usersToNotify.push(ticket.assignedTo);
       }
 
-      const actionUser = await User.findById(actionUserId);
-      const actionUsername = actionUser ? actionUser.name : "A user";
-
       for (const userId of usersToNotify) {
         await notify({
           userId,
-          subject: `New Comment: ${ticket.title} (#${ticket._id.toString().slice(-6)})`,
-          message: `${actionUsername} commented on ticket "${ticket.title}": "${comment.comment.substring(0, 100)}${comment.comment.length > 100 ? "..." : ""}"`,
           notificationType: "TICKET_COMMENT",
+          ticketId: ticket._id,
+          templateData,
         });
       }
     }
   }
 
+  /**
+   * Send a lifecycle update to the ticket's customer on the channels they
+   * opted into, and record the messages in the ticket history
+   * @param {Object} ticket - Ticket object
+   * @param {String} event - Customer lifecycle event (e.g. TICKET_RESOLVED)
+   * @param {String} actionUserId - ID of the user who performed the action
+   * @param {Object} customer - Customer document, if already loaded
+   * @private
+   */
+  static async notifyCustomer(ticket, event, actionUserId, customer) {
+    try {
+      const ticketCustomer =
+        customer || (await Customer.findById(ticket.customerId));
+      if (!ticketCustomer) return;
+
+      const templateData = await NotificationTemplateService.buildTicketContext(
+        ticket,
+        { customer: ticketCustomer }
+      );
+
+      const { results } = await notifyCustomer({
+        customer: ticketCustomer,
+        event,
+        templateData,
+        ticketId: ticket._id,
+      });
+
+      if (!results || results.length === 0) return;
+
+      const channels = [...new Set(results.map((r) => r.channel))];
+
+      await TicketActivityService.addHistory(ticket._id, {
+        action: "CUSTOMER_NOTIFIED",
+        performedBy: actionUserId,
+        timestamp: new Date(),
+        comment: `Customer notified of ${event} via ${channels.join(", ")}`,
+        changes: {
+          event,
+          messages: results.map((r) => ({
+            channel: r.channel,
+            to: r.to,
+            status: r.status,
+            outboxId: r.outboxId,
+            error: r.error,
+          })),
+        },
+      });
+    } catch (error) {
+      console.error("Failed to send customer notification:", error);
+    }
+  }
+
   /**
    * Export tickets to Excel format
    * @param {Object} filters - Filter parameters for tickets
@@ -1445,15 +1772,15 @@ class TicketService {
       throw ApiError.notFound("Ticket not found");
     }
 
-    ticket.history.push({
+    // History, comments and attachments are kept so the deletion stays on
+    // record
+    await TicketActivityService.addHistory(ticket._id, {
       action: "DELETED",
       performedBy: userId,
       timestamp: new Date(),
       comment: `Ticket deleted. Reason: ${reason}`,
     });
 
-    await ticket.save();
-
     const customerId = ticket.customerId;
 
     await ticket.deleteOne();
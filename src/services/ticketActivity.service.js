@@ -0,0 +1,305 @@
+const Ticket = require("../models/ticket.model");
+const TicketHistory = require("../models/ticketHistory.model");
+const TicketComment = require("../models/ticketComment.model");
+const TicketAttachment = require("../models/ticketAttachment.model");
+const TicketAssignment = require("../models/ticketAssignment.model");
+const ApiError = require("../utils/apiError.util");
+
+// Related records that can be embedded in ticket responses with ?include=
+const TICKET_INCLUDE_FIELDS = [
+  "history",
+  "comments",
+  "attachments",
+  "photos",
+  "assignmentHistory",
+];
+
+const USER_FIELDS = "name email role";
+
+class TicketActivityService {
+  /**
+   * Record one or more history entries for a ticket
+   * @param {String} ticketId - Ticket ID
+   * @param {Object|Array} entries - History entries
+   * @returns {Promise<Array>} - Created entries
+   */
+  static async addHistory(ticketId, entries) {
+    const list = Array.isArray(entries) ? entries : [entries];
+
+    return await TicketHistory.insertMany(
+      list.map((entry) => ({ ...entry, ticketId }))
+    );
+  }
+
+  /**
+   * Add a comment to a ticket
+   * @param {String} ticketId - Ticket ID
+   * @param {Object} commentData - comment, createdBy, isInternal, attachments
+   * @returns {Promise<Object>} - Created comment
+   */
+  static async addComment(ticketId, commentData) {
+    return await TicketComment.create({ ...commentData, ticketId });
+  }
+
+  /**
+   * Get the most recent comment on a ticket
+   * @param {String} ticketId - Ticket ID
+   * @returns {Promise<Object|null>}
+   */
+  static async getLatestComment(ticketId) {
+    return await TicketComment.findOne({ ticketId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Add files to a ticket
+   * @param {String} ticketId - Ticket ID
+   * @param {Array} attachments - url, filename, mimeType, size, uploadedBy
+   * @param {String} kind - ATTACHMENT or PHOTO
+   * @returns {Promise<Array>} - Created attachments
+   */
+  static async addAttachments(ticketId, attachments, kind = "ATTACHMENT") {
+    return await TicketAttachment.insertMany(
+      attachments.map((attachment) => ({ ...attachment, ticketId, kind }))
+    );
+  }
+
+  /**
+   * Remove files from a ticket
+   * @param {String} ticketId - Ticket ID
+   * @param {Array} attachmentIds - IDs of the attachments to remove
+   * @returns {Promise<Array>} - The attachments that were removed
+   */
+  static async removeAttachments(ticketId, attachmentIds) {
+    const attachments = await TicketAttachment.find({
+      _id: { $in: attachmentIds },
+      ticketId,
+    });
+
+    if (attachments.length > 0) {
+      await TicketAttachment.deleteMany({
+        _id: { $in: attachments.map((a) => a._id) },
+      });
+    }
+
+    return attachments;
+  }
+
+  /**
+   * Record an assignment of a ticket
+   * @param {String} ticketId - Ticket ID
+   * @param {Object} assignment - assignedTo, assignedBy, assignedAt, notes
+   * @returns {Promise<Object>} - Created assignment record
+   */
+  static async addAssignment(ticketId, assignment) {
+    return await TicketAssignment.create({ ...assignment, ticketId });
+  }
+
+  /**
+   * Get the most recent assignment of a ticket
+   * @param {String} ticketId - Ticket ID
+   * @returns {Promise<Object|null>}
+   */
+  static async getLatestAssignment(ticketId) {
+    return await TicketAssignment.findOne({ ticketId }).sort({
+      assignedAt: -1,
+    });
+  }
+
+  /**
+   * Get every assignment of a ticket, oldest first
+   * @param {String} ticketId - Ticket ID
+   * @returns {Promise<Array>}
+   */
+  static async getAssignmentHistory(ticketId) {
+    await this.assertTicketExists(ticketId);
+
+    return await TicketAssignment.find({ ticketId })
+      .sort({ assignedAt: 1 })
+      .populate("assignedTo", USER_FIELDS)
+      .populate("assignedBy", USER_FIELDS);
+  }
+
+  /**
+   * Get a page of a ticket's history, newest first
+   * @param {String} ticketId - Ticket ID
+   * @param {Object} filters - action filter
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} - Paginated history entries
+   */
+  static async getHistory(ticketId, filters, options) {
+    await this.assertTicketExists(ticketId);
+
+    const query = { ticketId };
+    if (filters.action) query.action = filters.action;
+
+    return await TicketHistory.paginate(query, {
+      ...options,
+      sort: { timestamp: -1 },
+      populate: [{ path: "performedBy", select: "name email" }],
+    });
+  }
+
+  /**
+   * Get a page of a ticket's comments, newest first
+   * @param {String} ticketId - Ticket ID
+   * @param {Object} filters - isInternal filter
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} - Paginated comments
+   */
+  static async getComments(ticketId, filters, options) {
+    await this.assertTicketExists(ticketId);
+
+    const query = { ticketId };
+    if (filters.isInternal !== undefined) query.isInternal = filters.isInternal;
+
+    return await TicketComment.paginate(query, {
+      ...options,
+      sort: { createdAt: -1 },
+      populate: [{ path: "createdBy", select: USER_FIELDS }],
+    });
+  }
+
+  /**
+   * Get a page of a ticket's files, newest first
+   * @param {String} ticketId - Ticket ID
+   * @param {Object} filters - kind filter (ATTACHMENT or PHOTO)
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} - Paginated attachments
+   */
+  static async getAttachments(ticketId, filters, options) {
+    await this.assertTicketExists(ticketId);
+
+    const query = { ticketId };
+    if (filters.kind) query.kind = filters.kind;
+
+    return await TicketAttachment.paginate(query, {
+      ...options,
+      sort: { uploadedAt: -1 },
+      populate: [{ path: "uploadedBy", select: USER_FIELDS }],
+    });
+  }
+
+  /**
+   * Parse an ?include= value
+   * @param {String|Array} include - Comma-separated field names, or "all"
+   * @returns {Array} - Field names
+   */
+  static parseInclude(include) {
+    if (!include) return [];
+
+    const fields = (Array.isArray(include) ? include.join(",") : include)
+      .split(",")
+      .map((field) => field.trim())
+      .filter(Boolean);
+
+    if (fields.includes("all")) return TICKET_INCLUDE_FIELDS;
+
+    const unknown = fields.filter((f) => !TICKET_INCLUDE_FIELDS.includes(f));
+    if (unknown.length > 0) {
+      throw ApiError.badRequest(
+        `Cannot include ${unknown.join(", ")}. Allowed values: ${TICKET_INCLUDE_FIELDS.join(", ")}, all`
+      );
+    }
+
+    return fields;
+  }
+
+  /**
+   * Embed related records in tickets, in the shape tickets had when these
+   * records were stored on the ticket itself
+   * @param {Object|Array} tickets - Ticket document(s)
+   * @param {String|Array} include - ?include= value
+   * @returns {Promise<Object|Array>} - Ticket(s), as plain objects when
+   * anything was included
+   */
+  static async includeRelated(tickets, include) {
+    const fields = this.parseInclude(include);
+    const list = Array.isArray(tickets) ? tickets : [tickets];
+
+    if (fields.length === 0 || list.length === 0) return tickets;
+
+    const ids = list.map((ticket) => ticket._id);
+    const related = {};
+    const load = (Model, query, sort, populate) => {
+      let queryBuilder = Model.find({ ticketId: { $in: ids }, ...query }).sort(
+        sort
+      );
+      for (const [path, select] of populate) {
+        queryBuilder = queryBuilder.populate(path, select);
+      }
+      return queryBuilder;
+    };
+
+    if (fields.includes("history")) {
+      related.history = await load(TicketHistory, {}, { timestamp: 1 }, [
+        ["performedBy", "name email"],
+      ]);
+    }
+    if (fields.includes("comments")) {
+      related.comments = await load(TicketComment, {}, { createdAt: 1 }, [
+        ["createdBy", USER_FIELDS],
+      ]);
+    }
+    if (fields.includes("attachments")) {
+      related.attachments = await load(
+        TicketAttachment,
+        { kind: "ATTACHMENT" },
+        { uploadedAt: 1 },
+        [["uploadedBy", USER_FIELDS]]
+      );
+    }
+    if (fields.includes("photos")) {
+      related.photos = await load(
+        TicketAttachment,
+        { kind: "PHOTO" },
+        { uploadedAt: 1 },
+        [["uploadedBy", USER_FIELDS]]
+      );
+    }
+    if (fields.includes("assignmentHistory")) {
+      related.assignmentHistory = await load(
+        TicketAssignment,
+        {},
+        { assignedAt: 1 },
+        [
+          ["assignedTo", USER_FIELDS],
+          ["assignedBy", USER_FIELDS],
+        ]
+      );
+    }
+
+    const results = list.map((ticket) => {
+      const result = ticket.toObject ? ticket.toObject() : { ...ticket };
+      const ticketKey = ticket._id.toString();
+
+      for (const [field, records] of Object.entries(related)) {
+        result[field] = records
+          .filter((record) => record.ticketId.toString() === ticketKey)
+          .map((record) => {
+            const { ticketId, kind, __v, ...embedded } = record.toObject();
+            return embedded;
+          });
+      }
+
+      return result;
+    });
+
+    return Array.isArray(tickets) ? results : results[0];
+  }
+
+  /**
+   * @private
+   */
+  static async assertTicketExists(ticketId) {
+    const exists = await Ticket.exists({ _id: ticketId });
+
+    if (!exists) {
+      throw ApiError.notFound("Ticket not found");
+    }
+  }
+}
+
+module.exports = {
+  TICKET_INCLUDE_FIELDS,
+  TicketActivityService,
+};
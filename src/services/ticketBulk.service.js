@@ -0,0 +1,181 @@
+const Ticket = require("../models/ticket.model");
+const User = require("../models/user.model");
+const Role = require("../models/role.model");
+const ApiError = require("../utils/apiError.util");
+const { ROLES } = require("../config/roles");
+const { hasPermission } = require("../config/permissions");
+const { BULK_TICKET_ACTIONS } = require("../config/ticketWorkflow");
+const TicketService = require("./ticket.service");
+
+class TicketBulkService {
+  /**
+   * Run one action on several tickets. Each ticket goes through the same
+   * service method as the single-ticket endpoint, so permission checks,
+   * history entries and notifications are the same. A failure on one ticket
+   * does not stop the others.
+   * @param {Object} data - ticketIds, action and the action's fields
+   * (assignToUserId/notes, status/comment, priority/comment,
+   * comment/isInternal or reason)
+   * @param {Object} user - { userId, role } of the user running the action
+   * @returns {Promise<Object>} - Summary counts and per-ticket results. A
+   * successful result holds the updated ticket, for updates and deletions
+   * the ticket as it was before, and for assignments any availability
+   * warnings about the assignee.
+   */
+  static async runBulkAction(data, user) {
+    const { action } = data;
+    const ticketIds = [...new Set(data.ticketIds.map(String))];
+
+    await this.checkPermission(action, user.role);
+
+    if (action === "ASSIGN") {
+      await this.checkAssignee(data.assignToUserId);
+    }
+
+    // One ticket at a time - every ticket sends its own notifications and
+    // the status workflow is checked against the ticket's current state
+    const results = [];
+    for (const ticketId of ticketIds) {
+      try {
+        const { ticket, previousState } = await this.runAction(
+          ticketId,
+          data,
+          user
+        );
+        const warnings = ticket.$locals && ticket.$locals.availabilityWarnings;
+        results.push({
+          ticketId,
+          success: true,
+          ticket,
+          previousState,
+          ...(warnings && warnings.length > 0 && { warnings }),
+        });
+      } catch (error) {
+        results.push({
+          ticketId,
+          success: false,
+          error: {
+            statusCode: error.statusCode || 500,
+            message: error.message,
+          },
+        });
+      }
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+
+    return {
+      action,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results,
+    };
+  }
+
+  /**
+   * Apply the action to one ticket through the single-ticket service method
+   * @private
+   */
+  static async runAction(ticketId, data, user) {
+    const { userId, role } = user;
+
+    switch (data.action) {
+      case "ASSIGN":
+        return {
+          ticket: await TicketService.assignTicket(
+            ticketId,
+            data.assignToUserId,
+            userId,
+            role,
+            data.notes
+          ),
+        };
+
+      case "CHANGE_STATUS":
+      case "CHANGE_PRIORITY": {
+        const field = data.action === "CHANGE_STATUS" ? "status" : "priority";
+        const previous = await this.getPreviousState(ticketId);
+        const ticket = await TicketService.updateTicket(
+          ticketId,
+          { [field]: data[field], updateComment: data.comment },
+          userId,
+          role
+        );
+        return { ticket, previousState: previous };
+      }
+
+      case "ADD_COMMENT":
+        return {
+          ticket: await TicketService.addComment(
+            ticketId,
+            data.comment,
+            data.isInternal,
+            [],
+            userId
+          ),
+        };
+
+      case "DELETE": {
+        const previous = await this.getPreviousState(ticketId);
+        const ticket = await TicketService.deleteTicket(
+          ticketId,
+          userId,
+          role,
+          data.reason
+        );
+        return { ticket, previousState: previous };
+      }
+
+      default:
+        throw ApiError.badRequest(`Unknown bulk action: ${data.action}`);
+    }
+  }
+
+  /**
+   * Require the permission the single-ticket route for this action needs
+   * @private
+   */
+  static async checkPermission(action, role) {
+    const permission = BULK_TICKET_ACTIONS[action];
+    if (!permission) {
+      throw ApiError.badRequest(`Unknown bulk action: ${action}`);
+    }
+
+    if (role === ROLES.SUPER_ADMIN) return;
+
+    const userRole = await Role.findOne({ code: role }).select("permissions");
+    if (!userRole || !hasPermission(userRole.permissions, permission)) {
+      throw ApiError.forbidden(
+        `Insufficient permissions: ${permission} is required for ${action}`
+      );
+    }
+  }
+
+  /**
+   * Check the assignee once, rather than failing every ticket for the same
+   * reason
+   * @private
+   */
+  static async checkAssignee(assignToUserId) {
+    const assignToUser = await User.findById(assignToUserId);
+
+    if (!assignToUser) {
+      throw ApiError.notFound("User to assign ticket to not found");
+    }
+
+    if (!assignToUser.isActive) {
+      throw ApiError.badRequest("Cannot assign ticket to inactive user");
+    }
+  }
+
+  /**
+   * @private
+   */
+  static async getPreviousState(ticketId) {
+    const ticket = await Ticket.findById(ticketId);
+    return ticket ? ticket.toObject() : null;
+  }
+}
+
+module.exports = TicketBulkService;
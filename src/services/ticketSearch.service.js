@@ -0,0 +1,419 @@
+const Ticket = require("../models/ticket.model");
+const Customer = require("../models/customer.model");
+const TicketComment = require("../models/ticketComment.model");
+const User = require("../models/user.model");
+const Role = require("../models/role.model");
+const ApiError = require("../utils/apiError.util");
+const config = require("../config/config");
+const { ROLES, PERMISSIONS } = require("../config/roles");
+const {
+  MIN_KEYWORD_LENGTH,
+  normalizeKeyword,
+  keywordQuery,
+} = require("../utils/search.utils");
+const TicketService = require("./ticket.service");
+
+const SEARCH_FACETS = ["status", "priority", "category", "type", "assignedTo"];
+
+// Candidates taken from each source before ranking. Searches that match
+// more than this are too broad to be useful past the first pages anyway.
+const SOURCE_LIMIT = 200;
+
+// Score added for each kind of match. Text matches add their MongoDB text
+// score multiplied by the weight.
+const MATCH_WEIGHTS = {
+  exactIdentifier: 20,
+  identifierFragment: 8,
+  exactPhone: 15,
+  phoneFragment: 6,
+  ticketText: 2,
+  customerText: 1.5,
+  commentText: 1,
+};
+
+class TicketSearchService {
+  /**
+   * Search tickets by free text across ticket fields, customer details and
+   * comments. Results are ranked by relevance and come with facet counts.
+   * @param {Object} params - q (search text) and optional status, priority,
+   * category, type and assignedTo filters (comma-separated for several)
+   * @param {Object} options - page and limit
+   * @param {Object} user - { userId, role } of the user searching
+   * @returns {Promise<Object>} - { results, facets, pagination }
+   */
+  static async searchTickets(params, options, user) {
+    const text = (params.q || "").trim();
+    if (text.length < 2) {
+      throw ApiError.badRequest(
+        "Search text (q) must be at least 2 characters long"
+      );
+    }
+
+    const visibility = await TicketService.getVisibilityFilter(
+      user.userId,
+      user.role
+    );
+    const scores = await this.collectMatches(text, user.role, visibility);
+    const ids = [...scores.keys()];
+
+    const candidates = ids.length
+      ? await Ticket.find({ _id: { $in: ids }, ...visibility })
+          .select(`${SEARCH_FACETS.join(" ")} createdAt`)
+          .lean()
+      : [];
+
+    const filters = this.parseFilters(params);
+    const matched = candidates
+      .filter((ticket) => this.matchesFilters(ticket, filters))
+      .sort(
+        (a, b) =>
+          scores.get(b._id.toString()).score -
+            scores.get(a._id.toString()).score ||
+          new Date(b.createdAt) - new Date(a.createdAt)
+      );
+
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+    const limit = Math.min(
+      parseInt(options.limit, 10) || config.pagination.defaultLimit,
+      config.pagination.maxLimit
+    );
+    const pageIds = matched
+      .slice((page - 1) * limit, page * limit)
+      .map((ticket) => ticket._id);
+
+    const [results, facets] = await Promise.all([
+      this.loadResults(pageIds, scores),
+      this.buildFacets(candidates, filters),
+    ]);
+
+    const totalPages = Math.ceil(matched.length / limit);
+    return {
+      results,
+      facets,
+      pagination: {
+        page,
+        limit,
+        total: matched.length,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        nextPage: page < totalPages ? page + 1 : null,
+        prevPage: page > 1 ? page - 1 : null,
+      },
+    };
+  }
+
+  /**
+   * Find tickets matching the search text in every source and add up their
+   * scores. Each source only returns tickets the user may see, so its limit
+   * is not used up by others' tickets.
+   * @param {String} text - Search text
+   * @param {String} role - Role of the user searching
+   * @param {Object} visibility - Ticket condition from getVisibilityFilter
+   * @returns {Promise<Map>} - Ticket ID => { score, matchedOn }
+   * @private
+   */
+  static async collectMatches(text, role, visibility = {}) {
+    const keyword = normalizeKeyword(text);
+    const useKeyword = keyword.length >= MIN_KEYWORD_LENGTH;
+    const textQuery = { $text: { $search: text } };
+    const byTextScore = { score: { $meta: "textScore" } };
+
+    const commentQuery = { ...textQuery };
+    if (!(await this.canSeeInternalComments(role))) {
+      commentQuery.isInternal = false;
+    }
+
+    const [ticketText, ticketKeyword, customerText, customerKeyword, comments] =
+      await Promise.all([
+        Ticket.find({ ...textQuery, ...visibility }, byTextScore)
+          .select("_id")
+          .sort(byTextScore)
+          .limit(SOURCE_LIMIT)
+          .lean(),
+        useKeyword
+          ? Ticket.find({ ...keywordQuery(keyword), ...visibility })
+              .select("ticketId serialNumber modelNumber")
+              .limit(SOURCE_LIMIT)
+              .lean()
+          : [],
+        Customer.find(textQuery, byTextScore)
+          .select("_id")
+          .sort(byTextScore)
+          .limit(SOURCE_LIMIT)
+          .lean(),
+        useKeyword
+          ? Customer.find(keywordQuery(keyword))
+              .select("mobile alternateMobile")
+              .limit(SOURCE_LIMIT)
+              .lean()
+          : [],
+        this.findComments(commentQuery, visibility),
+      ]);
+
+    const scores = new Map();
+    const add = (ticketId, score, field) => {
+      const key = ticketId.toString();
+      const entry = scores.get(key) || { score: 0, matchedOn: new Set() };
+      entry.score += score;
+      entry.matchedOn.add(field);
+      scores.set(key, entry);
+    };
+
+    for (const ticket of ticketText) {
+      add(ticket._id, ticket.score * MATCH_WEIGHTS.ticketText, "ticket");
+    }
+
+    for (const ticket of ticketKeyword) {
+      for (const field of ["ticketId", "serialNumber", "modelNumber"]) {
+        const value = normalizeKeyword(ticket[field]);
+        if (value === keyword) {
+          add(ticket._id, MATCH_WEIGHTS.exactIdentifier, field);
+        } else if (value.includes(keyword)) {
+          add(ticket._id, MATCH_WEIGHTS.identifierFragment, field);
+        }
+      }
+    }
+
+    // Only the best comment counts, so a ticket with many matching comments
+    // does not outrank a direct match
+    const commentScores = new Map();
+    for (const comment of comments) {
+      const key = comment.ticketId.toString();
+      commentScores.set(
+        key,
+        Math.max(commentScores.get(key) || 0, comment.score)
+      );
+    }
+    for (const [ticketId, score] of commentScores) {
+      add(ticketId, score * MATCH_WEIGHTS.commentText, "comment");
+    }
+
+    const customerScores = new Map();
+    const addCustomer = (customerId, score) => {
+      const key = customerId.toString();
+      customerScores.set(key, (customerScores.get(key) || 0) + score);
+    };
+    for (const customer of customerText) {
+      addCustomer(customer._id, customer.score * MATCH_WEIGHTS.customerText);
+    }
+    for (const customer of customerKeyword) {
+      const phones = [customer.mobile, customer.alternateMobile].map(
+        normalizeKeyword
+      );
+      if (!phones.some((phone) => phone.includes(keyword))) continue;
+
+      addCustomer(
+        customer._id,
+        phones.includes(keyword)
+          ? MATCH_WEIGHTS.exactPhone
+          : MATCH_WEIGHTS.phoneFragment
+      );
+    }
+
+    if (customerScores.size > 0) {
+      const customerTickets = await Ticket.find({
+        customerId: { $in: [...customerScores.keys()] },
+        ...visibility,
+      })
+        .select("customerId")
+        .sort({ createdAt: -1 })
+        .limit(SOURCE_LIMIT)
+        .lean();
+
+      for (const ticket of customerTickets) {
+        add(
+          ticket._id,
+          customerScores.get(ticket.customerId.toString()),
+          "customer"
+        );
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * Comments matching a text query, best first, on tickets the user may see
+   * @param {Object} commentQuery - $text query and comment conditions
+   * @param {Object} visibility - Ticket condition from getVisibilityFilter
+   * @returns {Promise<Array>} - { ticketId, score }
+   * @private
+   */
+  static async findComments(commentQuery, visibility) {
+    if (Object.keys(visibility).length === 0) {
+      return await TicketComment.find(commentQuery, {
+        score: { $meta: "textScore" },
+      })
+        .select("ticketId")
+        .sort({ score: { $meta: "textScore" } })
+        .limit(SOURCE_LIMIT)
+        .lean();
+    }
+
+    return await TicketComment.aggregate([
+      { $match: commentQuery },
+      { $sort: { score: { $meta: "textScore" } } },
+      {
+        $lookup: {
+          from: Ticket.collection.name,
+          let: { ticketId: "$ticketId" },
+          pipeline: [
+            { $match: { $expr: { $eq: ["$_id", "$$ticketId"] } } },
+            { $match: visibility },
+            { $project: { _id: 1 } },
+          ],
+          as: "visibleTicket",
+        },
+      },
+      { $match: { "visibleTicket.0": { $exists: true } } },
+      { $limit: SOURCE_LIMIT },
+      { $project: { ticketId: 1, score: { $meta: "textScore" } } },
+    ]);
+  }
+
+  /**
+   * Read the facet filters from the query string
+   * @param {Object} params - Query parameters
+   * @returns {Object} - Facet => allowed values
+   * @private
+   */
+  static parseFilters(params) {
+    const filters = {};
+
+    for (const facet of SEARCH_FACETS) {
+      if (!params[facet]) continue;
+
+      const values = String(params[facet])
+        .split(",")
+        .map((value) => value.trim())
+        .filter(Boolean);
+
+      filters[facet] =
+        facet === "assignedTo"
+          ? values
+          : values.map((value) => value.toUpperCase());
+    }
+
+    return filters;
+  }
+
+  /**
+   * Check a ticket against the facet filters, optionally ignoring one facet
+   * @private
+   */
+  static matchesFilters(ticket, filters, ignoredFacet = null) {
+    return Object.entries(filters).every(
+      ([facet, values]) =>
+        facet === ignoredFacet ||
+        values.includes(this.getFacetValue(ticket, facet))
+    );
+  }
+
+  /**
+   * @private
+   */
+  static getFacetValue(ticket, facet) {
+    if (facet === "assignedTo") {
+      return ticket.assignedTo ? ticket.assignedTo.toString() : "unassigned";
+    }
+    return ticket[facet];
+  }
+
+  /**
+   * Count the matching tickets per value of each facet. Each facet ignores
+   * its own filter, so the other values stay visible with their counts.
+   * @param {Array} candidates - Tickets matching the search text
+   * @param {Object} filters - Facet filters
+   * @returns {Promise<Object>} - Facet => [{ value, count }]
+   * @private
+   */
+  static async buildFacets(candidates, filters) {
+    const facets = {};
+
+    for (const facet of SEARCH_FACETS) {
+      const counts = new Map();
+      for (const ticket of candidates) {
+        if (!this.matchesFilters(ticket, filters, facet)) continue;
+
+        const value = this.getFacetValue(ticket, facet);
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+
+      facets[facet] = [...counts]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count);
+    }
+
+    const assigneeIds = facets.assignedTo
+      .map((bucket) => bucket.value)
+      .filter((value) => value !== "unassigned");
+    const assignees = assigneeIds.length
+      ? await User.find({ _id: { $in: assigneeIds } }).select("name")
+      : [];
+    const names = new Map(
+      assignees.map((assignee) => [assignee._id.toString(), assignee.name])
+    );
+
+    facets.assignedTo = facets.assignedTo.map((bucket) => ({
+      ...bucket,
+      name:
+        bucket.value === "unassigned"
+          ? "Unassigned"
+          : names.get(bucket.value) || null,
+    }));
+
+    return facets;
+  }
+
+  /**
+   * Load one page of tickets in ranked order
+   * @param {Array} ids - Ticket IDs, best match first
+   * @param {Map} scores - Ticket ID => { score, matchedOn }
+   * @returns {Promise<Array>}
+   * @private
+   */
+  static async loadResults(ids, scores) {
+    if (ids.length === 0) return [];
+
+    const tickets = await Ticket.find({ _id: { $in: ids } })
+      .populate("customerId", "name mobile email city")
+      .populate("assignedTo", "name email role")
+      .populate("problems", "name category");
+    const byId = new Map(
+      tickets.map((ticket) => [ticket._id.toString(), ticket])
+    );
+
+    return ids
+      .map((id) => byId.get(id.toString()))
+      .filter(Boolean)
+      .map((ticket) => {
+        const { score, matchedOn } = scores.get(ticket._id.toString());
+        return {
+          ...ticket.toObject(),
+          score: Math.round(score * 100) / 100,
+          matchedOn: [...matchedOn],
+        };
+      });
+  }
+
+  /**
+   * Whether a role may search the text of internal comments
+   * @param {String} role - Role code
+   * @returns {Promise<Boolean>}
+   * @private
+   */
+  static async canSeeInternalComments(role) {
+    if (role === ROLES.SUPER_ADMIN) return true;
+
+    const userRole = await Role.findOne({ code: role }).select("permissions");
+    return userRole
+      ? userRole.permissions.includes(PERMISSIONS.UPDATE_TICKET)
+      : false;
+  }
+}
+
+module.exports = {
+  SEARCH_FACETS,
+  TicketSearchService,
+};
@@ -1,11 +1,21 @@
 const TicketSettings = require("../models/ticketSettings.model");
 const ApiError = require("../utils/apiError.util");
 const { ROLES } = require("../config/roles");
+const {
+  TICKET_STATUSES,
+  DEFAULT_STATUS_TRANSITIONS,
+  getRoleTransitions,
+} = require("../config/ticketWorkflow");
+const {
+  DEFAULT_SLA_POLICIES,
+  DEFAULT_SLA_AT_RISK_PERCENT,
+} = require("../config/sla");
 
 const DEFAULT_SETTINGS = {
   autoApproval: false,
   autoApprovalRoles: [],
   defaultAssignToSupportManager: false,
+  assignmentAvailabilityCheck: "WARN",
   defaultDueDateDays: 7,
   priorityDueDates: {
     LOW: 10,
@@ -16,6 +26,10 @@ const DEFAULT_SETTINGS = {
   notifyOnStatusChange: true,
   allowReopenClosedTickets: true,
   reopenWindowDays: 30,
+  statusTransitions: DEFAULT_STATUS_TRANSITIONS,
+  slaEnabled: true,
+  slaAtRiskPercent: DEFAULT_SLA_AT_RISK_PERCENT,
+  slaPolicies: DEFAULT_SLA_POLICIES,
 };
 
 class TicketSettingsService {
@@ -141,6 +155,14 @@ class TicketSettingsService {
     settings.allowReopenClosedTickets =
       DEFAULT_SETTINGS.allowReopenClosedTickets;
     settings.reopenWindowDays = DEFAULT_SETTINGS.reopenWindowDays;
+    settings.statusTransitions = JSON.parse(
+      JSON.stringify(DEFAULT_SETTINGS.statusTransitions)
+    );
+    settings.slaEnabled = DEFAULT_SETTINGS.slaEnabled;
+    settings.slaAtRiskPercent = DEFAULT_SETTINGS.slaAtRiskPercent;
+    settings.slaPolicies = DEFAULT_SETTINGS.slaPolicies.map((policy) => ({
+      ...policy,
+    }));
     settings.updatedBy = userId;
 
     await settings.save();
@@ -229,6 +251,92 @@ class TicketSettingsService {
 
     return settings;
   }
+
+  /**
+   * Get the ticket status workflow
+   * @param {String} userRole - Role of the requesting user
+   * @returns {Promise<Object>} - Statuses, full transition table and the
+   * transitions available to the requesting role
+   */
+  static async getWorkflow(userRole) {
+    const settings = await this.getSettings();
+    const transitions =
+      settings.statusTransitions || DEFAULT_SETTINGS.statusTransitions;
+
+    return {
+      statuses: TICKET_STATUSES,
+      transitions,
+      allowedTransitions: getRoleTransitions(transitions, userRole),
+    };
+  }
+
+  /**
+   * Replace the ticket status workflow
+   * @param {Object} transitions - Transition table keyed by role code
+   * @param {String} userId - ID of the user making the update
+   * @returns {Promise<Object>} - Updated settings
+   */
+  static async updateWorkflow(transitions, userId) {
+    if (!transitions.DEFAULT) {
+      throw ApiError.badRequest("A DEFAULT transition graph is required");
+    }
+
+    const settings = await this.getSettings();
+
+    settings.statusTransitions = transitions;
+    settings.updatedBy = userId;
+    await settings.save();
+
+    return settings;
+  }
+
+  /**
+   * Get SLA configuration
+   * @returns {Promise<Object>} - SLA configuration
+   */
+  static async getSlaConfig() {
+    const settings = await this.getSettings();
+
+    return {
+      slaEnabled: settings.slaEnabled,
+      slaAtRiskPercent: settings.slaAtRiskPercent,
+      slaPolicies: settings.slaPolicies,
+    };
+  }
+
+  /**
+   * Update SLA configuration
+   * @param {Object} slaConfig - SLA configuration
+   * @param {String} userId - ID of the user making the update
+   * @returns {Promise<Object>} - Updated settings
+   */
+  static async updateSlaConfig(slaConfig, userId) {
+    const settings = await this.getSettings();
+
+    if (slaConfig.slaPolicies) {
+      const seen = new Set();
+      for (const policy of slaConfig.slaPolicies) {
+        const key = `${policy.priority}:${policy.ticketType || ""}`;
+        if (seen.has(key)) {
+          throw ApiError.badRequest(
+            `Duplicate SLA policy for ${policy.priority}${policy.ticketType ? ` / ${policy.ticketType}` : ""}`
+          );
+        }
+        seen.add(key);
+      }
+    }
+
+    ["slaEnabled", "slaAtRiskPercent", "slaPolicies"].forEach((key) => {
+      if (slaConfig[key] !== undefined) {
+        settings[key] = slaConfig[key];
+      }
+    });
+
+    settings.updatedBy = userId;
+    await settings.save();
+
+    return settings;
+  }
 }
 
 module.exports = TicketSettingsService;
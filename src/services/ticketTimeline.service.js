@@ -0,0 +1,395 @@
+const Ticket = require("../models/ticket.model");
+const User = require("../models/user.model");
+const Role = require("../models/role.model");
+const TicketHistory = require("../models/ticketHistory.model");
+const TicketComment = require("../models/ticketComment.model");
+const TicketAssignment = require("../models/ticketAssignment.model");
+const AuditLog = require("../models/auditLog.model");
+const NotificationOutbox = require("../models/notificationOutbox.model");
+const ApiError = require("../utils/apiError.util");
+const { ROLES, PERMISSIONS } = require("../config/roles");
+const TicketService = require("./ticket.service");
+const TeamService = require("./team.service");
+
+const TIMELINE_EVENT_TYPES = [
+  "CREATED",
+  "STATUS_CHANGE",
+  "FIELD_CHANGE",
+  "ASSIGNMENT",
+  "COMMENT",
+  "ATTACHMENT",
+  "AUDIT",
+  "NOTIFICATION",
+];
+
+// History actions shown on the timeline. ASSIGNED and COMMENT_ADDED entries
+// are left out because the assignment and comment records cover them (and
+// the history text of an internal comment would leak it).
+const HISTORY_EVENT_TYPES = {
+  CREATED: "CREATED",
+  STATUS_CHANGED: "STATUS_CHANGE",
+  UPDATED: "FIELD_CHANGE",
+  ATTACHMENT_ADDED: "ATTACHMENT",
+  ATTACHMENT_REMOVED: "ATTACHMENT",
+  CUSTOMER_NOTIFIED: "NOTIFICATION",
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const USER_FIELDS = "name email role";
+
+class TicketTimelineService {
+  /**
+   * Get one page of a ticket's timeline: status changes, field changes,
+   * assignments, comments, attachment events, audit logs and sent
+   * notifications merged into a single feed
+   * @param {String} ticketId - Ticket ID
+   * @param {Object} user - { userId, role } of the user making the request
+   * @param {Object} options - types, cursor, limit and order (desc or asc)
+   * @returns {Promise<Object>} - { results, pagination } where pagination
+   * has nextCursor, hasMore and limit
+   */
+  static async getTimeline(ticketId, user, options = {}) {
+    const ticket = await Ticket.findById(ticketId);
+    if (!ticket) {
+      throw ApiError.notFound("Ticket not found");
+    }
+
+    const assignee = ticket.assignedTo
+      ? await User.findById(ticket.assignedTo).select("role")
+      : null;
+    const teamAccess = await TeamService.getTicketTeamAccess(ticket);
+    if (
+      !TicketService.canViewTicket(ticket, user, assignee?.role, teamAccess)
+    ) {
+      throw ApiError.forbidden(
+        "You do not have permission to view this ticket"
+      );
+    }
+
+    const types = this.parseTypes(options.types);
+    const limit = Math.min(
+      parseInt(options.limit, 10) || DEFAULT_LIMIT,
+      MAX_LIMIT
+    );
+    const ascending = options.order === "asc";
+    const cursor = options.cursor ? this.decodeCursor(options.cursor) : null;
+    const access = await this.getAccess(user.role);
+
+    // Fetch one extra event from every source so we know whether another
+    // page exists after merging
+    const sources = this.getSources(ticket._id, types, access);
+    const batches = await Promise.all(
+      sources.map((source) =>
+        this.fetchSource(source, cursor, ascending, limit + 1)
+      )
+    );
+
+    const events = batches
+      .flat()
+      .sort((a, b) => this.compareEvents(a, b) * (ascending ? 1 : -1));
+
+    const results = events.slice(0, limit);
+    const hasMore = events.length > limit;
+    const last = results[results.length - 1];
+
+    return {
+      results,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore && last ? this.encodeCursor(last) : null,
+      },
+    };
+  }
+
+  /**
+   * Parse the ?types= filter
+   * @param {String|Array} types - Comma-separated event types
+   * @returns {Array} - Event types to include
+   * @private
+   */
+  static parseTypes(types) {
+    if (!types) return TIMELINE_EVENT_TYPES;
+
+    const list = (Array.isArray(types) ? types.join(",") : types)
+      .split(",")
+      .map((type) => type.trim().toUpperCase())
+      .filter(Boolean);
+
+    const unknown = list.filter((t) => !TIMELINE_EVENT_TYPES.includes(t));
+    if (unknown.length > 0) {
+      throw ApiError.badRequest(
+        `Unknown timeline event type: ${unknown.join(", ")}. Allowed types: ${TIMELINE_EVENT_TYPES.join(", ")}`
+      );
+    }
+
+    return list;
+  }
+
+  /**
+   * Work out what a role may see on the timeline. Internal comments need
+   * permission to update tickets; audit logs need permission to view them.
+   * @param {String} role - Role code
+   * @returns {Promise<Object>} - { internalComments, auditLogs }
+   * @private
+   */
+  static async getAccess(role) {
+    if (role === ROLES.SUPER_ADMIN) {
+      return { internalComments: true, auditLogs: true };
+    }
+
+    const userRole = await Role.findOne({ code: role }).select("permissions");
+    const permissions = userRole ? userRole.permissions : [];
+
+    return {
+      internalComments: permissions.includes(PERMISSIONS.UPDATE_TICKET),
+      auditLogs: permissions.includes(PERMISSIONS.VIEW_AUDIT_LOGS),
+    };
+  }
+
+  /**
+   * Describe the collections that feed the requested event types
+   * @private
+   */
+  static getSources(ticketId, types, access) {
+    const sources = [];
+    const historyActions = Object.keys(HISTORY_EVENT_TYPES).filter((action) =>
+      types.includes(HISTORY_EVENT_TYPES[action])
+    );
+
+    if (historyActions.length > 0) {
+      sources.push({
+        model: TicketHistory,
+        timeField: "timestamp",
+        query: { ticketId, action: { $in: historyActions } },
+        populate: [["performedBy", USER_FIELDS]],
+        toEvent: (entry) => this.fromHistory(entry),
+      });
+    }
+
+    if (types.includes("ASSIGNMENT")) {
+      sources.push({
+        model: TicketAssignment,
+        timeField: "assignedAt",
+        query: { ticketId },
+        populate: [
+          ["assignedTo", USER_FIELDS],
+          ["assignedBy", USER_FIELDS],
+        ],
+        toEvent: (assignment) => ({
+          _id: assignment._id,
+          type: "ASSIGNMENT",
+          timestamp: assignment.assignedAt,
+          actor: assignment.assignedBy,
+          summary: `Assigned to ${assignment.assignedTo?.name || "a user"}`,
+          details: {
+            assignedTo: assignment.assignedTo,
+            notes: assignment.notes,
+          },
+        }),
+      });
+    }
+
+    if (types.includes("COMMENT")) {
+      const query = { ticketId };
+      if (!access.internalComments) query.isInternal = false;
+
+      sources.push({
+        model: TicketComment,
+        timeField: "createdAt",
+        query,
+        populate: [["createdBy", USER_FIELDS]],
+        toEvent: (comment) => ({
+          _id: comment._id,
+          type: "COMMENT",
+          timestamp: comment.createdAt,
+          actor: comment.createdBy,
+          summary: comment.isInternal ? "Internal comment" : "Comment",
+          details: {
+            comment: comment.comment,
+            isInternal: comment.isInternal,
+            attachments: comment.attachments,
+          },
+        }),
+      });
+    }
+
+    if (types.includes("AUDIT") && access.auditLogs) {
+      sources.push({
+        model: AuditLog,
+        timeField: "performedAt",
+        query: { entityType: "Ticket", entityId: ticketId },
+        populate: [["performedBy", USER_FIELDS]],
+        toEvent: (log) => ({
+          _id: log._id,
+          type: "AUDIT",
+          timestamp: log.performedAt,
+          actor: log.performedBy,
+          summary: `${log.action} request recorded`,
+          details: {
+            action: log.action,
+            newState: log.newState,
+            ipAddress: log.ipAddress,
+          },
+        }),
+      });
+    }
+
+    // Customer messages are already on the timeline through their
+    // CUSTOMER_NOTIFIED history entry
+    if (types.includes("NOTIFICATION")) {
+      sources.push({
+        model: NotificationOutbox,
+        timeField: "createdAt",
+        query: { ticketId, customerId: null },
+        populate: [["userId", "name email"]],
+        toEvent: (message) => ({
+          _id: message._id,
+          type: "NOTIFICATION",
+          timestamp: message.createdAt,
+          actor: null,
+          summary: `${message.notificationType || "Notification"} via ${message.channel} to ${message.userId?.name || message.to || "user"} (${message.status})`,
+          details: {
+            channel: message.channel,
+            recipient: message.userId,
+            notificationType: message.notificationType,
+            subject: message.payload?.subject,
+            status: message.status,
+            attempts: message.attempts,
+            sentAt: message.sentAt,
+            lastError: message.lastError,
+          },
+        }),
+      });
+    }
+
+    return sources;
+  }
+
+  /**
+   * Fetch the events of one source that come after the cursor
+   * @private
+   */
+  static async fetchSource(source, cursor, ascending, limit) {
+    const { model, timeField, query, populate, toEvent } = source;
+    const direction = ascending ? 1 : -1;
+    const after = ascending ? "$gt" : "$lt";
+
+    const filter = cursor
+      ? {
+          ...query,
+          $or: [
+            { [timeField]: { [after]: cursor.timestamp } },
+            { [timeField]: cursor.timestamp, _id: { [after]: cursor.id } },
+          ],
+        }
+      : query;
+
+    let queryBuilder = model
+      .find(filter)
+      .sort({ [timeField]: direction, _id: direction })
+      .limit(limit);
+
+    for (const [path, select] of populate) {
+      queryBuilder = queryBuilder.populate(path, select);
+    }
+
+    const records = await queryBuilder;
+    return records.map((record) => ({
+      ...toEvent(record),
+      source: model.modelName,
+    }));
+  }
+
+  /**
+   * Turn a history entry into a timeline event
+   * @private
+   */
+  static fromHistory(entry) {
+    const type = HISTORY_EVENT_TYPES[entry.action];
+    const changes = entry.changes || {};
+    const fieldChanges = entry.fieldChanges || [];
+    let summary = entry.comment;
+
+    if (type === "CREATED") {
+      summary = "Ticket created";
+    } else if (type === "STATUS_CHANGE") {
+      const statusChange = fieldChanges.find((c) => c.field === "status");
+      const from = statusChange ? statusChange.oldValue : changes.status?.from;
+      const to = statusChange ? statusChange.newValue : changes.status?.to;
+      summary = from && to ? `Status changed from ${from} to ${to}` : summary;
+    } else if (type === "FIELD_CHANGE") {
+      summary = `Updated ${fieldChanges.map((c) => c.field).join(", ")}`;
+    } else if (entry.action === "ATTACHMENT_ADDED") {
+      summary = `Attachments added: ${changes.attachments || changes.addedAttachments || ""}`;
+    } else if (entry.action === "ATTACHMENT_REMOVED") {
+      summary = `Attachments removed: ${changes.removedAttachments || ""}`;
+    }
+
+    return {
+      _id: entry._id,
+      type,
+      timestamp: entry.timestamp,
+      actor: entry.performedBy,
+      summary,
+      details: {
+        action: entry.action,
+        comment: entry.comment,
+        fieldChanges: fieldChanges.length > 0 ? fieldChanges : undefined,
+        changes: Object.keys(changes).length > 0 ? changes : undefined,
+      },
+    };
+  }
+
+  /**
+   * Order events by time, then by ID so events at the same instant have a
+   * stable position across pages
+   * @private
+   */
+  static compareEvents(a, b) {
+    const diff = new Date(a.timestamp) - new Date(b.timestamp);
+    if (diff !== 0) return diff;
+
+    const aId = a._id.toString();
+    const bId = b._id.toString();
+    return aId < bId ? -1 : aId > bId ? 1 : 0;
+  }
+
+  /**
+   * @private
+   */
+  static encodeCursor(event) {
+    return Buffer.from(
+      JSON.stringify({
+        t: new Date(event.timestamp).toISOString(),
+        id: event._id.toString(),
+      })
+    ).toString("base64url");
+  }
+
+  /**
+   * @private
+   */
+  static decodeCursor(cursor) {
+    try {
+      const { t, id } = JSON.parse(
+        Buffer.from(cursor, "base64url").toString("utf8")
+      );
+      const timestamp = new Date(t);
+
+      if (isNaN(timestamp.getTime()) || !/^[a-f0-9]{24}$/i.test(id)) {
+        throw new Error("Invalid cursor");
+      }
+
+      return { timestamp, id };
+    } catch (error) {
+      throw ApiError.badRequest("Invalid timeline cursor");
+    }
+  }
+}
+
+module.exports = {
+  TIMELINE_EVENT_TYPES,
+  TicketTimelineService,
+};
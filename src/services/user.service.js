@@ -68,6 +68,9 @@ class UserService {
       address,
       location,
       remark,
+      reportsTo,
+      skills,
+      territories,
     } = userData;
 
     const existingUser = await User.findOne({ email });
@@ -79,6 +82,10 @@ class UserService {
       throw ApiError.badRequest("Password must be at least 8 characters long");
     }
 
+    if (reportsTo && !(await User.exists({ _id: reportsTo }))) {
+      throw ApiError.badRequest("Manager (reportsTo) user not found");
+    }
+
     const user = await User.create({
       email,
       name,
@@ -89,6 +96,9 @@ class UserService {
       address,
       location,
       remark,
+      reportsTo: reportsTo || undefined,
+      skills,
+      territories,
     });
 
     await NotificationPreference.create({
@@ -133,6 +143,9 @@ class UserService {
       "address",
       "location",
       "remark",
+      "reportsTo",
+      "skills",
+      "territories",
     ];
     const filteredUpdateData = Object.keys(updateData)
       .filter((key) => allowedFields.includes(key))
@@ -141,6 +154,16 @@ class UserService {
         return obj;
       }, {});
 
+    if (filteredUpdateData.reportsTo !== undefined) {
+      if (!filteredUpdateData.reportsTo) {
+        filteredUpdateData.reportsTo = undefined;
+      } else if (filteredUpdateData.reportsTo.toString() === id.toString()) {
+        throw ApiError.badRequest("A user cannot report to themselves");
+      } else if (!(await User.exists({ _id: filteredUpdateData.reportsTo }))) {
+        throw ApiError.badRequest("Manager (reportsTo) user not found");
+      }
+    }
+
     Object.assign(user, filteredUpdateData);
     await user.save();
 
@@ -227,6 +250,7 @@ class UserService {
         email: true,
         whatsapp: false,
         sms: false,
+        inApp: true,
         updatedBy: requestingUserId,
       });
     }
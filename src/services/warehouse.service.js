@@ -0,0 +1,214 @@
+const mongoose = require("mongoose");
+const Warehouse = require("../models/warehouse.model");
+const Item = require("../models/item.model");
+const ApiError = require("../utils/apiError.util");
+const { escapeRegex } = require("../utils/search.utils");
+
+class WarehouseService {
+  /**
+   * List warehouses
+   * @param {Object} query - isActive and search filters
+   * @returns {Promise<Array>}
+   */
+  static async getWarehouses(query = {}) {
+    const filter = {};
+    if (query.isActive !== undefined) {
+      filter.isActive = query.isActive === "true" || query.isActive === true;
+    }
+    if (query.search) {
+      const pattern = { $regex: escapeRegex(query.search), $options: "i" };
+      filter.$or = [{ name: pattern }, { code: pattern }, { city: pattern }];
+    }
+
+    return await Warehouse.find(filter).sort({ name: 1 });
+  }
+
+  /**
+   * Get a warehouse
+   * @param {String} id - Warehouse ID
+   * @returns {Promise<Object>}
+   */
+  static async getWarehouseById(id) {
+    const warehouse = await Warehouse.findById(id);
+    if (!warehouse) {
+      throw ApiError.notFound("Warehouse not found");
+    }
+    return warehouse;
+  }
+
+  /**
+   * Get a warehouse that can take part in a stock transaction
+   * @param {String} id - Warehouse ID
+   * @returns {Promise<Object>}
+   * @throws {ApiError} - When the warehouse is missing or inactive
+   */
+  static async getActiveWarehouse(id) {
+    const warehouse = await this.getWarehouseById(id);
+    if (!warehouse.isActive) {
+      throw ApiError.badRequest(`Warehouse ${warehouse.name} is inactive`);
+    }
+    return warehouse;
+  }
+
+  /**
+   * Create a warehouse
+   * @param {Object} warehouseData - Warehouse fields
+   * @param {String} userId - ID of the user creating it
+   * @returns {Promise<Object>}
+   */
+  static async createWarehouse(warehouseData, userId) {
+    try {
+      return await Warehouse.create({
+        ...warehouseData,
+        createdBy: userId,
+        updatedBy: userId,
+      });
+    } catch (error) {
+      throw this.translateError(error);
+    }
+  }
+
+  /**
+   * Update a warehouse
+   * @param {String} id - Warehouse ID
+   * @param {Object} updateData - Fields to change
+   * @param {String} userId - ID of the user updating it
+   * @returns {Promise<Object>}
+   */
+  static async updateWarehouse(id, updateData, userId) {
+    const warehouse = await this.getWarehouseById(id);
+
+    if (updateData.isActive === false && warehouse.isActive) {
+      const inTransit = await Item.exists({
+        transactions: {
+          $elemMatch: {
+            transferStatus: "IN_TRANSIT",
+            $or: [{ warehouse: warehouse._id }, { toWarehouse: warehouse._id }],
+          },
+        },
+      });
+      if (inTransit) {
+        throw ApiError.conflict(
+          "Warehouse has transfers in transit; receive or cancel them first"
+        );
+      }
+    }
+
+    Object.assign(warehouse, updateData, { updatedBy: userId });
+
+    try {
+      return await warehouse.save();
+    } catch (error) {
+      throw this.translateError(error);
+    }
+  }
+
+  /**
+   * Delete a warehouse. Warehouses that hold stock or appear in any
+   * transaction cannot be deleted; deactivate them instead.
+   * @param {String} id - Warehouse ID
+   * @returns {Promise<Object>} - Deleted warehouse
+   */
+  static async deleteWarehouse(id) {
+    const warehouse = await this.getWarehouseById(id);
+
+    const inUse = await Item.exists({
+      $or: [
+        { "inventory.warehouse": warehouse._id },
+        { "transactions.warehouse": warehouse._id },
+        { "transactions.toWarehouse": warehouse._id },
+        { "locationThresholds.warehouse": warehouse._id },
+      ],
+    });
+    if (inUse) {
+      throw ApiError.conflict(
+        "Warehouse has stock or transaction history; deactivate it instead"
+      );
+    }
+
+    await warehouse.deleteOne();
+
+    return warehouse;
+  }
+
+  /**
+   * Stock held at a warehouse, and transfers on their way in or out
+   * @param {String} id - Warehouse ID
+   * @returns {Promise<Object>} - { warehouse, stock, incoming, outgoing }
+   */
+  static async getStock(id) {
+    const warehouse = await this.getWarehouseById(id);
+    const warehouseId = new mongoose.Types.ObjectId(String(warehouse._id));
+
+    const [stock, transfers] = await Promise.all([
+      Item.aggregate([
+        { $match: { "inventory.warehouse": warehouseId } },
+        { $unwind: "$inventory" },
+        { $match: { "inventory.warehouse": warehouseId } },
+        {
+          $project: {
+            _id: 0,
+            item: { _id: "$_id", name: "$name", sku: "$sku" },
+            condition: "$inventory.condition",
+            quantity: "$inventory.quantity",
+          },
+        },
+        { $sort: { "item.name": 1, condition: 1 } },
+      ]),
+      Item.aggregate([
+        {
+          $match: {
+            transactions: {
+              $elemMatch: {
+                transferStatus: "IN_TRANSIT",
+                $or: [{ warehouse: warehouseId }, { toWarehouse: warehouseId }],
+              },
+            },
+          },
+        },
+        { $unwind: "$transactions" },
+        {
+          $match: {
+            "transactions.transferStatus": "IN_TRANSIT",
+            $or: [
+              { "transactions.warehouse": warehouseId },
+              { "transactions.toWarehouse": warehouseId },
+            ],
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            item: { _id: "$_id", name: "$name", sku: "$sku" },
+            transaction: "$transactions",
+          },
+        },
+        { $sort: { "transaction.performedAt": 1 } },
+      ]),
+    ]);
+
+    return {
+      warehouse,
+      stock,
+      incoming: transfers.filter((transfer) =>
+        warehouseId.equals(transfer.transaction.toWarehouse)
+      ),
+      outgoing: transfers.filter((transfer) =>
+        warehouseId.equals(transfer.transaction.warehouse)
+      ),
+    };
+  }
+
+  /**
+   * @private
+   */
+  static translateError(error) {
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyValue || {})[0] || "name";
+      return ApiError.conflict(`A warehouse with this ${field} exists`);
+    }
+    return error;
+  }
+}
+
+module.exports = WarehouseService;
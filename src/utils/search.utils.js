@@ -0,0 +1,90 @@
+// Fragments shorter than this are too common to be worth indexing
+const MIN_KEYWORD_LENGTH = 3;
+
+// Longer identifiers are cut to this length before building fragments, to
+// keep the number of keywords per document bounded
+const MAX_KEYWORD_SOURCE_LENGTH = 32;
+
+// Longest fragment indexed. Longer search text is matched on all of its
+// fragments of this length.
+const MAX_KEYWORD_LENGTH = 6;
+
+/**
+ * Normalize an identifier for keyword matching: lower case with spaces,
+ * dashes and other punctuation removed, so "SN-AB 1234" matches "ab1234"
+ * @param {String} value - Identifier such as a serial or phone number
+ * @returns {String}
+ */
+const normalizeKeyword = (value) =>
+  value === null || value === undefined
+    ? ""
+    : String(value)
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Build the fragments of 3 to 6 characters of the given identifiers, so a
+ * search for any part of a serial number, model number or phone number is
+ * an index match
+ * @param {Array} values - Identifiers
+ * @returns {Array} - Unique normalized fragments
+ */
+const buildSearchKeywords = (values) => {
+  const keywords = new Set();
+
+  for (const value of values) {
+    const normalized = normalizeKeyword(value).slice(
+      0,
+      MAX_KEYWORD_SOURCE_LENGTH
+    );
+
+    for (let start = 0; start < normalized.length; start++) {
+      for (
+        let end = start + MIN_KEYWORD_LENGTH;
+        end <= Math.min(start + MAX_KEYWORD_LENGTH, normalized.length);
+        end++
+      ) {
+        keywords.add(normalized.slice(start, end));
+      }
+    }
+  }
+
+  return [...keywords];
+};
+
+/**
+ * Query condition for documents whose keywords hold a normalized search
+ * text. Text longer than the longest fragment must have all of its
+ * fragments, which can still match documents that hold them apart, so
+ * callers check the actual values.
+ * @param {String} keyword - Normalized search text
+ * @returns {Object}
+ */
+const keywordQuery = (keyword) => {
+  if (keyword.length <= MAX_KEYWORD_LENGTH) {
+    return { searchKeywords: keyword };
+  }
+
+  const fragments = new Set();
+  for (let start = 0; start + MAX_KEYWORD_LENGTH <= keyword.length; start++) {
+    fragments.add(keyword.slice(start, start + MAX_KEYWORD_LENGTH));
+  }
+
+  return { searchKeywords: { $all: [...fragments] } };
+};
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {String} value - Text to match literally
+ * @returns {String}
+ */
+const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+module.exports = {
+  MIN_KEYWORD_LENGTH,
+  normalizeKeyword,
+  buildSearchKeywords,
+  keywordQuery,
+  escapeRegex,
+};
@@ -0,0 +1,44 @@
+const axios = require("axios");
+const config = require("../config/config");
+
+/**
+ * Sends an SMS through the configured HTTP SMS gateway
+ * @param {Object} options - Message options
+ * @param {string} options.mobileNo - Recipient's mobile number
+ * @param {string} options.countryCode - Country code (default: '+91')
+ * @param {string} options.message - Message text
+ * @param {string} [options.templateId] - DLT template ID (optional)
+ * @returns {Promise<Object>} - API response
+ */
+const sendSms = async (options) => {
+  if (!config.sms.apiUrl || !config.sms.apiKey) {
+    throw new Error("SMS gateway is not configured");
+  }
+
+  try {
+    const response = await axios.post(
+      config.sms.apiUrl,
+      {
+        to: `${options.countryCode || "+91"}${options.mobileNo}`,
+        sender: config.sms.senderId,
+        message: options.message,
+        templateId: options.templateId,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${config.sms.apiKey}`,
+          "Content-Type": "application/json",
+        },
+        timeout: 15000,
+      }
+    );
+
+    return response.data;
+  } catch (error) {
+    throw new Error(`SMS API request failed: ${error.message}`);
+  }
+};
+
+module.exports = {
+  sendSms,
+};
@@ -0,0 +1,58 @@
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Look up a dotted path such as `ticket.ticketId` in an object
+ * @param {Object} context - Values available to the template
+ * @param {String} path - Dotted path
+ * @returns {*} - Value or undefined
+ */
+const getPathValue = (context, path) =>
+  path
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value !== null && value !== undefined ? value[key] : undefined,
+      context
+    );
+
+/**
+ * Replace `{{path}}` placeholders with values from the context. Unknown
+ * placeholders are replaced with an empty string.
+ * @param {String} text - Template text
+ * @param {Object} context - Values available to the template
+ * @returns {String} - Rendered text
+ */
+const renderTemplate = (text, context = {}) => {
+  if (!text) {
+    return text;
+  }
+
+  return text.replace(PLACEHOLDER_PATTERN, (match, path) => {
+    const value = getPathValue(context, path);
+    return value === null || value === undefined ? "" : String(value);
+  });
+};
+
+/**
+ * List placeholders in a template that have no value in the context
+ * @param {String} text - Template text
+ * @param {Object} context - Values available to the template
+ * @returns {Array} - Placeholder paths
+ */
+const findMissingPlaceholders = (text, context = {}) => {
+  const missing = [];
+
+  for (const [, path] of (text || "").matchAll(PLACEHOLDER_PATTERN)) {
+    const value = getPathValue(context, path);
+    if ((value === null || value === undefined) && !missing.includes(path)) {
+      missing.push(path);
+    }
+  }
+
+  return missing;
+};
+
+module.exports = {
+  renderTemplate,
+  findMissingPlaceholders,
+};
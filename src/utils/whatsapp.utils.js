@@ -22,7 +22,7 @@ const sendWhatsAppMessage = async (options) => {
 
   form.append("authTkn", config.whatsapp.apiToken);
   form.append("templateName", options.templateName);
-  form.append("countryCode", "+91");
+  form.append("countryCode", options.countryCode || "+91");
   form.append("mobileNo", options.mobileNo);
 
   form.append("text1", options.text1);
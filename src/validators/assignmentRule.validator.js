@@ -0,0 +1,84 @@
+const Joi = require("joi");
+const { ASSIGNMENT_STRATEGIES } = require("../config/assignmentRules");
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+
+const tags = Joi.array().items(Joi.string().trim().max(100));
+
+const ruleFields = {
+  name: Joi.string().trim().max(100).messages({
+    "string.empty": "Rule name is required",
+    "string.max": "Rule name cannot exceed 100 characters",
+    "any.required": "Rule name is required",
+  }),
+  description: Joi.string().trim().max(500).allow("", null).messages({
+    "string.max": "Description cannot exceed 500 characters",
+  }),
+  isActive: Joi.boolean(),
+  order: Joi.number().integer().messages({
+    "number.base": "Order must be a number",
+  }),
+  conditions: Joi.object({
+    types: tags,
+    categories: tags,
+    states: tags,
+    cities: tags,
+    pincodes: Joi.array().items(
+      Joi.string()
+        .pattern(/^\d{6}$/)
+        .messages({ "string.pattern.base": "Each pincode must be 6 digits" })
+    ),
+    itemIds: Joi.array().items(
+      objectId.messages({ "string.pattern.base": "Invalid item ID format" })
+    ),
+  }),
+  engineers: Joi.array().items(
+    objectId.messages({ "string.pattern.base": "Invalid engineer ID format" })
+  ),
+  requiredSkills: tags,
+  strategy: Joi.string()
+    .valid(...ASSIGNMENT_STRATEGIES)
+    .messages({
+      "any.only": `Strategy must be one of: ${ASSIGNMENT_STRATEGIES.join(", ")}`,
+      "any.required": "Strategy is required",
+    }),
+};
+
+/**
+ * Schema for creating an assignment rule
+ */
+const createAssignmentRuleSchema = Joi.object({
+  ...ruleFields,
+  name: ruleFields.name.required(),
+  strategy: ruleFields.strategy.required(),
+});
+
+/**
+ * Schema for updating an assignment rule
+ */
+const updateAssignmentRuleSchema = Joi.object(ruleFields).min(1).messages({
+  "object.min": "At least one field must be provided to update",
+});
+
+/**
+ * Schema for a sample ticket to dry-run the rules against
+ */
+const assignmentDryRunSchema = Joi.object({
+  type: Joi.string().trim(),
+  category: Joi.string().trim(),
+  itemId: objectId.messages({
+    "string.pattern.base": "Invalid item ID format",
+  }),
+  customerId: objectId.messages({
+    "string.pattern.base": "Invalid customer ID format",
+  }),
+  state: Joi.string().trim(),
+  city: Joi.string().trim(),
+  pincode: Joi.string().trim(),
+});
+
+module.exports = {
+  createAssignmentRuleSchema,
+  updateAssignmentRuleSchema,
+  assignmentDryRunSchema,
+};
@@ -0,0 +1,92 @@
+const Joi = require("joi");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Schema for updating weekly hours and timezone
+ */
+const updateCalendarSchema = Joi.object({
+  timezoneOffsetMinutes: Joi.number().integer().min(-720).max(840).messages({
+    "number.base": "Timezone offset must be a number of minutes",
+    "number.min": "Timezone offset cannot be less than -720 minutes",
+    "number.max": "Timezone offset cannot exceed 840 minutes",
+  }),
+  weeklyHours: Joi.array()
+    .items(
+      Joi.object({
+        day: Joi.number().integer().min(0).max(6).required().messages({
+          "number.base": "Day must be a number between 0 (Sunday) and 6 (Saturday)",
+          "number.min": "Day must be between 0 (Sunday) and 6 (Saturday)",
+          "number.max": "Day must be between 0 (Sunday) and 6 (Saturday)",
+          "any.required": "Day is required",
+        }),
+        isWorkingDay: Joi.boolean().default(true),
+        start: Joi.string().pattern(TIME_PATTERN).default("09:00").messages({
+          "string.pattern.base": "Start time must be in HH:mm format",
+        }),
+        end: Joi.string().pattern(TIME_PATTERN).default("18:00").messages({
+          "string.pattern.base": "End time must be in HH:mm format",
+        }),
+      })
+    )
+    .max(7)
+    .messages({
+      "array.base": "Weekly hours must be an array",
+      "array.max": "Weekly hours cannot have more than 7 days",
+    }),
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one calendar setting must be provided",
+  });
+
+/**
+ * Schema for creating a holiday
+ */
+const createHolidaySchema = Joi.object({
+  name: Joi.string().required().max(100).messages({
+    "string.empty": "Holiday name is required",
+    "string.max": "Holiday name cannot exceed 100 characters",
+    "any.required": "Holiday name is required",
+  }),
+  date: Joi.date().iso().required().messages({
+    "date.base": "Holiday date must be a valid date",
+    "date.format": "Holiday date must be in YYYY-MM-DD format",
+    "any.required": "Holiday date is required",
+  }),
+  states: Joi.array().items(Joi.string().trim()).messages({
+    "array.base": "States must be an array of state names",
+  }),
+  recurring: Joi.boolean().messages({
+    "boolean.base": "Recurring must be a boolean",
+  }),
+});
+
+/**
+ * Schema for updating a holiday
+ */
+const updateHolidaySchema = Joi.object({
+  name: Joi.string().max(100).messages({
+    "string.max": "Holiday name cannot exceed 100 characters",
+  }),
+  date: Joi.date().iso().messages({
+    "date.base": "Holiday date must be a valid date",
+    "date.format": "Holiday date must be in YYYY-MM-DD format",
+  }),
+  states: Joi.array().items(Joi.string().trim()).messages({
+    "array.base": "States must be an array of state names",
+  }),
+  recurring: Joi.boolean().messages({
+    "boolean.base": "Recurring must be a boolean",
+  }),
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one field must be provided for update",
+  });
+
+module.exports = {
+  updateCalendarSchema,
+  createHolidaySchema,
+  updateHolidaySchema,
+};
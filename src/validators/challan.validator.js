@@ -0,0 +1,60 @@
+const Joi = require("joi");
+
+const objectId = Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .messages({
+    "string.pattern.base": "Invalid transaction ID format",
+  });
+
+/**
+ * Schema for creating a challan from OUTWARD transactions
+ */
+const createChallanSchema = Joi.object({
+  transactionIds: Joi.array()
+    .items(objectId)
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      "array.base": "Transaction IDs must be a list",
+      "array.min": "At least one transaction is required",
+      "array.unique": "Transactions must not repeat",
+      "any.required": "Transaction IDs are required",
+    }),
+  docketNumber: Joi.string().trim().max(100).allow("", null).messages({
+    "string.max": "Docket number cannot exceed 100 characters",
+  }),
+  notes: Joi.string().trim().max(1000).allow("", null).messages({
+    "string.max": "Notes cannot exceed 1000 characters",
+  }),
+  issue: Joi.boolean().messages({
+    "boolean.base": "Issue must be true or false",
+  }),
+});
+
+/**
+ * Schema for issuing a draft challan
+ */
+const issueChallanSchema = Joi.object({
+  docketNumber: Joi.string().trim().max(100).allow("", null).messages({
+    "string.max": "Docket number cannot exceed 100 characters",
+  }),
+});
+
+/**
+ * Schema for cancelling a challan
+ */
+const cancelChallanSchema = Joi.object({
+  reason: Joi.string().trim().min(5).max(500).required().messages({
+    "string.empty": "Reason for cancellation is required",
+    "string.min": "Reason must be at least 5 characters long",
+    "string.max": "Reason cannot exceed 500 characters",
+    "any.required": "Reason for cancellation is required",
+  }),
+});
+
+module.exports = {
+  createChallanSchema,
+  issueChallanSchema,
+  cancelChallanSchema,
+};
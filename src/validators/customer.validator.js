@@ -1,4 +1,36 @@
 const Joi = require("joi");
+const {
+  CUSTOMER_NOTIFICATION_EVENTS,
+} = require("../config/notificationTemplates");
+
+/**
+ * Opt-in for ticket notifications sent to the customer
+ */
+const notificationPreferencesSchema = Joi.object({
+  email: Joi.boolean().messages({
+    "boolean.base": "Email must be a boolean",
+  }),
+  whatsapp: Joi.boolean().messages({
+    "boolean.base": "WhatsApp must be a boolean",
+  }),
+  sms: Joi.boolean().messages({
+    "boolean.base": "SMS must be a boolean",
+  }),
+  includeAlternateMobile: Joi.boolean().messages({
+    "boolean.base": "Include alternate mobile must be a boolean",
+  }),
+  events: Joi.array()
+    .items(Joi.string().valid(...CUSTOMER_NOTIFICATION_EVENTS))
+    .unique()
+    .messages({
+      "any.only": `Events must be one of ${CUSTOMER_NOTIFICATION_EVENTS.join(", ")}`,
+      "array.unique": "Events cannot contain duplicates",
+    }),
+  language: Joi.string().trim().min(2).max(10).messages({
+    "string.min": "Language must be a language code such as en or hi",
+    "string.max": "Language must be a language code such as en or hi",
+  }),
+});
 
 /**
  * Validation schema for creating a new customer
@@ -58,6 +90,7 @@ const customerSchema = Joi.object({
   alternatePersonName: Joi.string().allow("").max(100).messages({
     "string.max": "Alternate person name cannot exceed 100 characters",
   }),
+  notificationPreferences: notificationPreferencesSchema,
 });
 
 /**
@@ -104,6 +137,7 @@ const customerUpdateSchema = Joi.object({
   alternatePersonName: Joi.string().allow("").max(100).messages({
     "string.max": "Alternate person name cannot exceed 100 characters",
   }),
+  notificationPreferences: notificationPreferencesSchema,
 });
 
 module.exports = {
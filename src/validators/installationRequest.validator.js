@@ -0,0 +1,146 @@
+const Joi = require("joi");
+
+const TIME_SLOTS = ["MORNING", "AFTERNOON", "EVENING"];
+
+/**
+ * Schema for creating a new installation request
+ */
+const createInstallationSchema = Joi.object({
+  customerId: Joi.string().required().messages({
+    "string.empty": "Customer is required",
+    "any.required": "Customer is required",
+  }),
+  productType: Joi.string().required().max(100).messages({
+    "string.empty": "Product type is required",
+    "string.max": "Product type cannot exceed 100 characters",
+    "any.required": "Product type is required",
+  }),
+  productModel: Joi.string().required().max(100).messages({
+    "string.empty": "Product model is required",
+    "string.max": "Product model cannot exceed 100 characters",
+    "any.required": "Product model is required",
+  }),
+  serialNumber: Joi.string().required().messages({
+    "string.empty": "Serial number is required",
+    "any.required": "Serial number is required",
+  }),
+  purchaseDate: Joi.date().iso().max("now").allow(null).messages({
+    "date.base": "Purchase date must be a valid date",
+    "date.max": "Purchase date cannot be in the future",
+  }),
+  purchaseLocation: Joi.string().max(200).allow(null, "").messages({
+    "string.max": "Purchase location cannot exceed 200 characters",
+  }),
+  preferredDate: Joi.date().iso().allow(null).messages({
+    "date.base": "Preferred date must be a valid date",
+  }),
+  preferredTimeSlot: Joi.string()
+    .valid(...TIME_SLOTS)
+    .allow(null)
+    .messages({
+      "any.only": "Preferred time slot must be one of: MORNING, AFTERNOON, EVENING",
+    }),
+  notes: Joi.string().max(1000).allow(null, "").messages({
+    "string.max": "Notes cannot exceed 1000 characters",
+  }),
+});
+
+/**
+ * Schema for updating installation request details
+ */
+const updateInstallationSchema = Joi.object({
+  productType: Joi.string().max(100).messages({
+    "string.max": "Product type cannot exceed 100 characters",
+  }),
+  productModel: Joi.string().max(100).messages({
+    "string.max": "Product model cannot exceed 100 characters",
+  }),
+  serialNumber: Joi.string(),
+  purchaseDate: Joi.date().iso().max("now").allow(null).messages({
+    "date.base": "Purchase date must be a valid date",
+    "date.max": "Purchase date cannot be in the future",
+  }),
+  purchaseLocation: Joi.string().max(200).allow(null, "").messages({
+    "string.max": "Purchase location cannot exceed 200 characters",
+  }),
+  preferredDate: Joi.date().iso().allow(null).messages({
+    "date.base": "Preferred date must be a valid date",
+  }),
+  preferredTimeSlot: Joi.string()
+    .valid(...TIME_SLOTS)
+    .allow(null)
+    .messages({
+      "any.only": "Preferred time slot must be one of: MORNING, AFTERNOON, EVENING",
+    }),
+  notes: Joi.string().max(1000).allow(null, "").messages({
+    "string.max": "Notes cannot exceed 1000 characters",
+  }),
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one field must be provided for update",
+  });
+
+/**
+ * Schema for scheduling an installation
+ */
+const scheduleInstallationSchema = Joi.object({
+  scheduledDate: Joi.date().iso().min("now").required().messages({
+    "date.base": "Scheduled date must be a valid date",
+    "date.min": "Scheduled date cannot be in the past",
+    "any.required": "Scheduled date is required",
+  }),
+  scheduledTimeSlot: Joi.string()
+    .valid(...TIME_SLOTS)
+    .required()
+    .messages({
+      "any.only": "Scheduled time slot must be one of: MORNING, AFTERNOON, EVENING",
+      "any.required": "Scheduled time slot is required",
+    }),
+  notes: Joi.string().max(1000).allow(null, "").messages({
+    "string.max": "Notes cannot exceed 1000 characters",
+  }),
+});
+
+/**
+ * Schema for assigning an installation to a technician
+ */
+const assignInstallationSchema = Joi.object({
+  assignToUserId: Joi.string().required().messages({
+    "string.empty": "User ID to assign to is required",
+    "any.required": "User ID to assign to is required",
+  }),
+  notes: Joi.string().max(1000).allow(null, "").messages({
+    "string.max": "Notes cannot exceed 1000 characters",
+  }),
+});
+
+/**
+ * Schema for completing an installation
+ */
+const completeInstallationSchema = Joi.object({
+  completionNotes: Joi.string().max(2000).allow(null, "").messages({
+    "string.max": "Completion notes cannot exceed 2000 characters",
+  }),
+});
+
+/**
+ * Schema for cancelling an installation
+ */
+const cancelInstallationSchema = Joi.object({
+  reason: Joi.string().required().min(5).max(500).messages({
+    "string.empty": "Cancellation reason is required",
+    "string.min": "Cancellation reason must be at least 5 characters long",
+    "string.max": "Cancellation reason cannot exceed 500 characters",
+    "any.required": "Cancellation reason is required",
+  }),
+});
+
+module.exports = {
+  createInstallationSchema,
+  updateInstallationSchema,
+  scheduleInstallationSchema,
+  assignInstallationSchema,
+  completeInstallationSchema,
+  cancelInstallationSchema,
+};
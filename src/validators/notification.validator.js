@@ -0,0 +1,106 @@
+const Joi = require("joi");
+
+/**
+ * Schema for marking all notifications as read
+ */
+const markAllReadSchema = Joi.object({
+  ticketId: Joi.string().messages({
+    "string.base": "Ticket ID must be a string",
+  }),
+});
+
+/**
+ * Schema for re-sending failed outbox messages in bulk
+ */
+const retryFailedSchema = Joi.object({
+  channel: Joi.string().valid("email", "whatsapp", "sms").messages({
+    "any.only": "Channel must be one of email, whatsapp or sms",
+  }),
+  notificationType: Joi.string().trim().messages({
+    "string.base": "Notification type must be a string",
+  }),
+});
+
+const templateFields = {
+  subject: Joi.string().trim().max(300).allow("").messages({
+    "string.max": "Subject cannot exceed 300 characters",
+  }),
+  body: Joi.string().max(5000).allow("").messages({
+    "string.max": "Body cannot exceed 5000 characters",
+  }),
+  providerTemplate: Joi.string().trim().allow("").messages({
+    "string.base": "Provider template must be a string",
+  }),
+  providerParams: Joi.array().items(Joi.string().allow("")).max(5).messages({
+    "array.base": "Provider parameters must be an array",
+    "array.max": "Provider templates take at most 5 parameters",
+  }),
+  isActive: Joi.boolean(),
+};
+
+/**
+ * Schema for creating a notification template
+ */
+const createTemplateSchema = Joi.object({
+  event: Joi.string().trim().required().messages({
+    "string.empty": "Event is required",
+    "any.required": "Event is required",
+  }),
+  channel: Joi.string().valid("email", "whatsapp", "sms").required().messages({
+    "any.only": "Channel must be one of email, whatsapp or sms",
+    "any.required": "Channel is required",
+  }),
+  language: Joi.string().trim().min(2).max(10).messages({
+    "string.min": "Language must be a language code such as en or hi",
+    "string.max": "Language must be a language code such as en or hi",
+  }),
+  ...templateFields,
+});
+
+/**
+ * Schema for updating a notification template
+ */
+const updateTemplateSchema = Joi.object({
+  event: Joi.string().trim(),
+  channel: Joi.string().valid("email", "whatsapp", "sms").messages({
+    "any.only": "Channel must be one of email, whatsapp or sms",
+  }),
+  language: Joi.string().trim().min(2).max(10).messages({
+    "string.min": "Language must be a language code such as en or hi",
+    "string.max": "Language must be a language code such as en or hi",
+  }),
+  ...templateFields,
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one field must be provided for update",
+  });
+
+/**
+ * Schema for previewing a template against a ticket. Either a saved
+ * template ID or the template content must be given.
+ */
+const previewTemplateSchema = Joi.object({
+  ticketId: Joi.string().required().messages({
+    "string.empty": "Ticket ID is required",
+    "any.required": "Ticket ID is required",
+  }),
+  templateId: Joi.string(),
+  event: Joi.string().trim(),
+  channel: Joi.string().valid("email", "whatsapp", "sms").messages({
+    "any.only": "Channel must be one of email, whatsapp or sms",
+  }),
+  ...templateFields,
+})
+  .or("templateId", "event")
+  .messages({
+    "object.missing": "Either templateId or the template event is required",
+  });
+
+module.exports = {
+  markAllReadSchema,
+  retryFailedSchema,
+  createTemplateSchema,
+  updateTemplateSchema,
+  previewTemplateSchema,
+};
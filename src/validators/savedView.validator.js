@@ -0,0 +1,106 @@
+const Joi = require("joi");
+const {
+  SAVED_VIEW_VISIBILITIES,
+  SAVED_VIEW_LIST_FILTERS,
+  CURRENT_USER,
+} = require("../config/savedViews");
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+
+const listFilter = Joi.array().items(Joi.string().trim().uppercase());
+
+/**
+ * Filters a view can hold - the GET /tickets query parameters
+ */
+const filtersSchema = Joi.object({
+  ...SAVED_VIEW_LIST_FILTERS.reduce(
+    (filters, field) => ({ ...filters, [field]: listFilter }),
+    {}
+  ),
+  assignedTo: Joi.alternatives()
+    .try(objectId, Joi.string().valid(CURRENT_USER))
+    .messages({
+      "alternatives.match": `Assigned to must be a user ID or "${CURRENT_USER}"`,
+    }),
+  itemId: objectId.messages({
+    "string.pattern.base": "Invalid item ID format",
+  }),
+  problem: objectId.messages({
+    "string.pattern.base": "Invalid problem ID format",
+  }),
+  serialNumber: Joi.string().trim().max(100),
+  search: Joi.string().trim().max(200),
+  state: Joi.string().trim().max(100),
+  city: Joi.string().trim().max(100),
+  startDate: Joi.date().iso().messages({
+    "date.format": "Start date must be in ISO format",
+  }),
+  endDate: Joi.date().iso().min(Joi.ref("startDate")).messages({
+    "date.format": "End date must be in ISO format",
+    "date.min": "End date must be after start date",
+  }),
+  createdWithinDays: Joi.number().integer().min(1).max(366).messages({
+    "number.base": "Created within days must be a number",
+    "number.min": "Created within days must be at least 1",
+    "number.max": "Created within days cannot exceed 366",
+  }),
+}).messages({
+  "object.unknown": "{{#label}} is not a supported view filter",
+});
+
+const viewFields = {
+  name: Joi.string().trim().max(100).messages({
+    "string.empty": "View name is required",
+    "string.max": "View name cannot exceed 100 characters",
+    "any.required": "View name is required",
+  }),
+  description: Joi.string().trim().max(500).allow("", null).messages({
+    "string.max": "Description cannot exceed 500 characters",
+  }),
+  filters: filtersSchema,
+  sort: Joi.string()
+    .pattern(/^-?[A-Za-z.]+(,-?[A-Za-z.]+)*$/)
+    .messages({
+      "string.pattern.base":
+        "Sort must be comma-separated field names, prefixed with - for descending order",
+    }),
+  columns: Joi.array().items(
+    Joi.string()
+      .pattern(/^[A-Za-z.]+$/)
+      .messages({
+        "string.pattern.base": "Each column must be a ticket field name",
+      })
+  ),
+  visibility: Joi.string()
+    .valid(...SAVED_VIEW_VISIBILITIES)
+    .messages({
+      "any.only": `Visibility must be one of: ${SAVED_VIEW_VISIBILITIES.join(", ")}`,
+    }),
+  sharedWithRole: Joi.string()
+    .trim()
+    .uppercase()
+    .when("visibility", { is: "ROLE", then: Joi.required() })
+    .messages({
+      "any.required": "Shared with role is required for ROLE views",
+    }),
+};
+
+/**
+ * Schema for creating a saved view
+ */
+const createSavedViewSchema = Joi.object({
+  ...viewFields,
+  name: viewFields.name.required(),
+});
+
+/**
+ * Schema for updating a saved view
+ */
+const updateSavedViewSchema = Joi.object(viewFields).min(1).messages({
+  "object.min": "At least one field must be provided to update",
+});
+
+module.exports = {
+  createSavedViewSchema,
+  updateSavedViewSchema,
+};
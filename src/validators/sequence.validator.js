@@ -0,0 +1,36 @@
+const Joi = require("joi");
+const { SEQUENCE_RESET_PERIODS } = require("../config/sequences");
+
+/**
+ * Schema for updating a sequence's numbering settings
+ */
+const updateSequenceSchema = Joi.object({
+  prefix: Joi.string()
+    .trim()
+    .pattern(/^[A-Za-z0-9-]+$/)
+    .max(20)
+    .messages({
+      "string.empty": "Prefix cannot be empty",
+      "string.pattern.base":
+        "Prefix can only contain letters, numbers and hyphens",
+      "string.max": "Prefix cannot exceed 20 characters",
+    }),
+  resetPeriod: Joi.string()
+    .valid(...SEQUENCE_RESET_PERIODS)
+    .messages({
+      "any.only": `Reset period must be one of: ${SEQUENCE_RESET_PERIODS.join(", ")}`,
+    }),
+  padding: Joi.number().integer().min(1).max(10).messages({
+    "number.base": "Padding must be a number",
+    "number.min": "Padding must be at least 1 digit",
+    "number.max": "Padding cannot exceed 10 digits",
+  }),
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one sequence setting must be provided",
+  });
+
+module.exports = {
+  updateSequenceSchema,
+};
@@ -0,0 +1,63 @@
+const Joi = require("joi");
+const { MANUAL_STATUS_TRANSITIONS } = require("../config/serialUnits");
+
+const objectId = (label) =>
+  Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      "string.pattern.base": `Invalid ${label} ID format`,
+      "any.required": `${label[0].toUpperCase()}${label.slice(1)} is required`,
+    });
+
+const manualStatuses = [
+  ...new Set(Object.values(MANUAL_STATUS_TRANSITIONS).flat()),
+];
+
+/**
+ * Schema for registering serial numbers of stock already at a warehouse
+ */
+const registerSerialUnitsSchema = Joi.object({
+  itemId: objectId("item").required(),
+  warehouseId: objectId("warehouse").required(),
+  condition: Joi.string()
+    .valid("NEW", "REPARABLE", "REPAIRED")
+    .default("NEW")
+    .messages({
+      "any.only": "Condition must be one of: NEW, REPARABLE, REPAIRED",
+    }),
+  serialNumbers: Joi.array()
+    .items(Joi.string().trim().min(1))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      "array.base": "Serial numbers must be a list",
+      "array.min": "At least one serial number is required",
+      "array.unique": "Serial numbers must not repeat",
+      "string.empty": "Serial numbers cannot be empty",
+      "any.required": "Serial numbers are required",
+    }),
+});
+
+/**
+ * Schema for recording a unit's status change by hand
+ */
+const updateSerialUnitStatusSchema = Joi.object({
+  status: Joi.string()
+    .valid(...manualStatuses)
+    .required()
+    .messages({
+      "any.only": `Status must be one of: ${manualStatuses.join(", ")}`,
+      "any.required": "Status is required",
+    }),
+  itemId: objectId("item"),
+  ticketId: objectId("ticket"),
+  notes: Joi.string().trim().max(500).allow("", null).messages({
+    "string.max": "Notes cannot exceed 500 characters",
+  }),
+});
+
+module.exports = {
+  registerSerialUnitsSchema,
+  updateSerialUnitStatusSchema,
+};
@@ -0,0 +1,44 @@
+const Joi = require("joi");
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+
+const teamFields = {
+  name: Joi.string().trim().max(100).messages({
+    "string.empty": "Team name is required",
+    "string.max": "Team name cannot exceed 100 characters",
+    "any.required": "Team name is required",
+  }),
+  description: Joi.string().trim().max(500).allow("", null).messages({
+    "string.max": "Description cannot exceed 500 characters",
+  }),
+  manager: objectId.messages({
+    "string.empty": "Team manager is required",
+    "string.pattern.base": "Invalid manager ID format",
+    "any.required": "Team manager is required",
+  }),
+  members: Joi.array().items(
+    objectId.messages({ "string.pattern.base": "Invalid member ID format" })
+  ),
+  isActive: Joi.boolean(),
+};
+
+/**
+ * Schema for creating a team
+ */
+const createTeamSchema = Joi.object({
+  ...teamFields,
+  name: teamFields.name.required(),
+  manager: teamFields.manager.required(),
+});
+
+/**
+ * Schema for updating a team
+ */
+const updateTeamSchema = Joi.object(teamFields).min(1).messages({
+  "object.min": "At least one field must be provided to update",
+});
+
+module.exports = {
+  createTeamSchema,
+  updateTeamSchema,
+};
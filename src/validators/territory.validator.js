@@ -0,0 +1,68 @@
+const Joi = require("joi");
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+
+const pincode = Joi.string()
+  .pattern(/^\d{6}$/)
+  .messages({
+    "string.pattern.base": "Pincodes must be 6 digits",
+    "any.required": "Both ends of a pincode range are required",
+  });
+
+const territoryFields = {
+  name: Joi.string().trim().max(100).messages({
+    "string.empty": "Territory name is required",
+    "string.max": "Territory name cannot exceed 100 characters",
+    "any.required": "Territory name is required",
+  }),
+  description: Joi.string().trim().max(500).allow("", null).messages({
+    "string.max": "Description cannot exceed 500 characters",
+  }),
+  isActive: Joi.boolean(),
+  pincodeRanges: Joi.array().items(
+    Joi.object({
+      from: pincode.required(),
+      to: pincode.required(),
+    })
+  ),
+  cities: Joi.array().items(
+    Joi.object({
+      city: Joi.string().trim().required().messages({
+        "string.empty": "City is required",
+        "any.required": "City is required",
+      }),
+      state: Joi.string().trim().allow("", null),
+    })
+  ),
+  engineers: Joi.array().items(
+    objectId.messages({ "string.pattern.base": "Invalid engineer ID format" })
+  ),
+  teams: Joi.array().items(
+    objectId.messages({ "string.pattern.base": "Invalid team ID format" })
+  ),
+};
+
+/**
+ * Schema for creating a territory
+ */
+const createTerritorySchema = Joi.object({
+  ...territoryFields,
+  name: territoryFields.name.required(),
+})
+  .or("pincodeRanges", "cities")
+  .messages({
+    "object.missing":
+      "A territory must cover at least one pincode range or city",
+  });
+
+/**
+ * Schema for updating a territory
+ */
+const updateTerritorySchema = Joi.object(territoryFields).min(1).messages({
+  "object.min": "At least one field must be provided to update",
+});
+
+module.exports = {
+  createTerritorySchema,
+  updateTerritorySchema,
+};
@@ -1,4 +1,9 @@
 const Joi = require("joi");
+const {
+  TICKET_STATUSES,
+  BULK_TICKET_ACTIONS,
+  MAX_BULK_TICKETS,
+} = require("../config/ticketWorkflow");
 
 /**
  * Schema for creating a new ticket
@@ -208,6 +213,20 @@ const assignTicketSchema = Joi.object({
   }),
 }).unknown(true); // Allow unknown fields
 
+const assignTeamSchema = Joi.object({
+  teamId: Joi.string()
+    .required()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      "string.empty": "Team ID is required",
+      "string.pattern.base": "Invalid team ID format",
+      "any.required": "Team ID is required",
+    }),
+  notes: Joi.string().max(500).allow("", null).messages({
+    "string.max": "Notes cannot exceed 500 characters",
+  }),
+});
+
 /**
  * Schema for adding comments
  */
@@ -323,10 +342,33 @@ const processFileUploads = (fieldName = "attachments") => {
  * Schema for inventory transaction
  */
 const inventoryTransactionSchema = Joi.object({
-  type: Joi.string().valid("INWARD", "OUTWARD").required().messages({
-    "any.only": "Transaction type must be either INWARD or OUTWARD",
-    "any.required": "Transaction type is required",
-  }),
+  type: Joi.string()
+    .valid("INWARD", "OUTWARD", "TRANSFER")
+    .required()
+    .messages({
+      "any.only": "Transaction type must be one of: INWARD, OUTWARD, TRANSFER",
+      "any.required": "Transaction type is required",
+    }),
+  warehouseId: Joi.string()
+    .required()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      "string.empty": "Warehouse is required",
+      "string.pattern.base": "Invalid warehouse ID format",
+      "any.required": "Warehouse is required",
+    }),
+  toWarehouseId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .when("type", {
+      is: "TRANSFER",
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    })
+    .messages({
+      "string.pattern.base": "Invalid destination warehouse ID format",
+      "any.required": "Destination warehouse is required for transfers",
+      "any.unknown": "Only transfers have a destination warehouse",
+    }),
   condition: Joi.string()
     .valid("NEW", "REPARABLE", "REPAIRED")
     .required()
@@ -348,6 +390,14 @@ const inventoryTransactionSchema = Joi.object({
     }),
     otherwise: Joi.string().allow(null, ""),
   }),
+  serialNumbers: Joi.array()
+    .items(Joi.string().trim().min(1))
+    .unique()
+    .messages({
+      "array.base": "Serial numbers must be a list",
+      "array.unique": "Serial numbers must not repeat",
+      "string.empty": "Serial numbers cannot be empty",
+    }),
   notes: Joi.string().allow("", null),
   docketNumber: Joi.string().allow("", null),
 }).unknown(true);
@@ -364,14 +414,90 @@ const deleteTicketSchema = Joi.object({
   }),
 }).unknown(true);
 
+/**
+ * Schema for running one action on many tickets
+ */
+const bulkTicketSchema = Joi.object({
+  ticketIds: Joi.array()
+    .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+    .min(1)
+    .max(MAX_BULK_TICKETS)
+    .unique()
+    .required()
+    .messages({
+      "array.min": "At least one ticket ID is required",
+      "array.max": `Cannot process more than ${MAX_BULK_TICKETS} tickets at once`,
+      "array.unique": "Ticket IDs must not repeat",
+      "string.pattern.base": "Each ticket ID must be a valid ObjectId",
+      "any.required": "Ticket IDs are required",
+    }),
+  action: Joi.string()
+    .valid(...Object.keys(BULK_TICKET_ACTIONS))
+    .required()
+    .messages({
+      "any.only": `Action must be one of: ${Object.keys(BULK_TICKET_ACTIONS).join(", ")}`,
+      "any.required": "Action is required",
+    }),
+  assignToUserId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .when("action", { is: "ASSIGN", then: Joi.required() })
+    .messages({
+      "string.pattern.base": "Invalid user ID format",
+      "any.required": "User ID to assign the tickets to is required",
+    }),
+  notes: Joi.string().max(500).allow("", null).messages({
+    "string.max": "Notes cannot exceed 500 characters",
+  }),
+  status: Joi.string()
+    .valid(...TICKET_STATUSES)
+    .when("action", { is: "CHANGE_STATUS", then: Joi.required() })
+    .messages({
+      "any.only": `Status must be one of: ${TICKET_STATUSES.join(", ")}`,
+      "any.required": "Status is required",
+    }),
+  priority: Joi.string()
+    .valid("LOW", "MEDIUM", "HIGH", "CRITICAL")
+    .when("action", { is: "CHANGE_PRIORITY", then: Joi.required() })
+    .messages({
+      "any.only": "Priority must be one of: LOW, MEDIUM, HIGH, CRITICAL",
+      "any.required": "Priority is required",
+    }),
+  comment: Joi.string()
+    .min(1)
+    .max(2000)
+    .when("action", {
+      is: Joi.valid("CHANGE_STATUS", "CHANGE_PRIORITY", "ADD_COMMENT"),
+      then: Joi.required(),
+    })
+    .messages({
+      "string.empty": "Comment is required",
+      "string.max": "Comment cannot exceed 2000 characters",
+      "any.required":
+        "Comment is required (it is the update comment for status and priority changes)",
+    }),
+  isInternal: Joi.boolean().default(false),
+  reason: Joi.string()
+    .min(10)
+    .max(500)
+    .when("action", { is: "DELETE", then: Joi.required() })
+    .messages({
+      "string.empty": "Reason for deletion is required",
+      "string.min": "Reason must be at least 10 characters long",
+      "string.max": "Reason cannot exceed 500 characters",
+      "any.required": "Reason for deletion is required",
+    }),
+});
+
 module.exports = {
   createTicketSchema,
   updateTicketSchema,
   assignTicketSchema,
+  assignTeamSchema,
   commentSchema,
   attachmentsSchema,
   formatFileUploads,
   processFileUploads,
   inventoryTransactionSchema,
   deleteTicketSchema,
+  bulkTicketSchema,
 };
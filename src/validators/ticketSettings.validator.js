@@ -1,5 +1,7 @@
 const Joi = require("joi");
 const { ROLES } = require("../config/roles");
+const { TICKET_STATUSES } = require("../config/ticketWorkflow");
+const { AVAILABILITY_CHECK_MODES } = require("../config/availability");
 
 /**
  * Schema for updating ticket settings
@@ -23,6 +25,11 @@ const updateSettingsSchema = Joi.object({
   defaultAssignToSupportManager: Joi.boolean().messages({
     "boolean.base": "Default assign to support manager must be a boolean",
   }),
+  assignmentAvailabilityCheck: Joi.string()
+    .valid(...AVAILABILITY_CHECK_MODES)
+    .messages({
+      "any.only": `Assignment availability check must be one of: ${AVAILABILITY_CHECK_MODES.join(", ")}`,
+    }),
   defaultDueDateDays: Joi.number().integer().min(1).max(90).messages({
     "number.base": "Default due date days must be a number",
     "number.integer": "Default due date days must be an integer",
@@ -113,8 +120,111 @@ const dueDatesConfigSchema = Joi.object({
   }),
 });
 
+/**
+ * Schema for a single role's transition graph
+ */
+const roleTransitionsSchema = Joi.object()
+  .pattern(
+    Joi.string().valid(...TICKET_STATUSES),
+    Joi.array()
+      .items(Joi.string().valid(...TICKET_STATUSES))
+      .unique()
+  )
+  .messages({
+    "object.base": "Role transitions must be an object",
+    "object.unknown": `Status must be one of: ${TICKET_STATUSES.join(", ")}`,
+    "any.only": `Status must be one of: ${TICKET_STATUSES.join(", ")}`,
+    "array.unique": "Target statuses must not contain duplicates",
+  });
+
+/**
+ * Schema for updating the ticket status workflow
+ */
+const workflowSchema = Joi.object({
+  transitions: Joi.object()
+    .pattern(Joi.string().pattern(/^[A-Z_]+$/), roleTransitionsSchema)
+    .keys({
+      DEFAULT: roleTransitionsSchema.required().messages({
+        "any.required": "A DEFAULT transition graph is required",
+      }),
+    })
+    .required()
+    .messages({
+      "object.base": "Transitions must be an object keyed by role code",
+      "any.required": "Transitions are required",
+      "string.pattern.base": "Role codes must be uppercase",
+    }),
+});
+
+/**
+ * Schema for SLA configuration
+ */
+const slaConfigSchema = Joi.object({
+  slaEnabled: Joi.boolean().messages({
+    "boolean.base": "SLA enabled must be a boolean",
+  }),
+  slaAtRiskPercent: Joi.number().integer().min(1).max(100).messages({
+    "number.base": "At-risk percent must be a number",
+    "number.integer": "At-risk percent must be an integer",
+    "number.min": "At-risk percent must be at least 1",
+    "number.max": "At-risk percent cannot exceed 100",
+  }),
+  slaPolicies: Joi.array()
+    .items(
+      Joi.object({
+        priority: Joi.string()
+          .valid("LOW", "MEDIUM", "HIGH", "CRITICAL")
+          .required()
+          .messages({
+            "any.only": "Priority must be one of: LOW, MEDIUM, HIGH, CRITICAL",
+            "any.required": "Priority is required for each SLA policy",
+          }),
+        ticketType: Joi.string()
+          .valid(
+            "SERVICE",
+            "INSTALLATION",
+            "CHARGEABLE",
+            "IN_WARRANTY",
+            "OUT_OF_WARRANTY",
+            "COMPLAINT",
+            "DISPATCH"
+          )
+          .allow(null)
+          .messages({
+            "any.only":
+              "Ticket type must be one of: SERVICE, INSTALLATION, CHARGEABLE, IN_WARRANTY, OUT_OF_WARRANTY, COMPLAINT, DISPATCH",
+          }),
+        firstResponseHours: Joi.number().min(0).max(720).required().messages({
+          "number.base": "First response hours must be a number",
+          "number.max": "First response hours cannot exceed 720",
+          "any.required": "First response hours are required",
+        }),
+        resolutionHours: Joi.number()
+          .min(Joi.ref("firstResponseHours"))
+          .max(2160)
+          .required()
+          .messages({
+            "number.base": "Resolution hours must be a number",
+            "number.min":
+              "Resolution hours cannot be less than first response hours",
+            "number.max": "Resolution hours cannot exceed 2160",
+            "any.required": "Resolution hours are required",
+          }),
+      })
+    )
+    .messages({
+      "array.base": "SLA policies must be an array",
+    }),
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one SLA setting must be provided",
+  });
+
 module.exports = {
   updateSettingsSchema,
   autoApprovalSchema,
   dueDatesConfigSchema,
+  workflowSchema,
+  slaConfigSchema,
 };
@@ -39,6 +39,15 @@ const createUserSchema = Joi.object({
   remark: Joi.string().max(1000).messages({
     "string.max": "Remark cannot exceed 1000 characters",
   }),
+  reportsTo: Joi.string().allow(null, "").messages({
+    "string.base": "Reports to must be a user ID",
+  }),
+  skills: Joi.array().items(Joi.string().trim().max(50)).messages({
+    "array.base": "Skills must be a list of tags",
+  }),
+  territories: Joi.array().items(Joi.string().trim().max(100)).messages({
+    "array.base": "Territories must be a list of states, cities or pincodes",
+  }),
 });
 
 /**
@@ -63,6 +72,15 @@ const updateUserSchema = Joi.object({
   remark: Joi.string().max(1000).messages({
     "string.max": "Remark cannot exceed 1000 characters",
   }),
+  reportsTo: Joi.string().allow(null, "").messages({
+    "string.base": "Reports to must be a user ID",
+  }),
+  skills: Joi.array().items(Joi.string().trim().max(50)).messages({
+    "array.base": "Skills must be a list of tags",
+  }),
+  territories: Joi.array().items(Joi.string().trim().max(100)).messages({
+    "array.base": "Territories must be a list of states, cities or pincodes",
+  }),
   isActive: Joi.boolean().messages({
     "boolean.base": "isActive must be a boolean",
   }),
@@ -84,6 +102,80 @@ const updateNotificationPreferencesSchema = Joi.object({
     "boolean.base": "SMS must be a boolean",
     "any.required": "SMS preference is required",
   }),
+  inApp: Joi.boolean().messages({
+    "boolean.base": "In-app must be a boolean",
+  }),
+  language: Joi.string().trim().lowercase().min(2).max(10).messages({
+    "string.base": "Language must be a string",
+    "string.min": "Language must be a language code such as en or hi",
+    "string.max": "Language must be a language code such as en or hi",
+  }),
+});
+
+/**
+ * Schema for updating a user's working days and open ticket limit
+ */
+const updateAvailabilitySchema = Joi.object({
+  workingDays: Joi.array()
+    .items(Joi.number().integer().min(0).max(6))
+    .messages({
+      "number.base": "Working days must be numbers from 0 (Sunday) to 6",
+      "number.min": "Working days must be numbers from 0 (Sunday) to 6",
+      "number.max": "Working days must be numbers from 0 (Sunday) to 6",
+    }),
+  maxOpenTickets: Joi.number().integer().min(1).allow(null).messages({
+    "number.base": "Maximum open tickets must be a number",
+    "number.integer": "Maximum open tickets must be an integer",
+    "number.min": "Maximum open tickets must be at least 1",
+  }),
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one field must be provided to update",
+  });
+
+/**
+ * Schema for recording a leave period
+ */
+const createLeaveSchema = Joi.object({
+  startDate: Joi.date().required().messages({
+    "date.base": "Start date must be a valid date",
+    "any.required": "Start date is required",
+  }),
+  endDate: Joi.date().required().messages({
+    "date.base": "End date must be a valid date",
+    "any.required": "End date is required",
+  }),
+  reason: Joi.string().trim().max(500).allow("").messages({
+    "string.max": "Reason cannot exceed 500 characters",
+  }),
+});
+
+/**
+ * Schema for moving a leave's tickets to another user
+ */
+const reassignLeaveTicketsSchema = Joi.object({
+  assignToUserId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      "string.pattern.base": "Invalid user ID format",
+      "any.required": "User ID to move the tickets to is required",
+    }),
+  ticketIds: Joi.array()
+    .items(
+      Joi.string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .messages({ "string.pattern.base": "Invalid ticket ID format" })
+    )
+    .min(1)
+    .messages({
+      "array.min":
+        "Select at least one ticket, or leave out ticketIds to move all",
+    }),
+  notes: Joi.string().trim().max(500).allow("").messages({
+    "string.max": "Notes cannot exceed 500 characters",
+  }),
 });
 
 /**
@@ -100,5 +192,8 @@ module.exports = {
   createUserSchema,
   updateUserSchema,
   updateNotificationPreferencesSchema,
+  updateAvailabilitySchema,
+  createLeaveSchema,
+  reassignLeaveTicketsSchema,
   resetPasswordSchema,
 };
@@ -0,0 +1,51 @@
+const Joi = require("joi");
+
+const warehouseFields = {
+  name: Joi.string().trim().max(100).messages({
+    "string.empty": "Warehouse name is required",
+    "string.max": "Warehouse name cannot exceed 100 characters",
+    "any.required": "Warehouse name is required",
+  }),
+  code: Joi.string()
+    .trim()
+    .pattern(/^[A-Za-z0-9_-]{2,20}$/)
+    .messages({
+      "string.empty": "Warehouse code is required",
+      "string.pattern.base":
+        "Warehouse code must be 2-20 letters, digits, dashes or underscores",
+      "any.required": "Warehouse code is required",
+    }),
+  address: Joi.string().trim().max(500).allow("", null).messages({
+    "string.max": "Address cannot exceed 500 characters",
+  }),
+  city: Joi.string().trim().allow("", null),
+  state: Joi.string().trim().allow("", null),
+  pincode: Joi.string()
+    .pattern(/^\d{6}$/)
+    .allow("", null)
+    .messages({
+      "string.pattern.base": "Pincode must be 6 digits",
+    }),
+  isActive: Joi.boolean(),
+};
+
+/**
+ * Schema for creating a warehouse
+ */
+const createWarehouseSchema = Joi.object({
+  ...warehouseFields,
+  name: warehouseFields.name.required(),
+  code: warehouseFields.code.required(),
+});
+
+/**
+ * Schema for updating a warehouse
+ */
+const updateWarehouseSchema = Joi.object(warehouseFields).min(1).messages({
+  "object.min": "At least one field must be provided to update",
+});
+
+module.exports = {
+  createWarehouseSchema,
+  updateWarehouseSchema,
+};